@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+// Builds points_ledger history for balance changes made before the ledger existed, from the source
+// tables (task joins, claims, social claims, ads, admin adjustments, withdrawals). Rows are marked
+// backfilled. Changes that left no record (e.g. old bank-edit fees) show up as one "Opening Balance"
+// entry so every user's running balance ends at users.points. Safe to re-run: users that already
+// have backfilled rows are skipped. Pass --dry-run to only print what would be written.
+require('dotenv').config();
+const database = require('../src/database/connection');
+const ledgerService = require('../src/services/ledgerService');
+const { toMs } = require('../src/services/helpers');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Source tables differ between installs (ads/social tables are created on first use)
+async function safeAll(sql, params) {
+  try { return await database.all(sql, params); } catch (_) { return []; }
+}
+
+// Social claim credits and admin credits were also written to claims_history without a source;
+// drop those copies so each credit is counted once.
+function takeMatch(pool, points, at) {
+  const ms = toMs(at);
+  const idx = pool.findIndex(p => p.points === points && Number.isFinite(ms) && Number.isFinite(p.ms) && Math.abs(p.ms - ms) <= 5000);
+  if (idx === -1) return false;
+  pool.splice(idx, 1);
+  return true;
+}
+
+async function collectEntries(user) {
+  const entries = [];
+  const add = (delta, reason, referenceType, referenceId, at, description) => {
+    const amount = parseInt(delta, 10) || 0;
+    if (amount) entries.push({ delta: amount, reason, referenceType, referenceId, at, description: description || null });
+  };
+
+  for (const r of await safeAll('SELECT id, channel_id, points_earned, joined_at FROM user_channel_joins WHERE user_id = ?', [user.id])) {
+    add(r.points_earned, 'task_channel_join', 'channel', r.channel_id, r.joined_at);
+  }
+  for (const r of await safeAll('SELECT id, group_id, points_earned, joined_at FROM user_group_joins WHERE user_id = ?', [user.id])) {
+    add(r.points_earned, 'task_group_join', 'group', r.group_id, r.joined_at);
+  }
+  for (const r of await safeAll(`SELECT id, task_type, points_earned, completed_at FROM tasks WHERE user_id = ? AND task_type IN ('friend_invite', 'daily_login')`, [user.id])) {
+    add(r.points_earned, r.task_type === 'friend_invite' ? 'task_friend_invite' : 'task_daily_login', 'task', r.id, r.completed_at);
+  }
+
+  const duplicates = [];
+  const social = await safeAll(`
+    SELECT usc.id, usc.points_earned, usc.completed_at, st.task_name, st.platform
+    FROM user_social_claims usc LEFT JOIN social_tasks st ON st.id = usc.social_task_id
+    WHERE usc.user_id = ? AND usc.status = 'completed'`, [user.id]);
+  for (const r of social) {
+    add(r.points_earned, 'social_task', 'social_claim', r.id, r.completed_at, r.task_name || r.platform);
+    duplicates.push({ points: parseInt(r.points_earned, 10) || 0, ms: toMs(r.completed_at) });
+  }
+  const adjustments = await safeAll(`SELECT id, admin_telegram_id, amount, reason, created_at FROM admin_audit WHERE target_telegram_id = ? AND action = 'adjust_balance'`, [user.telegram_id]);
+  for (const r of adjustments) {
+    add(r.amount, 'admin_adjust', 'admin_audit', r.id, r.created_at, r.reason);
+    if ((parseInt(r.amount, 10) || 0) > 0) duplicates.push({ points: parseInt(r.amount, 10), ms: toMs(r.created_at) });
+  }
+
+  for (const r of await safeAll('SELECT id, points_earned, claimed_at, source FROM claims_history WHERE telegram_id = ?', [user.telegram_id])) {
+    const points = parseInt(r.points_earned, 10) || 0;
+    if (r.source === 'ads') continue; // counted from ads_earnings
+    if (r.source === 'referral') { add(points, 'referral_bonus', 'claims_history', r.id, r.claimed_at); continue; }
+    if (takeMatch(duplicates, points, r.claimed_at)) continue;
+    add(points, 'daily_claim', 'claims_history', r.id, r.claimed_at);
+  }
+  for (const r of await safeAll('SELECT id, provider, points_earned, created_at FROM ads_earnings WHERE telegram_id = ?', [user.telegram_id])) {
+    add(r.points_earned, 'ad_reward', 'ads_earning', r.id, r.created_at, r.provider);
+  }
+  for (const r of await safeAll('SELECT id, amount, status, created_at, processed_at FROM withdrawals WHERE telegram_id = ?', [user.telegram_id])) {
+    add(-(parseInt(r.amount, 10) || 0), 'withdrawal', 'withdrawal', r.id, r.created_at);
+    if (r.status === 'rejected') add(r.amount, 'withdrawal_refund', 'withdrawal', r.id, r.processed_at || r.created_at);
+  }
+
+  return entries;
+}
+
+async function backfillUser(user) {
+  const done = await database.get('SELECT id FROM points_ledger WHERE user_id = ? AND backfilled = 1 LIMIT 1', [user.id]);
+  if (done) return null;
+
+  // Users who already have live rows: only history older than their first live entry, ending at its opening balance
+  const firstLive = await database.get('SELECT * FROM points_ledger WHERE user_id = ? ORDER BY id ASC LIMIT 1', [user.id]);
+  const cutoff = firstLive ? toMs(firstLive.created_at) : NaN;
+  const targetBalance = firstLive
+    ? (parseInt(firstLive.balance_after, 10) || 0) - (parseInt(firstLive.delta, 10) || 0)
+    : (parseInt(user.points, 10) || 0);
+
+  let entries = await collectEntries(user);
+  if (Number.isFinite(cutoff)) entries = entries.filter(e => toMs(e.at) < cutoff);
+  entries.sort((a, b) => (toMs(a.at) || 0) - (toMs(b.at) || 0));
+
+  const sum = entries.reduce((total, e) => total + e.delta, 0);
+  const opening = targetBalance - sum;
+  if (opening !== 0) {
+    entries.unshift({ delta: opening, reason: 'opening_balance', referenceType: null, referenceId: null, at: user.created_at || (entries[0] && entries[0].at) || null, description: 'Unrecorded changes before the ledger' });
+  }
+  if (!entries.length) return { user, written: 0, opening };
+
+  if (!dryRun) {
+    await database.transaction(async (tx) => {
+      let balance = 0;
+      for (const e of entries) {
+        balance += e.delta;
+        await tx.run(
+          `INSERT INTO points_ledger (user_id, telegram_id, delta, balance_after, reason, reference_type, reference_id, description, backfilled, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1, ?)`,
+          [user.id, user.telegram_id, e.delta, balance, e.reason, e.referenceType, e.referenceId == null ? null : String(e.referenceId), e.description, e.at || new Date().toISOString()]
+        );
+      }
+    });
+  }
+  return { user, written: entries.length, opening };
+}
+
+async function main() {
+  await database.connect();
+  try {
+    await ledgerService.ensureTable(database);
+    const users = await database.all('SELECT id, telegram_id, points, created_at FROM users ORDER BY id ASC');
+    let written = 0;
+    let withOpening = 0;
+    for (const user of users) {
+      const result = await backfillUser(user);
+      if (!result) continue;
+      written += result.written;
+      if (result.opening) {
+        withOpening++;
+        console.log(`user ${user.telegram_id}: ${result.written} entries, opening balance ${result.opening}`);
+      }
+    }
+    console.log(`${dryRun ? '[dry run] ' : ''}users: ${users.length}, ledger entries ${dryRun ? 'to write' : 'written'}: ${written}, users with an opening balance entry: ${withOpening}`);
+  } finally {
+    if (database.isPostgres) await database.pgPool.end();
+    else await database.close();
+  }
+}
+
+main().catch((err) => {
+  console.error('Ledger backfill failed:', err.message);
+  process.exit(1);
+});
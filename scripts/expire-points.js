@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+// One pass of the points expiry job (the bot runs it hourly): expires points unused for the configured
+// number of days and sends the advance warnings. For installs that run the job from cron instead;
+// set POINTS_EXPIRY_JOB_MINUTES=0 on the bot then. Does nothing while expiry is disabled in the admin panel.
+require('dotenv').config();
+const database = require('../src/database/connection');
+const pointsExpiryService = require('../src/services/pointsExpiryService');
+
+async function notify(chatId, text) {
+  const botToken = process.env.BOT_TOKEN;
+  if (!botToken) return false;
+  try {
+    const res = await fetch(`https://api.telegram.org/bot${botToken}/sendMessage`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ chat_id: chatId, text })
+    });
+    return res.ok;
+  } catch (_) {
+    return false;
+  }
+}
+
+async function main() {
+  await database.connect();
+  try {
+    const summary = await pointsExpiryService.run(database, { notify });
+    if (!summary.enabled) {
+      console.log('Points expiry is disabled (Configuration > Points Expiry).');
+      return;
+    }
+    console.log(`users checked: ${summary.usersChecked}, points expired: ${summary.pointsExpired} (${summary.usersExpired} users), warnings sent: ${summary.warningsSent}`);
+  } finally {
+    if (database.isPostgres) await database.pgPool.end();
+    else await database.close();
+  }
+}
+
+main().catch((err) => {
+  console.error('Points expiry failed:', err.message);
+  process.exit(1);
+});
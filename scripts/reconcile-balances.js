@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+// Recomputes every user's expected balance and earned total from the points ledger and prints the
+// mismatches with the entries behind them. The run is saved; corrections are applied from the admin
+// panel (Reconciliation tab) once an admin approves them. Nothing is changed here.
+require('dotenv').config();
+const database = require('../src/database/connection');
+const reconciliationService = require('../src/services/reconciliationService');
+
+function printItem(item) {
+  const d = item.details || {};
+  console.log(`\nuser ${item.telegram_id} (id ${item.user_id}) [item #${item.id}]`);
+  console.log(`  points: ${item.points}  ledger: ${item.ledger_points}  drift: ${item.points_drift}`);
+  console.log(`  total earned: ${item.total_earned}  ledger: ${item.ledger_earned}  drift: ${item.earned_drift}`);
+  if (d.noLedger) console.log('  no ledger entries (run npm run ledger:backfill first?)');
+  for (const b of d.chainBreaks || []) console.log(`  ledger row #${b.id}: balance_after ${b.actual}, expected ${b.expected}`);
+  for (const u of d.unrecorded || []) console.log(`  ${u.type} #${u.id} (${u.points > 0 ? '+' : ''}${u.points}) has no ledger entry`);
+  for (const r of d.recent || []) console.log(`  #${r.id} ${r.created_at} ${r.reason} ${r.delta > 0 ? '+' : ''}${r.delta} -> ${r.balance_after}${r.reference_type ? ` (${r.reference_type} #${r.reference_id})` : ''}`);
+}
+
+async function main() {
+  await database.connect();
+  try {
+    const { run, items } = await reconciliationService.run(database, {});
+    items.forEach(printItem);
+    console.log(`\nReconciliation run #${run.id}: ${run.users_checked} users checked, ${run.mismatches} mismatched.`);
+    if (items.length) console.log('Review and approve corrections in the admin panel (Reconciliation tab).');
+  } finally {
+    if (database.isPostgres) await database.pgPool.end();
+    else await database.close();
+  }
+}
+
+main().catch((err) => {
+  console.error('Reconciliation failed:', err.message);
+  process.exit(1);
+});
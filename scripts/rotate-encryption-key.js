@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+// Re-encrypts stored sensitive fields (bank details, config secrets) with the current DATA_ENCRYPTION_KEY.
+// Rotation: move the old key to DATA_ENCRYPTION_KEY_PREVIOUS, set the new DATA_ENCRYPTION_KEY, run this,
+// then drop DATA_ENCRYPTION_KEY_PREVIOUS. Also encrypts rows saved before encryption was enabled.
+require('dotenv').config();
+const database = require('../src/database/connection');
+const encryptionService = require('../src/services/encryptionService');
+const bankDetailsService = require('../src/services/bankDetailsService');
+
+// admin_config rows in the "secret:" namespace
+async function rotateConfigSecrets() {
+  const rows = await database.all(`SELECT id, config_value FROM admin_config WHERE config_key LIKE 'secret:%'`);
+  let updated = 0;
+  for (const row of rows) {
+    if (!encryptionService.needsRotation(row.config_value)) continue;
+    const plain = encryptionService.decrypt(row.config_value);
+    await database.run('UPDATE admin_config SET config_value = ? WHERE id = ?', [encryptionService.encrypt(plain), row.id]);
+    updated++;
+  }
+  return { scanned: rows.length, updated };
+}
+
+async function main() {
+  if (!encryptionService.isConfigured()) {
+    console.error('DATA_ENCRYPTION_KEY is not set in environment.');
+    process.exit(1);
+  }
+
+  await database.connect();
+  try {
+    const bank = await bankDetailsService.rotateKeys(database);
+    console.log(`bank_details: scanned ${bank.scanned}, re-encrypted ${bank.updated}`);
+    const secrets = await rotateConfigSecrets();
+    console.log(`admin_config secrets: scanned ${secrets.scanned}, re-encrypted ${secrets.updated}`);
+  } finally {
+    if (database.isPostgres) await database.pgPool.end();
+    else await database.close();
+  }
+}
+
+main().catch((err) => {
+  console.error('Key rotation failed:', err.message);
+  process.exit(1);
+});
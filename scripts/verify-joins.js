@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+// One pass of the join re-verification job (the bot runs it every 30 minutes): re-checks a sample of
+// recent channel/group joins and takes the reward back from users who have left. For installs that run
+// the job from cron instead; set JOIN_CLAWBACK_JOB_MINUTES=0 on the bot then. Does nothing while
+// re-verification is disabled in the admin panel.
+require('dotenv').config();
+const database = require('../src/database/connection');
+const joinVerificationService = require('../src/services/joinVerificationService');
+
+async function telegram(method, payload) {
+  const botToken = process.env.BOT_TOKEN;
+  if (!botToken) throw new Error('BOT_TOKEN is required');
+  const res = await fetch(`https://api.telegram.org/bot${botToken}/${method}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+  const json = await res.json();
+  if (!json || !json.ok) throw new Error((json && json.description) || `${method} failed`);
+  return json.result;
+}
+
+async function main() {
+  await database.connect();
+  try {
+    const summary = await joinVerificationService.run(database, {
+      getChatMember: (chatId, userId) => telegram('getChatMember', { chat_id: chatId, user_id: userId }),
+      notify: (chatId, text) => telegram('sendMessage', { chat_id: chatId, text }).then(() => true, () => false)
+    });
+    if (!summary.enabled) {
+      console.log('Join re-verification is disabled (Configuration > Join Re-verification).');
+      return;
+    }
+    console.log(`checked: ${summary.checked}, still members: ${summary.stillMember}, revoked: ${summary.revoked} (${summary.pointsClawedBack} points), could not check: ${summary.unknown}`);
+  } finally {
+    if (database.isPostgres) await database.pgPool.end();
+    else await database.close();
+  }
+}
+
+main().catch((err) => {
+  console.error('Join re-verification failed:', err.message);
+  process.exit(1);
+});
@@ -1,5 +1,8 @@
 const userService = require('../../services/userService');
-const taskService = require('../../services/taskService');
+const adminService = require('../../services/adminService');
+const adminConfirmationService = require('../../services/adminConfirmationService');
+const levelService = require('../../services/levelService');
+const transferService = require('../../services/transferService');
 
 const callbackHandlers = {
     async handleOpenWebApp(bot, callbackQuery, database) {
@@ -42,102 +45,6 @@ const callbackHandlers = {
         }
     },
 
-    async handleJoinChannel(bot, callbackQuery, database) {
-        const chatId = callbackQuery.message.chat.id;
-        const userId = callbackQuery.from.id;
-        const data = callbackQuery.data;
-
-        try {
-            const channelId = data.split('_')[2]; // join_channel_123
-            const channel = await taskService.getChannelById(database, channelId);
-            
-            if (!channel) {
-                await bot.answerCallbackQuery(callbackQuery.id, {
-                    text: 'Channel not found',
-                    show_alert: true
-                });
-                return;
-            }
-
-            const keyboard = {
-                inline_keyboard: [
-                    [{
-                        text: `📺 Join ${channel.channel_name}`,
-                        url: `https://t.me/${channel.channel_username || channel.channel_id}`
-                    }],
-                    [{
-                        text: '✅ Verify Join',
-                        callback_data: `verify_join_channel_${channelId}`
-                    }],
-                    [{
-                        text: '🎯 Open Mini App',
-                        web_app: { url: `${process.env.WEBAPP_URL}?user_id=${userId}&tab=channels` }
-                    }]
-                ]
-            };
-
-            await bot.editMessageReplyMarkup(keyboard, {
-                chat_id: chatId,
-                message_id: callbackQuery.message.message_id
-            });
-
-        } catch (error) {
-            console.error('Error in handleJoinChannel:', error);
-            await bot.answerCallbackQuery(callbackQuery.id, {
-                text: 'Error processing channel join',
-                show_alert: true
-            });
-        }
-    },
-
-    async handleJoinGroup(bot, callbackQuery, database) {
-        const chatId = callbackQuery.message.chat.id;
-        const userId = callbackQuery.from.id;
-        const data = callbackQuery.data;
-
-        try {
-            const groupId = data.split('_')[2]; // join_group_123
-            const group = await taskService.getGroupById(database, groupId);
-            
-            if (!group) {
-                await bot.answerCallbackQuery(callbackQuery.id, {
-                    text: 'Group not found',
-                    show_alert: true
-                });
-                return;
-            }
-
-            const keyboard = {
-                inline_keyboard: [
-                    [{
-                        text: `👥 Join ${group.group_name}`,
-                        url: `https://t.me/${group.group_username || group.group_id}`
-                    }],
-                    [{
-                        text: '✅ Verify Join',
-                        callback_data: `verify_join_group_${groupId}`
-                    }],
-                    [{
-                        text: '🎯 Open Mini App',
-                        web_app: { url: `${process.env.WEBAPP_URL}?user_id=${userId}&tab=groups` }
-                    }]
-                ]
-            };
-
-            await bot.editMessageReplyMarkup(keyboard, {
-                chat_id: chatId,
-                message_id: callbackQuery.message.message_id
-            });
-
-        } catch (error) {
-            console.error('Error in handleJoinGroup:', error);
-            await bot.answerCallbackQuery(callbackQuery.id, {
-                text: 'Error processing group join',
-                show_alert: true
-            });
-        }
-    },
-
     async handleInviteFriend(bot, callbackQuery, database) {
         const chatId = callbackQuery.message.chat.id;
         const userId = callbackQuery.from.id;
@@ -203,117 +110,13 @@ const callbackHandlers = {
         }
     },
 
-    async handleVerifyJoin(bot, callbackQuery, database) {
-        const chatId = callbackQuery.message.chat.id;
-        const userId = callbackQuery.from.id;
-        const data = callbackQuery.data;
-
-        try {
-            const user = await userService.getUserByTelegramId(database, userId);
-            if (!user) {
-                await bot.answerCallbackQuery(callbackQuery.id, {
-                    text: 'User not found',
-                    show_alert: true
-                });
-                return;
-            }
-
-            const parts = data.split('_');
-            const joinType = parts[2]; // channel or group
-            const itemId = parts[3];
-
-            // Note: In a real implementation, you would verify membership using Telegram Bot API
-            // For now, we'll simulate the verification
-            let success = false;
-            let pointsEarned = 0;
-            let itemName = '';
-
-            if (joinType === 'channel') {
-                const channel = await taskService.getChannelById(database, itemId);
-                if (channel) {
-                    // Check if user already joined this channel
-                    const existingJoin = await taskService.getUserChannelJoin(database, user.id, itemId);
-                    if (!existingJoin) {
-                        pointsEarned = channel.points_reward;
-                        await taskService.completeChannelJoin(database, user.id, itemId, pointsEarned);
-                        success = true;
-                        itemName = channel.channel_name;
-                    }
-                }
-            } else if (joinType === 'group') {
-                const group = await taskService.getGroupById(database, itemId);
-                if (group) {
-                    // Check if user already joined this group
-                    const existingJoin = await taskService.getUserGroupJoin(database, user.id, itemId);
-                    if (!existingJoin) {
-                        pointsEarned = group.points_reward;
-                        await taskService.completeGroupJoin(database, user.id, itemId, pointsEarned);
-                        success = true;
-                        itemName = group.group_name;
-                    }
-                }
-            }
-
-            if (success) {
-                await bot.answerCallbackQuery(callbackQuery.id, {
-                    text: `✅ Successfully joined ${itemName}! Earned ${pointsEarned} points!`,
-                    show_alert: true
-                });
-
-                // Update message
-                const message = `
-✅ *Task Completed!*
-
-*${itemName}* joined successfully!
-*Points Earned:* ${pointsEarned} 🪙
-
-*Current Total Points:* ${user.points + pointsEarned} 🪙
-
-Keep completing tasks to climb the leaderboard!
-`;
-
-                const keyboard = {
-                    inline_keyboard: [
-                        [{
-                            text: '🎯 Open Mini App',
-                            web_app: { url: `${process.env.WEBAPP_URL}?user_id=${userId}` }
-                        }],
-                        [{
-                            text: '📋 More Tasks',
-                            callback_data: 'open_webapp_tasks'
-                        }]
-                    ]
-                };
-
-                await bot.editMessageText(message, {
-                    chat_id: chatId,
-                    message_id: callbackQuery.message.message_id,
-                    parse_mode: 'Markdown',
-                    reply_markup: keyboard
-                });
-            } else {
-                await bot.answerCallbackQuery(callbackQuery.id, {
-                    text: '❌ Unable to verify join. Please make sure you joined the channel/group first.',
-                    show_alert: true
-                });
-            }
-
-        } catch (error) {
-            console.error('Error in handleVerifyJoin:', error);
-            await bot.answerCallbackQuery(callbackQuery.id, {
-                text: 'Error verifying join',
-                show_alert: true
-            });
-        }
-    },
-
     async handleAdminCallback(bot, callbackQuery, database) {
         const chatId = callbackQuery.message.chat.id;
         const userId = callbackQuery.from.id;
-        const adminUserId = process.env.ADMIN_USER_ID;
         const data = callbackQuery.data;
+        const admin = await adminService.getAdmin(database, userId);
 
-        if (userId.toString() !== adminUserId) {
+        if (!admin) {
             await bot.answerCallbackQuery(callbackQuery.id, {
                 text: '❌ Access denied. Admin only.',
                 show_alert: true
@@ -335,7 +138,7 @@ Keep completing tasks to climb the leaderboard!
                     inline_keyboard: [
                         [{
                             text: '🎯 Open Admin Panel',
-                            web_app: { url: `${process.env.WEBAPP_URL}/admin?user_id=${userId}` }
+                            web_app: { url: `${process.env.WEBAPP_URL}/admin` }
                         }]
                     ]
                 };
@@ -357,15 +160,15 @@ Keep completing tasks to climb the leaderboard!
 *Total Points Distributed:* ${stats.total_points}
 *Tasks Completed Today:* ${stats.tasks_today}
 
-*Top Performing Channels:*
-${stats.top_channels.map(ch => `• ${ch.channel_name}: ${ch.joins} joins`).join('\n')}
+*Top Performing Tasks:*
+${stats.top_tasks.map(t => `• ${t.title}: ${t.completions} completions`).join('\n')}
 `;
 
                 const keyboard = {
                     inline_keyboard: [
                         [{
                             text: '🎯 Open Admin Panel',
-                            web_app: { url: `${process.env.WEBAPP_URL}/admin?user_id=${userId}` }
+                            web_app: { url: `${process.env.WEBAPP_URL}/admin` }
                         }]
                     ]
                 };
@@ -385,6 +188,82 @@ ${stats.top_channels.map(ch => `• ${ch.channel_name}: ${ch.joins} joins`).join
                 show_alert: true
             });
         }
+    },
+
+    // confirm_yes_<token> / confirm_no_<token> from the admin-action DM sent by the web server
+    async handleAdminConfirmation(bot, callbackQuery, database) {
+        const chatId = callbackQuery.message.chat.id;
+        const userId = callbackQuery.from.id;
+        const data = callbackQuery.data;
+
+        try {
+            const match = data.match(/^confirm_(yes|no)_([a-f0-9]+)$/);
+            const admin = await adminService.getAdmin(database, userId);
+            if (!match || !admin) {
+                await bot.answerCallbackQuery(callbackQuery.id, {
+                    text: '❌ Access denied. Admin only.',
+                    show_alert: true
+                });
+                return;
+            }
+
+            const approve = match[1] === 'yes';
+            const outcome = await adminConfirmationService.decide(database, match[2], userId, approve);
+            const summary = (outcome.row && outcome.row.summary) || '';
+            let footer;
+            if (outcome.ok) {
+                footer = approve ? '✅ Confirmed. Return to the admin panel to finish.' : '❌ Cancelled.';
+            } else {
+                footer = `⚠️ ${outcome.error}`;
+            }
+
+            await bot.editMessageText(`🔐 Admin action\n\n${summary}\n\n${footer}`, {
+                chat_id: chatId,
+                message_id: callbackQuery.message.message_id
+            });
+        } catch (error) {
+            console.error('Error in handleAdminConfirmation:', error);
+            await bot.answerCallbackQuery(callbackQuery.id, {
+                text: 'Error processing confirmation',
+                show_alert: true
+            });
+        }
+    },
+
+    // send_yes_<token> / send_no_<token> from the confirmation /send replies with
+    async handleSendConfirmation(bot, callbackQuery, database) {
+        const chatId = callbackQuery.message.chat.id;
+        const messageId = callbackQuery.message.message_id;
+        const data = callbackQuery.data;
+
+        try {
+            const match = data.match(/^send_(yes|no)_([a-f0-9]+)$/);
+            const user = await userService.getUserByTelegramId(database, callbackQuery.from.id);
+            const quote = match && user ? transferService.takeQuote(match[2], user.id) : null;
+            let text;
+            if (!quote) {
+                text = '⚠️ This transfer request has expired or belongs to someone else. Use /send again.';
+            } else if (match[1] === 'no') {
+                text = '❌ Transfer cancelled.';
+            } else {
+                const recipient = await userService.getUserById(database, quote.recipientId);
+                try {
+                    const transfer = await transferService.send(database, { sender: user, recipient, amount: quote.amount, note: quote.note });
+                    await transferService.notifyParties(transfer, (telegramId, message) => bot.sendMessage(telegramId, message).then(() => true, () => false));
+                    text = `✅ Sent ${transfer.amount} points.`;
+                } catch (error) {
+                    if (!transferService.isRuleError(error) && error.message !== 'Insufficient points') throw error;
+                    text = `❌ ${error.message === 'Insufficient points' ? 'You do not have enough points for this transfer (amount + fee).' : error.message}`;
+                }
+            }
+            await bot.editMessageText(text, { chat_id: chatId, message_id: messageId });
+        } catch (error) {
+            console.error('Error in handleSendConfirmation:', error);
+            await bot.answerCallbackQuery(callbackQuery.id, {
+                text: 'Error processing transfer',
+                show_alert: true
+            });
+        }
     }
 };
 
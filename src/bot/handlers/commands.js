@@ -1,5 +1,8 @@
 const userService = require('../../services/userService');
 const taskService = require('../../services/taskService');
+const adminService = require('../../services/adminService');
+const levelService = require('../../services/levelService');
+const transferService = require('../../services/transferService');
 
 const commandHandlers = {
     async handleStart(bot, msg, database) {
@@ -82,6 +85,7 @@ Earn points by completing simple tasks, inviting friends, and daily rewards. Ope
 • /tasks - View available tasks
 • /profile - Your profile & points
 • /leaderboard - Top players
+• /send @username 500 - Send points to a friend
 • /help - This help message
 
 *Need support?* Contact @admin_username
@@ -163,7 +167,8 @@ Earn points by completing simple tasks, inviting friends, and daily rewards. Ope
             }
 
             // Get available tasks
-            const availableTasks = await taskService.getAvailableTasks(database, user.id);
+            const { level } = await levelService.getUserLevel(database, user);
+            const { tasks, types } = await taskService.getAvailableTasks(database, user, { level });
             
             let tasksMessage = `
 📋 *Available Tasks*
@@ -171,19 +176,14 @@ Earn points by completing simple tasks, inviting friends, and daily rewards. Ope
 *Complete these tasks to earn points:*
 `;
 
-            if (availableTasks.channels.length > 0) {
-                tasksMessage += `\n*📺 Join Channels:*\n`;
-                availableTasks.channels.forEach(channel => {
-                    tasksMessage += `• ${channel.channel_name} - ${channel.points_reward} points\n`;
+            types.forEach(({ type, label }) => {
+                const ofType = tasks.filter(t => t.type === type);
+                if (ofType.length === 0) return;
+                tasksMessage += `\n*${label}:*\n`;
+                ofType.forEach(task => {
+                    tasksMessage += `• ${task.title} - ${task.points_reward} points\n`;
                 });
-            }
-
-            if (availableTasks.groups.length > 0) {
-                tasksMessage += `\n*👥 Join Groups:*\n`;
-                availableTasks.groups.forEach(group => {
-                    tasksMessage += `• ${group.group_name} - ${group.points_reward} points\n`;
-                });
-            }
+            });
 
             tasksMessage += `
 *🎁 Invite Friends:*
@@ -200,14 +200,6 @@ Earn points by completing simple tasks, inviting friends, and daily rewards. Ope
                         text: '🎯 Open Mini App',
                         web_app: { url: `${process.env.WEBAPP_URL}?user_id=${userId}&tab=tasks` }
                     }],
-                    [{
-                        text: '📺 Join Channels',
-                        callback_data: 'open_webapp_channels'
-                    }],
-                    [{
-                        text: '👥 Join Groups',
-                        callback_data: 'open_webapp_groups'
-                    }],
                     [{
                         text: '👥 Invite Friends',
                         callback_data: 'invite_friend'
@@ -268,12 +260,69 @@ Earn points by completing simple tasks, inviting friends, and daily rewards. Ope
         }
     },
 
+    // /send @username 500 [note]
+    async handleSend(bot, msg, database, args) {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+
+        try {
+            const user = await userService.getUserByTelegramId(database, userId);
+            if (!user) {
+                await bot.sendMessage(chatId, 'User not found. Please use /start to register.');
+                return;
+            }
+
+            const [recipientArg, amountArg, ...noteParts] = String(args || '').trim().split(/\s+/).filter(Boolean);
+            if (!recipientArg || !amountArg) {
+                const settings = await transferService.getOverview(database, user);
+                if (!settings.enabled) {
+                    await bot.sendMessage(chatId, 'Transfers are currently disabled.');
+                    return;
+                }
+                await bot.sendMessage(chatId,
+                    `💸 Send points to a friend\n\nUsage: /send @username 500 [note]\n\n` +
+                    `Fee: ${settings.feePct}%\nMinimum: ${settings.minAmount} points\n` +
+                    `Left today: ${settings.remainingToday} points in ${settings.transfersLeftToday} transfer(s)`);
+                return;
+            }
+
+            // The stored username may be stale, so the sender confirms who it resolved to before anything moves
+            let recipient;
+            let quote;
+            try {
+                recipient = await transferService.findRecipient(database, recipientArg);
+                quote = await transferService.quote(database, { sender: user, recipient, amount: amountArg, note: noteParts.join(' ') });
+            } catch (error) {
+                if (transferService.isRuleError(error)) {
+                    await bot.sendMessage(chatId, `❌ ${error.message}`);
+                    return;
+                }
+                throw error;
+            }
+            const name = [recipient.first_name, recipient.last_name].filter(Boolean).join(' ') || 'User';
+            const handle = recipient.username ? `@${recipient.username}, ` : '';
+            await bot.sendMessage(chatId,
+                `💸 Send ${quote.amount} points to ${name} (${handle}ID ${recipient.telegram_id})?` +
+                `${quote.fee ? `\nFee: ${quote.fee} points` : ''}\n\nThis can't be undone. The request expires in 5 minutes.`, {
+                    reply_markup: {
+                        inline_keyboard: [[
+                            { text: '✅ Send', callback_data: `send_yes_${quote.token}` },
+                            { text: '❌ Cancel', callback_data: `send_no_${quote.token}` }
+                        ]]
+                    }
+                });
+        } catch (error) {
+            console.error('Error in handleSend:', error);
+            await bot.sendMessage(chatId, 'Sorry, something went wrong. Please try again.');
+        }
+    },
+
     async handleAdmin(bot, msg, database) {
         const chatId = msg.chat.id;
         const userId = msg.from.id;
-        const adminUserId = process.env.ADMIN_USER_ID;
+        const admin = await adminService.getAdmin(database, userId);
 
-        if (userId.toString() !== adminUserId) {
+        if (!admin) {
             await bot.sendMessage(chatId, '❌ Access denied. Admin only.');
             return;
         }
@@ -311,7 +360,7 @@ Earn points by completing simple tasks, inviting friends, and daily rewards. Ope
                 }],
                 [{
                     text: '🎯 Open Admin Panel',
-                    web_app: { url: `${(process.env.WEBAPP_URL || '').replace(/\/webapp$/, '')}/admin?user_id=${userId}` }
+                    web_app: { url: `${(process.env.WEBAPP_URL || '').replace(/\/webapp$/, '')}/admin` }
                 }]
             ]
         };
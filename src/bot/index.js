@@ -3,17 +3,31 @@ const TelegramBot = require('node-telegram-bot-api');
 const database = require('../database/connection');
 const commandHandlers = require('./handlers/commands');
 const callbackHandlers = require('./handlers/callbacks');
+const pointsExpiryService = require('../services/pointsExpiryService');
+const joinVerificationService = require('../services/joinVerificationService');
+const levelService = require('../services/levelService');
+const taskService = require('../services/taskService');
+const shopService = require('../services/shopService');
 
 class TGTaskBot {
     constructor() {
         this.bot = null;
         this.isRunning = false;
+        this.jobs = [];
+        // Scheduled jobs run one at a time, in the order they came due
+        this.jobQueue = Promise.resolve();
     }
 
     async initialize() {
         try {
             // Connect to database
             await database.connect();
+            // Task queries filter on users.level, which the level tables add
+            await levelService.ensureTable(database);
+            // ...and read the task tables (the first run imports the old channel/group/social tasks)
+            await taskService.ensureTable(database);
+            // The shop delivery job reads the order tables
+            await shopService.ensureTable(database);
 
             // Initialize bot
             const token = process.env.BOT_TOKEN;
@@ -33,6 +47,9 @@ class TGTaskBot {
             // Set up error handling
             this.setupErrorHandling();
 
+            // Set up periodic jobs
+            this.setupScheduledJobs();
+
             this.isRunning = true;
             console.log('Bot is now running...');
 
@@ -93,6 +110,16 @@ class TGTaskBot {
             }
         });
 
+        // Send points to another user
+        this.bot.onText(/^\/send(?:@\w+)?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+            try {
+                await commandHandlers.handleSend(this.bot, msg, database, match && match[1]);
+            } catch (error) {
+                console.error('Error handling send command:', error);
+                await this.bot.sendMessage(msg.chat.id, 'Sorry, something went wrong. Please try again.');
+            }
+        });
+
         // Admin commands
         this.bot.onText(/\/admin/, async (msg) => {
             try {
@@ -112,16 +139,14 @@ class TGTaskBot {
 
                 if (data.startsWith('open_webapp')) {
                     await callbackHandlers.handleOpenWebApp(this.bot, callbackQuery, database);
-                } else if (data.startsWith('join_channel')) {
-                    await callbackHandlers.handleJoinChannel(this.bot, callbackQuery, database);
-                } else if (data.startsWith('join_group')) {
-                    await callbackHandlers.handleJoinGroup(this.bot, callbackQuery, database);
                 } else if (data.startsWith('invite_friend')) {
                     await callbackHandlers.handleInviteFriend(this.bot, callbackQuery, database);
-                } else if (data.startsWith('verify_join')) {
-                    await callbackHandlers.handleVerifyJoin(this.bot, callbackQuery, database);
                 } else if (data.startsWith('admin_')) {
                     await callbackHandlers.handleAdminCallback(this.bot, callbackQuery, database);
+                } else if (data.startsWith('confirm_')) {
+                    await callbackHandlers.handleAdminConfirmation(this.bot, callbackQuery, database);
+                } else if (data.startsWith('send_')) {
+                    await callbackHandlers.handleSendConfirmation(this.bot, callbackQuery, database);
                 }
 
                 // Answer callback query to remove loading state
@@ -137,6 +162,103 @@ class TGTaskBot {
         });
     }
 
+    // Runs `task` every `minutes` (and shortly after start). Runs go through one queue shared by all jobs, so
+    // no two jobs (and their transactions) overlap; a job that is still waiting in the queue isn't added again.
+    scheduleJob(name, minutes, task) {
+        let queued = false;
+        const run = async () => {
+            try {
+                await task();
+            } catch (error) {
+                console.error(`Scheduled job ${name} failed:`, error);
+            } finally {
+                queued = false;
+            }
+        };
+        const tick = () => {
+            if (queued) return;
+            queued = true;
+            this.jobQueue = this.jobQueue.then(run);
+        };
+        this.jobs.push(setTimeout(tick, 30 * 1000));
+        this.jobs.push(setInterval(tick, minutes * 60 * 1000));
+    }
+
+    clearScheduledJobs() {
+        this.jobs.forEach(job => clearInterval(job));
+        this.jobs = [];
+    }
+
+    setupScheduledJobs() {
+        const notify = (chatId, text) => this.bot.sendMessage(chatId, text).then(() => true, () => false);
+
+        const expiryMinutes = parseInt(process.env.POINTS_EXPIRY_JOB_MINUTES || '60', 10);
+        if (expiryMinutes > 0) {
+            this.scheduleJob('points-expiry', expiryMinutes, async () => {
+                const summary = await pointsExpiryService.run(database, { notify });
+                if (summary.pointsExpired || summary.warningsSent) {
+                    console.log(`Points expiry: ${summary.pointsExpired} points expired for ${summary.usersExpired} users, ${summary.warningsSent} warnings sent`);
+                }
+            });
+        }
+
+        const joinCheckMinutes = parseInt(process.env.JOIN_CLAWBACK_JOB_MINUTES || '30', 10);
+        if (joinCheckMinutes > 0) {
+            this.scheduleJob('join-reverification', joinCheckMinutes, async () => {
+                const summary = await joinVerificationService.run(database, {
+                    getChatMember: (chatId, userId) => this.bot.getChatMember(chatId, userId),
+                    notify
+                });
+                if (summary.revoked) {
+                    console.log(`Join re-verification: ${summary.checked} checked, ${summary.revoked} revoked, ${summary.pointsClawedBack} points clawed back`);
+                }
+            });
+        }
+
+        const levelUpMinutes = parseInt(process.env.LEVEL_UP_NOTIFY_JOB_MINUTES || '2', 10);
+        if (levelUpMinutes > 0) {
+            this.scheduleJob('level-up-notifications', levelUpMinutes, async () => {
+                const summary = await levelService.notifyLevelUps(database, notify);
+                if (summary.sent || summary.failed) {
+                    console.log(`Level-up notifications: ${summary.sent} sent, ${summary.failed} failed`);
+                }
+            });
+        }
+
+        // Task windows: the mini app hides tasks outside their window anyway; this keeps is_active in step
+        const taskScheduleMinutes = parseInt(process.env.TASK_SCHEDULE_JOB_MINUTES || '1', 10);
+        if (taskScheduleMinutes > 0) {
+            this.scheduleJob('task-schedule', taskScheduleMinutes, async () => {
+                const summary = await taskService.applySchedule(database);
+                if (summary.activated || summary.expired) {
+                    console.log(`Task schedule: ${summary.activated} started, ${summary.expired} ended`);
+                }
+            });
+        }
+
+        // Task budget alerts (80% spent, used up) for admins who manage tasks
+        const taskBudgetMinutes = parseInt(process.env.TASK_BUDGET_ALERT_JOB_MINUTES || '5', 10);
+        if (taskBudgetMinutes > 0) {
+            this.scheduleJob('task-budget-alerts', taskBudgetMinutes, async () => {
+                const summary = await taskService.notifyBudgetAlerts(database, notify);
+                if (summary.sent || summary.failed) {
+                    console.log(`Task budget alerts: ${summary.sent} sent, ${summary.failed} failed`);
+                }
+            });
+        }
+
+        // Shop order messages, including redeemed codes (private chat only)
+        const shopDeliveryMinutes = parseInt(process.env.SHOP_DELIVERY_JOB_MINUTES || '1', 10);
+        if (shopDeliveryMinutes > 0) {
+            this.scheduleJob('shop-deliveries', shopDeliveryMinutes, async () => {
+                const summary = await shopService.deliverPending(database, notify);
+                if (summary.sent || summary.failed) {
+                    console.log(`Shop deliveries: ${summary.sent} sent, ${summary.failed} failed`);
+                }
+            });
+        }
+    }
+
     setupErrorHandling() {
         this.bot.on('error', (error) => {
             console.error('Bot error:', error);
@@ -149,6 +271,7 @@ class TGTaskBot {
         // Graceful shutdown
         process.on('SIGINT', async () => {
             console.log('Shutting down bot...');
+            this.clearScheduledJobs();
             if (this.bot) {
                 this.bot.stopPolling();
             }
@@ -160,6 +283,7 @@ class TGTaskBot {
 
         process.on('SIGTERM', async () => {
             console.log('Shutting down bot...');
+            this.clearScheduledJobs();
             if (this.bot) {
                 this.bot.stopPolling();
             }
@@ -171,6 +295,7 @@ class TGTaskBot {
     }
 
     async stop() {
+        this.clearScheduledJobs();
         if (this.bot) {
             this.bot.stopPolling();
         }
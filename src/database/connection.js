@@ -1,6 +1,7 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
 let PgPool = null;
 try { PgPool = require('pg').Pool; } catch (_) {}
 
@@ -11,6 +12,11 @@ class Database {
         this.dbPath = null;
         this.isPostgres = !!process.env.DATABASE_URL;
         this.pgPool = null;
+        // SQLite has one connection, so anything sent while a transaction is open would become part of it (and
+        // be rolled back with it). Transactions and the statements outside them take turns on txQueue; code
+        // running inside a transaction callback (tracked by txScope) goes straight through.
+        this.txQueue = Promise.resolve();
+        this.txScope = new AsyncLocalStorage();
     }
 
     async connect() {
@@ -104,11 +110,11 @@ class Database {
             const res = await this.pgPool.query(text, params);
             return res.rows;
         }
-        return new Promise((resolve, reject) => {
+        return this._inTurn(() => new Promise((resolve, reject) => {
             this.db.all(sql, params, (err, rows) => {
                 if (err) reject(err); else resolve(rows);
             });
-        });
+        }));
     }
 
     async run(sql, params = []) {
@@ -124,11 +130,11 @@ class Database {
             const first = res.rows && res.rows[0];
             return { id: first && first.id != null ? first.id : undefined, changes: res.rowCount };
         }
-        return new Promise((resolve, reject) => {
+        return this._inTurn(() => new Promise((resolve, reject) => {
             this.db.run(sql, params, function(err) {
                 if (err) reject(err); else resolve({ id: this.lastID, changes: this.changes });
             });
-        });
+        }));
     }
 
     async get(sql, params = []) {
@@ -139,9 +145,17 @@ class Database {
             const res = await this.pgPool.query(text, params);
             return res.rows[0] || null;
         }
-        return new Promise((resolve, reject) => {
+        return this._inTurn(() => new Promise((resolve, reject) => {
             this.db.get(sql, params, (err, row) => { if (err) reject(err); else resolve(row); });
-        });
+        }));
+    }
+
+    // SQLite: run `work` after the transactions queued before it (see txQueue)
+    _inTurn(work) {
+        if (this.txScope.getStore()) return work();
+        const result = this.txQueue.then(work);
+        this.txQueue = result.catch(() => {});
+        return result;
     }
 
     async all(sql, params = []) {
@@ -174,6 +188,7 @@ class Database {
             try {
                 await client.query('BEGIN');
                 const tx = {
+                    isPostgres: true,
                     run: (sql, params=[]) => {
                         let text = this._transformSqlForPostgres(sql).replace(/;\s*$/, '');
                         if (/^\s*insert\s+/i.test(text) && !/returning\s+id/i.test(text)) text = `${text} RETURNING id`;
@@ -206,27 +221,31 @@ class Database {
             }
             return;
         }
-        return new Promise((resolve, reject) => {
-            this.db.serialize(() => {
-                this.db.run('BEGIN TRANSACTION');
-                
-                callback(this)
-                    .then(() => {
-                        this.db.run('COMMIT', (err) => {
-                            if (err) {
-                                this.db.run('ROLLBACK');
-                                reject(err);
-                            } else {
-                                resolve();
-                            }
-                        });
-                    })
-                    .catch((err) => {
-                        this.db.run('ROLLBACK');
-                        reject(err);
-                    });
-            });
+        const current = this.txScope.getStore();
+        if (current) return callback(current);
+        const exec = (sql) => new Promise((resolve, reject) => {
+            this.db.run(sql, (err) => { if (err) reject(err); else resolve(); });
         });
+        const tx = {
+            isPostgres: false,
+            run: (sql, params) => this.run(sql, params),
+            get: (sql, params) => this.get(sql, params),
+            all: (sql, params) => this.all(sql, params),
+            query: (sql, params) => this.query(sql, params),
+            // A transaction started inside the callback joins this one instead of waiting for it
+            transaction: (cb) => cb(tx)
+        };
+        const work = async () => {
+            await exec('BEGIN TRANSACTION');
+            try {
+                await this.txScope.run(tx, () => callback(tx));
+                await exec('COMMIT');
+            } catch (err) {
+                try { await exec('ROLLBACK'); } catch (_) {}
+                throw err;
+            }
+        };
+        return this._inTurn(work);
     }
 }
 
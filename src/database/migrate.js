@@ -124,6 +124,11 @@ const createTablesSqlite = () => {
                 // ignore if already exists
             });
 
+            // Exclusive tasks: only users at min_level or above see them (0 = everyone)
+            ['channels', 'groups', 'social_tasks'].forEach((table) => {
+                db.run(`ALTER TABLE ${table} ADD COLUMN min_level INTEGER DEFAULT 0`, (err) => {});
+            });
+
             // User channel joins
             db.run(`
                 CREATE TABLE IF NOT EXISTS user_channel_joins (
@@ -152,6 +157,13 @@ const createTablesSqlite = () => {
                 )
             `);
 
+            // Join re-verification: revoked joins are offered again; last_verified_at spaces out re-checks
+            ['user_channel_joins', 'user_group_joins'].forEach((table) => {
+                db.run(`ALTER TABLE ${table} ADD COLUMN revoked_at DATETIME DEFAULT NULL`, (err) => {});
+                db.run(`ALTER TABLE ${table} ADD COLUMN revoke_reason TEXT DEFAULT NULL`, (err) => {});
+                db.run(`ALTER TABLE ${table} ADD COLUMN last_verified_at DATETIME DEFAULT NULL`, (err) => {});
+            });
+
             // Friend invitations
             db.run(`
                 CREATE TABLE IF NOT EXISTS friend_invitations (
@@ -241,6 +253,15 @@ const createTablesSqlite = () => {
                 ALTER TABLE users ADD COLUMN is_banned INTEGER DEFAULT 0
             `, (err) => {});
 
+            // Preferred payout currency (code in currencies; NULL = default currency)
+            db.run(`
+                ALTER TABLE users ADD COLUMN payout_currency TEXT DEFAULT NULL
+            `, (err) => {});
+
+            // Levels: XP and the highest level reached (for level-up notifications)
+            db.run(`ALTER TABLE users ADD COLUMN xp INTEGER DEFAULT 0`, (err) => {});
+            db.run(`ALTER TABLE users ADD COLUMN level INTEGER DEFAULT 0`, (err) => {});
+
             // Admin audit table
             db.run(`
                 CREATE TABLE IF NOT EXISTS admin_audit (
@@ -254,6 +275,392 @@ const createTablesSqlite = () => {
                 )
             `);
 
+            // Admins and roles (ADMIN_USER_ID is always owner)
+            db.run(`
+                CREATE TABLE IF NOT EXISTS admins (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    telegram_id INTEGER UNIQUE NOT NULL,
+                    username TEXT,
+                    role TEXT NOT NULL,
+                    added_by INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
+            // Admin sessions (refresh tokens)
+            db.run(`
+                CREATE TABLE IF NOT EXISTS admin_sessions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    jti TEXT UNIQUE NOT NULL,
+                    telegram_id INTEGER NOT NULL,
+                    user_agent TEXT,
+                    expires_at DATETIME NOT NULL,
+                    revoked_at DATETIME,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
+            // Admin config change history (one change_id per save)
+            db.run(`
+                CREATE TABLE IF NOT EXISTS config_history (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    change_id TEXT NOT NULL,
+                    config_group TEXT NOT NULL,
+                    config_key TEXT NOT NULL,
+                    old_value TEXT,
+                    new_value TEXT,
+                    admin_telegram_id INTEGER,
+                    action TEXT NOT NULL DEFAULT 'update',
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
+            // Pending two-step confirmations for sensitive admin actions
+            db.run(`
+                CREATE TABLE IF NOT EXISTS admin_confirmations (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    token TEXT UNIQUE NOT NULL,
+                    admin_telegram_id INTEGER NOT NULL,
+                    action TEXT NOT NULL,
+                    payload TEXT,
+                    summary TEXT,
+                    status TEXT NOT NULL DEFAULT 'pending',
+                    result TEXT,
+                    expires_at DATETIME NOT NULL,
+                    decided_at DATETIME,
+                    executed_at DATETIME,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
+            // Append-only points ledger; every balance change writes one row (see ledgerService)
+            db.run(`
+                CREATE TABLE IF NOT EXISTS points_ledger (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    telegram_id INTEGER,
+                    delta INTEGER NOT NULL,
+                    balance_after INTEGER NOT NULL,
+                    reason TEXT NOT NULL,
+                    reference_type TEXT,
+                    reference_id TEXT,
+                    description TEXT,
+                    created_by INTEGER,
+                    backfilled INTEGER NOT NULL DEFAULT 0,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_points_ledger_user ON points_ledger (user_id, id)`);
+
+            // Balance reconciliation runs and the per-user mismatches awaiting admin approval
+            db.run(`
+                CREATE TABLE IF NOT EXISTS reconciliation_runs (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    started_by INTEGER,
+                    users_checked INTEGER NOT NULL DEFAULT 0,
+                    mismatches INTEGER NOT NULL DEFAULT 0,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            db.run(`
+                CREATE TABLE IF NOT EXISTS reconciliation_items (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    run_id INTEGER NOT NULL,
+                    user_id INTEGER NOT NULL,
+                    telegram_id INTEGER,
+                    points INTEGER NOT NULL,
+                    ledger_points INTEGER NOT NULL,
+                    total_earned INTEGER NOT NULL,
+                    ledger_earned INTEGER NOT NULL,
+                    details TEXT,
+                    status TEXT NOT NULL DEFAULT 'proposed',
+                    resolution TEXT,
+                    decided_by INTEGER,
+                    decided_at DATETIME
+                )
+            `);
+
+            // Stored responses for Idempotency-Key retries on user endpoints
+            db.run(`
+                CREATE TABLE IF NOT EXISTS idempotency_keys (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    telegram_id INTEGER NOT NULL,
+                    idem_key TEXT NOT NULL,
+                    fingerprint TEXT NOT NULL,
+                    status TEXT NOT NULL DEFAULT 'processing',
+                    response_status INTEGER,
+                    response_body TEXT,
+                    locked_at INTEGER NOT NULL,
+                    expires_at INTEGER NOT NULL,
+                    UNIQUE (telegram_id, idem_key)
+                )
+            `);
+
+            // Payout currencies (rate = currency per point) and rate change history
+            db.run(`
+                CREATE TABLE IF NOT EXISTS currencies (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    code TEXT UNIQUE NOT NULL,
+                    name TEXT,
+                    symbol TEXT NOT NULL,
+                    rate REAL NOT NULL,
+                    enabled INTEGER NOT NULL DEFAULT 1,
+                    is_default INTEGER NOT NULL DEFAULT 0,
+                    paystack_type TEXT,
+                    updated_by INTEGER,
+                    updated_at DATETIME DEFAULT (datetime('now'))
+                )
+            `);
+            db.run(`
+                CREATE TABLE IF NOT EXISTS currency_rate_history (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    currency_code TEXT NOT NULL,
+                    old_rate REAL,
+                    new_rate REAL NOT NULL,
+                    changed_by INTEGER,
+                    created_at DATETIME DEFAULT (datetime('now'))
+                )
+            `);
+
+            // Points expiry warnings already sent (one per user, expiry day and threshold)
+            db.run(`
+                CREATE TABLE IF NOT EXISTS points_expiry_notices (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    expires_on TEXT NOT NULL,
+                    threshold_days INTEGER NOT NULL,
+                    amount INTEGER NOT NULL,
+                    sent_at DATETIME DEFAULT (datetime('now')),
+                    UNIQUE (user_id, expires_on, threshold_days)
+                )
+            `);
+
+            // Levels (threshold on lifetime earnings or XP) with their perks, and level-ups to notify
+            db.run(`
+                CREATE TABLE IF NOT EXISTS levels (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    level INTEGER UNIQUE NOT NULL,
+                    name TEXT NOT NULL,
+                    threshold INTEGER NOT NULL DEFAULT 0,
+                    extra_daily_claims INTEGER NOT NULL DEFAULT 0,
+                    claim_multiplier REAL NOT NULL DEFAULT 1,
+                    withdrawal_fee_pct REAL,
+                    updated_by INTEGER,
+                    updated_at DATETIME DEFAULT (datetime('now'))
+                )
+            `);
+            db.run(`
+                CREATE TABLE IF NOT EXISTS level_up_events (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    telegram_id INTEGER,
+                    from_level INTEGER NOT NULL,
+                    to_level INTEGER NOT NULL,
+                    attempts INTEGER NOT NULL DEFAULT 0,
+                    notified_at DATETIME,
+                    created_at DATETIME DEFAULT (datetime('now'))
+                )
+            `);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_level_up_events_pending ON level_up_events (notified_at, id)`);
+
+            // Daily login streaks (one row per user) and one check-in per user and streak day
+            db.run(`
+                CREATE TABLE IF NOT EXISTS login_streaks (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER UNIQUE NOT NULL,
+                    current_streak INTEGER NOT NULL DEFAULT 0,
+                    best_streak INTEGER NOT NULL DEFAULT 0,
+                    last_checkin_day TEXT,
+                    freezes INTEGER NOT NULL DEFAULT 0,
+                    updated_at DATETIME DEFAULT (datetime('now'))
+                )
+            `);
+            db.run(`
+                CREATE TABLE IF NOT EXISTS login_checkins (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    day TEXT NOT NULL,
+                    streak_day INTEGER NOT NULL,
+                    points INTEGER NOT NULL,
+                    freezes_used INTEGER NOT NULL DEFAULT 0,
+                    created_at DATETIME DEFAULT (datetime('now')),
+                    UNIQUE (user_id, day)
+                )
+            `);
+
+            // Peer-to-peer point transfers
+            db.run(`
+                CREATE TABLE IF NOT EXISTS point_transfers (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    sender_id INTEGER NOT NULL,
+                    recipient_id INTEGER NOT NULL,
+                    sender_telegram_id INTEGER,
+                    recipient_telegram_id INTEGER,
+                    amount INTEGER NOT NULL,
+                    fee INTEGER NOT NULL DEFAULT 0,
+                    note TEXT,
+                    status TEXT NOT NULL DEFAULT 'completed',
+                    flags TEXT,
+                    flagged INTEGER NOT NULL DEFAULT 0,
+                    reviewed_by INTEGER,
+                    reversed_by INTEGER,
+                    reversed_at DATETIME,
+                    reverse_reason TEXT,
+                    recovered_points INTEGER,
+                    refunded_points INTEGER,
+                    created_at DATETIME DEFAULT (datetime('now'))
+                )
+            `);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_point_transfers_sender ON point_transfers (sender_id, created_at)`);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_point_transfers_recipient ON point_transfers (recipient_id, created_at)`);
+
+            // Redemption shop: catalog, uploaded codes, orders and their status history
+            db.run(`
+                CREATE TABLE IF NOT EXISTS shop_items (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT NOT NULL,
+                    description TEXT,
+                    item_type TEXT NOT NULL DEFAULT 'code',
+                    points_price INTEGER NOT NULL,
+                    stock INTEGER,
+                    per_user_limit INTEGER NOT NULL DEFAULT 0,
+                    is_active INTEGER NOT NULL DEFAULT 1,
+                    sort_order INTEGER NOT NULL DEFAULT 0,
+                    updated_by INTEGER,
+                    created_at DATETIME DEFAULT (datetime('now')),
+                    updated_at DATETIME DEFAULT (datetime('now'))
+                )
+            `);
+            db.run(`
+                CREATE TABLE IF NOT EXISTS shop_codes (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    item_id INTEGER NOT NULL,
+                    code TEXT NOT NULL,
+                    status TEXT NOT NULL DEFAULT 'available',
+                    order_id INTEGER,
+                    uploaded_by INTEGER,
+                    created_at DATETIME DEFAULT (datetime('now')),
+                    assigned_at DATETIME,
+                    UNIQUE (item_id, code)
+                )
+            `);
+            db.run(`
+                CREATE TABLE IF NOT EXISTS shop_orders (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    telegram_id INTEGER,
+                    item_id INTEGER NOT NULL,
+                    item_name TEXT NOT NULL,
+                    item_type TEXT NOT NULL,
+                    points_price INTEGER NOT NULL,
+                    status TEXT NOT NULL DEFAULT 'pending',
+                    code_id INTEGER,
+                    admin_note TEXT,
+                    delivery_pending INTEGER NOT NULL DEFAULT 1,
+                    delivery_attempts INTEGER NOT NULL DEFAULT 0,
+                    delivered_at DATETIME,
+                    updated_by INTEGER,
+                    created_at DATETIME DEFAULT (datetime('now')),
+                    updated_at DATETIME DEFAULT (datetime('now'))
+                )
+            `);
+            db.run(`
+                CREATE TABLE IF NOT EXISTS shop_order_events (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    order_id INTEGER NOT NULL,
+                    from_status TEXT,
+                    to_status TEXT NOT NULL,
+                    note TEXT,
+                    actor_telegram_id INTEGER,
+                    created_at DATETIME DEFAULT (datetime('now'))
+                )
+            `);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_shop_codes_available ON shop_codes (item_id, status, id)`);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_shop_orders_user ON shop_orders (user_id, item_id)`);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_shop_orders_delivery ON shop_orders (delivery_pending, id)`);
+
+            // Tasks: one table for every task type; the verifier named on each row decides completion
+            db.run(`
+                CREATE TABLE IF NOT EXISTS task_definitions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    type TEXT NOT NULL,
+                    title TEXT NOT NULL,
+                    description TEXT,
+                    link TEXT,
+                    verifier TEXT NOT NULL,
+                    verifier_config TEXT,
+                    points_reward INTEGER NOT NULL DEFAULT 0,
+                    min_level INTEGER NOT NULL DEFAULT 0,
+                    is_active INTEGER NOT NULL DEFAULT 1,
+                    sort_order INTEGER NOT NULL DEFAULT 0,
+                    start_at DATETIME,
+                    end_at DATETIME,
+                    schedule_state TEXT,
+                    max_completions INTEGER,
+                    points_budget INTEGER,
+                    completions_count INTEGER NOT NULL DEFAULT 0,
+                    points_spent INTEGER NOT NULL DEFAULT 0,
+                    budget_warned_at DATETIME,
+                    budget_exhausted_at DATETIME,
+                    budget_notified TEXT,
+                    legacy_source TEXT,
+                    legacy_id INTEGER,
+                    updated_by INTEGER,
+                    created_at DATETIME DEFAULT (datetime('now')),
+                    updated_at DATETIME DEFAULT (datetime('now')),
+                    UNIQUE (legacy_source, legacy_id)
+                )
+            `);
+            db.run(`
+                CREATE TABLE IF NOT EXISTS task_claims (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    task_id INTEGER NOT NULL,
+                    user_id INTEGER NOT NULL,
+                    status TEXT NOT NULL DEFAULT 'started',
+                    token TEXT,
+                    proof TEXT,
+                    attempts INTEGER NOT NULL DEFAULT 0,
+                    points_earned INTEGER NOT NULL DEFAULT 0,
+                    available_at DATETIME,
+                    review_note TEXT,
+                    reviewed_by INTEGER,
+                    reviewed_at DATETIME,
+                    started_at DATETIME DEFAULT (datetime('now')),
+                    submitted_at DATETIME,
+                    completed_at DATETIME,
+                    revoked_at DATETIME,
+                    revoke_reason TEXT,
+                    last_verified_at DATETIME,
+                    updated_at DATETIME DEFAULT (datetime('now')),
+                    UNIQUE (task_id, user_id)
+                )
+            `);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_task_claims_user ON task_claims (user_id, status)`);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_task_claims_status ON task_claims (status, available_at)`);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_task_claims_token ON task_claims (task_id, token)`);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_task_definitions_schedule ON task_definitions (schedule_state)`);
+            db.run(`
+                CREATE TABLE IF NOT EXISTS task_proof_images (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    claim_id INTEGER NOT NULL UNIQUE,
+                    mime TEXT NOT NULL,
+                    data TEXT NOT NULL,
+                    size INTEGER NOT NULL DEFAULT 0,
+                    created_at DATETIME DEFAULT (datetime('now'))
+                )
+            `);
+
+            // Per-user rate limit counters (USER_RATE_LIMIT_STORE=database)
+            db.run(`
+                CREATE TABLE IF NOT EXISTS user_rate_limits (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    bucket_key TEXT UNIQUE NOT NULL,
+                    count INTEGER NOT NULL DEFAULT 0,
+                    reset_at INTEGER NOT NULL
+                )
+            `);
+
             // Broadcast job tables
             db.run(`
                 CREATE TABLE IF NOT EXISTS broadcast_jobs (
@@ -330,8 +737,14 @@ async function createTablesPostgres() {
         created_at TIMESTAMP DEFAULT NOW(),
         updated_at TIMESTAMP DEFAULT NOW(),
         referred_by INTEGER,
-        is_banned INTEGER DEFAULT 0
+        is_banned INTEGER DEFAULT 0,
+        payout_currency TEXT,
+        xp INTEGER DEFAULT 0,
+        level INTEGER DEFAULT 0
     )`);
+    await q(`ALTER TABLE users ADD COLUMN IF NOT EXISTS payout_currency TEXT`);
+    await q(`ALTER TABLE users ADD COLUMN IF NOT EXISTS xp INTEGER DEFAULT 0`);
+    await q(`ALTER TABLE users ADD COLUMN IF NOT EXISTS level INTEGER DEFAULT 0`);
     await q(`CREATE TABLE IF NOT EXISTS tasks (
         id SERIAL PRIMARY KEY,
         user_id INTEGER NOT NULL,
@@ -350,7 +763,8 @@ async function createTablesPostgres() {
         is_active INTEGER DEFAULT 1,
         created_at TIMESTAMP DEFAULT NOW(),
         channel_link TEXT,
-        description TEXT
+        description TEXT,
+        min_level INTEGER DEFAULT 0
     )`);
     await q(`CREATE TABLE IF NOT EXISTS groups (
         id SERIAL PRIMARY KEY,
@@ -361,7 +775,8 @@ async function createTablesPostgres() {
         is_active INTEGER DEFAULT 1,
         created_at TIMESTAMP DEFAULT NOW(),
         group_link TEXT,
-        description TEXT
+        description TEXT,
+        min_level INTEGER DEFAULT 0
     )`);
     await q(`CREATE TABLE IF NOT EXISTS social_tasks (
         id SERIAL PRIMARY KEY,
@@ -371,8 +786,12 @@ async function createTablesPostgres() {
         points_reward INTEGER DEFAULT 10,
         is_active INTEGER DEFAULT 1,
         created_at TIMESTAMP DEFAULT NOW(),
-        description TEXT
+        description TEXT,
+        min_level INTEGER DEFAULT 0
     )`);
+    for (const table of ['channels', 'groups', 'social_tasks']) {
+        await q(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS min_level INTEGER DEFAULT 0`);
+    }
     await q(`CREATE TABLE IF NOT EXISTS user_social_claims (
         id SERIAL PRIMARY KEY,
         user_id INTEGER NOT NULL,
@@ -400,6 +819,11 @@ async function createTablesPostgres() {
         points_earned INTEGER DEFAULT 0,
         UNIQUE(user_id, group_id)
     )`);
+    for (const table of ['user_channel_joins', 'user_group_joins']) {
+        await q(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP`);
+        await q(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS revoke_reason TEXT`);
+        await q(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS last_verified_at TIMESTAMP`);
+    }
     await q(`CREATE TABLE IF NOT EXISTS friend_invitations (
         id SERIAL PRIMARY KEY,
         inviter_id INTEGER NOT NULL,
@@ -458,6 +882,314 @@ async function createTablesPostgres() {
         reason TEXT,
         created_at TIMESTAMP DEFAULT NOW()
     )`);
+    await q(`CREATE TABLE IF NOT EXISTS admins (
+        id SERIAL PRIMARY KEY,
+        telegram_id BIGINT UNIQUE NOT NULL,
+        username TEXT,
+        role TEXT NOT NULL,
+        added_by BIGINT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+    )`);
+    await q(`CREATE TABLE IF NOT EXISTS admin_sessions (
+        id SERIAL PRIMARY KEY,
+        jti TEXT UNIQUE NOT NULL,
+        telegram_id BIGINT NOT NULL,
+        user_agent TEXT,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+    )`);
+    await q(`CREATE TABLE IF NOT EXISTS config_history (
+        id SERIAL PRIMARY KEY,
+        change_id TEXT NOT NULL,
+        config_group TEXT NOT NULL,
+        config_key TEXT NOT NULL,
+        old_value TEXT,
+        new_value TEXT,
+        admin_telegram_id BIGINT,
+        action TEXT NOT NULL DEFAULT 'update',
+        created_at TIMESTAMP DEFAULT NOW()
+    )`);
+    await q(`CREATE TABLE IF NOT EXISTS admin_confirmations (
+        id SERIAL PRIMARY KEY,
+        token TEXT UNIQUE NOT NULL,
+        admin_telegram_id BIGINT NOT NULL,
+        action TEXT NOT NULL,
+        payload TEXT,
+        summary TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        result TEXT,
+        expires_at TIMESTAMP NOT NULL,
+        decided_at TIMESTAMP,
+        executed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+    )`);
+    await q(`CREATE TABLE IF NOT EXISTS points_ledger (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        telegram_id BIGINT,
+        delta INTEGER NOT NULL,
+        balance_after INTEGER NOT NULL,
+        reason TEXT NOT NULL,
+        reference_type TEXT,
+        reference_id TEXT,
+        description TEXT,
+        created_by BIGINT,
+        backfilled INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT NOW()
+    )`);
+    await q(`CREATE INDEX IF NOT EXISTS idx_points_ledger_user ON points_ledger (user_id, id)`);
+    await q(`CREATE TABLE IF NOT EXISTS reconciliation_runs (
+        id SERIAL PRIMARY KEY,
+        started_by BIGINT,
+        users_checked INTEGER NOT NULL DEFAULT 0,
+        mismatches INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT NOW()
+    )`);
+    await q(`CREATE TABLE IF NOT EXISTS reconciliation_items (
+        id SERIAL PRIMARY KEY,
+        run_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        telegram_id BIGINT,
+        points INTEGER NOT NULL,
+        ledger_points INTEGER NOT NULL,
+        total_earned INTEGER NOT NULL,
+        ledger_earned INTEGER NOT NULL,
+        details TEXT,
+        status TEXT NOT NULL DEFAULT 'proposed',
+        resolution TEXT,
+        decided_by BIGINT,
+        decided_at TIMESTAMP
+    )`);
+    await q(`CREATE TABLE IF NOT EXISTS idempotency_keys (
+        id SERIAL PRIMARY KEY,
+        telegram_id BIGINT NOT NULL,
+        idem_key TEXT NOT NULL,
+        fingerprint TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'processing',
+        response_status INTEGER,
+        response_body TEXT,
+        locked_at BIGINT NOT NULL,
+        expires_at BIGINT NOT NULL,
+        UNIQUE (telegram_id, idem_key)
+    )`);
+    await q(`CREATE TABLE IF NOT EXISTS currencies (
+        id SERIAL PRIMARY KEY,
+        code TEXT UNIQUE NOT NULL,
+        name TEXT,
+        symbol TEXT NOT NULL,
+        rate DOUBLE PRECISION NOT NULL,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        is_default INTEGER NOT NULL DEFAULT 0,
+        paystack_type TEXT,
+        updated_by BIGINT,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await q(`CREATE TABLE IF NOT EXISTS currency_rate_history (
+        id SERIAL PRIMARY KEY,
+        currency_code TEXT NOT NULL,
+        old_rate DOUBLE PRECISION,
+        new_rate DOUBLE PRECISION NOT NULL,
+        changed_by BIGINT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await q(`CREATE TABLE IF NOT EXISTS points_expiry_notices (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        expires_on TEXT NOT NULL,
+        threshold_days INTEGER NOT NULL,
+        amount INTEGER NOT NULL,
+        sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, expires_on, threshold_days)
+    )`);
+    await q(`CREATE TABLE IF NOT EXISTS levels (
+        id SERIAL PRIMARY KEY,
+        level INTEGER UNIQUE NOT NULL,
+        name TEXT NOT NULL,
+        threshold INTEGER NOT NULL DEFAULT 0,
+        extra_daily_claims INTEGER NOT NULL DEFAULT 0,
+        claim_multiplier DOUBLE PRECISION NOT NULL DEFAULT 1,
+        withdrawal_fee_pct DOUBLE PRECISION,
+        updated_by BIGINT,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await q(`CREATE TABLE IF NOT EXISTS level_up_events (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        telegram_id BIGINT,
+        from_level INTEGER NOT NULL,
+        to_level INTEGER NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        notified_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await q(`CREATE INDEX IF NOT EXISTS idx_level_up_events_pending ON level_up_events (notified_at, id)`);
+    await q(`CREATE TABLE IF NOT EXISTS login_streaks (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER UNIQUE NOT NULL,
+        current_streak INTEGER NOT NULL DEFAULT 0,
+        best_streak INTEGER NOT NULL DEFAULT 0,
+        last_checkin_day TEXT,
+        freezes INTEGER NOT NULL DEFAULT 0,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await q(`CREATE TABLE IF NOT EXISTS login_checkins (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        day TEXT NOT NULL,
+        streak_day INTEGER NOT NULL,
+        points INTEGER NOT NULL,
+        freezes_used INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, day)
+    )`);
+    await q(`CREATE TABLE IF NOT EXISTS point_transfers (
+        id SERIAL PRIMARY KEY,
+        sender_id INTEGER NOT NULL,
+        recipient_id INTEGER NOT NULL,
+        sender_telegram_id BIGINT,
+        recipient_telegram_id BIGINT,
+        amount INTEGER NOT NULL,
+        fee INTEGER NOT NULL DEFAULT 0,
+        note TEXT,
+        status TEXT NOT NULL DEFAULT 'completed',
+        flags TEXT,
+        flagged INTEGER NOT NULL DEFAULT 0,
+        reviewed_by BIGINT,
+        reversed_by BIGINT,
+        reversed_at TIMESTAMP,
+        reverse_reason TEXT,
+        recovered_points INTEGER,
+        refunded_points INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await q('CREATE INDEX IF NOT EXISTS idx_point_transfers_sender ON point_transfers (sender_id, created_at)');
+    await q('CREATE INDEX IF NOT EXISTS idx_point_transfers_recipient ON point_transfers (recipient_id, created_at)');
+    await q(`CREATE TABLE IF NOT EXISTS shop_items (
+        id SERIAL PRIMARY KEY,
+        name TEXT NOT NULL,
+        description TEXT,
+        item_type TEXT NOT NULL DEFAULT 'code',
+        points_price INTEGER NOT NULL,
+        stock INTEGER,
+        per_user_limit INTEGER NOT NULL DEFAULT 0,
+        is_active INTEGER NOT NULL DEFAULT 1,
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        updated_by BIGINT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await q(`CREATE TABLE IF NOT EXISTS shop_codes (
+        id SERIAL PRIMARY KEY,
+        item_id INTEGER NOT NULL,
+        code TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'available',
+        order_id INTEGER,
+        uploaded_by BIGINT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        assigned_at TIMESTAMP,
+        UNIQUE (item_id, code)
+    )`);
+    await q(`CREATE TABLE IF NOT EXISTS shop_orders (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        telegram_id BIGINT,
+        item_id INTEGER NOT NULL,
+        item_name TEXT NOT NULL,
+        item_type TEXT NOT NULL,
+        points_price INTEGER NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        code_id INTEGER,
+        admin_note TEXT,
+        delivery_pending INTEGER NOT NULL DEFAULT 1,
+        delivery_attempts INTEGER NOT NULL DEFAULT 0,
+        delivered_at TIMESTAMP,
+        updated_by BIGINT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await q(`CREATE TABLE IF NOT EXISTS shop_order_events (
+        id SERIAL PRIMARY KEY,
+        order_id INTEGER NOT NULL,
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        note TEXT,
+        actor_telegram_id BIGINT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await q('CREATE INDEX IF NOT EXISTS idx_shop_codes_available ON shop_codes (item_id, status, id)');
+    await q('CREATE INDEX IF NOT EXISTS idx_shop_orders_user ON shop_orders (user_id, item_id)');
+    await q('CREATE INDEX IF NOT EXISTS idx_shop_orders_delivery ON shop_orders (delivery_pending, id)');
+    await q(`CREATE TABLE IF NOT EXISTS task_definitions (
+        id SERIAL PRIMARY KEY,
+        type TEXT NOT NULL,
+        title TEXT NOT NULL,
+        description TEXT,
+        link TEXT,
+        verifier TEXT NOT NULL,
+        verifier_config TEXT,
+        points_reward INTEGER NOT NULL DEFAULT 0,
+        min_level INTEGER NOT NULL DEFAULT 0,
+        is_active INTEGER NOT NULL DEFAULT 1,
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        start_at TIMESTAMP,
+        end_at TIMESTAMP,
+        schedule_state TEXT,
+        max_completions INTEGER,
+        points_budget INTEGER,
+        completions_count INTEGER NOT NULL DEFAULT 0,
+        points_spent INTEGER NOT NULL DEFAULT 0,
+        budget_warned_at TIMESTAMP,
+        budget_exhausted_at TIMESTAMP,
+        budget_notified TEXT,
+        legacy_source TEXT,
+        legacy_id INTEGER,
+        updated_by BIGINT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (legacy_source, legacy_id)
+    )`);
+    await q(`CREATE TABLE IF NOT EXISTS task_claims (
+        id SERIAL PRIMARY KEY,
+        task_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        status TEXT NOT NULL DEFAULT 'started',
+        token TEXT,
+        proof TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        points_earned INTEGER NOT NULL DEFAULT 0,
+        available_at TIMESTAMP,
+        review_note TEXT,
+        reviewed_by BIGINT,
+        reviewed_at TIMESTAMP,
+        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        submitted_at TIMESTAMP,
+        completed_at TIMESTAMP,
+        revoked_at TIMESTAMP,
+        revoke_reason TEXT,
+        last_verified_at TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (task_id, user_id)
+    )`);
+    await q('CREATE INDEX IF NOT EXISTS idx_task_claims_user ON task_claims (user_id, status)');
+    await q('CREATE INDEX IF NOT EXISTS idx_task_claims_status ON task_claims (status, available_at)');
+    await q('CREATE INDEX IF NOT EXISTS idx_task_claims_token ON task_claims (task_id, token)');
+    await q('CREATE INDEX IF NOT EXISTS idx_task_definitions_schedule ON task_definitions (schedule_state)');
+    await q(`CREATE TABLE IF NOT EXISTS task_proof_images (
+        id SERIAL PRIMARY KEY,
+        claim_id INTEGER NOT NULL UNIQUE,
+        mime TEXT NOT NULL,
+        data TEXT NOT NULL,
+        size INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await q(`CREATE TABLE IF NOT EXISTS user_rate_limits (
+        id SERIAL PRIMARY KEY,
+        bucket_key TEXT UNIQUE NOT NULL,
+        count INTEGER NOT NULL DEFAULT 0,
+        reset_at BIGINT NOT NULL
+    )`);
     await q(`CREATE TABLE IF NOT EXISTS broadcast_jobs (
         id SERIAL PRIMARY KEY,
         created_by BIGINT,
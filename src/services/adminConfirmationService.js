@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+
+// Two-step confirmation for sensitive admin actions.
+// The web server creates a pending row and DMs the acting admin; the bot records the
+// Yes/No tap; the web server then executes the stored action once (pending -> approved -> executed).
+// Both steps have the same deadline (ADMIN_CONFIRMATION_TTL_MINUTES): the tap must come before expires_at and
+// the execution within that long of the tap, so an approval can't be run days later.
+const ACTION_PERMISSIONS = {
+    approve_withdrawal: 'withdrawals.manage',
+    adjust_balance: 'users.balance',
+    apply_reconciliation: 'users.balance',
+    reverse_transfer: 'users.balance',
+    ban_user: 'users.ban',
+    broadcast_all: 'broadcast.send'
+};
+
+class AdminConfirmationService {
+    get actions() {
+        return Object.keys(ACTION_PERMISSIONS);
+    }
+
+    permissionFor(action) {
+        return ACTION_PERMISSIONS[action] || null;
+    }
+
+    ttlMinutes() {
+        return Math.max(1, parseInt(process.env.ADMIN_CONFIRMATION_TTL_MINUTES, 10) || 5);
+    }
+
+    async ensureTable(database) {
+        try {
+            if (database.isPostgres) {
+                await database.run(`CREATE TABLE IF NOT EXISTS admin_confirmations (
+                    id SERIAL PRIMARY KEY,
+                    token TEXT UNIQUE NOT NULL,
+                    admin_telegram_id BIGINT NOT NULL,
+                    action TEXT NOT NULL,
+                    payload TEXT,
+                    summary TEXT,
+                    status TEXT NOT NULL DEFAULT 'pending',
+                    result TEXT,
+                    expires_at TIMESTAMP NOT NULL,
+                    decided_at TIMESTAMP,
+                    executed_at TIMESTAMP,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )`);
+            } else {
+                await database.run(`CREATE TABLE IF NOT EXISTS admin_confirmations (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    token TEXT UNIQUE NOT NULL,
+                    admin_telegram_id INTEGER NOT NULL,
+                    action TEXT NOT NULL,
+                    payload TEXT,
+                    summary TEXT,
+                    status TEXT NOT NULL DEFAULT 'pending',
+                    result TEXT,
+                    expires_at DATETIME NOT NULL,
+                    decided_at DATETIME,
+                    executed_at DATETIME,
+                    created_at DATETIME DEFAULT (datetime('now'))
+                )`);
+            }
+        } catch (error) {
+            console.error('Error in ensureTable (admin confirmations):', error);
+            throw error;
+        }
+    }
+
+    async audit(database, row, action, reason) {
+        const payload = this.parsePayload(row);
+        const target = parseInt(payload.targetTelegramId) || null;
+        await database.run(
+            'INSERT INTO admin_audit (admin_telegram_id, target_telegram_id, action, reason) VALUES (?, ?, ?, ?)',
+            [row.admin_telegram_id, target, action, `${row.action} #${row.id}${reason ? ': ' + reason : ''}`]
+        );
+    }
+
+    parsePayload(row) {
+        try { return JSON.parse((row && row.payload) || '{}') || {}; } catch (_) { return {}; }
+    }
+
+    async create(database, { adminTelegramId, action, payload, summary }) {
+        try {
+            if (!ACTION_PERMISSIONS[action]) throw new Error(`Unknown confirmation action: ${action}`);
+            await this.ensureTable(database);
+            const token = crypto.randomBytes(16).toString('hex');
+            const result = await database.run(
+                `INSERT INTO admin_confirmations (token, admin_telegram_id, action, payload, summary, expires_at)
+                 VALUES (?, ?, ?, ?, ?, datetime('now', '+${this.ttlMinutes()} minutes'))`,
+                [token, adminTelegramId, action, JSON.stringify(payload || {}), summary || null]
+            );
+            const row = await database.get('SELECT * FROM admin_confirmations WHERE id = ?', [result.id]);
+            await this.audit(database, row, 'confirmation_requested');
+            return row;
+        } catch (error) {
+            console.error('Error in create (admin confirmation):', error);
+            throw error;
+        }
+    }
+
+    // Mark a pending or approved row expired once its deadline passes (lazy; no background job)
+    async expireIfDue(database, row) {
+        if (!row || (row.status !== 'pending' && row.status !== 'approved')) return row;
+        const changed = await database.run(
+            `UPDATE admin_confirmations SET status = 'expired' WHERE id = ?
+             AND ((status = 'pending' AND expires_at <= datetime('now'))
+               OR (status = 'approved' AND decided_at <= datetime('now', '-${this.ttlMinutes()} minutes')))`,
+            [row.id]
+        );
+        if (!changed || !changed.changes) return row;
+        await this.audit(database, row, 'confirmation_expired');
+        return { ...row, status: 'expired' };
+    }
+
+    async get(database, id) {
+        try {
+            await this.ensureTable(database);
+            const row = await database.get('SELECT * FROM admin_confirmations WHERE id = ?', [id]);
+            return await this.expireIfDue(database, row);
+        } catch (error) {
+            console.error('Error in get (admin confirmation):', error);
+            throw error;
+        }
+    }
+
+    // Called from the bot. Only the admin who requested the action can decide it.
+    // Returns { ok, status, row, error }.
+    async decide(database, token, telegramId, approve) {
+        try {
+            await this.ensureTable(database);
+            let row = await database.get('SELECT * FROM admin_confirmations WHERE token = ?', [token]);
+            if (!row) return { ok: false, error: 'Confirmation not found' };
+            if (parseInt(row.admin_telegram_id) !== parseInt(telegramId)) return { ok: false, error: 'This confirmation belongs to another admin' };
+            row = await this.expireIfDue(database, row);
+            if (row.status !== 'pending') return { ok: false, status: row.status, row, error: `Already ${row.status}` };
+            const status = approve ? 'approved' : 'rejected';
+            const changed = await database.run(
+                `UPDATE admin_confirmations SET status = ?, decided_at = datetime('now') WHERE id = ? AND status = 'pending' AND expires_at > datetime('now')`,
+                [status, row.id]
+            );
+            if (!changed || !changed.changes) {
+                row = await this.get(database, row.id);
+                return { ok: false, status: row.status, row, error: `Already ${row.status}` };
+            }
+            await this.audit(database, row, approve ? 'confirmation_approved' : 'confirmation_rejected');
+            return { ok: true, status, row: { ...row, status } };
+        } catch (error) {
+            console.error('Error in decide (admin confirmation):', error);
+            throw error;
+        }
+    }
+
+    // Atomically take an approved row for execution so it can only run once, and only while fresh
+    async claimForExecution(database, id, adminTelegramId) {
+        try {
+            await this.ensureTable(database);
+            const changed = await database.run(
+                `UPDATE admin_confirmations SET status = 'executing' WHERE id = ? AND admin_telegram_id = ? AND status = 'approved'
+                 AND decided_at > datetime('now', '-${this.ttlMinutes()} minutes')`,
+                [id, adminTelegramId]
+            );
+            if (!changed || !changed.changes) {
+                await this.expireIfDue(database, await database.get('SELECT * FROM admin_confirmations WHERE id = ?', [id]));
+                return null;
+            }
+            return await database.get('SELECT * FROM admin_confirmations WHERE id = ?', [id]);
+        } catch (error) {
+            console.error('Error in claimForExecution (admin confirmation):', error);
+            throw error;
+        }
+    }
+
+    async finish(database, row, success, result) {
+        try {
+            const text = JSON.stringify(result || {});
+            await database.run(
+                `UPDATE admin_confirmations SET status = ?, result = ?, executed_at = datetime('now') WHERE id = ?`,
+                [success ? 'executed' : 'failed', text.length > 4000 ? text.slice(0, 4000) : text, row.id]
+            );
+            await this.audit(database, row, success ? 'confirmation_executed' : 'confirmation_failed', success ? null : (result && result.error));
+        } catch (error) {
+            console.error('Error in finish (admin confirmation):', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new AdminConfirmationService();
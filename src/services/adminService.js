@@ -0,0 +1,179 @@
+// Role-based access for admin panel/API.
+// Permissions are coarse "area.action" strings; routes declare the one they need.
+const ROLE_PERMISSIONS = {
+    owner: ['*'],
+    finance: [
+        'dashboard.view', 'config.view', 'payments.config',
+        'users.view', 'users.balance',
+        'withdrawals.view', 'withdrawals.manage', 'bank.reveal',
+        'ads.view', 'shop.manage'
+    ],
+    moderator: [
+        'dashboard.view',
+        'users.view', 'users.ban',
+        'withdrawals.view'
+    ],
+    content: [
+        'dashboard.view', 'config.view', 'config.edit',
+        'tasks.manage', 'broadcast.send', 'ads.view'
+    ]
+};
+
+// Admin panel tab -> permission needed to see it
+const TAB_PERMISSIONS = {
+    dashboard: 'dashboard.view',
+    config: 'config.view',
+    tasks: 'tasks.manage',
+    users: 'users.view',
+    withdrawals: 'withdrawals.view',
+    ads: 'ads.view',
+    moderation: 'users.ban',
+    broadcast: 'broadcast.send',
+    onboarding: 'config.edit',
+    refAudit: 'users.view',
+    ledger: 'users.view',
+    reconciliation: 'users.balance',
+    transfers: 'users.view',
+    shop: 'shop.manage',
+    configHistory: 'config.view',
+    admins: 'admins.manage'
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+class AdminService {
+    get roles() {
+        return ROLES;
+    }
+
+    hasPermission(role, permission) {
+        const perms = ROLE_PERMISSIONS[role] || [];
+        return perms.includes('*') || perms.includes(permission);
+    }
+
+    getPermissions(role) {
+        const perms = ROLE_PERMISSIONS[role] || [];
+        if (perms.includes('*')) {
+            return Array.from(new Set([].concat(...Object.values(ROLE_PERMISSIONS)).concat(['admins.manage']))).filter(p => p !== '*');
+        }
+        return perms.slice();
+    }
+
+    getTabs(role) {
+        return Object.keys(TAB_PERMISSIONS).filter(tab => this.hasPermission(role, TAB_PERMISSIONS[tab]));
+    }
+
+    async ensureTable(database) {
+        try {
+            if (database.isPostgres) {
+                await database.run(`CREATE TABLE IF NOT EXISTS admins (
+                    id SERIAL PRIMARY KEY,
+                    telegram_id BIGINT UNIQUE NOT NULL,
+                    username TEXT,
+                    role TEXT NOT NULL,
+                    added_by BIGINT,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )`);
+            } else {
+                await database.run(`CREATE TABLE IF NOT EXISTS admins (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    telegram_id INTEGER UNIQUE NOT NULL,
+                    username TEXT,
+                    role TEXT NOT NULL,
+                    added_by INTEGER,
+                    created_at DATETIME DEFAULT (datetime('now')),
+                    updated_at DATETIME DEFAULT (datetime('now'))
+                )`);
+            }
+        } catch (error) {
+            console.error('Error in ensureTable (admins):', error);
+            throw error;
+        }
+    }
+
+    // ADMIN_USER_ID is always an owner so a fresh install can't lock itself out
+    isBootstrapOwner(telegramId) {
+        const envId = String(process.env.ADMIN_USER_ID || '').trim();
+        return !!envId && String(telegramId) === envId;
+    }
+
+    async getAdmin(database, telegramId) {
+        try {
+            const id = parseInt(telegramId);
+            if (!Number.isFinite(id)) return null;
+            if (this.isBootstrapOwner(id)) {
+                return { telegram_id: id, role: 'owner', bootstrap: true };
+            }
+            await this.ensureTable(database);
+            const row = await database.get('SELECT * FROM admins WHERE telegram_id = ?', [id]);
+            if (!row || !ROLE_PERMISSIONS[row.role]) return null;
+            return row;
+        } catch (error) {
+            console.error('Error in getAdmin:', error);
+            throw error;
+        }
+    }
+
+    async listAdmins(database) {
+        try {
+            await this.ensureTable(database);
+            const rows = await database.all('SELECT * FROM admins ORDER BY created_at ASC');
+            const envId = parseInt(process.env.ADMIN_USER_ID);
+            if (Number.isFinite(envId) && !rows.some(r => parseInt(r.telegram_id) === envId)) {
+                rows.unshift({ telegram_id: envId, username: null, role: 'owner', bootstrap: true });
+            }
+            return rows;
+        } catch (error) {
+            console.error('Error in listAdmins:', error);
+            throw error;
+        }
+    }
+
+    async setAdmin(database, { telegramId, username, role, addedBy }) {
+        try {
+            if (!ROLE_PERMISSIONS[role]) throw new Error(`Unknown role: ${role}`);
+            await this.ensureTable(database);
+            const existing = await database.get('SELECT id FROM admins WHERE telegram_id = ?', [telegramId]);
+            if (existing) {
+                await database.run(
+                    `UPDATE admins SET role = ?, username = COALESCE(?, username), updated_at = datetime('now') WHERE telegram_id = ?`,
+                    [role, username || null, telegramId]
+                );
+            } else {
+                await database.run(
+                    'INSERT INTO admins (telegram_id, username, role, added_by) VALUES (?, ?, ?, ?)',
+                    [telegramId, username || null, role, addedBy || null]
+                );
+            }
+            return await database.get('SELECT * FROM admins WHERE telegram_id = ?', [telegramId]);
+        } catch (error) {
+            console.error('Error in setAdmin:', error);
+            throw error;
+        }
+    }
+
+    async removeAdmin(database, telegramId) {
+        try {
+            await this.ensureTable(database);
+            const result = await database.run('DELETE FROM admins WHERE telegram_id = ?', [telegramId]);
+            return (result && result.changes) || 0;
+        } catch (error) {
+            console.error('Error in removeAdmin:', error);
+            throw error;
+        }
+    }
+
+    async countOwners(database) {
+        try {
+            await this.ensureTable(database);
+            const row = await database.get(`SELECT COUNT(*) AS c FROM admins WHERE role = 'owner'`);
+            return parseInt(row && row.c) || 0;
+        } catch (error) {
+            console.error('Error in countOwners:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new AdminService();
@@ -0,0 +1,83 @@
+const encryptionService = require('./encryptionService');
+
+// account_name and account_number are stored encrypted; bank_name stays plain (needed for bank code lookup)
+const ENCRYPTED_FIELDS = ['account_name', 'account_number'];
+
+class BankDetailsService {
+    maskAccountNumber(accountNumber) {
+        const s = String(accountNumber || '');
+        if (!s) return null;
+        if (s.length <= 4) return '*'.repeat(s.length);
+        return '*'.repeat(s.length - 4) + s.slice(-4);
+    }
+
+    decryptRow(row) {
+        if (!row) return row;
+        const out = { ...row };
+        for (const f of ENCRYPTED_FIELDS) out[f] = encryptionService.decrypt(row[f]);
+        return out;
+    }
+
+    // Decrypted row with the account number masked (admin lists)
+    maskRow(row) {
+        if (!row) return row;
+        const plain = this.decryptRow(row);
+        return { ...plain, account_number: this.maskAccountNumber(plain.account_number) };
+    }
+
+    async getByTelegramId(database, telegramId) {
+        try {
+            const row = await database.get('SELECT * FROM bank_details WHERE telegram_id = ?', [telegramId]);
+            return this.decryptRow(row);
+        } catch (error) {
+            console.error('Error in getByTelegramId (bank details):', error);
+            throw error;
+        }
+    }
+
+    async save(database, telegramId, { accountName, accountNumber, bankName }) {
+        try {
+            const encName = encryptionService.encrypt(accountName);
+            const encNumber = encryptionService.encrypt(accountNumber);
+            const existing = await database.get('SELECT id FROM bank_details WHERE telegram_id = ?', [telegramId]);
+            if (existing) {
+                await database.run(`
+                    UPDATE bank_details
+                    SET account_name = ?, account_number = ?, bank_name = ?, updated_at = datetime('now')
+                    WHERE telegram_id = ?
+                `, [encName, encNumber, bankName, telegramId]);
+            } else {
+                await database.run(`
+                    INSERT INTO bank_details (telegram_id, account_name, account_number, bank_name, created_at)
+                    VALUES (?, ?, ?, ?, datetime('now'))
+                `, [telegramId, encName, encNumber, bankName]);
+            }
+        } catch (error) {
+            console.error('Error in save (bank details):', error);
+            throw error;
+        }
+    }
+
+    // Re-encrypt every row with the current key (also encrypts legacy plaintext rows)
+    async rotateKeys(database) {
+        try {
+            const rows = await database.all('SELECT id, account_name, account_number FROM bank_details');
+            let updated = 0;
+            for (const row of rows) {
+                if (!ENCRYPTED_FIELDS.some(f => encryptionService.needsRotation(row[f]))) continue;
+                const plain = this.decryptRow(row);
+                await database.run(
+                    'UPDATE bank_details SET account_name = ?, account_number = ? WHERE id = ?',
+                    [encryptionService.encrypt(plain.account_name), encryptionService.encrypt(plain.account_number), row.id]
+                );
+                updated++;
+            }
+            return { scanned: rows.length, updated };
+        } catch (error) {
+            console.error('Error in rotateKeys (bank details):', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new BankDetailsService();
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+
+// History of admin_config changes. Each save is one change (change_id) with a row per key that changed.
+// Secret keys are recorded as set/cleared only; their values never land in the history table.
+const SECRET_MARKER = '[secret set]';
+
+// Config group -> permission needed to roll it back (matches the route that writes it)
+const GROUP_PERMISSIONS = {
+    points: 'config.edit',
+    withdrawal: 'payments.config',
+    claims: 'config.edit',
+    support: 'config.edit',
+    app: 'config.edit',
+    paystack: 'payments.config',
+    monetag: 'config.edit',
+    onboarding: 'config.edit',
+    expiry: 'config.edit',
+    clawback: 'config.edit',
+    levels: 'config.edit',
+    streaks: 'config.edit',
+    transfers: 'payments.config'
+};
+
+class ConfigHistoryService {
+    get groups() {
+        return Object.keys(GROUP_PERMISSIONS);
+    }
+
+    permissionFor(group) {
+        return GROUP_PERMISSIONS[group] || null;
+    }
+
+    get secretMarker() {
+        return SECRET_MARKER;
+    }
+
+    async ensureTable(database) {
+        try {
+            if (database.isPostgres) {
+                await database.run(`CREATE TABLE IF NOT EXISTS config_history (
+                    id SERIAL PRIMARY KEY,
+                    change_id TEXT NOT NULL,
+                    config_group TEXT NOT NULL,
+                    config_key TEXT NOT NULL,
+                    old_value TEXT,
+                    new_value TEXT,
+                    admin_telegram_id BIGINT,
+                    action TEXT NOT NULL DEFAULT 'update',
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )`);
+            } else {
+                await database.run(`CREATE TABLE IF NOT EXISTS config_history (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    change_id TEXT NOT NULL,
+                    config_group TEXT NOT NULL,
+                    config_key TEXT NOT NULL,
+                    old_value TEXT,
+                    new_value TEXT,
+                    admin_telegram_id INTEGER,
+                    action TEXT NOT NULL DEFAULT 'update',
+                    created_at DATETIME DEFAULT (datetime('now'))
+                )`);
+            }
+        } catch (error) {
+            console.error('Error in ensureTable (config history):', error);
+            throw error;
+        }
+    }
+
+    newChangeId() {
+        return crypto.randomBytes(8).toString('hex');
+    }
+
+    // changes: [{ key, oldValue, newValue }] - only keys whose value actually changed
+    async record(database, { changeId, group, adminTelegramId, action, changes }) {
+        try {
+            if (!changes || !changes.length) return null;
+            await this.ensureTable(database);
+            const id = changeId || this.newChangeId();
+            for (const c of changes) {
+                await database.run(
+                    `INSERT INTO config_history (change_id, config_group, config_key, old_value, new_value, admin_telegram_id, action) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                    [id, group, c.key, c.oldValue == null ? null : String(c.oldValue), c.newValue == null ? null : String(c.newValue), adminTelegramId || null, action || 'update']
+                );
+            }
+            return id;
+        } catch (error) {
+            console.error('Error in record (config history):', error);
+            throw error;
+        }
+    }
+
+    async list(database, { group, adminTelegramId, key, from, to, limit } = {}) {
+        try {
+            await this.ensureTable(database);
+            const where = [];
+            const params = [];
+            if (group) { where.push('config_group = ?'); params.push(group); }
+            if (adminTelegramId) { where.push('admin_telegram_id = ?'); params.push(parseInt(adminTelegramId)); }
+            if (key) { where.push('config_key = ?'); params.push(key); }
+            if (from) { where.push('created_at >= ?'); params.push(from); }
+            if (to) { where.push('created_at <= ?'); params.push(to); }
+            params.push(Math.min(parseInt(limit, 10) || 200, 1000));
+            return await database.all(
+                `SELECT * FROM config_history ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY id DESC LIMIT ?`,
+                params
+            );
+        } catch (error) {
+            console.error('Error in list (config history):', error);
+            throw error;
+        }
+    }
+
+    // Values of every recorded key in `group` right after change `changeId` was saved.
+    // Keys first changed later take the old_value of that later change (their value at the time).
+    async snapshot(database, group, changeId) {
+        try {
+            await this.ensureTable(database);
+            const marker = await database.get(
+                'SELECT MAX(id) AS max_id FROM config_history WHERE change_id = ? AND config_group = ?',
+                [changeId, group]
+            );
+            const upTo = marker && marker.max_id;
+            if (!upTo) return null;
+            const rows = await database.all('SELECT * FROM config_history WHERE config_group = ? ORDER BY id ASC', [group]);
+            const values = {};
+            for (const row of rows) {
+                if (row.id <= upTo) {
+                    values[row.config_key] = row.new_value;
+                } else if (!(row.config_key in values)) {
+                    values[row.config_key] = row.old_value;
+                }
+            }
+            return values;
+        } catch (error) {
+            console.error('Error in snapshot (config history):', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new ConfigHistoryService();
@@ -0,0 +1,240 @@
+// Payout currencies and their point exchange rates. `rate` is how much of the currency one point is worth.
+// One currency is the default (used when a user has not picked one, and for the legacy currencySymbol /
+// pointToCurrencyRate settings). Every rate change is kept in currency_rate_history; withdrawals copy the
+// code and rate they were created with, so later changes never alter a pending payout.
+const CODE_PATTERN = /^[A-Z]{3}$/;
+// Paystack transfer recipient types (https://paystack.com/docs/transfers/creating-transfer-recipients)
+const PAYSTACK_TYPES = ['nuban', 'ghipss', 'mobile_money', 'basa', 'kepss'];
+
+function isUniqueViolation(error) {
+    const msg = String((error && error.message) || '');
+    return (error && error.code === '23505') || /UNIQUE constraint failed/i.test(msg);
+}
+
+class CurrencyService {
+    constructor() {
+        this.ready = false;
+    }
+
+    get paystackTypes() {
+        return PAYSTACK_TYPES.slice();
+    }
+
+    async ensureTable(database) {
+        if (this.ready) return;
+        try {
+            if (database.isPostgres) {
+                await database.run(`CREATE TABLE IF NOT EXISTS currencies (
+                    id SERIAL PRIMARY KEY,
+                    code TEXT UNIQUE NOT NULL,
+                    name TEXT,
+                    symbol TEXT NOT NULL,
+                    rate DOUBLE PRECISION NOT NULL,
+                    enabled INTEGER NOT NULL DEFAULT 1,
+                    is_default INTEGER NOT NULL DEFAULT 0,
+                    paystack_type TEXT,
+                    updated_by BIGINT,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )`);
+                await database.run(`CREATE TABLE IF NOT EXISTS currency_rate_history (
+                    id SERIAL PRIMARY KEY,
+                    currency_code TEXT NOT NULL,
+                    old_rate DOUBLE PRECISION,
+                    new_rate DOUBLE PRECISION NOT NULL,
+                    changed_by BIGINT,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )`);
+            } else {
+                await database.run(`CREATE TABLE IF NOT EXISTS currencies (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    code TEXT UNIQUE NOT NULL,
+                    name TEXT,
+                    symbol TEXT NOT NULL,
+                    rate REAL NOT NULL,
+                    enabled INTEGER NOT NULL DEFAULT 1,
+                    is_default INTEGER NOT NULL DEFAULT 0,
+                    paystack_type TEXT,
+                    updated_by INTEGER,
+                    updated_at DATETIME DEFAULT (datetime('now'))
+                )`);
+                await database.run(`CREATE TABLE IF NOT EXISTS currency_rate_history (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    currency_code TEXT NOT NULL,
+                    old_rate REAL,
+                    new_rate REAL NOT NULL,
+                    changed_by INTEGER,
+                    created_at DATETIME DEFAULT (datetime('now'))
+                )`);
+            }
+            await this.seedDefault(database);
+            this.ready = true;
+        } catch (error) {
+            console.error('Error in ensureTable (currencies):', error);
+            throw error;
+        }
+    }
+
+    // First run: the single currency configured so far becomes the default
+    async seedDefault(database) {
+        const existing = await database.get('SELECT id FROM currencies LIMIT 1');
+        if (existing) return;
+        let symbol = process.env.CURRENCY_SYMBOL || '₦';
+        let rate = parseFloat(process.env.POINT_TO_CURRENCY_RATE || 1);
+        try {
+            const rows = await database.all(`SELECT config_key, config_value FROM admin_config WHERE config_key IN ('currencySymbol', 'pointToCurrencyRate')`);
+            for (const r of rows) {
+                if (r.config_key === 'currencySymbol' && r.config_value) symbol = r.config_value;
+                if (r.config_key === 'pointToCurrencyRate' && parseFloat(r.config_value) > 0) rate = parseFloat(r.config_value);
+            }
+        } catch (_) { /* admin_config not created yet */ }
+        const code = String(process.env.DEFAULT_CURRENCY || 'NGN').toUpperCase();
+        try {
+            await database.run(
+                `INSERT INTO currencies (code, name, symbol, rate, enabled, is_default, paystack_type) VALUES (?, ?, ?, ?, 1, 1, ?)`,
+                [code, code === 'NGN' ? 'Nigerian Naira' : code, symbol, Number.isFinite(rate) && rate > 0 ? rate : 1, code === 'NGN' ? 'nuban' : null]
+            );
+        } catch (error) {
+            if (!isUniqueViolation(error)) throw error;
+        }
+    }
+
+    toPublic(row) {
+        if (!row) return null;
+        return {
+            code: row.code,
+            name: row.name || row.code,
+            symbol: row.symbol,
+            rate: parseFloat(row.rate),
+            enabled: !!parseInt(row.enabled, 10),
+            isDefault: !!parseInt(row.is_default, 10),
+            paystackType: row.paystack_type || null,
+            updatedBy: row.updated_by || null,
+            updatedAt: row.updated_at || null
+        };
+    }
+
+    async list(database, { enabledOnly } = {}) {
+        try {
+            await this.ensureTable(database);
+            const rows = await database.all(
+                `SELECT * FROM currencies${enabledOnly ? ' WHERE enabled = 1' : ''} ORDER BY is_default DESC, code ASC`
+            );
+            return rows.map(r => this.toPublic(r));
+        } catch (error) {
+            console.error('Error in list (currencies):', error);
+            throw error;
+        }
+    }
+
+    async get(database, code) {
+        try {
+            await this.ensureTable(database);
+            const row = await database.get('SELECT * FROM currencies WHERE code = ?', [String(code || '').toUpperCase()]);
+            return this.toPublic(row);
+        } catch (error) {
+            console.error('Error in get (currencies):', error);
+            throw error;
+        }
+    }
+
+    async getDefault(database) {
+        try {
+            await this.ensureTable(database);
+            const row = await database.get('SELECT * FROM currencies WHERE is_default = 1 ORDER BY id ASC LIMIT 1')
+                || await database.get('SELECT * FROM currencies WHERE enabled = 1 ORDER BY id ASC LIMIT 1');
+            return this.toPublic(row);
+        } catch (error) {
+            console.error('Error in getDefault (currencies):', error);
+            throw error;
+        }
+    }
+
+    // The user's preferred payout currency while it is enabled, otherwise the default
+    async resolveForUser(database, user) {
+        try {
+            const preferred = user && user.payout_currency ? await this.get(database, user.payout_currency) : null;
+            if (preferred && preferred.enabled) return preferred;
+            return this.getDefault(database);
+        } catch (error) {
+            console.error('Error in resolveForUser (currencies):', error);
+            throw error;
+        }
+    }
+
+    // Returns an error message for invalid input, or null
+    validate({ code, symbol, rate, paystackType }) {
+        if (!CODE_PATTERN.test(String(code || '').toUpperCase())) return 'Currency code must be a 3-letter ISO code (e.g. NGN)';
+        if (!String(symbol || '').trim()) return 'Symbol is required';
+        const value = parseFloat(rate);
+        if (!Number.isFinite(value) || value <= 0) return 'Rate must be a positive number';
+        if (paystackType && !PAYSTACK_TYPES.includes(paystackType)) return `Paystack type must be one of: ${PAYSTACK_TYPES.join(', ')}`;
+        return null;
+    }
+
+    // Create or update a currency; rate changes are added to currency_rate_history
+    async save(database, { code, name, symbol, rate, enabled, paystackType }, adminTelegramId) {
+        try {
+            await this.ensureTable(database);
+            const upper = String(code).toUpperCase();
+            const value = parseFloat(rate);
+            let previous = null;
+            await database.transaction(async (tx) => {
+                previous = await tx.get('SELECT * FROM currencies WHERE code = ?', [upper]);
+                if (previous && parseInt(previous.is_default, 10) && !enabled) throw new Error('The default currency cannot be disabled');
+                if (previous) {
+                    await tx.run(
+                        `UPDATE currencies SET name = ?, symbol = ?, rate = ?, enabled = ?, paystack_type = ?, updated_by = ?, updated_at = datetime('now') WHERE id = ?`,
+                        [name || null, String(symbol).trim(), value, enabled ? 1 : 0, paystackType || null, adminTelegramId || null, previous.id]
+                    );
+                } else {
+                    await tx.run(
+                        `INSERT INTO currencies (code, name, symbol, rate, enabled, is_default, paystack_type, updated_by) VALUES (?, ?, ?, ?, ?, 0, ?, ?)`,
+                        [upper, name || null, String(symbol).trim(), value, enabled ? 1 : 0, paystackType || null, adminTelegramId || null]
+                    );
+                }
+                if (!previous || parseFloat(previous.rate) !== value) {
+                    await tx.run(
+                        'INSERT INTO currency_rate_history (currency_code, old_rate, new_rate, changed_by) VALUES (?, ?, ?, ?)',
+                        [upper, previous ? parseFloat(previous.rate) : null, value, adminTelegramId || null]
+                    );
+                }
+            });
+            return { created: !previous, currency: await this.get(database, upper) };
+        } catch (error) {
+            console.error('Error in save (currencies):', error);
+            throw error;
+        }
+    }
+
+    async setDefault(database, code, adminTelegramId) {
+        try {
+            await this.ensureTable(database);
+            const upper = String(code || '').toUpperCase();
+            await database.transaction(async (tx) => {
+                const row = await tx.get('SELECT id FROM currencies WHERE code = ?', [upper]);
+                if (!row) throw new Error('Currency not found');
+                await tx.run('UPDATE currencies SET is_default = 0 WHERE is_default = 1');
+                await tx.run(`UPDATE currencies SET is_default = 1, enabled = 1, updated_by = ?, updated_at = datetime('now') WHERE id = ?`, [adminTelegramId || null, row.id]);
+            });
+            return this.get(database, upper);
+        } catch (error) {
+            console.error('Error in setDefault (currencies):', error);
+            throw error;
+        }
+    }
+
+    async rateHistory(database, code, limit = 50) {
+        try {
+            await this.ensureTable(database);
+            return await database.all(
+                'SELECT * FROM currency_rate_history WHERE currency_code = ? ORDER BY created_at DESC, id DESC LIMIT ?',
+                [String(code || '').toUpperCase(), Math.min(parseInt(limit, 10) || 50, 500)]
+            );
+        } catch (error) {
+            console.error('Error in rateHistory (currencies):', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new CurrencyService();
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+// Field-level encryption (AES-256-GCM) for sensitive values stored in the DB.
+// Ciphertext format: enc:v1:<keyId>:<iv>:<tag>:<data> (base64 parts).
+// DATA_ENCRYPTION_KEY encrypts; DATA_ENCRYPTION_KEY_PREVIOUS is only used to decrypt during rotation.
+const PREFIX = 'enc:v1:';
+
+function deriveKey(raw) {
+    if (!raw) return null;
+    const key = crypto.createHash('sha256').update(String(raw)).digest();
+    const id = crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+    return { id, key };
+}
+
+class EncryptionService {
+    getKeys() {
+        const current = deriveKey(process.env.DATA_ENCRYPTION_KEY);
+        const previous = deriveKey(process.env.DATA_ENCRYPTION_KEY_PREVIOUS);
+        return { current, previous };
+    }
+
+    isConfigured() {
+        return !!this.getKeys().current;
+    }
+
+    isEncrypted(value) {
+        return typeof value === 'string' && value.startsWith(PREFIX);
+    }
+
+    // Key id a value was encrypted with (null for plaintext)
+    keyIdOf(value) {
+        if (!this.isEncrypted(value)) return null;
+        return value.slice(PREFIX.length).split(':')[0] || null;
+    }
+
+    encrypt(value) {
+        if (value === null || value === undefined || value === '') return value;
+        const { current } = this.getKeys();
+        if (!current) throw new Error('DATA_ENCRYPTION_KEY is not set');
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', current.key, iv);
+        const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+        const tag = cipher.getAuthTag();
+        return `${PREFIX}${current.id}:${iv.toString('base64')}:${tag.toString('base64')}:${data.toString('base64')}`;
+    }
+
+    // Plaintext (legacy rows) passes through unchanged
+    decrypt(value) {
+        if (!this.isEncrypted(value)) return value;
+        const [keyId, ivB64, tagB64, dataB64] = value.slice(PREFIX.length).split(':');
+        const { current, previous } = this.getKeys();
+        const match = [current, previous].find(k => k && k.id === keyId);
+        if (!match) throw new Error(`No encryption key available for key id ${keyId}`);
+        const decipher = crypto.createDecipheriv('aes-256-gcm', match.key, Buffer.from(ivB64, 'base64'));
+        decipher.setAuthTag(Buffer.from(tagB64, 'base64'));
+        return Buffer.concat([decipher.update(Buffer.from(dataB64, 'base64')), decipher.final()]).toString('utf8');
+    }
+
+    // True when the value should be rewritten with the current key
+    needsRotation(value) {
+        if (value === null || value === undefined || value === '') return false;
+        const { current } = this.getKeys();
+        return !current || this.keyIdOf(value) !== current.id;
+    }
+}
+
+module.exports = new EncryptionService();
@@ -0,0 +1,35 @@
+// Small helpers shared by the services.
+
+// DB timestamps are UTC without a zone ('YYYY-MM-DD HH:MM:SS') on SQLite and Date objects on Postgres.
+const ZONELESS_TIME = /^\d{4}-\d\d-\d\d[ T]\d\d:\d\d(:\d\d(\.\d+)?)?$/;
+
+// ms -> 'YYYY-MM-DD HH:MM:SS' (UTC), which compares correctly against both SQLite text and Postgres timestamps
+function sqlTime(ms) {
+    return new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// DB timestamp -> ms (NaN when missing or unreadable)
+function toMs(value) {
+    if (!value) return NaN;
+    if (value instanceof Date) return value.getTime();
+    const text = String(value);
+    return Date.parse(ZONELESS_TIME.test(text) ? text.replace(' ', 'T') + 'Z' : text);
+}
+
+// DB timestamp -> ISO string (null when missing or unreadable)
+function isoTime(value) {
+    const ms = toMs(value);
+    return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+// Rule violations are shown to the user/admin as is (with `status` as the HTTP status); everything else is an
+// internal error
+function ruleError(message, status = 400) {
+    return Object.assign(new Error(message), { rule: true, status });
+}
+
+function isRuleError(error) {
+    return !!(error && error.rule);
+}
+
+module.exports = { sqlTime, toMs, isoTime, ruleError, isRuleError };
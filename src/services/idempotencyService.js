@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+
+// Idempotency-Key support for mutating user endpoints. The first request with a key claims it
+// ('processing'); its response is stored ('completed') and replayed to retries with the same key
+// until the row expires. Keys are scoped per Telegram user.
+const KEY_PATTERN = /^[A-Za-z0-9_.:-]{8,128}$/;
+// A 'processing' row older than this belongs to a request that never finished (crash/restart)
+const STALE_LOCK_MS = 2 * 60 * 1000;
+
+function isUniqueViolation(error) {
+    const msg = String((error && error.message) || '');
+    return (error && error.code === '23505') || /UNIQUE constraint failed/i.test(msg);
+}
+
+class IdempotencyService {
+    constructor() {
+        this.ready = false;
+    }
+
+    isValidKey(key) {
+        return KEY_PATTERN.test(String(key || ''));
+    }
+
+    // Same key must mean the same request; a different body under a reused key is rejected
+    fingerprint(method, path, body) {
+        return crypto.createHash('sha256').update(`${method} ${path}\n${JSON.stringify(body || {})}`).digest('hex');
+    }
+
+    async ensureTable(database) {
+        if (this.ready) return;
+        try {
+            if (database.isPostgres) {
+                await database.run(`CREATE TABLE IF NOT EXISTS idempotency_keys (
+                    id SERIAL PRIMARY KEY,
+                    telegram_id BIGINT NOT NULL,
+                    idem_key TEXT NOT NULL,
+                    fingerprint TEXT NOT NULL,
+                    status TEXT NOT NULL DEFAULT 'processing',
+                    response_status INTEGER,
+                    response_body TEXT,
+                    locked_at BIGINT NOT NULL,
+                    expires_at BIGINT NOT NULL,
+                    UNIQUE (telegram_id, idem_key)
+                )`);
+            } else {
+                await database.run(`CREATE TABLE IF NOT EXISTS idempotency_keys (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    telegram_id INTEGER NOT NULL,
+                    idem_key TEXT NOT NULL,
+                    fingerprint TEXT NOT NULL,
+                    status TEXT NOT NULL DEFAULT 'processing',
+                    response_status INTEGER,
+                    response_body TEXT,
+                    locked_at INTEGER NOT NULL,
+                    expires_at INTEGER NOT NULL,
+                    UNIQUE (telegram_id, idem_key)
+                )`);
+            }
+            this.ready = true;
+        } catch (error) {
+            console.error('Error in ensureTable (idempotency):', error);
+            throw error;
+        }
+    }
+
+    // Returns { state: 'new', id } | { state: 'replay', status, body } | { state: 'in_progress' } | { state: 'mismatch' }
+    async begin(database, { telegramId, key, fingerprint, ttlMs }) {
+        try {
+            await this.ensureTable(database);
+            const now = Date.now();
+            if (Math.random() < 0.01) {
+                database.run('DELETE FROM idempotency_keys WHERE expires_at <= ?', [now]).catch(() => {});
+            }
+            for (let attempt = 0; attempt < 2; attempt++) {
+                try {
+                    const created = await database.run(
+                        `INSERT INTO idempotency_keys (telegram_id, idem_key, fingerprint, status, locked_at, expires_at) VALUES (?, ?, ?, 'processing', ?, ?)`,
+                        [telegramId, key, fingerprint, now, now + ttlMs]
+                    );
+                    return { state: 'new', id: created.id };
+                } catch (error) {
+                    if (!isUniqueViolation(error)) throw error;
+                }
+                const row = await database.get('SELECT * FROM idempotency_keys WHERE telegram_id = ? AND idem_key = ?', [telegramId, key]);
+                if (!row) continue;
+                if (parseInt(row.expires_at) <= now) {
+                    // Expired: forget it and claim the key again
+                    await database.run('DELETE FROM idempotency_keys WHERE id = ? AND expires_at <= ?', [row.id, now]);
+                    continue;
+                }
+                if (row.fingerprint !== fingerprint) return { state: 'mismatch' };
+                if (row.status === 'completed') {
+                    let body = null;
+                    try { body = JSON.parse(row.response_body); } catch (_) {}
+                    return { state: 'replay', status: parseInt(row.response_status) || 200, body };
+                }
+                if (parseInt(row.locked_at) <= now - STALE_LOCK_MS) {
+                    const taken = await database.run(
+                        `UPDATE idempotency_keys SET locked_at = ? WHERE id = ? AND status = 'processing' AND locked_at = ?`,
+                        [now, row.id, row.locked_at]
+                    );
+                    if (taken && taken.changes) return { state: 'new', id: row.id };
+                }
+                return { state: 'in_progress' };
+            }
+            return { state: 'in_progress' };
+        } catch (error) {
+            console.error('Error in begin (idempotency):', error);
+            throw error;
+        }
+    }
+
+    async complete(database, id, status, body) {
+        try {
+            await database.run(
+                `UPDATE idempotency_keys SET status = 'completed', response_status = ?, response_body = ? WHERE id = ?`,
+                [status, JSON.stringify(body === undefined ? null : body), id]
+            );
+        } catch (error) {
+            console.error('Error in complete (idempotency):', error);
+            throw error;
+        }
+    }
+
+    // Drop the claim so a retry runs the handler again (server errors, throttling)
+    async release(database, id) {
+        try {
+            await database.run(`DELETE FROM idempotency_keys WHERE id = ? AND status = 'processing'`, [id]);
+        } catch (error) {
+            console.error('Error in release (idempotency):', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new IdempotencyService();
@@ -0,0 +1,175 @@
+const ledgerService = require('./ledgerService');
+const taskService = require('./taskService');
+const { sqlTime, toMs } = require('./helpers');
+
+// Re-verification of rewarded channel/group joins (task claims completed through the telegram_membership
+// verifier). Joins are credited after one getChatMember check, so a background job re-checks a random sample
+// of joins that are still inside the holding period. A user who has left loses the reward (ledger entry
+// 'task_clawback') and the claim is marked revoked, which puts the task back in their list. If they had already
+// spent part of the reward the claim is marked forfeited instead, so the task isn't offered again. Joins older
+// than the holding period are final.
+const MEMBER_STATUSES = ['member', 'administrator', 'creator'];
+const DEFAULT_HOLDING_DAYS = 7;
+const DEFAULT_SAMPLE_SIZE = 50;
+const DEFAULT_RECHECK_HOURS = 24;
+
+class JoinVerificationService {
+    async getPolicy(database) {
+        try {
+            const rows = await database.all(
+                `SELECT config_key, config_value FROM admin_config WHERE config_key IN ('joinClawbackEnabled', 'joinHoldingDays', 'joinCheckSampleSize', 'joinRecheckHours')`
+            );
+            const cfg = Object.fromEntries(rows.map(r => [r.config_key, r.config_value]));
+            const positive = (value, fallback) => {
+                const n = parseInt(value, 10);
+                return Number.isFinite(n) && n > 0 ? n : fallback;
+            };
+            return {
+                enabled: cfg.joinClawbackEnabled === 'true',
+                holdingDays: positive(cfg.joinHoldingDays, DEFAULT_HOLDING_DAYS),
+                sampleSize: positive(cfg.joinCheckSampleSize, DEFAULT_SAMPLE_SIZE),
+                recheckHours: positive(cfg.joinRecheckHours, DEFAULT_RECHECK_HOURS)
+            };
+        } catch (error) {
+            console.error('Error in getPolicy (join verification):', error);
+            throw error;
+        }
+    }
+
+    // Random joins still in the holding period that weren't checked recently
+    async sample(database, policy) {
+        try {
+            const now = Date.now();
+            const since = sqlTime(now - policy.holdingDays * 24 * 60 * 60 * 1000);
+            const checkedBefore = sqlTime(now - policy.recheckHours * 60 * 60 * 1000);
+            const rows = await database.all(
+                `SELECT c.id, c.task_id, c.user_id, c.points_earned, c.completed_at,
+                        u.telegram_id, t.title AS chat_name, t.verifier_config
+                 FROM task_claims c
+                 JOIN users u ON u.id = c.user_id
+                 JOIN task_definitions t ON t.id = c.task_id
+                 WHERE t.verifier = 'telegram_membership' AND c.status = 'completed' AND c.completed_at >= ?
+                   AND (c.last_verified_at IS NULL OR c.last_verified_at < ?)
+                 ORDER BY RANDOM()
+                 LIMIT ?`,
+                [since, checkedBefore, policy.sampleSize]
+            );
+            return rows.map(({ verifier_config, ...row }) => {
+                let config = {};
+                try { config = JSON.parse(verifier_config || '{}') || {}; } catch (_) { /* unreadable settings: checked as unknown */ }
+                return { ...row, chat_id: config.chatId || null, type: config.chatType || 'channel' };
+            });
+        } catch (error) {
+            console.error('Error in sample (join verification):', error);
+            throw error;
+        }
+    }
+
+    // getChatMember(chatId, userId) -> Telegram ChatMember (throws on API errors).
+    // Returns 'member' | 'left' | 'unknown'; unknown (bot not admin, chat gone, network) never revokes.
+    async checkMembership(getChatMember, chatId, telegramId) {
+        try {
+            const member = await getChatMember(chatId, telegramId);
+            if (!member || !member.status) return 'unknown';
+            if (MEMBER_STATUSES.includes(member.status)) return 'member';
+            if (member.status === 'restricted') return member.is_member === false ? 'left' : 'member';
+            if (member.status === 'left' || member.status === 'kicked') return 'left';
+            return 'unknown';
+        } catch (_) {
+            return 'unknown';
+        }
+    }
+
+    // Marks the claim revoked, takes the reward back and returns the completion to the task's budget and the
+    // user's daily count; returns the points deducted (null if already revoked). A claim whose reward couldn't
+    // be taken back in full is marked forfeited.
+    async revoke(database, join, reason = 'left') {
+        try {
+            let deducted = null;
+            await database.transaction(async (tx) => {
+                const changed = await tx.run(
+                    `UPDATE task_claims SET status = 'revoked', revoked_at = datetime('now'), revoke_reason = ?, updated_at = datetime('now')
+                     WHERE id = ? AND status = 'completed'`,
+                    [reason, join.id]
+                );
+                if (!changed || !changed.changes) return;
+                deducted = 0;
+                const points = parseInt(join.points_earned, 10) || 0;
+                if (points > 0) {
+                    const result = await ledgerService.record(tx, {
+                        userId: join.user_id, delta: -points, reason: 'task_clawback', clampAtZero: true,
+                        referenceType: 'task_claim', referenceId: join.id,
+                        description: `Left ${join.chat_name || join.type}`
+                    });
+                    deducted = -result.delta;
+                }
+                if (deducted < points) {
+                    await tx.run(`UPDATE task_claims SET status = 'forfeited' WHERE id = ?`, [join.id]);
+                }
+                await tx.run('UPDATE users SET tasks_completed = CASE WHEN tasks_completed > 0 THEN tasks_completed - 1 ELSE 0 END WHERE id = ?', [join.user_id]);
+                if (join.completed_at) {
+                    const day = sqlTime(toMs(join.completed_at)).slice(0, 10);
+                    await tx.run(
+                        `UPDATE daily_limits SET tasks_completed = CASE WHEN tasks_completed > 0 THEN tasks_completed - 1 ELSE 0 END,
+                                points_earned = CASE WHEN points_earned > ? THEN points_earned - ? ELSE 0 END
+                         WHERE user_id = ? AND date = ?`,
+                        [points, points, join.user_id, day]
+                    );
+                }
+                if (join.task_id) await taskService.releaseBudget(tx, join.task_id, points);
+            });
+            return deducted;
+        } catch (error) {
+            console.error('Error in revoke (join verification):', error);
+            throw error;
+        }
+    }
+
+    // Scheduled job body. notify(telegramId, text) is optional.
+    async run(database, { getChatMember, notify } = {}) {
+        try {
+            const policy = await this.getPolicy(database);
+            const summary = { enabled: policy.enabled, checked: 0, stillMember: 0, revoked: 0, pointsClawedBack: 0, unknown: 0 };
+            if (!policy.enabled || !getChatMember) return summary;
+            await taskService.ensureTable(database);
+            await ledgerService.ensureTable(database);
+
+            const joins = await this.sample(database, policy);
+            for (const join of joins) {
+                summary.checked++;
+                try {
+                    const state = join.chat_id ? await this.checkMembership(getChatMember, join.chat_id, join.telegram_id) : 'unknown';
+                    if (state === 'unknown') {
+                        summary.unknown++;
+                        continue;
+                    }
+                    if (state === 'member') {
+                        summary.stillMember++;
+                        await database.run(`UPDATE task_claims SET last_verified_at = datetime('now') WHERE id = ?`, [join.id]);
+                        continue;
+                    }
+                    const deducted = await this.revoke(database, join);
+                    if (deducted === null) continue;
+                    summary.revoked++;
+                    summary.pointsClawedBack += deducted;
+                    if (notify) {
+                        const name = join.chat_name || `the ${join.type}`;
+                        const forfeited = deducted < (parseInt(join.points_earned, 10) || 0);
+                        const lost = deducted > 0 ? `the ${deducted} points for joining it were deducted` : 'its join reward was cancelled';
+                        await notify(join.telegram_id, forfeited
+                            ? `⚠️ You left ${name}, so ${lost}. The task can't be claimed again.`
+                            : `⚠️ You left ${name}, so ${lost}. Rejoin and claim the task again to earn ${deducted > 0 ? 'them back' : 'it'}.`);
+                    }
+                } catch (error) {
+                    console.error(`Join re-verification failed for ${join.type} join ${join.id}:`, error);
+                }
+            }
+            return summary;
+        } catch (error) {
+            console.error('Error in run (join verification):', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new JoinVerificationService();
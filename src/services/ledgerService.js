@@ -0,0 +1,195 @@
+const levelService = require('./levelService');
+
+// Append-only points ledger. Every change to users.points goes through record(), which updates the
+// balance and writes one ledger row (reason code, reference, running balance) in the caller's transaction.
+// Rows are never updated or deleted; corrections are new entries.
+const REASONS = {
+    task_channel_join: 'Channel Join',
+    task_group_join: 'Group Join',
+    task_friend_invite: 'Friend Invite',
+    task_daily_login: 'Daily Login',
+    daily_claim: 'Daily Reward',
+    social_task: 'Social Task',
+    task_reward: 'Task Reward',
+    ad_reward: 'Ads Reward',
+    referral_bonus: 'Invite Reward',
+    admin_adjust: 'Admin Adjustment',
+    withdrawal: 'Withdrawal',
+    withdrawal_refund: 'Withdrawal Refund',
+    bank_edit_fee: 'Bank Details Change Fee',
+    opening_balance: 'Opening Balance',
+    reconciliation: 'Balance Reconciliation',
+    points_expired: 'Points Expired',
+    task_clawback: 'Join Reward Reversed',
+    streak_freeze: 'Streak Freeze',
+    transfer_out: 'Points Sent',
+    transfer_fee: 'Transfer Fee',
+    transfer_in: 'Points Received',
+    transfer_reversal: 'Transfer Reversed',
+    shop_redemption: 'Shop Redemption',
+    shop_refund: 'Shop Refund'
+};
+
+// Credits that give points back or move existing points rather than earn new ones (total_points_earned stays as is)
+const NON_EARNING_REASONS = ['withdrawal_refund', 'opening_balance', 'reconciliation', 'transfer_in', 'transfer_reversal', 'shop_refund'];
+
+class LedgerService {
+    constructor() {
+        this.ready = false;
+    }
+
+    get reasons() {
+        return Object.keys(REASONS);
+    }
+
+    get nonEarningReasons() {
+        return NON_EARNING_REASONS.slice();
+    }
+
+    label(reason) {
+        return REASONS[reason] || reason;
+    }
+
+    async ensureTable(database) {
+        if (this.ready) return;
+        try {
+            if (database.isPostgres) {
+                await database.run(`CREATE TABLE IF NOT EXISTS points_ledger (
+                    id SERIAL PRIMARY KEY,
+                    user_id INTEGER NOT NULL,
+                    telegram_id BIGINT,
+                    delta INTEGER NOT NULL,
+                    balance_after INTEGER NOT NULL,
+                    reason TEXT NOT NULL,
+                    reference_type TEXT,
+                    reference_id TEXT,
+                    description TEXT,
+                    created_by BIGINT,
+                    backfilled INTEGER NOT NULL DEFAULT 0,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )`);
+            } else {
+                await database.run(`CREATE TABLE IF NOT EXISTS points_ledger (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    telegram_id INTEGER,
+                    delta INTEGER NOT NULL,
+                    balance_after INTEGER NOT NULL,
+                    reason TEXT NOT NULL,
+                    reference_type TEXT,
+                    reference_id TEXT,
+                    description TEXT,
+                    created_by INTEGER,
+                    backfilled INTEGER NOT NULL DEFAULT 0,
+                    created_at DATETIME DEFAULT (datetime('now'))
+                )`);
+            }
+            await database.run('CREATE INDEX IF NOT EXISTS idx_points_ledger_user ON points_ledger (user_id, id)');
+            this.ready = true;
+        } catch (error) {
+            console.error('Error in ensureTable (points ledger):', error);
+            throw error;
+        }
+    }
+
+    // Apply `delta` to the user's balance and append the ledger row. Call inside a transaction (pass the tx).
+    // Throws 'Insufficient points' when a debit would go below zero, unless clampAtZero (then only the
+    // available balance is taken). Returns { id, delta, balanceAfter } with the delta actually applied.
+    async record(database, { userId, delta, reason, referenceType, referenceId, description, clampAtZero, createdBy }) {
+        try {
+            if (!REASONS[reason]) throw new Error(`Unknown ledger reason: ${reason}`);
+            const amount = parseInt(delta, 10);
+            if (!Number.isFinite(amount) || amount === 0) throw new Error('Invalid ledger amount');
+            await this.ensureTable(database);
+
+            // No-op write takes the row lock on Postgres so concurrent changes see each other's balance
+            await database.run('UPDATE users SET points = points WHERE id = ?', [userId]);
+            const user = await database.get('SELECT id, telegram_id, points FROM users WHERE id = ?', [userId]);
+            if (!user) throw new Error('User not found');
+            const balance = parseInt(user.points, 10) || 0;
+
+            let applied = amount;
+            if (balance + applied < 0) {
+                if (!clampAtZero) throw new Error('Insufficient points');
+                applied = -balance;
+            }
+            if (applied === 0) return { id: null, delta: 0, balanceAfter: balance };
+
+            const earned = applied > 0 && !NON_EARNING_REASONS.includes(reason) ? applied : 0;
+            await database.run(
+                `UPDATE users SET points = points + ?, total_points_earned = total_points_earned + ?, updated_at = datetime('now') WHERE id = ?`,
+                [applied, earned, userId]
+            );
+            const balanceAfter = balance + applied;
+            const result = await database.run(
+                `INSERT INTO points_ledger (user_id, telegram_id, delta, balance_after, reason, reference_type, reference_id, description, created_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [userId, user.telegram_id || null, applied, balanceAfter, reason, referenceType || null,
+                    referenceId == null ? null : String(referenceId), description || null, createdBy || null]
+            );
+            // Earning credits also count towards XP and levels (same transaction)
+            if (earned > 0) await levelService.onEarned(database, userId);
+            return { id: result.id, delta: applied, balanceAfter };
+        } catch (error) {
+            console.error('Error in record (points ledger):', error);
+            throw error;
+        }
+    }
+
+    // Correcting entry for a balance that changed outside the ledger: the row brings the ledger in line with
+    // the current users.points without moving points. Call inside a transaction. Returns null if nothing to record.
+    async acknowledgeBalance(database, { userId, description, referenceType, referenceId, createdBy }) {
+        try {
+            await this.ensureTable(database);
+            await database.run('UPDATE users SET points = points WHERE id = ?', [userId]);
+            const user = await database.get('SELECT id, telegram_id, points FROM users WHERE id = ?', [userId]);
+            if (!user) throw new Error('User not found');
+            const sum = await database.get('SELECT COALESCE(SUM(delta), 0) AS total FROM points_ledger WHERE user_id = ?', [userId]);
+            const balance = parseInt(user.points, 10) || 0;
+            const delta = balance - (parseInt(sum && sum.total, 10) || 0);
+            if (delta === 0) return null;
+            const result = await database.run(
+                `INSERT INTO points_ledger (user_id, telegram_id, delta, balance_after, reason, reference_type, reference_id, description, created_by)
+                 VALUES (?, ?, ?, ?, 'reconciliation', ?, ?, ?, ?)`,
+                [userId, user.telegram_id || null, delta, balance, referenceType || null,
+                    referenceId == null ? null : String(referenceId), description || null, createdBy || null]
+            );
+            return { id: result.id, delta, balanceAfter: balance };
+        } catch (error) {
+            console.error('Error in acknowledgeBalance (points ledger):', error);
+            throw error;
+        }
+    }
+
+    // direction: 'credit' | 'debit' | undefined (all); includeReasons adds those reasons regardless of direction
+    async list(database, userId, { direction, includeReasons, limit } = {}) {
+        try {
+            await this.ensureTable(database);
+            const params = [userId];
+            let filter = '';
+            if (direction === 'credit') filter = 'delta > 0';
+            if (direction === 'debit') filter = 'delta < 0';
+            const extra = (includeReasons || []).filter(r => REASONS[r]);
+            if (filter && extra.length) {
+                filter = `(${filter} OR reason IN (${extra.map(() => '?').join(', ')}))`;
+                params.push(...extra);
+            }
+            params.push(Math.min(parseInt(limit, 10) || 50, 1000));
+            const rows = await database.all(
+                `SELECT * FROM points_ledger WHERE user_id = ?${filter ? ' AND ' + filter : ''} ORDER BY created_at DESC, id DESC LIMIT ?`,
+                params
+            );
+            return rows.map(row => ({ ...row, label: this.describe(row) }));
+        } catch (error) {
+            console.error('Error in list (points ledger):', error);
+            throw error;
+        }
+    }
+
+    describe(row) {
+        const label = this.label(row.reason);
+        return row.description ? `${label}: ${row.description}` : label;
+    }
+}
+
+module.exports = new LedgerService();
@@ -0,0 +1,329 @@
+// User levels. Admins define levels with a threshold on either lifetime earnings (total_points_earned) or
+// XP, chosen by the levelBasis setting. XP is xpPerActivity for every earning ledger credit, so it rewards
+// being active rather than the size of rewards. Neither value ever goes down, so levels are never lost.
+// Each level carries its own perks: extra daily claims, a daily claim multiplier, a lower withdrawal fee,
+// and access to tasks whose min_level is at or below it. users.level is the highest level reached so far;
+// moving past it records a level_up_events row that the bot turns into a notification.
+const BASES = ['earnings', 'xp'];
+const DEFAULT_XP_PER_ACTIVITY = 10;
+const MAX_NOTIFY_ATTEMPTS = 3;
+const TASK_TABLES = { channels: 'channels', groups: 'groups', 'social-tasks': 'social_tasks' };
+
+class LevelService {
+    constructor() {
+        this.ready = false;
+    }
+
+    get bases() {
+        return BASES.slice();
+    }
+
+    async ensureTable(database) {
+        if (this.ready) return;
+        try {
+            if (database.isPostgres) {
+                await database.run(`CREATE TABLE IF NOT EXISTS levels (
+                    id SERIAL PRIMARY KEY,
+                    level INTEGER UNIQUE NOT NULL,
+                    name TEXT NOT NULL,
+                    threshold INTEGER NOT NULL DEFAULT 0,
+                    extra_daily_claims INTEGER NOT NULL DEFAULT 0,
+                    claim_multiplier DOUBLE PRECISION NOT NULL DEFAULT 1,
+                    withdrawal_fee_pct DOUBLE PRECISION,
+                    updated_by BIGINT,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )`);
+                await database.run(`CREATE TABLE IF NOT EXISTS level_up_events (
+                    id SERIAL PRIMARY KEY,
+                    user_id INTEGER NOT NULL,
+                    telegram_id BIGINT,
+                    from_level INTEGER NOT NULL,
+                    to_level INTEGER NOT NULL,
+                    attempts INTEGER NOT NULL DEFAULT 0,
+                    notified_at TIMESTAMP,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )`);
+                await database.run('ALTER TABLE users ADD COLUMN IF NOT EXISTS xp INTEGER DEFAULT 0');
+                await database.run('ALTER TABLE users ADD COLUMN IF NOT EXISTS level INTEGER DEFAULT 0');
+                for (const table of Object.values(TASK_TABLES)) {
+                    await database.run(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS min_level INTEGER DEFAULT 0`);
+                }
+            } else {
+                await database.run(`CREATE TABLE IF NOT EXISTS levels (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    level INTEGER UNIQUE NOT NULL,
+                    name TEXT NOT NULL,
+                    threshold INTEGER NOT NULL DEFAULT 0,
+                    extra_daily_claims INTEGER NOT NULL DEFAULT 0,
+                    claim_multiplier REAL NOT NULL DEFAULT 1,
+                    withdrawal_fee_pct REAL,
+                    updated_by INTEGER,
+                    updated_at DATETIME DEFAULT (datetime('now'))
+                )`);
+                await database.run(`CREATE TABLE IF NOT EXISTS level_up_events (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    telegram_id INTEGER,
+                    from_level INTEGER NOT NULL,
+                    to_level INTEGER NOT NULL,
+                    attempts INTEGER NOT NULL DEFAULT 0,
+                    notified_at DATETIME,
+                    created_at DATETIME DEFAULT (datetime('now'))
+                )`);
+                const columns = [['users', 'xp'], ['users', 'level'], ...Object.values(TASK_TABLES).map(t => [t, 'min_level'])];
+                for (const [table, column] of columns) {
+                    try { await database.run(`ALTER TABLE ${table} ADD COLUMN ${column} INTEGER DEFAULT 0`); } catch (_) { /* already there */ }
+                }
+            }
+            await database.run('CREATE INDEX IF NOT EXISTS idx_level_up_events_pending ON level_up_events (notified_at, id)');
+            this.ready = true;
+        } catch (error) {
+            console.error('Error in ensureTable (levels):', error);
+            throw error;
+        }
+    }
+
+    async getSettings(database) {
+        try {
+            const rows = await database.all(
+                `SELECT config_key, config_value FROM admin_config WHERE config_key IN ('levelBasis', 'xpPerActivity')`
+            );
+            const cfg = Object.fromEntries(rows.map(r => [r.config_key, r.config_value]));
+            const xp = parseInt(cfg.xpPerActivity, 10);
+            return {
+                basis: BASES.includes(cfg.levelBasis) ? cfg.levelBasis : 'earnings',
+                xpPerActivity: Number.isFinite(xp) && xp >= 0 ? xp : DEFAULT_XP_PER_ACTIVITY
+            };
+        } catch (error) {
+            console.error('Error in getSettings (levels):', error);
+            throw error;
+        }
+    }
+
+    toPublic(row) {
+        if (!row) return null;
+        return {
+            level: parseInt(row.level, 10),
+            name: row.name,
+            threshold: parseInt(row.threshold, 10) || 0,
+            extraDailyClaims: parseInt(row.extra_daily_claims, 10) || 0,
+            claimMultiplier: parseFloat(row.claim_multiplier) || 1,
+            withdrawalFeePct: row.withdrawal_fee_pct == null ? null : parseFloat(row.withdrawal_fee_pct),
+            updatedBy: row.updated_by || null,
+            updatedAt: row.updated_at || null
+        };
+    }
+
+    async list(database) {
+        try {
+            await this.ensureTable(database);
+            const rows = await database.all('SELECT * FROM levels ORDER BY level ASC');
+            return rows.map(r => this.toPublic(r));
+        } catch (error) {
+            console.error('Error in list (levels):', error);
+            throw error;
+        }
+    }
+
+    // Returns an error message for invalid input, or null
+    validate({ level, name, threshold, extraDailyClaims, claimMultiplier, withdrawalFeePct }) {
+        const n = parseInt(level, 10);
+        if (!Number.isFinite(n) || n < 1) return 'Level must be a whole number from 1';
+        if (!String(name || '').trim()) return 'Name is required';
+        const t = parseInt(threshold, 10);
+        if (!Number.isFinite(t) || t < 0) return 'Threshold must be zero or more';
+        const extra = parseInt(extraDailyClaims || 0, 10);
+        if (!Number.isFinite(extra) || extra < 0) return 'Extra daily claims must be zero or more';
+        const mult = parseFloat(claimMultiplier == null || claimMultiplier === '' ? 1 : claimMultiplier);
+        if (!Number.isFinite(mult) || mult < 1 || mult > 10) return 'Claim multiplier must be between 1 and 10';
+        if (withdrawalFeePct != null && withdrawalFeePct !== '') {
+            const fee = parseFloat(withdrawalFeePct);
+            if (!Number.isFinite(fee) || fee < 0 || fee > 100) return 'Withdrawal fee must be between 0 and 100';
+        }
+        return null;
+    }
+
+    // Create or update a level. Thresholds must rise with the level number.
+    async save(database, { level, name, threshold, extraDailyClaims, claimMultiplier, withdrawalFeePct }, adminTelegramId) {
+        try {
+            await this.ensureTable(database);
+            const n = parseInt(level, 10);
+            const t = parseInt(threshold, 10);
+            const fee = withdrawalFeePct == null || withdrawalFeePct === '' ? null : parseFloat(withdrawalFeePct);
+            const values = [String(name).trim(), t, parseInt(extraDailyClaims || 0, 10),
+                parseFloat(claimMultiplier == null || claimMultiplier === '' ? 1 : claimMultiplier), fee, adminTelegramId || null];
+            let created = false;
+            await database.transaction(async (tx) => {
+                const below = await tx.get('SELECT level, threshold FROM levels WHERE level < ? ORDER BY level DESC LIMIT 1', [n]);
+                const above = await tx.get('SELECT level, threshold FROM levels WHERE level > ? ORDER BY level ASC LIMIT 1', [n]);
+                if (below && parseInt(below.threshold, 10) >= t) throw new Error(`Threshold must be higher than level ${below.level} (${below.threshold})`);
+                if (above && parseInt(above.threshold, 10) <= t) throw new Error(`Threshold must be lower than level ${above.level} (${above.threshold})`);
+                const existing = await tx.get('SELECT id FROM levels WHERE level = ?', [n]);
+                if (existing) {
+                    await tx.run(
+                        `UPDATE levels SET name = ?, threshold = ?, extra_daily_claims = ?, claim_multiplier = ?, withdrawal_fee_pct = ?, updated_by = ?, updated_at = datetime('now') WHERE id = ?`,
+                        [...values, existing.id]
+                    );
+                } else {
+                    await tx.run(
+                        'INSERT INTO levels (name, threshold, extra_daily_claims, claim_multiplier, withdrawal_fee_pct, updated_by, level) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                        [...values, n]
+                    );
+                    created = true;
+                }
+            });
+            const row = await database.get('SELECT * FROM levels WHERE level = ?', [n]);
+            return { created, level: this.toPublic(row) };
+        } catch (error) {
+            console.error('Error in save (levels):', error);
+            throw error;
+        }
+    }
+
+    async remove(database, level) {
+        try {
+            await this.ensureTable(database);
+            const result = await database.run('DELETE FROM levels WHERE level = ?', [parseInt(level, 10)]);
+            return !!(result && result.changes);
+        } catch (error) {
+            console.error('Error in remove (levels):', error);
+            throw error;
+        }
+    }
+
+    // Value the thresholds are compared against for this user
+    progressValue(user, settings) {
+        return settings.basis === 'xp' ? (parseInt(user.xp, 10) || 0) : (parseInt(user.total_points_earned, 10) || 0);
+    }
+
+    // Highest level whose threshold the value reaches (null below the first level)
+    levelFor(levels, value) {
+        let current = null;
+        for (const level of levels) {
+            if (value >= level.threshold) current = level;
+        }
+        return current;
+    }
+
+    // Level and perks for a user row (needs xp / total_points_earned). Level 0 = no perks.
+    async getUserLevel(database, user) {
+        try {
+            await this.ensureTable(database);
+            const settings = await this.getSettings(database);
+            const levels = await this.list(database);
+            const current = this.levelFor(levels, this.progressValue(user, settings));
+            return {
+                level: current ? current.level : 0,
+                name: current ? current.name : null,
+                extraDailyClaims: current ? current.extraDailyClaims : 0,
+                claimMultiplier: current ? current.claimMultiplier : 1,
+                withdrawalFeePct: current ? current.withdrawalFeePct : null
+            };
+        } catch (error) {
+            console.error('Error in getUserLevel (levels):', error);
+            throw error;
+        }
+    }
+
+    // Everything the mini-app shows: current level, perks, progress towards the next level, and the ladder
+    async getProgress(database, user) {
+        try {
+            await this.ensureTable(database);
+            const settings = await this.getSettings(database);
+            const levels = await this.list(database);
+            const value = this.progressValue(user, settings);
+            const current = this.levelFor(levels, value);
+            const next = levels.find(l => l.threshold > value) || null;
+            const floor = current ? current.threshold : 0;
+            return {
+                basis: settings.basis,
+                value,
+                xp: parseInt(user.xp, 10) || 0,
+                level: current ? current.level : 0,
+                name: current ? current.name : null,
+                perks: {
+                    extraDailyClaims: current ? current.extraDailyClaims : 0,
+                    claimMultiplier: current ? current.claimMultiplier : 1,
+                    withdrawalFeePct: current ? current.withdrawalFeePct : null
+                },
+                next: next ? { level: next.level, name: next.name, threshold: next.threshold, remaining: next.threshold - value } : null,
+                progress: next ? Math.min(1, Math.max(0, (value - floor) / Math.max(1, next.threshold - floor))) : 1,
+                levels: levels.map(l => ({
+                    level: l.level, name: l.name, threshold: l.threshold,
+                    extraDailyClaims: l.extraDailyClaims, claimMultiplier: l.claimMultiplier, withdrawalFeePct: l.withdrawalFeePct
+                }))
+            };
+        } catch (error) {
+            console.error('Error in getProgress (levels):', error);
+            throw error;
+        }
+    }
+
+    // Called by ledgerService.record for earning credits, inside its transaction: adds XP and records a
+    // level-up when the user passes the highest level they had reached. Returns the new level or null.
+    async onEarned(database, userId) {
+        try {
+            await this.ensureTable(database);
+            const settings = await this.getSettings(database);
+            if (settings.xpPerActivity > 0) {
+                await database.run('UPDATE users SET xp = COALESCE(xp, 0) + ? WHERE id = ?', [settings.xpPerActivity, userId]);
+            }
+            const user = await database.get('SELECT id, telegram_id, xp, level, total_points_earned FROM users WHERE id = ?', [userId]);
+            if (!user) return null;
+            const levels = await this.list(database);
+            const current = this.levelFor(levels, this.progressValue(user, settings));
+            const reached = parseInt(user.level, 10) || 0;
+            if (!current || current.level <= reached) return null;
+            await database.run('UPDATE users SET level = ? WHERE id = ?', [current.level, userId]);
+            await database.run(
+                'INSERT INTO level_up_events (user_id, telegram_id, from_level, to_level) VALUES (?, ?, ?, ?)',
+                [userId, user.telegram_id || null, reached, current.level]
+            );
+            return current.level;
+        } catch (error) {
+            console.error('Error in onEarned (levels):', error);
+            throw error;
+        }
+    }
+
+    // Scheduled job body: notify(telegramId, text) -> truthy when delivered. Failed sends are retried
+    // on later runs, up to MAX_NOTIFY_ATTEMPTS.
+    async notifyLevelUps(database, notify, limit = 100) {
+        try {
+            await this.ensureTable(database);
+            const summary = { pending: 0, sent: 0, failed: 0 };
+            const events = await database.all(
+                `SELECT e.*, l.name AS level_name, l.extra_daily_claims, l.claim_multiplier, l.withdrawal_fee_pct
+                 FROM level_up_events e
+                 LEFT JOIN levels l ON l.level = e.to_level
+                 WHERE e.notified_at IS NULL AND e.attempts < ?
+                 ORDER BY e.id ASC
+                 LIMIT ?`,
+                [MAX_NOTIFY_ATTEMPTS, limit]
+            );
+            for (const event of events) {
+                summary.pending++;
+                const perks = [];
+                if (parseInt(event.extra_daily_claims, 10) > 0) perks.push(`+${event.extra_daily_claims} daily claims`);
+                if (parseFloat(event.claim_multiplier) > 1) perks.push(`${parseFloat(event.claim_multiplier)}x daily claim rewards`);
+                if (event.withdrawal_fee_pct != null) perks.push(`${parseFloat(event.withdrawal_fee_pct)}% withdrawal fee`);
+                const title = event.level_name ? `Level ${event.to_level} · ${event.level_name}` : `Level ${event.to_level}`;
+                const text = `🎉 Level up! You reached ${title}.${perks.length ? `\n\nYour perks: ${perks.join(', ')}.` : ''}`;
+                const delivered = event.telegram_id ? await notify(event.telegram_id, text) : false;
+                if (delivered) {
+                    summary.sent++;
+                    await database.run(`UPDATE level_up_events SET notified_at = datetime('now'), attempts = attempts + 1 WHERE id = ?`, [event.id]);
+                } else {
+                    summary.failed++;
+                    await database.run('UPDATE level_up_events SET attempts = attempts + 1 WHERE id = ?', [event.id]);
+                }
+            }
+            return summary;
+        } catch (error) {
+            console.error('Error in notifyLevelUps (levels):', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new LevelService();
@@ -0,0 +1,245 @@
+const ledgerService = require('./ledgerService');
+const { sqlTime, toMs } = require('./helpers');
+
+// Points expiry. Every ledger credit is a lot; debits (withdrawals, fees, expiry itself) use up the
+// oldest lots first, so whatever is left of a lot N days after it was earned expires (FIFO).
+// Users with a pending withdrawal are on hold: nothing of theirs expires and no warnings go out until
+// it settles. Refunded withdrawals come back as a fresh lot.
+// pointsExpiryEffectiveFrom is set when the policy is switched on or shortened; no lot expires sooner than
+// the first warning period after it, so points already past the limit are warned about before they go.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DAYS = 90;
+const DEFAULT_WARNING_DAYS = [7, 1];
+
+class PointsExpiryService {
+    constructor() {
+        this.ready = false;
+    }
+
+    async ensureTable(database) {
+        if (this.ready) return;
+        try {
+            if (database.isPostgres) {
+                await database.run(`CREATE TABLE IF NOT EXISTS points_expiry_notices (
+                    id SERIAL PRIMARY KEY,
+                    user_id INTEGER NOT NULL,
+                    expires_on TEXT NOT NULL,
+                    threshold_days INTEGER NOT NULL,
+                    amount INTEGER NOT NULL,
+                    sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE (user_id, expires_on, threshold_days)
+                )`);
+            } else {
+                await database.run(`CREATE TABLE IF NOT EXISTS points_expiry_notices (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    expires_on TEXT NOT NULL,
+                    threshold_days INTEGER NOT NULL,
+                    amount INTEGER NOT NULL,
+                    sent_at DATETIME DEFAULT (datetime('now')),
+                    UNIQUE (user_id, expires_on, threshold_days)
+                )`);
+            }
+            this.ready = true;
+        } catch (error) {
+            console.error('Error in ensureTable (points expiry):', error);
+            throw error;
+        }
+    }
+
+    // "7,1" -> [7, 1] (largest first)
+    parseWarningDays(value) {
+        const days = String(value == null ? '' : value).split(/[\s,]+/)
+            .map(v => parseInt(v, 10))
+            .filter(n => Number.isFinite(n) && n > 0);
+        return Array.from(new Set(days)).sort((a, b) => b - a);
+    }
+
+    async getPolicy(database) {
+        try {
+            const rows = await database.all(
+                `SELECT config_key, config_value FROM admin_config WHERE config_key IN ('pointsExpiryEnabled', 'pointsExpiryDays', 'pointsExpiryWarningDays', 'pointsExpiryEffectiveFrom')`
+            );
+            const cfg = Object.fromEntries(rows.map(r => [r.config_key, r.config_value]));
+            const days = parseInt(cfg.pointsExpiryDays, 10);
+            const warningDays = cfg.pointsExpiryWarningDays == null ? DEFAULT_WARNING_DAYS.slice() : this.parseWarningDays(cfg.pointsExpiryWarningDays);
+            const effectiveFrom = toMs(cfg.pointsExpiryEffectiveFrom);
+            return {
+                enabled: cfg.pointsExpiryEnabled === 'true',
+                days: Number.isFinite(days) && days > 0 ? days : DEFAULT_DAYS,
+                warningDays,
+                effectiveFrom: Number.isFinite(effectiveFrom) ? effectiveFrom : null
+            };
+        } catch (error) {
+            console.error('Error in getPolicy (points expiry):', error);
+            throw error;
+        }
+    }
+
+    // Value for pointsExpiryEffectiveFrom after an admin saves `next` over `previous` (a policy from getPolicy):
+    // restarts the grace period when expiry is switched on or the number of days goes down
+    effectiveFromAfter(previous, next, now = Date.now()) {
+        if (next.enabled && (!previous.enabled || next.days < previous.days || !previous.effectiveFrom)) return sqlTime(now);
+        return previous.effectiveFrom ? sqlTime(previous.effectiveFrom) : '';
+    }
+
+    // Policies enabled before pointsExpiryEffectiveFrom existed start their grace period on the first run
+    async ensureEffectiveFrom(database, policy, now = Date.now()) {
+        if (policy.effectiveFrom) return policy;
+        await database.run(
+            `INSERT INTO admin_config (config_key, config_value) VALUES (?, ?) ON CONFLICT (config_key) DO NOTHING`,
+            ['pointsExpiryEffectiveFrom', sqlTime(now)]
+        );
+        return this.getPolicy(database);
+    }
+
+    // Lots still holding points, oldest first: [{ entryId, remaining, earnedAt, expiresAt }]
+    async openLots(database, userId, policy) {
+        try {
+            await ledgerService.ensureTable(database);
+            const rows = await database.all(
+                'SELECT id, delta, created_at FROM points_ledger WHERE user_id = ? ORDER BY created_at ASC, id ASC',
+                [userId]
+            );
+            const graceUntil = policy.effectiveFrom ? policy.effectiveFrom + (policy.warningDays[0] || 0) * DAY_MS : 0;
+            const lots = [];
+            for (const row of rows) {
+                const delta = parseInt(row.delta, 10) || 0;
+                if (delta > 0) {
+                    const earnedAt = toMs(row.created_at) || Date.now();
+                    lots.push({ entryId: row.id, remaining: delta, earnedAt, expiresAt: Math.max(earnedAt + policy.days * DAY_MS, graceUntil) });
+                    continue;
+                }
+                let need = -delta;
+                while (need > 0 && lots.length) {
+                    const take = Math.min(need, lots[0].remaining);
+                    lots[0].remaining -= take;
+                    need -= take;
+                    if (lots[0].remaining === 0) lots.shift();
+                }
+            }
+            return lots;
+        } catch (error) {
+            console.error('Error in openLots (points expiry):', error);
+            throw error;
+        }
+    }
+
+    // Amounts expiring within `withinDays`, grouped by expiry day: { total, upcoming: [{ amount, expiresAt }] }
+    async expiringSoon(database, userId, policy, withinDays, now = Date.now()) {
+        try {
+            const lots = await this.openLots(database, userId, policy);
+            const horizon = now + withinDays * DAY_MS;
+            const byDay = new Map();
+            for (const lot of lots) {
+                if (lot.expiresAt > horizon) break;
+                const day = new Date(lot.expiresAt).toISOString().slice(0, 10);
+                const entry = byDay.get(day) || { amount: 0, expiresAt: new Date(lot.expiresAt).toISOString() };
+                entry.amount += lot.remaining;
+                byDay.set(day, entry);
+            }
+            const upcoming = Array.from(byDay.values());
+            return { total: upcoming.reduce((sum, u) => sum + u.amount, 0), upcoming };
+        } catch (error) {
+            console.error('Error in expiringSoon (points expiry):', error);
+            throw error;
+        }
+    }
+
+    async isOnHold(database, telegramId) {
+        const pending = await database.get(`SELECT id FROM withdrawals WHERE telegram_id = ? AND status = 'pending' LIMIT 1`, [telegramId]);
+        return !!pending;
+    }
+
+    // Debit whatever is past its expiry; returns the amount expired
+    async expireUser(database, user, policy, now = Date.now()) {
+        try {
+            let expired = 0;
+            await database.transaction(async (tx) => {
+                if (await this.isOnHold(tx, user.telegram_id)) return;
+                const lots = await this.openLots(tx, user.id, policy);
+                const due = lots.filter(l => l.expiresAt <= now).reduce((sum, l) => sum + l.remaining, 0);
+                if (due <= 0) return;
+                const result = await ledgerService.record(tx, {
+                    userId: user.id, delta: -due, reason: 'points_expired', clampAtZero: true,
+                    description: `Unused for ${policy.days} days`
+                });
+                expired = -result.delta;
+            });
+            return expired;
+        } catch (error) {
+            console.error('Error in expireUser (points expiry):', error);
+            throw error;
+        }
+    }
+
+    // One warning per user, expiry day and threshold; the closest threshold that applies is used.
+    // notify(telegramId, text) -> truthy when delivered; undelivered warnings are retried next run.
+    async sendWarnings(database, user, policy, notify, now = Date.now()) {
+        try {
+            if (!policy.warningDays.length) return 0;
+            const soon = await this.expiringSoon(database, user.id, policy, policy.warningDays[0], now);
+            let sent = 0;
+            for (const item of soon.upcoming) {
+                const msLeft = new Date(item.expiresAt).getTime() - now;
+                if (msLeft <= 0) continue;
+                const threshold = policy.warningDays.filter(d => msLeft <= d * DAY_MS).pop();
+                if (!threshold) continue;
+                const expiresOn = item.expiresAt.slice(0, 10);
+                const claimed = await database.run(
+                    `INSERT INTO points_expiry_notices (user_id, expires_on, threshold_days, amount) VALUES (?, ?, ?, ?)
+                     ON CONFLICT (user_id, expires_on, threshold_days) DO NOTHING`,
+                    [user.id, expiresOn, threshold, item.amount]
+                );
+                if (!claimed || !claimed.changes) continue;
+                const when = threshold === 1 ? 'within a day' : `in ${threshold} days`;
+                const delivered = await notify(user.telegram_id,
+                    `⏳ ${item.amount} of your points expire ${when} (${expiresOn}). Use or withdraw them before then.`);
+                if (delivered) {
+                    sent++;
+                } else {
+                    await database.run('DELETE FROM points_expiry_notices WHERE user_id = ? AND expires_on = ? AND threshold_days = ?', [user.id, expiresOn, threshold]);
+                }
+            }
+            return sent;
+        } catch (error) {
+            console.error('Error in sendWarnings (points expiry):', error);
+            throw error;
+        }
+    }
+
+    // Scheduled job body: expire due points, then warn about upcoming expiries
+    async run(database, { notify, now } = {}) {
+        try {
+            let policy = await this.getPolicy(database);
+            const summary = { enabled: policy.enabled, usersChecked: 0, usersExpired: 0, pointsExpired: 0, warningsSent: 0 };
+            if (!policy.enabled) return summary;
+            await ledgerService.ensureTable(database);
+            await this.ensureTable(database);
+            const at = now || Date.now();
+            policy = await this.ensureEffectiveFrom(database, policy, at);
+            const users = await database.all('SELECT id, telegram_id FROM users WHERE points > 0 ORDER BY id ASC');
+            for (const user of users) {
+                summary.usersChecked++;
+                try {
+                    const expired = await this.expireUser(database, user, policy, at);
+                    if (expired > 0) {
+                        summary.usersExpired++;
+                        summary.pointsExpired += expired;
+                    }
+                    if (notify && !(await this.isOnHold(database, user.telegram_id))) {
+                        summary.warningsSent += await this.sendWarnings(database, user, policy, notify, at);
+                    }
+                } catch (error) {
+                    console.error(`Points expiry failed for user ${user.telegram_id}:`, error);
+                }
+            }
+            return summary;
+        } catch (error) {
+            console.error('Error in run (points expiry):', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new PointsExpiryService();
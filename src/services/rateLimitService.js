@@ -0,0 +1,96 @@
+// Per-user fixed-window rate limiting with pluggable stores.
+// Stores implement increment(key, windowMs) -> { count, resetAt } (resetAt in ms since epoch).
+
+class MemoryRateLimitStore {
+    constructor() {
+        this.buckets = new Map();
+    }
+
+    async increment(key, windowMs) {
+        const now = Date.now();
+        let b = this.buckets.get(key);
+        if (!b || b.resetAt <= now) {
+            b = { count: 0, resetAt: now + windowMs };
+            this.buckets.set(key, b);
+        }
+        b.count += 1;
+        // Drop expired buckets now and then so the map doesn't grow forever
+        if (this.buckets.size > 10000) {
+            for (const [k, v] of this.buckets) if (v.resetAt <= now) this.buckets.delete(k);
+        }
+        return { count: b.count, resetAt: b.resetAt };
+    }
+}
+
+// Shared across processes through the app database (SQLite or Postgres via the connection layer)
+class DatabaseRateLimitStore {
+    constructor(database) {
+        this.database = database;
+        this.ready = false;
+    }
+
+    async ensureTable() {
+        if (this.ready) return;
+        const db = this.database;
+        if (db.isPostgres) {
+            await db.run(`CREATE TABLE IF NOT EXISTS user_rate_limits (
+                id SERIAL PRIMARY KEY,
+                bucket_key TEXT UNIQUE NOT NULL,
+                count INTEGER NOT NULL DEFAULT 0,
+                reset_at BIGINT NOT NULL
+            )`);
+        } else {
+            await db.run(`CREATE TABLE IF NOT EXISTS user_rate_limits (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                bucket_key TEXT UNIQUE NOT NULL,
+                count INTEGER NOT NULL DEFAULT 0,
+                reset_at INTEGER NOT NULL
+            )`);
+        }
+        this.ready = true;
+    }
+
+    async increment(key, windowMs) {
+        await this.ensureTable();
+        const now = Date.now();
+        const resetAt = now + windowMs;
+        // Single upsert keeps the counter atomic; an expired window restarts at 1
+        await this.database.run(
+            `INSERT INTO user_rate_limits (bucket_key, count, reset_at) VALUES (?, 1, ?)
+             ON CONFLICT (bucket_key) DO UPDATE SET
+                count = CASE WHEN user_rate_limits.reset_at <= ? THEN 1 ELSE user_rate_limits.count + 1 END,
+                reset_at = CASE WHEN user_rate_limits.reset_at <= ? THEN ? ELSE user_rate_limits.reset_at END`,
+            [key, resetAt, now, now, resetAt]
+        );
+        const row = await this.database.get('SELECT count, reset_at FROM user_rate_limits WHERE bucket_key = ?', [key]);
+        if (Math.random() < 0.01) {
+            this.database.run('DELETE FROM user_rate_limits WHERE reset_at <= ?', [now]).catch(() => {});
+        }
+        return { count: parseInt(row && row.count) || 1, resetAt: parseInt(row && row.reset_at) || resetAt };
+    }
+}
+
+class RateLimitService {
+    // type: memory | sqlite | postgres | database (sqlite/postgres both use the app database)
+    createStore(type, database) {
+        const t = String(type || '').toLowerCase();
+        if (t === 'memory') return new MemoryRateLimitStore();
+        if (t === 'sqlite' || t === 'postgres' || t === 'database' || t === 'db') {
+            if (t === 'sqlite' && database.isPostgres) console.warn('USER_RATE_LIMIT_STORE=sqlite but DATABASE_URL is Postgres; using Postgres');
+            if (t === 'postgres' && !database.isPostgres) console.warn('USER_RATE_LIMIT_STORE=postgres but no DATABASE_URL; using SQLite');
+            return new DatabaseRateLimitStore(database);
+        }
+        throw new Error(`Unknown rate limit store: ${type}`);
+    }
+
+    // "30/60" -> { max: 30, windowMs: 60000 }
+    parseBudget(value, fallback) {
+        const m = String(value || '').match(/^\s*(\d+)\s*\/\s*(\d+)\s*$/);
+        if (!m) return fallback;
+        return { max: parseInt(m[1], 10), windowMs: parseInt(m[2], 10) * 1000 };
+    }
+}
+
+module.exports = new RateLimitService();
+module.exports.MemoryRateLimitStore = MemoryRateLimitStore;
+module.exports.DatabaseRateLimitStore = DatabaseRateLimitStore;
@@ -0,0 +1,291 @@
+const ledgerService = require('./ledgerService');
+
+// Balance reconciliation: compares users.points / users.total_points_earned with what the points ledger
+// says they should be, and explains each mismatch with the ledger rows and source records behind it.
+// A run stores one item per mismatched user; items are only corrected after an admin approves them.
+//
+// Resolutions:
+//   accept_balance - the balance is right and changed outside the ledger: append a 'reconciliation' entry
+//   restore_ledger - the ledger is right: move users.points back to the ledger balance
+// Both reset total_points_earned to the ledger's earned total.
+const RESOLUTIONS = ['accept_balance', 'restore_ledger'];
+
+class ReconciliationService {
+    get resolutions() {
+        return RESOLUTIONS.slice();
+    }
+
+    async ensureTables(database) {
+        try {
+            await ledgerService.ensureTable(database);
+            if (database.isPostgres) {
+                await database.run(`CREATE TABLE IF NOT EXISTS reconciliation_runs (
+                    id SERIAL PRIMARY KEY,
+                    started_by BIGINT,
+                    users_checked INTEGER NOT NULL DEFAULT 0,
+                    mismatches INTEGER NOT NULL DEFAULT 0,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )`);
+                await database.run(`CREATE TABLE IF NOT EXISTS reconciliation_items (
+                    id SERIAL PRIMARY KEY,
+                    run_id INTEGER NOT NULL,
+                    user_id INTEGER NOT NULL,
+                    telegram_id BIGINT,
+                    points INTEGER NOT NULL,
+                    ledger_points INTEGER NOT NULL,
+                    total_earned INTEGER NOT NULL,
+                    ledger_earned INTEGER NOT NULL,
+                    details TEXT,
+                    status TEXT NOT NULL DEFAULT 'proposed',
+                    resolution TEXT,
+                    decided_by BIGINT,
+                    decided_at TIMESTAMP
+                )`);
+            } else {
+                await database.run(`CREATE TABLE IF NOT EXISTS reconciliation_runs (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    started_by INTEGER,
+                    users_checked INTEGER NOT NULL DEFAULT 0,
+                    mismatches INTEGER NOT NULL DEFAULT 0,
+                    created_at DATETIME DEFAULT (datetime('now'))
+                )`);
+                await database.run(`CREATE TABLE IF NOT EXISTS reconciliation_items (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    run_id INTEGER NOT NULL,
+                    user_id INTEGER NOT NULL,
+                    telegram_id INTEGER,
+                    points INTEGER NOT NULL,
+                    ledger_points INTEGER NOT NULL,
+                    total_earned INTEGER NOT NULL,
+                    ledger_earned INTEGER NOT NULL,
+                    details TEXT,
+                    status TEXT NOT NULL DEFAULT 'proposed',
+                    resolution TEXT,
+                    decided_by INTEGER,
+                    decided_at DATETIME
+                )`);
+            }
+        } catch (error) {
+            console.error('Error in ensureTables (reconciliation):', error);
+            throw error;
+        }
+    }
+
+    earnedSumSql() {
+        const excluded = ledgerService.nonEarningReasons.map(r => `'${r}'`).join(', ');
+        return `COALESCE(SUM(CASE WHEN delta > 0 AND reason NOT IN (${excluded}) THEN delta ELSE 0 END), 0)`;
+    }
+
+    // Expected balance and earned total for one user, straight from the ledger
+    async expectedFor(database, userId) {
+        const row = await database.get(
+            `SELECT COALESCE(SUM(delta), 0) AS ledger_points, ${this.earnedSumSql()} AS ledger_earned, COUNT(*) AS entries
+             FROM points_ledger WHERE user_id = ?`,
+            [userId]
+        );
+        return {
+            ledgerPoints: parseInt(row && row.ledger_points, 10) || 0,
+            ledgerEarned: parseInt(row && row.ledger_earned, 10) || 0,
+            entries: parseInt(row && row.entries, 10) || 0
+        };
+    }
+
+    // Rows whose balance_after doesn't follow from the previous row (edited or out-of-band inserts)
+    chainBreaks(rows) {
+        const breaks = [];
+        let previous = null;
+        for (const row of rows) {
+            const delta = parseInt(row.delta, 10) || 0;
+            const after = parseInt(row.balance_after, 10) || 0;
+            if (previous !== null && previous + delta !== after) {
+                breaks.push({ id: row.id, expected: previous + delta, actual: after });
+            }
+            previous = after;
+        }
+        return breaks;
+    }
+
+    // Withdrawals whose debit or refund never reached the ledger
+    async unrecordedWithdrawals(database, telegramId) {
+        const missing = [];
+        const withdrawals = await database.all('SELECT id, amount, status, created_at, processed_at FROM withdrawals WHERE telegram_id = ?', [telegramId]);
+        for (const w of withdrawals) {
+            const entries = await database.all(
+                `SELECT reason FROM points_ledger WHERE reference_type = 'withdrawal' AND reference_id = ? AND telegram_id = ?`,
+                [String(w.id), telegramId]
+            );
+            const reasons = entries.map(e => e.reason);
+            if (!reasons.includes('withdrawal')) {
+                missing.push({ type: 'withdrawal', id: w.id, points: -(parseInt(w.amount, 10) || 0), at: w.created_at });
+            }
+            if (w.status === 'rejected' && !reasons.includes('withdrawal_refund')) {
+                missing.push({ type: 'withdrawal_refund', id: w.id, points: parseInt(w.amount, 10) || 0, at: w.processed_at });
+            }
+        }
+        return missing;
+    }
+
+    // Recompute every user; store a run with one item per mismatch. Returns { run, items }.
+    async run(database, { startedBy } = {}) {
+        try {
+            await this.ensureTables(database);
+            const users = await database.all('SELECT id, telegram_id, username, points, total_points_earned FROM users ORDER BY id ASC');
+            const sums = await database.all(
+                `SELECT user_id, COALESCE(SUM(delta), 0) AS ledger_points, ${this.earnedSumSql()} AS ledger_earned
+                 FROM points_ledger GROUP BY user_id`
+            );
+            const byUser = new Map(sums.map(s => [parseInt(s.user_id, 10), s]));
+
+            const mismatches = [];
+            for (const user of users) {
+                const s = byUser.get(parseInt(user.id, 10));
+                const points = parseInt(user.points, 10) || 0;
+                const totalEarned = parseInt(user.total_points_earned, 10) || 0;
+                const ledgerPoints = parseInt(s && s.ledger_points, 10) || 0;
+                const ledgerEarned = parseInt(s && s.ledger_earned, 10) || 0;
+
+                const rows = s
+                    ? await database.all('SELECT id, delta, balance_after, reason, reference_type, reference_id, created_at FROM points_ledger WHERE user_id = ? ORDER BY created_at ASC, id ASC', [user.id])
+                    : [];
+                const breaks = this.chainBreaks(rows);
+                const unrecorded = s ? await this.unrecordedWithdrawals(database, user.telegram_id) : [];
+                if (points === ledgerPoints && totalEarned === ledgerEarned && !breaks.length && !unrecorded.length) continue;
+
+                mismatches.push({
+                    user, points, totalEarned, ledgerPoints, ledgerEarned,
+                    details: {
+                        noLedger: !s,
+                        chainBreaks: breaks,
+                        unrecorded,
+                        recent: rows.slice(-10).reverse()
+                    }
+                });
+            }
+
+            const created = await database.run(
+                'INSERT INTO reconciliation_runs (started_by, users_checked, mismatches) VALUES (?, ?, ?)',
+                [startedBy || null, users.length, mismatches.length]
+            );
+            for (const m of mismatches) {
+                await database.run(
+                    `INSERT INTO reconciliation_items (run_id, user_id, telegram_id, points, ledger_points, total_earned, ledger_earned, details)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [created.id, m.user.id, m.user.telegram_id, m.points, m.ledgerPoints, m.totalEarned, m.ledgerEarned, JSON.stringify(m.details)]
+                );
+            }
+            return await this.getRun(database, created.id);
+        } catch (error) {
+            console.error('Error in run (reconciliation):', error);
+            throw error;
+        }
+    }
+
+    async listRuns(database, limit) {
+        try {
+            await this.ensureTables(database);
+            return await database.all('SELECT * FROM reconciliation_runs ORDER BY id DESC LIMIT ?', [Math.min(parseInt(limit, 10) || 20, 200)]);
+        } catch (error) {
+            console.error('Error in listRuns (reconciliation):', error);
+            throw error;
+        }
+    }
+
+    async getRun(database, runId) {
+        try {
+            await this.ensureTables(database);
+            const run = await database.get('SELECT * FROM reconciliation_runs WHERE id = ?', [runId]);
+            if (!run) return null;
+            const rows = await database.all('SELECT * FROM reconciliation_items WHERE run_id = ? ORDER BY id ASC', [runId]);
+            const items = rows.map(row => {
+                let details = {};
+                try { details = JSON.parse(row.details || '{}') || {}; } catch (_) {}
+                return {
+                    ...row,
+                    details,
+                    points_drift: (parseInt(row.points, 10) || 0) - (parseInt(row.ledger_points, 10) || 0),
+                    earned_drift: (parseInt(row.total_earned, 10) || 0) - (parseInt(row.ledger_earned, 10) || 0)
+                };
+            });
+            return { run, items };
+        } catch (error) {
+            console.error('Error in getRun (reconciliation):', error);
+            throw error;
+        }
+    }
+
+    // Apply approved corrections. Items whose user changed since the run are marked stale and left alone.
+    // Returns { applied: [ids], stale: [ids], skipped: [ids] }.
+    async applyItems(database, runId, itemIds, resolution, adminTelegramId) {
+        try {
+            if (!RESOLUTIONS.includes(resolution)) throw new Error(`Unknown resolution: ${resolution}`);
+            await this.ensureTables(database);
+            const outcome = { applied: [], stale: [], skipped: [] };
+            for (const itemId of itemIds) {
+                const item = await database.get('SELECT * FROM reconciliation_items WHERE id = ? AND run_id = ?', [itemId, runId]);
+                if (!item || item.status !== 'proposed') { outcome.skipped.push(itemId); continue; }
+
+                let result = 'applied';
+                await database.transaction(async (tx) => {
+                    await tx.run('UPDATE users SET points = points WHERE id = ?', [item.user_id]);
+                    const user = await tx.get('SELECT id, telegram_id, points, total_points_earned FROM users WHERE id = ?', [item.user_id]);
+                    const expected = await this.expectedFor(tx, item.user_id);
+                    const unchanged = user
+                        && (parseInt(user.points, 10) || 0) === (parseInt(item.points, 10) || 0)
+                        && (parseInt(user.total_points_earned, 10) || 0) === (parseInt(item.total_earned, 10) || 0)
+                        && expected.ledgerPoints === (parseInt(item.ledger_points, 10) || 0)
+                        && expected.ledgerEarned === (parseInt(item.ledger_earned, 10) || 0);
+                    if (!unchanged) {
+                        result = 'stale';
+                        await tx.run(`UPDATE reconciliation_items SET status = 'stale', decided_by = ?, decided_at = datetime('now') WHERE id = ?`, [adminTelegramId, item.id]);
+                        return;
+                    }
+
+                    const drift = (parseInt(item.points, 10) || 0) - expected.ledgerPoints;
+                    const note = `Reconciliation run #${runId} item #${item.id}`;
+                    if (drift !== 0 && resolution === 'accept_balance') {
+                        await ledgerService.acknowledgeBalance(tx, {
+                            userId: item.user_id, description: note, referenceType: 'reconciliation_item', referenceId: item.id, createdBy: adminTelegramId
+                        });
+                    } else if (drift !== 0) {
+                        await tx.run(`UPDATE users SET points = ?, updated_at = datetime('now') WHERE id = ?`, [expected.ledgerPoints, item.user_id]);
+                    }
+                    // After accept_balance the new entry is non-earning, so the earned total is unchanged
+                    await tx.run(`UPDATE users SET total_points_earned = ?, updated_at = datetime('now') WHERE id = ?`, [expected.ledgerEarned, item.user_id]);
+                    await tx.run(
+                        `UPDATE reconciliation_items SET status = 'applied', resolution = ?, decided_by = ?, decided_at = datetime('now') WHERE id = ?`,
+                        [resolution, adminTelegramId, item.id]
+                    );
+                    await tx.run(
+                        `INSERT INTO admin_audit (admin_telegram_id, target_telegram_id, action, amount, reason) VALUES (?, ?, 'reconcile_balance', ?, ?)`,
+                        [adminTelegramId, user.telegram_id, resolution === 'restore_ledger' ? -drift : drift, `${note}: ${resolution}`]
+                    );
+                });
+                outcome[result].push(item.id);
+            }
+            return outcome;
+        } catch (error) {
+            console.error('Error in applyItems (reconciliation):', error);
+            throw error;
+        }
+    }
+
+    async dismissItems(database, runId, itemIds, adminTelegramId) {
+        try {
+            await this.ensureTables(database);
+            let dismissed = 0;
+            for (const itemId of itemIds) {
+                const changed = await database.run(
+                    `UPDATE reconciliation_items SET status = 'dismissed', decided_by = ?, decided_at = datetime('now') WHERE id = ? AND run_id = ? AND status = 'proposed'`,
+                    [adminTelegramId, itemId, runId]
+                );
+                if (changed && changed.changes) dismissed++;
+            }
+            return dismissed;
+        } catch (error) {
+            console.error('Error in dismissItems (reconciliation):', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new ReconciliationService();
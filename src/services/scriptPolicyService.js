@@ -0,0 +1,119 @@
+// Script policy for the mini-app: which third-party origins may serve scripts (CSP allowlist)
+// and validation of admin-supplied ad SDK snippets. Snippets are never pasted raw into pages:
+// they are parsed into external <script src> tags and re-rendered with the request's CSP nonce.
+
+// Always allowed besides 'self': Telegram WebApp SDK / login widget and the icon set used by layout.html
+const BASE_SCRIPT_ORIGINS = ['https://telegram.org', 'https://code.iconify.design'];
+const DEFAULT_AD_SCRIPT_ORIGINS = ['https://libtl.com'];
+
+const ORIGIN_PATTERN = /^https:\/\/(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)+(:\d{1,5})?$/;
+const ALLOWED_ATTRIBUTES = ['src', 'async', 'defer', 'id', 'crossorigin', 'referrerpolicy', 'type'];
+
+function escapeAttr(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+class ScriptPolicyService {
+    get baseOrigins() {
+        return BASE_SCRIPT_ORIGINS.slice();
+    }
+
+    get defaultAdOrigins() {
+        return DEFAULT_AD_SCRIPT_ORIGINS.slice();
+    }
+
+    // "https://a.com, https://*.b.net\n..." -> { origins, invalid }
+    parseOrigins(text) {
+        const origins = [];
+        const invalid = [];
+        for (const raw of String(text || '').split(/[\s,]+/)) {
+            const entry = raw.trim().toLowerCase().replace(/\/+$/, '');
+            if (!entry) continue;
+            if (ORIGIN_PATTERN.test(entry)) {
+                if (!origins.includes(entry)) origins.push(entry);
+            } else {
+                invalid.push(raw.trim());
+            }
+        }
+        return { origins, invalid };
+    }
+
+    isOriginAllowed(url, allowedOrigins) {
+        let parsed;
+        try { parsed = new URL(url); } catch (_) { return false; }
+        if (parsed.protocol !== 'https:') return false;
+        const origin = parsed.origin.toLowerCase();
+        const host = parsed.host.toLowerCase();
+        return allowedOrigins.some(allowed => {
+            if (allowed === origin) return true;
+            if (!allowed.startsWith('https://*.')) return false;
+            const suffix = allowed.slice('https://*'.length);
+            return host.endsWith(suffix) && host.length > suffix.length;
+        });
+    }
+
+    // Snippet must consist only of external <script src="https://allowed/..."></script> tags (comments allowed).
+    // Returns { scripts: [{ attrs }], errors: [] }
+    parseSnippet(snippet, allowedOrigins) {
+        const scripts = [];
+        const errors = [];
+        const text = String(snippet || '');
+        const tagPattern = /<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi;
+        let match;
+        while ((match = tagPattern.exec(text)) !== null) {
+            const [, attrText, body] = match;
+            if (body.trim()) {
+                errors.push('Inline script code is not allowed');
+                continue;
+            }
+            const attrs = {};
+            const attrPattern = /([^\s=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+            let a;
+            let bad = false;
+            while ((a = attrPattern.exec(attrText)) !== null) {
+                const name = a[1].toLowerCase().replace(/\/$/, '');
+                if (!name) continue;
+                const value = a[2] !== undefined ? a[2] : (a[3] !== undefined ? a[3] : (a[4] !== undefined ? a[4] : ''));
+                if (!ALLOWED_ATTRIBUTES.includes(name) && !/^data-[a-z0-9-]+$/.test(name)) {
+                    errors.push(`Attribute not allowed: ${name}`);
+                    bad = true;
+                    continue;
+                }
+                if (name === 'type' && !['', 'text/javascript', 'module'].includes(value.toLowerCase())) {
+                    errors.push(`Script type not allowed: ${value}`);
+                    bad = true;
+                    continue;
+                }
+                attrs[name] = value;
+            }
+            if (!attrs.src) {
+                errors.push('Script tag without src');
+                continue;
+            }
+            if (!this.isOriginAllowed(attrs.src, allowedOrigins)) {
+                errors.push(`Script origin not in allowlist: ${attrs.src}`);
+                continue;
+            }
+            if (!bad) scripts.push({ attrs });
+        }
+        const leftover = text.replace(tagPattern, '').replace(/<!--[\s\S]*?-->/g, '').trim();
+        if (leftover) errors.push('Only <script src="..."></script> tags are allowed');
+        return { scripts, errors };
+    }
+
+    renderScripts(scripts, nonce) {
+        return scripts.map(({ attrs }) => {
+            const parts = Object.entries(attrs).map(([k, v]) => (v === '' && k !== 'src' ? k : `${k}="${escapeAttr(v)}"`));
+            if (nonce) parts.push(`nonce="${escapeAttr(nonce)}"`);
+            return `<script ${parts.join(' ')}></script>`;
+        }).join('\n');
+    }
+
+    // Inline script with the nonce; JSON is escaped so values can't close the tag
+    renderInlineAssignment(name, value, nonce) {
+        const json = JSON.stringify(value).replace(/</g, '\\u003c').replace(/\u2028/g, '\\u2028').replace(/\u2029/g, '\\u2029');
+        return `<script nonce="${escapeAttr(nonce)}">window.${name} = ${json};</script>`;
+    }
+}
+
+module.exports = new ScriptPolicyService();
@@ -0,0 +1,564 @@
+const ledgerService = require('./ledgerService');
+const { ruleError, isRuleError } = require('./helpers');
+
+// Redemption shop for non-cash rewards. 'code' items hand out one uploaded code per redemption (the order is
+// fulfilled on the spot); 'manual' items (airtime top-ups, partner perks) wait for an admin to fulfil them and
+// use the stock column (NULL = unlimited). Orders move through ORDER_TRANSITIONS; cancelling or refunding gives
+// the points back. Every order change queues a private bot message (delivery_pending), sent by the bot job, so
+// codes are never shown in the mini app.
+const ITEM_TYPES = ['code', 'manual'];
+const ORDER_TRANSITIONS = {
+    pending: ['processing', 'fulfilled', 'cancelled'],
+    processing: ['fulfilled', 'cancelled'],
+    fulfilled: ['refunded'],
+    cancelled: [],
+    refunded: []
+};
+const REFUND_STATUSES = ['cancelled', 'refunded'];
+const MAX_DELIVERY_ATTEMPTS = 5;
+const MAX_CODES_PER_UPLOAD = 5000;
+
+class ShopService {
+    constructor() {
+        this.ready = false;
+    }
+
+    get itemTypes() {
+        return ITEM_TYPES.slice();
+    }
+
+    get orderStatuses() {
+        return Object.keys(ORDER_TRANSITIONS);
+    }
+
+    isRuleError(error) {
+        return isRuleError(error);
+    }
+
+    async ensureTable(database) {
+        if (this.ready) return;
+        try {
+            if (database.isPostgres) {
+                await database.run(`CREATE TABLE IF NOT EXISTS shop_items (
+                    id SERIAL PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    description TEXT,
+                    item_type TEXT NOT NULL DEFAULT 'code',
+                    points_price INTEGER NOT NULL,
+                    stock INTEGER,
+                    per_user_limit INTEGER NOT NULL DEFAULT 0,
+                    is_active INTEGER NOT NULL DEFAULT 1,
+                    sort_order INTEGER NOT NULL DEFAULT 0,
+                    updated_by BIGINT,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )`);
+                await database.run(`CREATE TABLE IF NOT EXISTS shop_codes (
+                    id SERIAL PRIMARY KEY,
+                    item_id INTEGER NOT NULL,
+                    code TEXT NOT NULL,
+                    status TEXT NOT NULL DEFAULT 'available',
+                    order_id INTEGER,
+                    uploaded_by BIGINT,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    assigned_at TIMESTAMP,
+                    UNIQUE (item_id, code)
+                )`);
+                await database.run(`CREATE TABLE IF NOT EXISTS shop_orders (
+                    id SERIAL PRIMARY KEY,
+                    user_id INTEGER NOT NULL,
+                    telegram_id BIGINT,
+                    item_id INTEGER NOT NULL,
+                    item_name TEXT NOT NULL,
+                    item_type TEXT NOT NULL,
+                    points_price INTEGER NOT NULL,
+                    status TEXT NOT NULL DEFAULT 'pending',
+                    code_id INTEGER,
+                    admin_note TEXT,
+                    delivery_pending INTEGER NOT NULL DEFAULT 1,
+                    delivery_attempts INTEGER NOT NULL DEFAULT 0,
+                    delivered_at TIMESTAMP,
+                    updated_by BIGINT,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )`);
+                await database.run(`CREATE TABLE IF NOT EXISTS shop_order_events (
+                    id SERIAL PRIMARY KEY,
+                    order_id INTEGER NOT NULL,
+                    from_status TEXT,
+                    to_status TEXT NOT NULL,
+                    note TEXT,
+                    actor_telegram_id BIGINT,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )`);
+            } else {
+                await database.run(`CREATE TABLE IF NOT EXISTS shop_items (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT NOT NULL,
+                    description TEXT,
+                    item_type TEXT NOT NULL DEFAULT 'code',
+                    points_price INTEGER NOT NULL,
+                    stock INTEGER,
+                    per_user_limit INTEGER NOT NULL DEFAULT 0,
+                    is_active INTEGER NOT NULL DEFAULT 1,
+                    sort_order INTEGER NOT NULL DEFAULT 0,
+                    updated_by INTEGER,
+                    created_at DATETIME DEFAULT (datetime('now')),
+                    updated_at DATETIME DEFAULT (datetime('now'))
+                )`);
+                await database.run(`CREATE TABLE IF NOT EXISTS shop_codes (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    item_id INTEGER NOT NULL,
+                    code TEXT NOT NULL,
+                    status TEXT NOT NULL DEFAULT 'available',
+                    order_id INTEGER,
+                    uploaded_by INTEGER,
+                    created_at DATETIME DEFAULT (datetime('now')),
+                    assigned_at DATETIME,
+                    UNIQUE (item_id, code)
+                )`);
+                await database.run(`CREATE TABLE IF NOT EXISTS shop_orders (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    telegram_id INTEGER,
+                    item_id INTEGER NOT NULL,
+                    item_name TEXT NOT NULL,
+                    item_type TEXT NOT NULL,
+                    points_price INTEGER NOT NULL,
+                    status TEXT NOT NULL DEFAULT 'pending',
+                    code_id INTEGER,
+                    admin_note TEXT,
+                    delivery_pending INTEGER NOT NULL DEFAULT 1,
+                    delivery_attempts INTEGER NOT NULL DEFAULT 0,
+                    delivered_at DATETIME,
+                    updated_by INTEGER,
+                    created_at DATETIME DEFAULT (datetime('now')),
+                    updated_at DATETIME DEFAULT (datetime('now'))
+                )`);
+                await database.run(`CREATE TABLE IF NOT EXISTS shop_order_events (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    order_id INTEGER NOT NULL,
+                    from_status TEXT,
+                    to_status TEXT NOT NULL,
+                    note TEXT,
+                    actor_telegram_id INTEGER,
+                    created_at DATETIME DEFAULT (datetime('now'))
+                )`);
+            }
+            await database.run('CREATE INDEX IF NOT EXISTS idx_shop_codes_available ON shop_codes (item_id, status, id)');
+            await database.run('CREATE INDEX IF NOT EXISTS idx_shop_orders_user ON shop_orders (user_id, item_id)');
+            await database.run('CREATE INDEX IF NOT EXISTS idx_shop_orders_delivery ON shop_orders (delivery_pending, id)');
+            this.ready = true;
+        } catch (error) {
+            console.error('Error in ensureTable (shop):', error);
+            throw error;
+        }
+    }
+
+    // Returns an error message or null
+    validateItem({ name, itemType, pointsPrice, stock, perUserLimit, sortOrder }) {
+        if (!String(name || '').trim()) return 'Name is required';
+        if (!ITEM_TYPES.includes(itemType)) return `Type must be one of: ${ITEM_TYPES.join(', ')}`;
+        const price = parseInt(pointsPrice, 10);
+        if (!Number.isFinite(price) || price < 1) return 'Price must be at least 1 point';
+        if (itemType === 'manual' && stock != null && stock !== '') {
+            const n = parseInt(stock, 10);
+            if (!Number.isFinite(n) || n < 0) return 'Stock must be zero or more (leave empty for unlimited)';
+        }
+        const limit = parseInt(perUserLimit || 0, 10);
+        if (!Number.isFinite(limit) || limit < 0) return 'Per-user limit must be zero (no limit) or more';
+        if (sortOrder != null && sortOrder !== '' && !Number.isFinite(parseInt(sortOrder, 10))) return 'Sort order must be a number';
+        return null;
+    }
+
+    // Create (no id) or update an item. Code items take their stock from the uploaded codes.
+    async saveItem(database, { id, name, description, itemType, pointsPrice, stock, perUserLimit, isActive, sortOrder }, adminTelegramId) {
+        try {
+            await this.ensureTable(database);
+            const values = [
+                String(name).trim(), description ? String(description).trim() : null, itemType, parseInt(pointsPrice, 10),
+                itemType === 'manual' && stock != null && stock !== '' ? parseInt(stock, 10) : null,
+                parseInt(perUserLimit || 0, 10), isActive === false ? 0 : 1, parseInt(sortOrder || 0, 10) || 0, adminTelegramId || null
+            ];
+            if (id) {
+                const existing = await database.get('SELECT id FROM shop_items WHERE id = ?', [id]);
+                if (!existing) return null;
+                await database.run(
+                    `UPDATE shop_items SET name = ?, description = ?, item_type = ?, points_price = ?, stock = ?, per_user_limit = ?,
+                     is_active = ?, sort_order = ?, updated_by = ?, updated_at = datetime('now') WHERE id = ?`,
+                    [...values, id]
+                );
+                return this.getItem(database, id);
+            }
+            const result = await database.run(
+                `INSERT INTO shop_items (name, description, item_type, points_price, stock, per_user_limit, is_active, sort_order, updated_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                values
+            );
+            return this.getItem(database, result.id);
+        } catch (error) {
+            console.error('Error in saveItem (shop):', error);
+            throw error;
+        }
+    }
+
+    async setItemActive(database, id, active, adminTelegramId) {
+        try {
+            await this.ensureTable(database);
+            const result = await database.run(
+                `UPDATE shop_items SET is_active = ?, updated_by = ?, updated_at = datetime('now') WHERE id = ?`,
+                [active ? 1 : 0, adminTelegramId || null, id]
+            );
+            return !!(result && result.changes);
+        } catch (error) {
+            console.error('Error in setItemActive (shop):', error);
+            throw error;
+        }
+    }
+
+    // Item with its live stock: available codes for code items, the stock column (null = unlimited) otherwise
+    withStock(row) {
+        if (!row) return row;
+        const available = row.item_type === 'code'
+            ? parseInt(row.codes_available, 10) || 0
+            : (row.stock == null ? null : parseInt(row.stock, 10));
+        return { ...row, available };
+    }
+
+    async getItem(database, id) {
+        try {
+            await this.ensureTable(database);
+            const row = await database.get(
+                `SELECT i.*, (SELECT COUNT(*) FROM shop_codes c WHERE c.item_id = i.id AND c.status = 'available') AS codes_available
+                 FROM shop_items i WHERE i.id = ?`,
+                [id]
+            );
+            return this.withStock(row);
+        } catch (error) {
+            console.error('Error in getItem (shop):', error);
+            throw error;
+        }
+    }
+
+    // Admin catalog with code counts per status
+    async listItems(database) {
+        try {
+            await this.ensureTable(database);
+            const rows = await database.all(
+                `SELECT i.*,
+                        (SELECT COUNT(*) FROM shop_codes c WHERE c.item_id = i.id AND c.status = 'available') AS codes_available,
+                        (SELECT COUNT(*) FROM shop_codes c WHERE c.item_id = i.id AND c.status = 'assigned') AS codes_assigned,
+                        (SELECT COUNT(*) FROM shop_orders o WHERE o.item_id = i.id AND o.status IN ('pending', 'processing')) AS open_orders
+                 FROM shop_items i ORDER BY i.sort_order ASC, i.id ASC`
+            );
+            return rows.map(row => this.withStock(row));
+        } catch (error) {
+            console.error('Error in listItems (shop):', error);
+            throw error;
+        }
+    }
+
+    // Active items for the mini app, with how many more times this user may redeem each
+    async listForUser(database, userId) {
+        try {
+            await this.ensureTable(database);
+            const rows = await database.all(
+                `SELECT i.id, i.name, i.description, i.item_type, i.points_price, i.stock, i.per_user_limit,
+                        (SELECT COUNT(*) FROM shop_codes c WHERE c.item_id = i.id AND c.status = 'available') AS codes_available,
+                        (SELECT COUNT(*) FROM shop_orders o WHERE o.item_id = i.id AND o.user_id = ? AND o.status NOT IN ('cancelled', 'refunded')) AS redeemed
+                 FROM shop_items i WHERE i.is_active = 1 ORDER BY i.sort_order ASC, i.id ASC`,
+                [userId]
+            );
+            return rows.map(row => {
+                const item = this.withStock(row);
+                const limit = parseInt(row.per_user_limit, 10) || 0;
+                const redeemed = parseInt(row.redeemed, 10) || 0;
+                return {
+                    id: item.id,
+                    name: item.name,
+                    description: item.description,
+                    type: item.item_type,
+                    price: parseInt(item.points_price, 10),
+                    available: item.available,
+                    perUserLimit: limit,
+                    remainingForUser: limit > 0 ? Math.max(0, limit - redeemed) : null
+                };
+            });
+        } catch (error) {
+            console.error('Error in listForUser (shop):', error);
+            throw error;
+        }
+    }
+
+    // Bulk upload: one code per line; blank lines and codes already on the item are skipped
+    async addCodes(database, itemId, text, adminTelegramId) {
+        try {
+            await this.ensureTable(database);
+            const item = await database.get('SELECT id, item_type FROM shop_items WHERE id = ?', [itemId]);
+            if (!item) throw ruleError('Item not found');
+            if (item.item_type !== 'code') throw ruleError('Codes can only be added to code items');
+            const codes = Array.from(new Set(String(text || '').split(/\r?\n/).map(c => c.trim()).filter(Boolean)));
+            if (!codes.length) throw ruleError('Paste at least one code (one per line)');
+            if (codes.length > MAX_CODES_PER_UPLOAD) throw ruleError(`Upload at most ${MAX_CODES_PER_UPLOAD} codes at a time`);
+            let added = 0;
+            await database.transaction(async (tx) => {
+                for (const code of codes) {
+                    const result = await tx.run(
+                        `INSERT INTO shop_codes (item_id, code, uploaded_by) VALUES (?, ?, ?) ON CONFLICT (item_id, code) DO NOTHING`,
+                        [itemId, code, adminTelegramId || null]
+                    );
+                    if (result && result.changes) added++;
+                }
+            });
+            return { added, duplicates: codes.length - added };
+        } catch (error) {
+            console.error('Error in addCodes (shop):', error);
+            throw error;
+        }
+    }
+
+    // Drop codes that were never handed out (e.g. a batch uploaded to the wrong item)
+    async removeAvailableCodes(database, itemId) {
+        try {
+            await this.ensureTable(database);
+            const result = await database.run(`DELETE FROM shop_codes WHERE item_id = ? AND status = 'available'`, [itemId]);
+            return result ? result.changes || 0 : 0;
+        } catch (error) {
+            console.error('Error in removeAvailableCodes (shop):', error);
+            throw error;
+        }
+    }
+
+    async recordEvent(database, orderId, fromStatus, toStatus, note, actorTelegramId) {
+        await database.run(
+            'INSERT INTO shop_order_events (order_id, from_status, to_status, note, actor_telegram_id) VALUES (?, ?, ?, ?, ?)',
+            [orderId, fromStatus, toStatus, note || null, actorTelegramId || null]
+        );
+    }
+
+    // Spend points on an item. Stock, the per-user limit and the code handout are decided under the item's row
+    // lock, so two redemptions can never get the same code or oversell. Throws rule errors and 'Insufficient points'.
+    async redeem(database, user, itemId) {
+        try {
+            await this.ensureTable(database);
+            await ledgerService.ensureTable(database);
+            if (user.is_banned) throw ruleError('Your account cannot redeem rewards');
+            let orderId = null;
+            await database.transaction(async (tx) => {
+                // No-op write takes the item's row lock on Postgres
+                await tx.run('UPDATE shop_items SET stock = stock WHERE id = ?', [itemId]);
+                const item = await tx.get('SELECT * FROM shop_items WHERE id = ?', [itemId]);
+                if (!item || !item.is_active) throw ruleError('This item is not available');
+                const limit = parseInt(item.per_user_limit, 10) || 0;
+                if (limit > 0) {
+                    const used = await tx.get(
+                        `SELECT COUNT(*) AS count FROM shop_orders WHERE user_id = ? AND item_id = ? AND status NOT IN ('cancelled', 'refunded')`,
+                        [user.id, item.id]
+                    );
+                    if ((parseInt(used && used.count, 10) || 0) >= limit) throw ruleError(`You can redeem this item at most ${limit} time${limit === 1 ? '' : 's'}`);
+                }
+
+                let code = null;
+                if (item.item_type === 'code') {
+                    code = await tx.get(`SELECT id FROM shop_codes WHERE item_id = ? AND status = 'available' ORDER BY id ASC LIMIT 1`, [item.id]);
+                    if (!code) throw ruleError('This item is out of stock');
+                } else if (item.stock != null) {
+                    const taken = await tx.run('UPDATE shop_items SET stock = stock - 1 WHERE id = ? AND stock > 0', [item.id]);
+                    if (!taken || !taken.changes) throw ruleError('This item is out of stock');
+                }
+
+                const status = code ? 'fulfilled' : 'pending';
+                const order = await tx.run(
+                    `INSERT INTO shop_orders (user_id, telegram_id, item_id, item_name, item_type, points_price, status, code_id)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [user.id, user.telegram_id, item.id, item.name, item.item_type, item.points_price, status, code ? code.id : null]
+                );
+                orderId = order.id;
+                await ledgerService.record(tx, {
+                    userId: user.id, delta: -parseInt(item.points_price, 10), reason: 'shop_redemption',
+                    referenceType: 'shop_order', referenceId: orderId, description: item.name
+                });
+                if (code) {
+                    const assigned = await tx.run(
+                        `UPDATE shop_codes SET status = 'assigned', order_id = ?, assigned_at = datetime('now') WHERE id = ? AND status = 'available'`,
+                        [orderId, code.id]
+                    );
+                    if (!assigned || !assigned.changes) throw ruleError('This item is out of stock');
+                }
+                await this.recordEvent(tx, orderId, null, status, null, user.telegram_id);
+            });
+            return this.getOrder(database, orderId);
+        } catch (error) {
+            console.error('Error in redeem (shop):', error);
+            throw error;
+        }
+    }
+
+    // Order without the code (safe to return to the mini app)
+    async getOrder(database, id) {
+        try {
+            await this.ensureTable(database);
+            return database.get('SELECT * FROM shop_orders WHERE id = ?', [id]);
+        } catch (error) {
+            console.error('Error in getOrder (shop):', error);
+            throw error;
+        }
+    }
+
+    async listOrdersForUser(database, userId, limit = 20) {
+        try {
+            await this.ensureTable(database);
+            return database.all(
+                `SELECT id, item_id, item_name, item_type, points_price, status, delivered_at, created_at, updated_at
+                 FROM shop_orders WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT ?`,
+                [userId, Math.min(parseInt(limit, 10) || 20, 100)]
+            );
+        } catch (error) {
+            console.error('Error in listOrdersForUser (shop):', error);
+            throw error;
+        }
+    }
+
+    // Admin order list; codes are not included. status may be one status or a list.
+    async listOrders(database, { status, itemId, telegramId, limit } = {}) {
+        try {
+            await this.ensureTable(database);
+            const where = [];
+            const params = [];
+            const statuses = [].concat(status || []);
+            if (statuses.length) {
+                where.push(`o.status IN (${statuses.map(() => '?').join(', ')})`);
+                params.push(...statuses);
+            }
+            if (itemId) { where.push('o.item_id = ?'); params.push(itemId); }
+            if (telegramId) { where.push('o.telegram_id = ?'); params.push(telegramId); }
+            params.push(Math.min(parseInt(limit, 10) || 100, 500));
+            const rows = await database.all(
+                `SELECT o.*, u.username FROM shop_orders o
+                 LEFT JOIN users u ON u.id = o.user_id
+                 ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+                 ORDER BY o.created_at DESC, o.id DESC LIMIT ?`,
+                params
+            );
+            return rows.map(row => ({ ...row, nextStatuses: ORDER_TRANSITIONS[row.status] || [] }));
+        } catch (error) {
+            console.error('Error in listOrders (shop):', error);
+            throw error;
+        }
+    }
+
+    async listOrderEvents(database, orderId) {
+        try {
+            await this.ensureTable(database);
+            return database.all('SELECT * FROM shop_order_events WHERE order_id = ? ORDER BY id ASC', [orderId]);
+        } catch (error) {
+            console.error('Error in listOrderEvents (shop):', error);
+            throw error;
+        }
+    }
+
+    // Admin transition along ORDER_TRANSITIONS. Cancel/refund return the points; cancelling puts manual stock
+    // back, refunding a code order voids the code. The user is messaged by the delivery job.
+    async setOrderStatus(database, orderId, status, { adminTelegramId, note } = {}) {
+        try {
+            await this.ensureTable(database);
+            await ledgerService.ensureTable(database);
+            if (!ORDER_TRANSITIONS[status]) throw ruleError('Invalid status');
+            await database.transaction(async (tx) => {
+                const order = await tx.get('SELECT * FROM shop_orders WHERE id = ?', [orderId]);
+                if (!order) throw ruleError('Order not found');
+                if (!ORDER_TRANSITIONS[order.status].includes(status)) throw ruleError(`An order that is ${order.status} cannot become ${status}`);
+                const changed = await tx.run(
+                    `UPDATE shop_orders SET status = ?, admin_note = COALESCE(?, admin_note), delivery_pending = 1, delivery_attempts = 0,
+                     updated_by = ?, updated_at = datetime('now') WHERE id = ? AND status = ?`,
+                    [status, note || null, adminTelegramId || null, orderId, order.status]
+                );
+                if (!changed || !changed.changes) throw ruleError('The order changed in the meantime; reload and try again');
+                if (REFUND_STATUSES.includes(status)) {
+                    await ledgerService.record(tx, {
+                        userId: order.user_id, delta: parseInt(order.points_price, 10), reason: 'shop_refund',
+                        referenceType: 'shop_order', referenceId: orderId, description: order.item_name, createdBy: adminTelegramId
+                    });
+                    if (status === 'cancelled' && order.item_type === 'manual') {
+                        await tx.run('UPDATE shop_items SET stock = stock + 1 WHERE id = ? AND stock IS NOT NULL', [order.item_id]);
+                    }
+                    if (order.code_id) await tx.run(`UPDATE shop_codes SET status = 'void' WHERE id = ?`, [order.code_id]);
+                }
+                await this.recordEvent(tx, orderId, order.status, status, note, adminTelegramId);
+            });
+            return this.getOrder(database, orderId);
+        } catch (error) {
+            console.error('Error in setOrderStatus (shop):', error);
+            throw error;
+        }
+    }
+
+    // Queue the current message again (e.g. the user blocked the bot and has since unblocked it)
+    async resendDelivery(database, orderId) {
+        try {
+            await this.ensureTable(database);
+            const result = await database.run('UPDATE shop_orders SET delivery_pending = 1, delivery_attempts = 0 WHERE id = ?', [orderId]);
+            return !!(result && result.changes);
+        } catch (error) {
+            console.error('Error in resendDelivery (shop):', error);
+            throw error;
+        }
+    }
+
+    deliveryMessage(order, code) {
+        const note = order.admin_note ? `\n\n${order.admin_note}` : '';
+        switch (order.status) {
+            case 'pending':
+                return `🛍️ Order #${order.id} received: ${order.item_name} for ${order.points_price} points. We'll message you here when it's ready.`;
+            case 'processing':
+                return `⏳ Order #${order.id} (${order.item_name}) is being processed.${note}`;
+            case 'fulfilled':
+                return code
+                    ? `🎁 Your ${order.item_name} (order #${order.id}):\n\n${code}\n\nKeep this code private.${note}`
+                    : `✅ Order #${order.id} (${order.item_name}) is complete.${note}`;
+            case 'cancelled':
+            case 'refunded':
+                return `↩️ Order #${order.id} (${order.item_name}) was ${order.status} and ${order.points_price} points were returned to your balance.${note}`;
+            default:
+                return null;
+        }
+    }
+
+    // Scheduled job body: sends queued order messages (codes included) by private bot message.
+    // notify(telegramId, text) resolves to true when delivered.
+    async deliverPending(database, notify, limit = 50) {
+        try {
+            await this.ensureTable(database);
+            const summary = { pending: 0, sent: 0, failed: 0 };
+            const orders = await database.all(
+                `SELECT o.*, c.code FROM shop_orders o
+                 LEFT JOIN shop_codes c ON c.id = o.code_id
+                 WHERE o.delivery_pending = 1 AND o.delivery_attempts < ?
+                 ORDER BY o.id ASC LIMIT ?`,
+                [MAX_DELIVERY_ATTEMPTS, limit]
+            );
+            for (const order of orders) {
+                summary.pending++;
+                const text = this.deliveryMessage(order, order.status === 'fulfilled' ? order.code : null);
+                const delivered = text && order.telegram_id ? await notify(order.telegram_id, text) : false;
+                if (delivered) {
+                    summary.sent++;
+                    await database.run(
+                        `UPDATE shop_orders SET delivery_pending = 0, delivery_attempts = delivery_attempts + 1, delivered_at = datetime('now')
+                         WHERE id = ? AND status = ?`,
+                        [order.id, order.status]
+                    );
+                } else {
+                    summary.failed++;
+                    await database.run('UPDATE shop_orders SET delivery_attempts = delivery_attempts + 1 WHERE id = ?', [order.id]);
+                }
+            }
+            return summary;
+        } catch (error) {
+            console.error('Error in deliverPending (shop):', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new ShopService();
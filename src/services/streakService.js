@@ -0,0 +1,255 @@
+const ledgerService = require('./ledgerService');
+
+// Daily login streaks. A "day" starts at streakDayStartHour (UTC), so a check-in at 01:00 with a 04:00
+// boundary still counts for the previous day. The reward comes from the streakRewards table (day 1..N);
+// after the last day the table repeats, or with streakAfterCycle = 'escalate' every further cycle adds
+// streakEscalateStep to each reward. Missed days break the streak unless the user owns enough streak
+// freezes (bought with points); those are used up automatically at the next check-in.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_REWARDS = [5, 10, 15, 20, 25, 30, 50];
+const CYCLE_MODES = ['repeat', 'escalate'];
+
+class StreakService {
+    constructor() {
+        this.ready = false;
+    }
+
+    get cycleModes() {
+        return CYCLE_MODES.slice();
+    }
+
+    async ensureTable(database) {
+        if (this.ready) return;
+        try {
+            if (database.isPostgres) {
+                await database.run(`CREATE TABLE IF NOT EXISTS login_streaks (
+                    id SERIAL PRIMARY KEY,
+                    user_id INTEGER UNIQUE NOT NULL,
+                    current_streak INTEGER NOT NULL DEFAULT 0,
+                    best_streak INTEGER NOT NULL DEFAULT 0,
+                    last_checkin_day TEXT,
+                    freezes INTEGER NOT NULL DEFAULT 0,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )`);
+                await database.run(`CREATE TABLE IF NOT EXISTS login_checkins (
+                    id SERIAL PRIMARY KEY,
+                    user_id INTEGER NOT NULL,
+                    day TEXT NOT NULL,
+                    streak_day INTEGER NOT NULL,
+                    points INTEGER NOT NULL,
+                    freezes_used INTEGER NOT NULL DEFAULT 0,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE (user_id, day)
+                )`);
+            } else {
+                await database.run(`CREATE TABLE IF NOT EXISTS login_streaks (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER UNIQUE NOT NULL,
+                    current_streak INTEGER NOT NULL DEFAULT 0,
+                    best_streak INTEGER NOT NULL DEFAULT 0,
+                    last_checkin_day TEXT,
+                    freezes INTEGER NOT NULL DEFAULT 0,
+                    updated_at DATETIME DEFAULT (datetime('now'))
+                )`);
+                await database.run(`CREATE TABLE IF NOT EXISTS login_checkins (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    day TEXT NOT NULL,
+                    streak_day INTEGER NOT NULL,
+                    points INTEGER NOT NULL,
+                    freezes_used INTEGER NOT NULL DEFAULT 0,
+                    created_at DATETIME DEFAULT (datetime('now')),
+                    UNIQUE (user_id, day)
+                )`);
+            }
+            this.ready = true;
+        } catch (error) {
+            console.error('Error in ensureTable (streaks):', error);
+            throw error;
+        }
+    }
+
+    // "5,10,15" -> [5, 10, 15]; invalid or empty -> null
+    parseRewards(value) {
+        const parts = String(value == null ? '' : value).split(/[\s,]+/).filter(Boolean);
+        const rewards = parts.map(v => parseInt(v, 10));
+        if (!rewards.length || rewards.some(n => !Number.isFinite(n) || n < 0)) return null;
+        return rewards;
+    }
+
+    async getPolicy(database) {
+        try {
+            const rows = await database.all(
+                `SELECT config_key, config_value FROM admin_config WHERE config_key IN
+                 ('streakRewards', 'streakAfterCycle', 'streakEscalateStep', 'streakDayStartHour', 'streakFreezeEnabled', 'streakFreezeCost', 'streakFreezeMax')`
+            );
+            const cfg = Object.fromEntries(rows.map(r => [r.config_key, r.config_value]));
+            const int = (value, fallback, min, max) => {
+                const n = parseInt(value, 10);
+                return Number.isFinite(n) && n >= min && n <= max ? n : fallback;
+            };
+            return {
+                rewards: this.parseRewards(cfg.streakRewards) || DEFAULT_REWARDS.slice(),
+                afterCycle: CYCLE_MODES.includes(cfg.streakAfterCycle) ? cfg.streakAfterCycle : 'repeat',
+                escalateStep: int(cfg.streakEscalateStep, 5, 0, 1000000),
+                dayStartHour: int(cfg.streakDayStartHour, 0, 0, 23),
+                freezeEnabled: cfg.streakFreezeEnabled !== 'false',
+                freezeCost: int(cfg.streakFreezeCost, 100, 1, 100000000),
+                freezeMax: int(cfg.streakFreezeMax, 2, 0, 365)
+            };
+        } catch (error) {
+            console.error('Error in getPolicy (streaks):', error);
+            throw error;
+        }
+    }
+
+    // 'YYYY-MM-DD' of the streak day containing `now`
+    dayKey(policy, now = Date.now()) {
+        return new Date(now - policy.dayStartHour * 60 * 60 * 1000).toISOString().slice(0, 10);
+    }
+
+    daysBetween(fromKey, toKey) {
+        return Math.round((Date.parse(toKey + 'T00:00:00Z') - Date.parse(fromKey + 'T00:00:00Z')) / DAY_MS);
+    }
+
+    // When the current streak day ends (ISO)
+    nextBoundary(policy, now = Date.now()) {
+        const start = Date.parse(this.dayKey(policy, now) + 'T00:00:00Z') + policy.dayStartHour * 60 * 60 * 1000;
+        return new Date(start + DAY_MS).toISOString();
+    }
+
+    rewardFor(policy, streakDay) {
+        const len = policy.rewards.length;
+        const index = (streakDay - 1) % len;
+        const cycle = Math.floor((streakDay - 1) / len);
+        return policy.rewards[index] + (policy.afterCycle === 'escalate' ? cycle * policy.escalateStep : 0);
+    }
+
+    async getRow(database, userId) {
+        return database.get('SELECT * FROM login_streaks WHERE user_id = ?', [userId]);
+    }
+
+    // Where the streak stands for `today`: whether it continues, how many freezes that would take
+    evaluate(policy, row, today) {
+        const current = row ? parseInt(row.current_streak, 10) || 0 : 0;
+        const freezes = row ? parseInt(row.freezes, 10) || 0 : 0;
+        if (!row || !row.last_checkin_day || current === 0) {
+            return { checkedInToday: false, streak: 0, nextDay: 1, missedDays: 0, freezesNeeded: 0, broken: false };
+        }
+        const gap = this.daysBetween(row.last_checkin_day, today);
+        if (gap <= 0) return { checkedInToday: true, streak: current, nextDay: current + 1, missedDays: 0, freezesNeeded: 0, broken: false };
+        const missed = gap - 1;
+        if (missed === 0) return { checkedInToday: false, streak: current, nextDay: current + 1, missedDays: 0, freezesNeeded: 0, broken: false };
+        if (policy.freezeEnabled && freezes >= missed) {
+            return { checkedInToday: false, streak: current, nextDay: current + 1, missedDays: missed, freezesNeeded: missed, broken: false };
+        }
+        return { checkedInToday: false, streak: 0, nextDay: 1, missedDays: missed, freezesNeeded: 0, broken: true };
+    }
+
+    // Streak state for the earn page, including the check-in calendar for the current cycle
+    async getState(database, userId, now = Date.now()) {
+        try {
+            await this.ensureTable(database);
+            const policy = await this.getPolicy(database);
+            const row = await this.getRow(database, userId);
+            const today = this.dayKey(policy, now);
+            const state = this.evaluate(policy, row, today);
+            // Calendar covers the cycle containing today's (or the next) check-in
+            const focusDay = state.checkedInToday ? state.streak : state.nextDay;
+            const len = policy.rewards.length;
+            const first = Math.floor((focusDay - 1) / len) * len + 1;
+            const calendar = [];
+            for (let day = first; day < first + len; day++) {
+                let status = 'upcoming';
+                if (day < focusDay || (state.checkedInToday && day === focusDay)) status = 'claimed';
+                else if (day === focusDay) status = 'today';
+                calendar.push({ day, reward: this.rewardFor(policy, day), status });
+            }
+            return {
+                today,
+                checkedInToday: state.checkedInToday,
+                currentStreak: state.streak,
+                bestStreak: row ? parseInt(row.best_streak, 10) || 0 : 0,
+                nextReward: state.checkedInToday ? null : this.rewardFor(policy, state.nextDay),
+                missedDays: state.missedDays,
+                freezesNeeded: state.freezesNeeded,
+                broken: state.broken,
+                freezes: row ? parseInt(row.freezes, 10) || 0 : 0,
+                freeze: { enabled: policy.freezeEnabled, cost: policy.freezeCost, max: policy.freezeMax },
+                dayStartHour: policy.dayStartHour,
+                nextResetAt: this.nextBoundary(policy, now),
+                calendar
+            };
+        } catch (error) {
+            console.error('Error in getState (streaks):', error);
+            throw error;
+        }
+    }
+
+    // Records today's check-in inside the caller's transaction and advances the streak (using freezes to
+    // cover missed days). Returns null if the user already checked in today; the caller credits the points.
+    async checkIn(database, userId, now = Date.now()) {
+        try {
+            await this.ensureTable(database);
+            const policy = await this.getPolicy(database);
+            const today = this.dayKey(policy, now);
+            await database.run(
+                `INSERT INTO login_streaks (user_id) VALUES (?) ON CONFLICT (user_id) DO NOTHING`,
+                [userId]
+            );
+            // No-op write takes the row lock on Postgres
+            await database.run('UPDATE login_streaks SET freezes = freezes WHERE user_id = ?', [userId]);
+            const row = await this.getRow(database, userId);
+            const state = this.evaluate(policy, row, today);
+            if (state.checkedInToday) return null;
+
+            const streakDay = state.nextDay;
+            const points = this.rewardFor(policy, streakDay);
+            const claimed = await database.run(
+                `INSERT INTO login_checkins (user_id, day, streak_day, points, freezes_used) VALUES (?, ?, ?, ?, ?)
+                 ON CONFLICT (user_id, day) DO NOTHING`,
+                [userId, today, streakDay, points, state.freezesNeeded]
+            );
+            if (!claimed || !claimed.changes) return null;
+            await database.run(
+                `UPDATE login_streaks SET current_streak = ?, best_streak = CASE WHEN best_streak > ? THEN best_streak ELSE ? END,
+                 last_checkin_day = ?, freezes = freezes - ?, updated_at = datetime('now') WHERE user_id = ?`,
+                [streakDay, streakDay, streakDay, today, state.freezesNeeded, userId]
+            );
+            return { checkinId: claimed.id, day: today, streakDay, points, freezesUsed: state.freezesNeeded, streakReset: state.broken };
+        } catch (error) {
+            console.error('Error in checkIn (streaks):', error);
+            throw error;
+        }
+    }
+
+    // Spend points on one streak freeze; throws 'Streak freezes are not available',
+    // 'You already hold the maximum number of streak freezes' or 'Insufficient points'
+    async buyFreeze(database, userId) {
+        try {
+            await this.ensureTable(database);
+            await ledgerService.ensureTable(database);
+            const policy = await this.getPolicy(database);
+            if (!policy.freezeEnabled || policy.freezeMax <= 0) throw new Error('Streak freezes are not available');
+            let freezes = 0;
+            await database.transaction(async (tx) => {
+                await tx.run(`INSERT INTO login_streaks (user_id) VALUES (?) ON CONFLICT (user_id) DO NOTHING`, [userId]);
+                await tx.run('UPDATE login_streaks SET freezes = freezes WHERE user_id = ?', [userId]);
+                const row = await this.getRow(tx, userId);
+                const owned = parseInt(row.freezes, 10) || 0;
+                if (owned >= policy.freezeMax) throw new Error('You already hold the maximum number of streak freezes');
+                await ledgerService.record(tx, {
+                    userId, delta: -policy.freezeCost, reason: 'streak_freeze', referenceType: 'login_streak', referenceId: row.id
+                });
+                await tx.run(`UPDATE login_streaks SET freezes = freezes + 1, updated_at = datetime('now') WHERE user_id = ?`, [userId]);
+                freezes = owned + 1;
+            });
+            return { freezes, cost: policy.freezeCost };
+        } catch (error) {
+            console.error('Error in buyFreeze (streaks):', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new StreakService();
@@ -1,146 +1,1082 @@
 const userService = require('./userService');
+const streakService = require('./streakService');
+const levelService = require('./levelService');
+const adminService = require('./adminService');
+const verifiers = require('./verifiers');
+const { sqlTime, isoTime, ruleError, isRuleError } = require('./helpers');
+
+// One task model for every platform. A task_definitions row has a type (the tab it shows under: telegram,
+// whatsapp, website or any other slug), a link, a reward, an optional min_level and a verifier (see
+// ./verifiers) with its settings in verifier_config. A user's progress on a task is one task_claims row:
+// 'started' (postback token handed out), 'pending' (waiting for a timer), 'review' (proof waiting for an
+// admin), 'completed', or 'rejected' / 'revoked', after which the task can be claimed again. 'forfeited' is
+// a join revoked when the user no longer had the points to give back; it stays final so the reward can't be
+// earned twice.
+// The old channels, groups and social_tasks tables and their join/claim tables are copied in once by
+// importLegacy and are no longer written to.
+// A task may have a window (start_at / end_at): users only see it inside the window, and applySchedule (a bot
+// job) switches is_active on at the start and off at the end. schedule_state records which boundary is next:
+// 'scheduled' (waiting to start), 'live' (waiting to end), 'ended', or NULL for tasks without a window or
+// switched off by hand.
+// A task may also have a budget (max_completions and/or points_budget, e.g. the joins a sponsor paid for).
+// completeClaim counts every completion into completions_count / points_spent with a conditional UPDATE, so
+// the budget can't be overspent by concurrent claims; the task switches itself off when the budget runs out.
+// budget_warned_at (80% spent) and budget_exhausted_at mark the alerts notifyBudgetAlerts sends to admins;
+// budget_notified records the last one sent ('warned' or 'exhausted').
+// Screenshots attached to proof claims are kept in task_proof_images (one per claim, replaced on resubmission)
+// so the admin review queue can show them.
+const CLAIM_STATUSES = ['started', 'pending', 'review', 'completed', 'rejected', 'revoked', 'forfeited'];
+const TYPE_LABELS = {
+    telegram: 'Telegram',
+    whatsapp: 'WhatsApp',
+    facebook: 'Facebook',
+    tiktok: 'TikTok',
+    youtube: 'YouTube',
+    instagram: 'Instagram',
+    twitter: 'X',
+    website: 'Website',
+    quiz: 'Quiz'
+};
+const MAX_REWARD = 1000000;
+const SCHEDULE_COLUMNS = [['start_at', 'TIMESTAMP', 'DATETIME'], ['end_at', 'TIMESTAMP', 'DATETIME'], ['schedule_state', 'TEXT', 'TEXT']];
+const BUDGET_COLUMNS = [
+    ['max_completions', 'INTEGER', 'INTEGER'], ['points_budget', 'INTEGER', 'INTEGER'],
+    ['completions_count', 'INTEGER NOT NULL DEFAULT 0', 'INTEGER NOT NULL DEFAULT 0'], ['points_spent', 'INTEGER NOT NULL DEFAULT 0', 'INTEGER NOT NULL DEFAULT 0'],
+    ['budget_warned_at', 'TIMESTAMP', 'DATETIME'], ['budget_exhausted_at', 'TIMESTAMP', 'DATETIME'], ['budget_notified', 'TEXT', 'TEXT']
+];
+const CLAIM_COLUMNS = [['attempts', 'INTEGER NOT NULL DEFAULT 0', 'INTEGER NOT NULL DEFAULT 0']];
+const BUDGET_WARN_RATIO = 0.8;
+const BUDGET_BACKFILL_KEY = 'tasksBudgetCountersAt';
+const MAX_BULK_REVIEW = 100;
+const MAX_REJECT_REASONS = 20;
+const DEFAULT_REJECT_REASONS = [
+    'The screenshot does not show the task was completed',
+    'The proof is unreadable or cropped',
+    'Wrong account, post or link',
+    'This proof was already used'
+];
+const LEGACY_IMPORT_KEY = 'tasksLegacyImportedAt';
+
+// Admin input (ISO string, '' or null) -> ms, null for "no date"
+function parseTime(value, label) {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const ms = Date.parse(String(value));
+    if (!Number.isFinite(ms)) throw ruleError(`${label} is not a valid date`);
+    return ms;
+}
+
+// is_active / schedule_state for a task that should run (wantActive) within [startMs, endMs)
+function scheduleFor(startMs, endMs, wantActive, now) {
+    if (!wantActive) return { isActive: 0, state: null };
+    if (endMs !== null && endMs <= now) return { isActive: 0, state: 'ended' };
+    if (startMs !== null && startMs > now) return { isActive: 0, state: 'scheduled' };
+    return { isActive: 1, state: startMs !== null || endMs !== null ? 'live' : null };
+}
+
+// Admin input -> positive whole number, null for "no limit"
+function parseLimit(value, label) {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 1) throw ruleError(`${label} must be a whole number above zero (or blank for no limit)`);
+    return n;
+}
+
+// Remaining capacity of a task row. exhausted: another completion can't be paid for; ratio: the larger share
+// spent of the two budgets (0 without a budget).
+function budgetFor(row) {
+    const max = row.max_completions == null ? null : parseInt(row.max_completions, 10);
+    const pointsBudget = row.points_budget == null ? null : parseInt(row.points_budget, 10);
+    const count = parseInt(row.completions_count, 10) || 0;
+    const spent = parseInt(row.points_spent, 10) || 0;
+    const reward = parseInt(row.points_reward, 10) || 0;
+    const remainingCompletions = max === null ? null : Math.max(0, max - count);
+    const remainingPoints = pointsBudget === null ? null : Math.max(0, pointsBudget - spent);
+    const ratios = [max ? count / max : 0, pointsBudget ? spent / pointsBudget : 0];
+    return {
+        remainingCompletions,
+        remainingPoints,
+        exhausted: remainingCompletions === 0 || (remainingPoints !== null && remainingPoints < reward),
+        ratio: Math.max(...ratios)
+    };
+}
+
+function parseConfig(row) {
+    try {
+        return JSON.parse(row.verifier_config || '{}') || {};
+    } catch (_) {
+        return {};
+    }
+}
 
 class TaskService {
-    async getAvailableTasks(database, userId) {
+    constructor() {
+        this.ready = false;
+    }
+
+    get claimStatuses() {
+        return CLAIM_STATUSES.slice();
+    }
+
+    isRuleError(error) {
+        return isRuleError(error);
+    }
+
+    typeLabel(type) {
+        if (TYPE_LABELS[type]) return TYPE_LABELS[type];
+        return String(type).replace(/[_-]+/g, ' ').replace(/^\w/, c => c.toUpperCase());
+    }
+
+    async ensureTable(database) {
+        if (this.ready) return;
         try {
-            // Get channels user hasn't joined
-            const availableChannels = await database.query(
-                `SELECT c.* 
-                 FROM channels c
-                 WHERE c.is_active = 1 
-                 AND c.id NOT IN (
-                     SELECT channel_id FROM user_channel_joins WHERE user_id = ?
-                 )
-                 ORDER BY c.points_reward DESC`,
-                [userId]
+            if (database.isPostgres) {
+                await database.run(`CREATE TABLE IF NOT EXISTS task_definitions (
+                    id SERIAL PRIMARY KEY,
+                    type TEXT NOT NULL,
+                    title TEXT NOT NULL,
+                    description TEXT,
+                    link TEXT,
+                    verifier TEXT NOT NULL,
+                    verifier_config TEXT,
+                    points_reward INTEGER NOT NULL DEFAULT 0,
+                    min_level INTEGER NOT NULL DEFAULT 0,
+                    is_active INTEGER NOT NULL DEFAULT 1,
+                    sort_order INTEGER NOT NULL DEFAULT 0,
+                    start_at TIMESTAMP,
+                    end_at TIMESTAMP,
+                    schedule_state TEXT,
+                    max_completions INTEGER,
+                    points_budget INTEGER,
+                    completions_count INTEGER NOT NULL DEFAULT 0,
+                    points_spent INTEGER NOT NULL DEFAULT 0,
+                    budget_warned_at TIMESTAMP,
+                    budget_exhausted_at TIMESTAMP,
+                    budget_notified TEXT,
+                    legacy_source TEXT,
+                    legacy_id INTEGER,
+                    updated_by BIGINT,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE (legacy_source, legacy_id)
+                )`);
+                await database.run(`CREATE TABLE IF NOT EXISTS task_claims (
+                    id SERIAL PRIMARY KEY,
+                    task_id INTEGER NOT NULL,
+                    user_id INTEGER NOT NULL,
+                    status TEXT NOT NULL DEFAULT 'started',
+                    token TEXT,
+                    proof TEXT,
+                    attempts INTEGER NOT NULL DEFAULT 0,
+                    points_earned INTEGER NOT NULL DEFAULT 0,
+                    available_at TIMESTAMP,
+                    review_note TEXT,
+                    reviewed_by BIGINT,
+                    reviewed_at TIMESTAMP,
+                    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    submitted_at TIMESTAMP,
+                    completed_at TIMESTAMP,
+                    revoked_at TIMESTAMP,
+                    revoke_reason TEXT,
+                    last_verified_at TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE (task_id, user_id)
+                )`);
+                await database.run(`CREATE TABLE IF NOT EXISTS task_proof_images (
+                    id SERIAL PRIMARY KEY,
+                    claim_id INTEGER NOT NULL UNIQUE,
+                    mime TEXT NOT NULL,
+                    data TEXT NOT NULL,
+                    size INTEGER NOT NULL DEFAULT 0,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )`);
+            } else {
+                await database.run(`CREATE TABLE IF NOT EXISTS task_definitions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    type TEXT NOT NULL,
+                    title TEXT NOT NULL,
+                    description TEXT,
+                    link TEXT,
+                    verifier TEXT NOT NULL,
+                    verifier_config TEXT,
+                    points_reward INTEGER NOT NULL DEFAULT 0,
+                    min_level INTEGER NOT NULL DEFAULT 0,
+                    is_active INTEGER NOT NULL DEFAULT 1,
+                    sort_order INTEGER NOT NULL DEFAULT 0,
+                    start_at DATETIME,
+                    end_at DATETIME,
+                    schedule_state TEXT,
+                    max_completions INTEGER,
+                    points_budget INTEGER,
+                    completions_count INTEGER NOT NULL DEFAULT 0,
+                    points_spent INTEGER NOT NULL DEFAULT 0,
+                    budget_warned_at DATETIME,
+                    budget_exhausted_at DATETIME,
+                    budget_notified TEXT,
+                    legacy_source TEXT,
+                    legacy_id INTEGER,
+                    updated_by INTEGER,
+                    created_at DATETIME DEFAULT (datetime('now')),
+                    updated_at DATETIME DEFAULT (datetime('now')),
+                    UNIQUE (legacy_source, legacy_id)
+                )`);
+                await database.run(`CREATE TABLE IF NOT EXISTS task_claims (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    task_id INTEGER NOT NULL,
+                    user_id INTEGER NOT NULL,
+                    status TEXT NOT NULL DEFAULT 'started',
+                    token TEXT,
+                    proof TEXT,
+                    attempts INTEGER NOT NULL DEFAULT 0,
+                    points_earned INTEGER NOT NULL DEFAULT 0,
+                    available_at DATETIME,
+                    review_note TEXT,
+                    reviewed_by INTEGER,
+                    reviewed_at DATETIME,
+                    started_at DATETIME DEFAULT (datetime('now')),
+                    submitted_at DATETIME,
+                    completed_at DATETIME,
+                    revoked_at DATETIME,
+                    revoke_reason TEXT,
+                    last_verified_at DATETIME,
+                    updated_at DATETIME DEFAULT (datetime('now')),
+                    UNIQUE (task_id, user_id)
+                )`);
+                await database.run(`CREATE TABLE IF NOT EXISTS task_proof_images (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    claim_id INTEGER NOT NULL UNIQUE,
+                    mime TEXT NOT NULL,
+                    data TEXT NOT NULL,
+                    size INTEGER NOT NULL DEFAULT 0,
+                    created_at DATETIME DEFAULT (datetime('now'))
+                )`);
+            }
+            // Task windows, budgets and quiz attempts came after the first version of the tables
+            const added = [
+                ...[...SCHEDULE_COLUMNS, ...BUDGET_COLUMNS].map(c => ['task_definitions', ...c]),
+                ...CLAIM_COLUMNS.map(c => ['task_claims', ...c])
+            ];
+            for (const [table, column, pgType, sqliteType] of added) {
+                if (database.isPostgres) {
+                    await database.run(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${column} ${pgType}`);
+                } else {
+                    try { await database.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${sqliteType}`); } catch (_) { /* already there */ }
+                }
+            }
+            await database.run('CREATE INDEX IF NOT EXISTS idx_task_claims_user ON task_claims (user_id, status)');
+            await database.run('CREATE INDEX IF NOT EXISTS idx_task_claims_status ON task_claims (status, available_at)');
+            await database.run('CREATE INDEX IF NOT EXISTS idx_task_claims_token ON task_claims (task_id, token)');
+            await database.run('CREATE INDEX IF NOT EXISTS idx_task_definitions_schedule ON task_definitions (schedule_state)');
+            await this.importLegacy(database);
+            await this.backfillBudgetCounters(database);
+            this.ready = true;
+        } catch (error) {
+            console.error('Error in ensureTable (tasks):', error);
+            throw error;
+        }
+    }
+
+    // Copies channels, groups and social tasks (with joins and claims) into the task tables. Runs once per
+    // install; the (legacy_source, legacy_id) and (task_id, user_id) keys make a repeated run harmless.
+    async importLegacy(database) {
+        try {
+            const done = await database.get('SELECT config_value FROM admin_config WHERE config_key = ?', [LEGACY_IMPORT_KEY]);
+            if (done) return;
+            // min_level and the re-verification columns may be missing on installs that never ran those upgrades
+            await levelService.ensureTable(database);
+            for (const table of ['user_channel_joins', 'user_group_joins']) {
+                for (const [column, type] of [['revoked_at', database.isPostgres ? 'TIMESTAMP' : 'DATETIME'], ['revoke_reason', 'TEXT'], ['last_verified_at', database.isPostgres ? 'TIMESTAMP' : 'DATETIME']]) {
+                    if (database.isPostgres) {
+                        await database.run(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${column} ${type}`);
+                    } else {
+                        try { await database.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`); } catch (_) { /* already there */ }
+                    }
+                }
+            }
+
+            const sources = [
+                {
+                    source: 'channel', table: 'channels',
+                    map: c => ({
+                        type: 'telegram', title: c.channel_name, link: c.channel_username ? `https://t.me/${c.channel_username}` : null,
+                        verifier: 'telegram_membership', config: { chatId: String(c.channel_id), chatType: 'channel' }
+                    })
+                },
+                {
+                    source: 'group', table: 'groups',
+                    map: g => ({
+                        type: 'telegram', title: g.group_name, link: g.group_username ? `https://t.me/${g.group_username}` : null,
+                        verifier: 'telegram_membership', config: { chatId: String(g.group_id), chatType: 'group' }
+                    })
+                },
+                {
+                    source: 'social', table: 'social_tasks',
+                    map: t => ({
+                        type: t.platform, title: t.task_name, link: t.task_link,
+                        verifier: 'timed_delay', config: { delayMinutes: t.platform === 'website' ? 20 : 15 }
+                    })
+                }
+            ];
+            for (const { source, table, map } of sources) {
+                const rows = await database.all(`SELECT * FROM ${table} ORDER BY id`);
+                for (const row of rows) {
+                    const task = map(row);
+                    await database.run(
+                        `INSERT INTO task_definitions (type, title, description, link, verifier, verifier_config, points_reward, min_level, is_active, legacy_source, legacy_id, created_at)
+                         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, datetime('now')))
+                         ON CONFLICT (legacy_source, legacy_id) DO NOTHING`,
+                        [task.type, task.title, row.description || null, task.link, task.verifier, JSON.stringify(task.config),
+                            parseInt(row.points_reward, 10) || 0, parseInt(row.min_level, 10) || 0, row.is_active ? 1 : 0, source, row.id, row.created_at || null]
+                    );
+                }
+            }
+
+            // "WHERE 1 = 1" keeps SQLite from reading ON CONFLICT as part of the join
+            for (const [source, table, fk] of [['channel', 'user_channel_joins', 'channel_id'], ['group', 'user_group_joins', 'group_id']]) {
+                await database.run(
+                    `INSERT INTO task_claims (task_id, user_id, status, points_earned, started_at, completed_at, revoked_at, revoke_reason, last_verified_at)
+                     SELECT t.id, j.user_id, CASE WHEN j.revoked_at IS NULL THEN 'completed' ELSE 'revoked' END, COALESCE(j.points_earned, 0),
+                            j.joined_at, j.joined_at, j.revoked_at, j.revoke_reason, j.last_verified_at
+                     FROM ${table} j JOIN task_definitions t ON t.legacy_source = '${source}' AND t.legacy_id = j.${fk}
+                     WHERE 1 = 1
+                     ON CONFLICT (task_id, user_id) DO NOTHING`
+                );
+            }
+            await database.run(
+                `INSERT INTO task_claims (task_id, user_id, status, points_earned, available_at, started_at, submitted_at, completed_at)
+                 SELECT t.id, c.user_id, c.status, COALESCE(c.points_earned, 0), c.available_at, c.requested_at, c.requested_at, c.completed_at
+                 FROM user_social_claims c JOIN task_definitions t ON t.legacy_source = 'social' AND t.legacy_id = c.social_task_id
+                 WHERE 1 = 1
+                 ON CONFLICT (task_id, user_id) DO NOTHING`
+            );
+            await database.run(
+                `INSERT INTO admin_config (config_key, config_value) VALUES (?, ?) ON CONFLICT (config_key) DO NOTHING`,
+                [LEGACY_IMPORT_KEY, new Date().toISOString()]
             );
+        } catch (error) {
+            console.error('Error in importLegacy (tasks):', error);
+            throw error;
+        }
+    }
 
-            // Get groups user hasn't joined
-            const availableGroups = await database.query(
-                `SELECT g.* 
-                 FROM groups g
-                 WHERE g.is_active = 1 
-                 AND g.id NOT IN (
-                     SELECT group_id FROM user_group_joins WHERE user_id = ?
-                 )
-                 ORDER BY g.points_reward DESC`,
-                [userId]
+    // Budget counters start from the completions made before they existed. Runs once per install.
+    async backfillBudgetCounters(database) {
+        try {
+            const done = await database.get('SELECT config_value FROM admin_config WHERE config_key = ?', [BUDGET_BACKFILL_KEY]);
+            if (done) return;
+            await database.run(
+                `UPDATE task_definitions SET
+                    completions_count = (SELECT COUNT(*) FROM task_claims c WHERE c.task_id = task_definitions.id AND c.status = 'completed'),
+                    points_spent = (SELECT COALESCE(SUM(c.points_earned), 0) FROM task_claims c WHERE c.task_id = task_definitions.id AND c.status = 'completed')`
             );
+            await database.run(
+                `INSERT INTO admin_config (config_key, config_value) VALUES (?, ?) ON CONFLICT (config_key) DO NOTHING`,
+                [BUDGET_BACKFILL_KEY, new Date().toISOString()]
+            );
+        } catch (error) {
+            console.error('Error in backfillBudgetCounters (tasks):', error);
+            throw error;
+        }
+    }
 
-            return {
-                channels: availableChannels,
-                groups: availableGroups
-            };
+    verifierFor(task) {
+        const verifier = verifiers.get(task.verifier);
+        if (!verifier) throw ruleError('This task is not available right now', 409);
+        return verifier;
+    }
+
+    async getTask(database, taskId) {
+        try {
+            await this.ensureTable(database);
+            const row = await database.get('SELECT * FROM task_definitions WHERE id = ?', [taskId]);
+            return row ? { ...row, config: parseConfig(row) } : null;
         } catch (error) {
-            console.error('Error in getAvailableTasks:', error);
+            console.error('Error in getTask:', error);
             throw error;
         }
     }
 
-    async getChannelById(database, channelId) {
+    async getClaim(database, taskId, userId) {
+        return database.get('SELECT * FROM task_claims WHERE task_id = ? AND user_id = ?', [taskId, userId]);
+    }
+
+    // {token} and {telegram_id} in a task link are filled in per user
+    linkFor(task, user, token) {
+        if (!task.link) return null;
+        return String(task.link)
+            .replace(/\{telegram_id\}/g, encodeURIComponent(String(user.telegram_id)))
+            .replace(/\{token\}/g, token ? encodeURIComponent(token) : '');
+    }
+
+    // What the mini app and bot get for one task (no secret verifier settings)
+    present(row, user) {
+        const verifier = verifiers.get(row.verifier);
+        const config = parseConfig(row);
+        return {
+            id: row.id,
+            type: row.type,
+            typeLabel: this.typeLabel(row.type),
+            title: row.title,
+            description: row.description,
+            link: this.linkFor(row, user, row.claim_token),
+            points_reward: row.points_reward,
+            min_level: row.min_level,
+            endsAt: isoTime(row.end_at),
+            input: verifier ? verifier.input || null : null,
+            needsStart: !!(verifier && verifier.start),
+            config: verifier && verifier.publicConfig ? verifier.publicConfig(config) : {},
+            claim: row.claim_status ? {
+                status: row.claim_status,
+                availableAt: isoTime(row.available_at),
+                reviewNote: row.review_note || null,
+                attempts: parseInt(row.claim_attempts, 10) || 0
+            } : null
+        };
+    }
+
+    // Active tasks the user's level unlocks and that they haven't completed; finalizes due timed claims first
+    async getAvailableTasks(database, user, { level = 0 } = {}) {
         try {
-            return await database.get(
-                'SELECT * FROM channels WHERE id = ? AND is_active = 1',
-                [channelId]
+            await this.ensureTable(database);
+            await this.finalizeDue(database, user);
+            const rows = await database.all(
+                `SELECT t.*, c.status AS claim_status, c.token AS claim_token, c.available_at, c.review_note, c.attempts AS claim_attempts
+                 FROM task_definitions t
+                 LEFT JOIN task_claims c ON c.task_id = t.id AND c.user_id = ?
+                 WHERE t.is_active = 1 AND t.min_level <= ?
+                 AND (t.start_at IS NULL OR t.start_at <= ?) AND (t.end_at IS NULL OR t.end_at > ?)
+                 AND (c.status IS NULL OR c.status NOT IN ('completed', 'forfeited'))
+                 ORDER BY t.sort_order ASC, t.created_at ASC, t.id ASC`,
+                [user.id, level, sqlTime(Date.now()), sqlTime(Date.now())]
             );
+            const tasks = rows.filter(r => verifiers.get(r.verifier)).map(r => this.present(r, user));
+            // Tabs: known platforms in their usual order, then any other type
+            const known = Object.keys(TYPE_LABELS);
+            const types = Array.from(new Set(['telegram', ...tasks.map(t => t.type)]))
+                .sort((a, b) => (known.indexOf(a) + 1 || known.length + 1) - (known.indexOf(b) + 1 || known.length + 1))
+                .map(type => ({ type, label: this.typeLabel(type) }));
+            return { tasks, types };
         } catch (error) {
-            console.error('Error in getChannelById:', error);
+            console.error('Error in getAvailableTasks:', error);
             throw error;
         }
     }
 
-    async getGroupById(database, groupId) {
+    // Window, level gate and daily limit; throws a rule error when the user can't act on the task now
+    async checkAccess(database, user, task, { dailyLimit = true } = {}) {
+        if (!task || !task.is_active) throw ruleError('Task not found', 404);
+        const now = Date.now();
+        const startAt = isoTime(task.start_at);
+        const endAt = isoTime(task.end_at);
+        if (startAt && Date.parse(startAt) > now) throw ruleError('This task has not started yet', 403);
+        if (endAt && Date.parse(endAt) <= now) throw ruleError('This task has ended', 410);
+        const required = parseInt(task.min_level, 10) || 0;
+        if (required > 0) {
+            const { level } = await levelService.getUserLevel(database, user);
+            if (level < required) throw ruleError(`This task unlocks at level ${required}`, 403);
+        }
+        if (dailyLimit) {
+            const limit = await userService.checkDailyLimit(database, user.id);
+            if (!limit.can_complete) throw ruleError('Daily task limit reached');
+        }
+    }
+
+    claimBlocker(claim) {
+        if (claim && claim.status === 'completed') return ruleError('You have already completed this task');
+        if (claim && claim.status === 'forfeited') return ruleError('This task can no longer be completed');
+        if (claim && claim.status === 'review') return ruleError('Your proof is already waiting for review');
+        return null;
+    }
+
+    // User opens the task. Verifiers with a start hook (postback) get a claim and a token for the link.
+    // Returns { link }.
+    async start(database, user, taskId) {
         try {
-            return await database.get(
-                'SELECT * FROM groups WHERE id = ? AND is_active = 1',
-                [groupId]
-            );
+            const task = await this.getTask(database, taskId);
+            if (!task) throw ruleError('Task not found', 404);
+            const verifier = this.verifierFor(task);
+            const existing = await this.getClaim(database, task.id, user.id);
+            const blocked = this.claimBlocker(existing);
+            if (blocked) throw blocked;
+            if (!verifier.start) {
+                await this.checkAccess(database, user, task, { dailyLimit: false });
+                return { link: this.linkFor(task, user, null) };
+            }
+            await this.checkAccess(database, user, task);
+
+            let token = null;
+            await database.transaction(async (tx) => {
+                await tx.run(`INSERT INTO task_claims (task_id, user_id, status) VALUES (?, ?, 'started') ON CONFLICT (task_id, user_id) DO NOTHING`, [task.id, user.id]);
+                // No-op write takes the row lock on Postgres
+                await tx.run('UPDATE task_claims SET status = status WHERE task_id = ? AND user_id = ?', [task.id, user.id]);
+                const claim = await this.getClaim(tx, task.id, user.id);
+                const racing = this.claimBlocker(claim);
+                if (racing) throw racing;
+                if (claim.status === 'started' && claim.token) {
+                    token = claim.token;
+                    return;
+                }
+                ({ token } = await verifier.start({ task, config: task.config, user, claim }));
+                await tx.run(
+                    `UPDATE task_claims SET status = 'started', token = ?, proof = NULL, review_note = NULL, started_at = datetime('now'), updated_at = datetime('now') WHERE id = ?`,
+                    [token, claim.id]
+                );
+            });
+            return { link: this.linkFor(task, user, token) };
         } catch (error) {
-            console.error('Error in getGroupById:', error);
+            console.error('Error in start (tasks):', error);
             throw error;
         }
     }
 
-    async getUserChannelJoin(database, userId, channelId) {
+    // Takes one of the user's attempts at a task with an attempt limit (quizzes); the conditional UPDATE keeps
+    // parallel submissions from getting past the limit. Returns the attempts used, including this one.
+    async useAttempt(database, task, user, limit) {
+        await database.run(`INSERT INTO task_claims (task_id, user_id, status) VALUES (?, ?, 'started') ON CONFLICT (task_id, user_id) DO NOTHING`, [task.id, user.id]);
+        const taken = await database.run(
+            `UPDATE task_claims SET attempts = attempts + 1, updated_at = datetime('now') WHERE task_id = ? AND user_id = ? AND attempts < ? AND status <> 'completed'`,
+            [task.id, user.id, limit]
+        );
+        if (!taken || !taken.changes) throw ruleError('You have no attempts left for this task', 403);
+        const claim = await this.getClaim(database, task.id, user.id);
+        return parseInt(claim.attempts, 10) || 0;
+    }
+
+    // User claims the task (with the verifier's input, if any; attachment is an uploaded image as a data URL).
+    // services: see ./verifiers. Returns { success, status, message, pointsEarned, availableAt, attemptsLeft }.
+    async submit(database, user, taskId, input, services = {}, { attachment = null } = {}) {
         try {
-            return await database.get(
-                'SELECT * FROM user_channel_joins WHERE user_id = ? AND channel_id = ?',
-                [userId, channelId]
-            );
+            const task = await this.getTask(database, taskId);
+            if (!task) throw ruleError('Task not found', 404);
+            const verifier = this.verifierFor(task);
+            const claim = await this.getClaim(database, task.id, user.id);
+            const blocked = this.claimBlocker(claim);
+            if (blocked) throw blocked;
+            // A timer that is already running doesn't count against today's limit again
+            await this.checkAccess(database, user, task, { dailyLimit: !(claim && claim.status === 'pending') });
+
+            const limit = verifier.attemptLimit ? verifier.attemptLimit(task.config) : 0;
+            const used = limit ? await this.useAttempt(database, task, user, limit) : 0;
+            let refunded = false;
+            const refundAttempt = async () => {
+                refunded = true;
+                await database.run('UPDATE task_claims SET attempts = attempts - 1 WHERE task_id = ? AND user_id = ? AND attempts > 0', [task.id, user.id]);
+            };
+            let outcome;
+            try {
+                let result = await verifier.verify({ task, config: task.config, user, claim, input, attachment, services, now: Date.now() });
+                if (limit && result && result.status === 'failed') {
+                    if (result.attempt === false) {
+                        await refundAttempt();
+                    } else {
+                        const left = Math.max(0, limit - used);
+                        result = { ...result, message: `${result.message} ${left ? `${left} attempt${left === 1 ? '' : 's'} left.` : 'No attempts left.'}` };
+                    }
+                }
+                outcome = await this.applyResult(database, task, user, result);
+            } catch (error) {
+                // Nothing was recorded (e.g. the budget ran out as a passing quiz was credited), so the attempt
+                // doesn't count
+                if (used && !refunded) await refundAttempt();
+                throw error;
+            }
+            return limit ? { ...outcome, attemptsLeft: Math.max(0, limit - used + (refunded ? 1 : 0)) } : outcome;
         } catch (error) {
-            console.error('Error in getUserChannelJoin:', error);
+            console.error('Error in submit (tasks):', error);
             throw error;
         }
     }
 
-    async getUserGroupJoin(database, userId, groupId) {
+    // Stores what the verifier decided; only the request that moves the claim to 'completed' credits it
+    async applyResult(database, task, user, result) {
+        if (!result || result.status === 'failed') {
+            return { success: false, status: null, message: (result && result.message) || 'Task not completed yet' };
+        }
+        let outcome = null;
+        await database.transaction(async (tx) => {
+            await tx.run(`INSERT INTO task_claims (task_id, user_id, status) VALUES (?, ?, 'started') ON CONFLICT (task_id, user_id) DO NOTHING`, [task.id, user.id]);
+            await tx.run('UPDATE task_claims SET status = status WHERE task_id = ? AND user_id = ?', [task.id, user.id]);
+            const claim = await this.getClaim(tx, task.id, user.id);
+            if (claim.status === 'completed' || claim.status === 'review') {
+                outcome = { success: claim.status === 'completed', status: claim.status, message: claim.status === 'completed' ? 'Already completed' : 'Waiting for review' };
+                return;
+            }
+            if (result.status === 'completed') {
+                const points = await this.completeClaim(tx, task, claim, user.id);
+                outcome = { success: true, status: 'completed', pointsEarned: points };
+                return;
+            }
+            const availableAt = result.availableAt ? sqlTime(result.availableAt) : null;
+            // A new proof replaces the last one, screenshot included
+            const review = result.status === 'review';
+            await tx.run(
+                `UPDATE task_claims SET status = ?, proof = ${review ? '?' : 'COALESCE(?, proof)'}, available_at = ?, review_note = NULL,
+                 submitted_at = datetime('now'), updated_at = datetime('now') WHERE id = ?`,
+                [result.status, result.proof || null, availableAt, claim.id]
+            );
+            if (review) {
+                await tx.run('DELETE FROM task_proof_images WHERE claim_id = ?', [claim.id]);
+                if (result.image) {
+                    await tx.run('INSERT INTO task_proof_images (claim_id, mime, data, size) VALUES (?, ?, ?, ?)', [claim.id, result.image.mime, result.image.data, result.image.size]);
+                }
+            }
+            outcome = {
+                success: true,
+                status: result.status,
+                message: result.message || null,
+                availableAt: result.availableAt ? new Date(result.availableAt).toISOString() : null
+            };
+        });
+        return outcome;
+    }
+
+    // Marks the claim completed and credits the reward in the caller's transaction; returns the points
+    // credited, or null when the claim was already completed. Throws a rule error (rolling the transaction
+    // back) when the task's budget can't pay for another completion.
+    async completeClaim(database, task, claim, userId, { reviewedBy = null, note = null } = {}) {
+        const points = parseInt(task.points_reward, 10) || 0;
+        const review = reviewedBy ? `, reviewed_by = ?, reviewed_at = datetime('now'), review_note = ?` : '';
+        const changed = await database.run(
+            `UPDATE task_claims SET status = 'completed', points_earned = ?, completed_at = datetime('now'), revoked_at = NULL, revoke_reason = NULL,
+             last_verified_at = NULL, updated_at = datetime('now')${review}
+             WHERE id = ? AND status NOT IN ('completed', 'forfeited')`,
+            reviewedBy ? [points, reviewedBy, note, claim.id] : [points, claim.id]
+        );
+        if (!changed || !changed.changes) return null;
+        await this.spendBudget(database, task.id, points);
+
+        // Record the task completion
+        await database.run(
+            `INSERT INTO tasks (user_id, task_type, task_data, points_earned)
+             VALUES (?, 'task', ?, ?)`,
+            [userId, JSON.stringify({ task_id: task.id, type: task.type }), points]
+        );
+
+        // Update user points and stats
+        if (points > 0) {
+            await userService.updateUserPoints(database, userId, points, {
+                reason: 'task_reward', referenceType: 'task_claim', referenceId: claim.id, description: task.title
+            });
+        }
+        await userService.incrementTasksCompleted(database, userId);
+        await userService.updateDailyLimit(database, userId, points);
+        return points;
+    }
+
+    // Counts one completion against the task's budget; the conditional UPDATE locks the task row, so
+    // concurrent completions can't take it past the limit. Switches the task off once nothing is left and
+    // marks the 80% / used-up alerts for notifyBudgetAlerts.
+    async spendBudget(database, taskId, points) {
+        const spent = await database.run(
+            `UPDATE task_definitions SET completions_count = completions_count + 1, points_spent = points_spent + ?
+             WHERE id = ? AND (max_completions IS NULL OR completions_count < max_completions)
+             AND (points_budget IS NULL OR points_spent + ? <= points_budget)`,
+            [points, taskId, points]
+        );
+        if (!spent || !spent.changes) throw ruleError('This task has reached its budget', 410);
+        const row = await database.get(
+            `SELECT max_completions, points_budget, completions_count, points_spent, points_reward, budget_warned_at, budget_exhausted_at
+             FROM task_definitions WHERE id = ?`,
+            [taskId]
+        );
+        const budget = budgetFor(row);
+        if (budget.exhausted && !row.budget_exhausted_at) {
+            await database.run(
+                `UPDATE task_definitions SET is_active = 0, schedule_state = NULL, budget_exhausted_at = datetime('now'),
+                 budget_warned_at = COALESCE(budget_warned_at, datetime('now')), updated_at = datetime('now') WHERE id = ?`,
+                [taskId]
+            );
+        } else if (budget.ratio >= BUDGET_WARN_RATIO && !row.budget_warned_at) {
+            await database.run(`UPDATE task_definitions SET budget_warned_at = datetime('now') WHERE id = ?`, [taskId]);
+        }
+    }
+
+    // Gives a revoked completion back to the task's budget (the task stays off if it was switched off)
+    async releaseBudget(database, taskId, points) {
+        await database.run(
+            `UPDATE task_definitions SET
+                completions_count = CASE WHEN completions_count > 0 THEN completions_count - 1 ELSE 0 END,
+                points_spent = CASE WHEN points_spent > ? THEN points_spent - ? ELSE 0 END
+             WHERE id = ?`,
+            [points, points, taskId]
+        );
+    }
+
+    // Credits the user's timed claims whose wait is over
+    async finalizeDue(database, user) {
         try {
-            return await database.get(
-                'SELECT * FROM user_group_joins WHERE user_id = ? AND group_id = ?',
-                [userId, groupId]
+            const due = await database.all(
+                `SELECT task_id FROM task_claims WHERE user_id = ? AND status = 'pending' AND available_at <= ?`,
+                [user.id, sqlTime(Date.now())]
             );
+            for (const row of due) {
+                const task = await this.getTask(database, row.task_id);
+                const verifier = task && verifiers.get(task.verifier);
+                if (!verifier) continue;
+                const claim = await this.getClaim(database, task.id, user.id);
+                const result = await verifier.verify({ task, config: task.config, user, claim, input: null, services: {}, now: Date.now() });
+                if (!result || result.status !== 'completed') continue;
+                try {
+                    await this.applyResult(database, task, user, result);
+                } catch (error) {
+                    // Budget ran out while the timer was running: the claim stays pending
+                    if (!this.isRuleError(error)) throw error;
+                }
+            }
         } catch (error) {
-            console.error('Error in getUserGroupJoin:', error);
+            console.error('Error in finalizeDue (tasks):', error);
             throw error;
         }
     }
 
-    async completeChannelJoin(database, userId, channelId, pointsEarned) {
+    // Inbound partner postback for a task. Returns { claim, task, pointsEarned, duplicate }.
+    async receive(database, taskId, params) {
         try {
-            await database.transaction(async (db) => {
-                // Record the channel join
-                await db.run(
-                    `INSERT INTO user_channel_joins (user_id, channel_id, points_earned)
-                     VALUES (?, ?, ?)`,
-                    [userId, channelId, pointsEarned]
-                );
+            const task = await this.getTask(database, taskId);
+            const verifier = task && verifiers.get(task.verifier);
+            if (!verifier || !verifier.receive) throw ruleError('NOT_FOUND', 404);
+            let token;
+            try {
+                token = verifier.receive(task.config, params || {});
+            } catch (error) {
+                throw ruleError(error.message, 403);
+            }
+            const found = await database.get('SELECT * FROM task_claims WHERE task_id = ? AND token = ?', [task.id, token]);
+            if (!found) throw ruleError('UNKNOWN_TOKEN', 404);
 
-                // Record the task completion
-                await db.run(
-                    `INSERT INTO tasks (user_id, task_type, task_data, points_earned)
-                     VALUES (?, 'channel_join', ?, ?)`,
-                    [userId, JSON.stringify({ channel_id: channelId }), pointsEarned]
-                );
+            let pointsEarned = null;
+            let claim = found;
+            await database.transaction(async (tx) => {
+                await tx.run('UPDATE task_claims SET status = status WHERE id = ?', [found.id]);
+                claim = await tx.get('SELECT * FROM task_claims WHERE id = ?', [found.id]);
+                if (claim.status !== 'started') return;
+                pointsEarned = await this.completeClaim(tx, task, claim, claim.user_id);
+            });
+            return { claim, task, pointsEarned, duplicate: pointsEarned === null };
+        } catch (error) {
+            console.error('Error in receive (tasks):', error);
+            throw error;
+        }
+    }
 
-                // Update user points and stats
-                await userService.updateUserPoints(db, userId, pointsEarned);
-                await userService.incrementTasksCompleted(db, userId);
-                await userService.updateDailyLimit(db, userId, pointsEarned);
+    // Admin decision on a proof claim. Returns { claim, task, approved, pointsEarned }.
+    async review(database, claimId, { approve, note, adminTelegramId }) {
+        try {
+            await this.ensureTable(database);
+            const found = await database.get('SELECT * FROM task_claims WHERE id = ?', [claimId]);
+            if (!found) throw ruleError('Claim not found', 404);
+            const task = await this.getTask(database, found.task_id);
+            const reviewNote = String(note || '').trim().slice(0, 500) || null;
+            let claim = found;
+            let pointsEarned = null;
+            await database.transaction(async (tx) => {
+                await tx.run('UPDATE task_claims SET status = status WHERE id = ?', [found.id]);
+                claim = await tx.get('SELECT * FROM task_claims WHERE id = ?', [found.id]);
+                if (claim.status !== 'review') throw ruleError(`Claim is already ${claim.status}`, 409);
+                if (approve) {
+                    pointsEarned = await this.completeClaim(tx, task, claim, claim.user_id, { reviewedBy: adminTelegramId, note: reviewNote });
+                } else {
+                    await tx.run(
+                        `UPDATE task_claims SET status = 'rejected', review_note = ?, reviewed_by = ?, reviewed_at = datetime('now'), updated_at = datetime('now') WHERE id = ?`,
+                        [reviewNote, adminTelegramId || null, claim.id]
+                    );
+                }
             });
+            return { claim, task, approved: !!approve, pointsEarned };
+        } catch (error) {
+            console.error('Error in review (tasks):', error);
+            throw error;
+        }
+    }
 
-            return true;
+    // Same decision for several claims; a claim that can't be decided (already decided, budget used up) is
+    // reported and the rest go ahead. Returns [{ id, result } | { id, error }].
+    async reviewMany(database, claimIds, options) {
+        try {
+            const ids = Array.from(new Set((claimIds || []).map(id => parseInt(id, 10)).filter(id => id > 0)));
+            if (!ids.length) throw ruleError('Select at least one claim');
+            if (ids.length > MAX_BULK_REVIEW) throw ruleError(`Review at most ${MAX_BULK_REVIEW} claims at a time`);
+            const outcomes = [];
+            for (const id of ids) {
+                try {
+                    outcomes.push({ id, result: await this.review(database, id, options) });
+                } catch (error) {
+                    if (!this.isRuleError(error)) throw error;
+                    outcomes.push({ id, error: error.message });
+                }
+            }
+            return outcomes;
         } catch (error) {
-            console.error('Error in completeChannelJoin:', error);
+            console.error('Error in reviewMany (tasks):', error);
             throw error;
         }
     }
 
-    async completeGroupJoin(database, userId, groupId, pointsEarned) {
+    // Screenshot attached to a claim: { mime, data (base64), size } or null
+    async getProofImage(database, claimId) {
         try {
-            await database.transaction(async (db) => {
-                // Record the group join
-                await db.run(
-                    `INSERT INTO user_group_joins (user_id, group_id, points_earned)
-                     VALUES (?, ?, ?)`,
-                    [userId, groupId, pointsEarned]
-                );
+            await this.ensureTable(database);
+            const row = await database.get('SELECT mime, data, size FROM task_proof_images WHERE claim_id = ?', [claimId]);
+            return row || null;
+        } catch (error) {
+            console.error('Error in getProofImage:', error);
+            throw error;
+        }
+    }
 
-                // Record the task completion
-                await db.run(
-                    `INSERT INTO tasks (user_id, task_type, task_data, points_earned)
-                     VALUES (?, 'group_join', ?, ?)`,
-                    [userId, JSON.stringify({ group_id: groupId }), pointsEarned]
-                );
+    // Reject reason templates for the review queue (admin_config taskRejectReasons, a JSON list)
+    async getRejectReasons(database) {
+        try {
+            const row = await database.get("SELECT config_value FROM admin_config WHERE config_key = 'taskRejectReasons'");
+            let list = null;
+            try { list = row ? JSON.parse(row.config_value) : null; } catch (_) { /* unreadable: defaults */ }
+            return Array.isArray(list) ? list.map(String) : DEFAULT_REJECT_REASONS.slice();
+        } catch (error) {
+            console.error('Error in getRejectReasons:', error);
+            throw error;
+        }
+    }
 
-                // Update user points and stats
-                await userService.updateUserPoints(db, userId, pointsEarned);
-                await userService.incrementTasksCompleted(db, userId);
-                await userService.updateDailyLimit(db, userId, pointsEarned);
+    // Admin text (one reason per line) -> the list to store; throws a rule error when it is too long
+    parseRejectReasons(text) {
+        const list = Array.from(new Set(String(text || '').split(/\r?\n/).map(r => r.trim()).filter(Boolean)));
+        if (list.length > MAX_REJECT_REASONS) throw ruleError(`At most ${MAX_REJECT_REASONS} reasons`);
+        if (list.some(r => r.length > 200)) throw ruleError('Reasons must be 200 characters or fewer');
+        return list;
+    }
+
+    // Admin task list with completion/review counts; secret verifier settings are left out
+    async listTasks(database) {
+        try {
+            await this.ensureTable(database);
+            const rows = await database.all(
+                `SELECT t.*,
+                        (SELECT COUNT(*) FROM task_claims c WHERE c.task_id = t.id AND c.status = 'completed') AS completed_count,
+                        (SELECT COUNT(*) FROM task_claims c WHERE c.task_id = t.id AND c.status = 'review') AS review_count
+                 FROM task_definitions t
+                 ORDER BY t.is_active DESC, t.sort_order ASC, t.id DESC`
+            );
+            return rows.map(row => {
+                const verifier = verifiers.get(row.verifier);
+                const config = verifier && verifier.adminConfig ? verifier.adminConfig(parseConfig(row)) : parseConfig(row);
+                for (const field of (verifier && verifier.fields) || []) {
+                    if (field.secret) config[field.key] = config[field.key] ? '' : null;
+                }
+                const { verifier_config, ...rest } = row;
+                const budget = budgetFor(row);
+                return {
+                    ...rest,
+                    start_at: isoTime(row.start_at),
+                    end_at: isoTime(row.end_at),
+                    budget_exhausted_at: isoTime(row.budget_exhausted_at),
+                    remaining_completions: budget.remainingCompletions,
+                    remaining_points: budget.remainingPoints,
+                    budget_used_pct: Math.round(budget.ratio * 100),
+                    typeLabel: this.typeLabel(row.type),
+                    verifierLabel: verifier ? verifier.label : row.verifier,
+                    config
+                };
             });
+        } catch (error) {
+            console.error('Error in listTasks:', error);
+            throw error;
+        }
+    }
 
-            return true;
+    // Create (no id) or update a task. Blank secret fields keep the saved value.
+    // services.resolveChatId is passed on to the verifier. Throws rule errors for invalid input.
+    async saveTask(database, data, { adminTelegramId, services = {} } = {}) {
+        try {
+            await this.ensureTable(database);
+            const id = data.id ? parseInt(data.id, 10) : null;
+            const existing = id ? await this.getTask(database, id) : null;
+            if (id && !existing) throw ruleError('Task not found', 404);
+
+            const type = String(data.type || '').trim().toLowerCase();
+            if (!/^[a-z0-9_-]{2,32}$/.test(type)) throw ruleError('Type must be 2-32 letters, digits, - or _ (e.g. telegram, website)');
+            const title = String(data.title || '').trim();
+            if (!title || title.length > 100) throw ruleError('Title is required (100 characters max)');
+            const description = String(data.description || '').trim().slice(0, 1000) || null;
+            const link = String(data.link || '').trim() || null;
+            if (link && !/^https?:\/\//i.test(link)) throw ruleError('Link must start with http:// or https://');
+            const pointsReward = parseInt(data.pointsReward, 10);
+            if (!Number.isFinite(pointsReward) || pointsReward < 0 || pointsReward > MAX_REWARD) throw ruleError(`Points reward must be between 0 and ${MAX_REWARD}`);
+            const minLevel = parseInt(data.minLevel, 10) || 0;
+            if (minLevel < 0) throw ruleError('Minimum level must be zero or more');
+            const sortOrder = parseInt(data.sortOrder, 10) || 0;
+            const verifier = verifiers.get(data.verifier);
+            if (!verifier) throw ruleError('Unknown verifier');
+
+            const config = { ...(data.config || {}) };
+            if (existing && existing.verifier === verifier.name) {
+                for (const field of verifier.fields || []) {
+                    if (field.secret && (config[field.key] === undefined || config[field.key] === '')) config[field.key] = existing.config[field.key];
+                }
+            }
+            let normalized;
+            try {
+                normalized = await verifier.normalizeConfig(config, services);
+            } catch (error) {
+                throw ruleError(error.message);
+            }
+            const startMs = parseTime(data.startAt, 'Start');
+            const endMs = parseTime(data.endAt, 'End');
+            if (startMs !== null && endMs !== null && endMs <= startMs) throw ruleError('End must be after start');
+            const maxCompletions = parseLimit(data.maxCompletions, 'Max completions');
+            const pointsBudget = parseLimit(data.pointsBudget, 'Points budget');
+            if (pointsBudget !== null && pointsBudget < pointsReward) throw ruleError('Points budget must cover at least one reward');
+            // Counters are kept; a changed budget re-arms the alerts (they are marked again right away if still due)
+            const counters = existing || {};
+            const budget = budgetFor({ ...counters, max_completions: maxCompletions, points_budget: pointsBudget, points_reward: pointsReward });
+            const budgetChanged = !existing || existing.max_completions !== maxCompletions || existing.points_budget !== pointsBudget
+                || parseInt(existing.points_reward, 10) !== pointsReward;
+            const alerts = budgetChanged ? {
+                warnedAt: budget.ratio >= BUDGET_WARN_RATIO ? sqlTime(Date.now()) : null,
+                exhaustedAt: budget.exhausted ? sqlTime(Date.now()) : null,
+                notified: null
+            } : {
+                warnedAt: existing.budget_warned_at || null,
+                exhaustedAt: existing.budget_exhausted_at || null,
+                notified: existing.budget_notified || null
+            };
+            // Unchecking "Active" pauses the task; otherwise the window decides whether it is on right now
+            const wantActive = data.isActive === undefined ? (existing ? !!existing.is_active || existing.schedule_state === 'scheduled' : true) : !!data.isActive;
+            if (wantActive && budget.exhausted) throw ruleError('The budget is used up: raise it or save the task as inactive');
+            const { isActive, state } = scheduleFor(startMs, endMs, wantActive, Date.now());
+
+            const values = [type, title, description, link, verifier.name, JSON.stringify(normalized), pointsReward, minLevel, isActive, sortOrder,
+                startMs === null ? null : sqlTime(startMs), endMs === null ? null : sqlTime(endMs), state,
+                maxCompletions, pointsBudget, alerts.warnedAt, alerts.exhaustedAt, alerts.notified, adminTelegramId || null];
+            let taskId = id;
+            if (existing) {
+                await database.run(
+                    `UPDATE task_definitions SET type = ?, title = ?, description = ?, link = ?, verifier = ?, verifier_config = ?, points_reward = ?,
+                     min_level = ?, is_active = ?, sort_order = ?, start_at = ?, end_at = ?, schedule_state = ?, max_completions = ?, points_budget = ?,
+                     budget_warned_at = ?, budget_exhausted_at = ?, budget_notified = ?, updated_by = ?, updated_at = datetime('now')
+                     WHERE id = ?`,
+                    [...values, id]
+                );
+            } else {
+                const result = await database.run(
+                    `INSERT INTO task_definitions (type, title, description, link, verifier, verifier_config, points_reward, min_level, is_active, sort_order,
+                     start_at, end_at, schedule_state, max_completions, points_budget, budget_warned_at, budget_exhausted_at, budget_notified, updated_by)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    values
+                );
+                taskId = result.id;
+            }
+            return { task: await this.getTask(database, taskId), created: !existing };
+        } catch (error) {
+            console.error('Error in saveTask:', error);
+            throw error;
+        }
+    }
+
+    // Enabling a task with a future start only arms its schedule; disabling it also cancels the schedule
+    async setTaskActive(database, taskId, active, adminTelegramId) {
+        try {
+            const task = await this.getTask(database, taskId);
+            if (!task) return false;
+            if (active && budgetFor(task).exhausted) throw ruleError('The budget is used up: raise it before switching the task back on', 409);
+            const toMs = value => (isoTime(value) ? Date.parse(isoTime(value)) : null);
+            const { isActive, state } = scheduleFor(toMs(task.start_at), toMs(task.end_at), !!active, Date.now());
+            const result = await database.run(
+                `UPDATE task_definitions SET is_active = ?, schedule_state = ?, updated_by = ?, updated_at = datetime('now') WHERE id = ?`,
+                [isActive, state, adminTelegramId || null, taskId]
+            );
+            return !!(result && result.changes);
+        } catch (error) {
+            console.error('Error in setTaskActive:', error);
+            throw error;
+        }
+    }
+
+    // Scheduler: switches tasks on when their window opens and off when it closes. Returns { activated, expired }.
+    async applySchedule(database) {
+        try {
+            await this.ensureTable(database);
+            const now = sqlTime(Date.now());
+            const expired = await database.run(
+                `UPDATE task_definitions SET is_active = 0, schedule_state = 'ended', updated_at = datetime('now')
+                 WHERE schedule_state IN ('scheduled', 'live') AND end_at IS NOT NULL AND end_at <= ?`,
+                [now]
+            );
+            const activated = await database.run(
+                `UPDATE task_definitions SET is_active = 1, schedule_state = 'live', updated_at = datetime('now')
+                 WHERE schedule_state = 'scheduled' AND start_at <= ? AND (end_at IS NULL OR end_at > ?)`,
+                [now, now]
+            );
+            return { activated: (activated && activated.changes) || 0, expired: (expired && expired.changes) || 0 };
+        } catch (error) {
+            console.error('Error in applySchedule (tasks):', error);
+            throw error;
+        }
+    }
+
+    // Sends the 80% and used-up budget alerts to admins who manage tasks; each is sent once per budget.
+    // Returns { pending, sent, failed }.
+    async notifyBudgetAlerts(database, notify) {
+        try {
+            await this.ensureTable(database);
+            const summary = { pending: 0, sent: 0, failed: 0 };
+            const rows = await database.all(
+                `SELECT * FROM task_definitions
+                 WHERE (budget_exhausted_at IS NOT NULL AND (budget_notified IS NULL OR budget_notified <> 'exhausted'))
+                    OR (budget_warned_at IS NOT NULL AND budget_notified IS NULL)
+                 ORDER BY id ASC`
+            );
+            if (!rows.length) return summary;
+            const admins = (await adminService.listAdmins(database)).filter(a => adminService.hasPermission(a.role, 'tasks.manage'));
+            for (const row of rows) {
+                summary.pending++;
+                const budget = budgetFor(row);
+                const stage = row.budget_exhausted_at ? 'exhausted' : 'warned';
+                const left = [];
+                if (budget.remainingCompletions !== null) left.push(`${budget.remainingCompletions} of ${row.max_completions} completions`);
+                if (budget.remainingPoints !== null) left.push(`${budget.remainingPoints} of ${row.points_budget} points`);
+                const text = stage === 'exhausted'
+                    ? `⛔ Task budget used up: "${row.title}" has been switched off after ${row.completions_count} completions (${row.points_spent} points).`
+                    : `⚠️ Task budget ${Math.round(budget.ratio * 100)}% spent: "${row.title}" has ${left.join(' and ')} left.`;
+                let delivered = false;
+                for (const admin of admins) {
+                    if (await notify(admin.telegram_id, text)) delivered = true;
+                }
+                if (delivered) {
+                    summary.sent++;
+                    await database.run('UPDATE task_definitions SET budget_notified = ? WHERE id = ?', [stage, row.id]);
+                } else {
+                    summary.failed++;
+                }
+            }
+            return summary;
+        } catch (error) {
+            console.error('Error in notifyBudgetAlerts (tasks):', error);
+            throw error;
+        }
+    }
+
+    // Admin claim list (e.g. status 'review' for proofs waiting for a decision)
+    async listClaims(database, { status, taskId, limit } = {}) {
+        try {
+            await this.ensureTable(database);
+            const where = [];
+            const params = [];
+            if (status) { where.push('c.status = ?'); params.push(status); }
+            if (taskId) { where.push('c.task_id = ?'); params.push(parseInt(taskId, 10)); }
+            params.push(Math.min(parseInt(limit, 10) || 100, 500));
+            return await database.all(
+                `SELECT c.*, t.title AS task_title, t.type AS task_type, t.points_reward, u.telegram_id, u.username, u.first_name,
+                        i.size AS image_size
+                 FROM task_claims c
+                 JOIN task_definitions t ON t.id = c.task_id
+                 JOIN users u ON u.id = c.user_id
+                 LEFT JOIN task_proof_images i ON i.claim_id = c.id
+                 ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+                 ORDER BY COALESCE(c.submitted_at, c.started_at) ASC, c.id ASC
+                 LIMIT ?`,
+                params
+            );
         } catch (error) {
-            console.error('Error in completeGroupJoin:', error);
+            console.error('Error in listClaims:', error);
             throw error;
         }
     }
@@ -165,7 +1101,9 @@ class TaskService {
                 );
 
                 // Update user points and stats
-                await userService.updateUserPoints(db, inviterId, pointsPerFriend);
+                await userService.updateUserPoints(db, inviterId, pointsPerFriend, {
+                    reason: 'task_friend_invite', referenceType: 'invitee', referenceId: inviteeTelegramId
+                });
                 await userService.incrementTasksCompleted(db, inviterId);
                 await userService.incrementFriendsInvited(db, inviterId);
                 await userService.updateDailyLimit(db, inviterId, pointsPerFriend);
@@ -178,38 +1116,42 @@ class TaskService {
         }
     }
 
+    // Streak check-in: the reward depends on the user's login streak (see streakService)
     async completeDailyLogin(database, userId) {
         try {
-            const dailyLoginPoints = 5;
-            const today = new Date().toISOString().split('T')[0];
-
-            // Check if already claimed today
-            const existingClaim = await database.get(
-                `SELECT * FROM tasks 
-                 WHERE user_id = ? AND task_type = 'daily_login' 
-                 AND DATE(completed_at) = ?`,
-                [userId, today]
-            );
-
-            if (existingClaim) {
-                return { success: false, message: 'Daily login already claimed today' };
-            }
-
+            let checkin = null;
             await database.transaction(async (db) => {
+                checkin = await streakService.checkIn(db, userId);
+                if (!checkin) return;
+
                 // Record the task completion
                 await db.run(
                     `INSERT INTO tasks (user_id, task_type, task_data, points_earned)
                      VALUES (?, 'daily_login', ?, ?)`,
-                    [userId, JSON.stringify({ date: today }), dailyLoginPoints]
+                    [userId, JSON.stringify({ date: checkin.day, streakDay: checkin.streakDay }), checkin.points]
                 );
 
                 // Update user points and stats
-                await userService.updateUserPoints(db, userId, dailyLoginPoints);
+                if (checkin.points > 0) {
+                    await userService.updateUserPoints(db, userId, checkin.points, {
+                        reason: 'task_daily_login', referenceType: 'login_checkin', referenceId: checkin.checkinId,
+                        description: `Day ${checkin.streakDay} streak`
+                    });
+                }
                 await userService.incrementTasksCompleted(db, userId);
-                await userService.updateDailyLimit(db, userId, dailyLoginPoints);
+                await userService.updateDailyLimit(db, userId, checkin.points);
             });
 
-            return { success: true, points: dailyLoginPoints };
+            if (!checkin) {
+                return { success: false, message: 'Daily login already claimed today' };
+            }
+            return {
+                success: true,
+                points: checkin.points,
+                streakDay: checkin.streakDay,
+                freezesUsed: checkin.freezesUsed,
+                streakReset: checkin.streakReset
+            };
         } catch (error) {
             console.error('Error in completeDailyLogin:', error);
             throw error;
@@ -225,11 +1167,13 @@ class TaskService {
                             WHEN t.task_type = 'group_join' THEN g.group_name
                             WHEN t.task_type = 'friend_invite' THEN 'Friend Invitation'
                             WHEN t.task_type = 'daily_login' THEN 'Daily Login'
+                            WHEN t.task_type = 'task' THEN td.title
                             ELSE 'Unknown Task'
                         END as task_name
                  FROM tasks t
                  LEFT JOIN channels c ON JSON_EXTRACT(t.task_data, '$.channel_id') = c.id
                  LEFT JOIN groups g ON JSON_EXTRACT(t.task_data, '$.group_id') = g.id
+                 LEFT JOIN task_definitions td ON JSON_EXTRACT(t.task_data, '$.task_id') = td.id
                  WHERE t.user_id = ?
                  ORDER BY t.completed_at DESC
                  LIMIT ?`,
@@ -262,96 +1206,6 @@ class TaskService {
             throw error;
         }
     }
-
-    async addChannel(database, channelData) {
-        try {
-            const result = await database.run(
-                `INSERT INTO channels (channel_id, channel_name, channel_username, points_reward)
-                 VALUES (?, ?, ?, ?)`,
-                [channelData.channel_id, channelData.channel_name, channelData.channel_username, channelData.points_reward]
-            );
-
-            return await this.getChannelById(database, result.id);
-        } catch (error) {
-            console.error('Error in addChannel:', error);
-            throw error;
-        }
-    }
-
-    async addGroup(database, groupData) {
-        try {
-            const result = await database.run(
-                `INSERT INTO groups (group_id, group_name, group_username, points_reward)
-                 VALUES (?, ?, ?, ?)`,
-                [groupData.group_id, groupData.group_name, groupData.group_username, groupData.points_reward]
-            );
-
-            return await this.getGroupById(database, result.id);
-        } catch (error) {
-            console.error('Error in addGroup:', error);
-            throw error;
-        }
-    }
-
-    async getAllChannels(database) {
-        try {
-            return await database.query(
-                `SELECT c.*, COUNT(ucj.id) as total_joins
-                 FROM channels c
-                 LEFT JOIN user_channel_joins ucj ON c.id = ucj.channel_id
-                 WHERE c.is_active = 1
-                 GROUP BY c.id
-                 ORDER BY total_joins DESC`
-            );
-        } catch (error) {
-            console.error('Error in getAllChannels:', error);
-            throw error;
-        }
-    }
-
-    async getAllGroups(database) {
-        try {
-            return await database.query(
-                `SELECT g.*, COUNT(ugj.id) as total_joins
-                 FROM groups g
-                 LEFT JOIN user_group_joins ugj ON g.id = ugj.group_id
-                 WHERE g.is_active = 1
-                 GROUP BY g.id
-                 ORDER BY total_joins DESC`
-            );
-        } catch (error) {
-            console.error('Error in getAllGroups:', error);
-            throw error;
-        }
-    }
-
-    async toggleChannelStatus(database, channelId, isActive) {
-        try {
-            await database.run(
-                'UPDATE channels SET is_active = ? WHERE id = ?',
-                [isActive ? 1 : 0, channelId]
-            );
-
-            return await this.getChannelById(database, channelId);
-        } catch (error) {
-            console.error('Error in toggleChannelStatus:', error);
-            throw error;
-        }
-    }
-
-    async toggleGroupStatus(database, groupId, isActive) {
-        try {
-            await database.run(
-                'UPDATE groups SET is_active = ? WHERE id = ?',
-                [isActive ? 1 : 0, groupId]
-            );
-
-            return await this.getGroupById(database, groupId);
-        } catch (error) {
-            console.error('Error in toggleGroupStatus:', error);
-            throw error;
-        }
-    }
 }
 
 module.exports = new TaskService();
@@ -0,0 +1,455 @@
+const crypto = require('crypto');
+const ledgerService = require('./ledgerService');
+const { sqlTime, toMs, ruleError, isRuleError } = require('./helpers');
+
+// Peer-to-peer point transfers. The sender pays amount + fee (fee is burned), the recipient gets the amount
+// as a non-earning credit, so transfers never count towards XP, levels or total earned. Limits are per rolling
+// 24 hours. Each transfer is checked against a few farm-account patterns and flagged for admin review; an
+// admin can reverse a transfer, which takes the points back from the recipient (never below zero) and
+// optionally returns what was recovered (plus the fee) to the sender.
+// The bot's /send asks the sender to confirm the resolved recipient first: quote() checks the transfer and
+// keeps it in memory for QUOTE_TTL_MS under a token, and takeQuote() hands it back once for send().
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FLAGS = {
+    new_recipient: 'Recipient account is younger than the minimum account age',
+    fan_in: 'Recipient received transfers from many different senders in 24h',
+    balance_drain: 'Transfer empties most of the sender\'s balance',
+    referral_link: 'Sender and recipient are linked by a referral'
+};
+const DRAIN_SHARE = 0.9;
+const QUOTE_TTL_MS = 5 * 60 * 1000;
+
+class TransferService {
+    constructor() {
+        this.ready = false;
+        this.quotes = new Map();
+    }
+
+    get flags() {
+        return { ...FLAGS };
+    }
+
+    isRuleError(error) {
+        return isRuleError(error);
+    }
+
+    async ensureTable(database) {
+        if (this.ready) return;
+        try {
+            if (database.isPostgres) {
+                await database.run(`CREATE TABLE IF NOT EXISTS point_transfers (
+                    id SERIAL PRIMARY KEY,
+                    sender_id INTEGER NOT NULL,
+                    recipient_id INTEGER NOT NULL,
+                    sender_telegram_id BIGINT,
+                    recipient_telegram_id BIGINT,
+                    amount INTEGER NOT NULL,
+                    fee INTEGER NOT NULL DEFAULT 0,
+                    note TEXT,
+                    status TEXT NOT NULL DEFAULT 'completed',
+                    flags TEXT,
+                    flagged INTEGER NOT NULL DEFAULT 0,
+                    reviewed_by BIGINT,
+                    reversed_by BIGINT,
+                    reversed_at TIMESTAMP,
+                    reverse_reason TEXT,
+                    recovered_points INTEGER,
+                    refunded_points INTEGER,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )`);
+            } else {
+                await database.run(`CREATE TABLE IF NOT EXISTS point_transfers (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    sender_id INTEGER NOT NULL,
+                    recipient_id INTEGER NOT NULL,
+                    sender_telegram_id INTEGER,
+                    recipient_telegram_id INTEGER,
+                    amount INTEGER NOT NULL,
+                    fee INTEGER NOT NULL DEFAULT 0,
+                    note TEXT,
+                    status TEXT NOT NULL DEFAULT 'completed',
+                    flags TEXT,
+                    flagged INTEGER NOT NULL DEFAULT 0,
+                    reviewed_by INTEGER,
+                    reversed_by INTEGER,
+                    reversed_at DATETIME,
+                    reverse_reason TEXT,
+                    recovered_points INTEGER,
+                    refunded_points INTEGER,
+                    created_at DATETIME DEFAULT (datetime('now'))
+                )`);
+            }
+            await database.run('CREATE INDEX IF NOT EXISTS idx_point_transfers_sender ON point_transfers (sender_id, created_at)');
+            await database.run('CREATE INDEX IF NOT EXISTS idx_point_transfers_recipient ON point_transfers (recipient_id, created_at)');
+            this.ready = true;
+        } catch (error) {
+            console.error('Error in ensureTable (transfers):', error);
+            throw error;
+        }
+    }
+
+    async getPolicy(database) {
+        try {
+            const rows = await database.all(
+                `SELECT config_key, config_value FROM admin_config WHERE config_key IN
+                 ('transfersEnabled', 'transferFeePct', 'transferMinAmount', 'transferDailyLimit', 'transferDailyCount',
+                  'transferReceiveDailyLimit', 'transferMinAccountAgeDays', 'transferFanInSenders')`
+            );
+            const cfg = Object.fromEntries(rows.map(r => [r.config_key, r.config_value]));
+            const int = (value, fallback, min, max) => {
+                const n = parseInt(value, 10);
+                return Number.isFinite(n) && n >= min && n <= max ? n : fallback;
+            };
+            const pct = parseFloat(cfg.transferFeePct);
+            return {
+                enabled: cfg.transfersEnabled === 'true',
+                feePct: Number.isFinite(pct) && pct >= 0 && pct <= 100 ? pct : 5,
+                minAmount: int(cfg.transferMinAmount, 100, 1, 100000000),
+                dailyLimit: int(cfg.transferDailyLimit, 5000, 1, 1000000000),
+                dailyCount: int(cfg.transferDailyCount, 5, 1, 1000),
+                receiveDailyLimit: int(cfg.transferReceiveDailyLimit, 20000, 1, 1000000000),
+                minAccountAgeDays: int(cfg.transferMinAccountAgeDays, 7, 0, 3650),
+                fanInSenders: int(cfg.transferFanInSenders, 5, 2, 1000)
+            };
+        } catch (error) {
+            console.error('Error in getPolicy (transfers):', error);
+            throw error;
+        }
+    }
+
+    feeFor(policy, amount) {
+        return policy.feePct > 0 ? Math.ceil(amount * policy.feePct / 100) : 0;
+    }
+
+    accountAgeDays(user, now = Date.now()) {
+        const created = toMs(user && user.created_at);
+        return Number.isFinite(created) ? (now - created) / DAY_MS : 0;
+    }
+
+    // '@name', 'name' or a numeric telegram id -> user row (or undefined)
+    async findRecipient(database, identifier) {
+        try {
+            const value = String(identifier == null ? '' : identifier).trim().replace(/^@/, '');
+            if (!value) return undefined;
+            if (/^\d+$/.test(value)) {
+                return database.get('SELECT * FROM users WHERE telegram_id = ?', [parseInt(value, 10)]);
+            }
+            // Usernames are only refreshed on /start, so a name several rows still carry can't pick a recipient
+            const rows = await database.all('SELECT * FROM users WHERE LOWER(username) = LOWER(?) ORDER BY id LIMIT 2', [value]);
+            if (rows.length > 1) throw ruleError(`More than one user has the username @${value}. Use their Telegram ID instead.`);
+            return rows[0];
+        } catch (error) {
+            console.error('Error in findRecipient (transfers):', error);
+            throw error;
+        }
+    }
+
+    // Sent and received totals in the last 24 hours (completed transfers only)
+    async usage(database, userId, now = Date.now()) {
+        try {
+            await this.ensureTable(database);
+            const since = sqlTime(now - DAY_MS);
+            const sent = await database.get(
+                `SELECT COUNT(*) AS count, COALESCE(SUM(amount), 0) AS total FROM point_transfers
+                 WHERE sender_id = ? AND status = 'completed' AND created_at >= ?`,
+                [userId, since]
+            );
+            const received = await database.get(
+                `SELECT COALESCE(SUM(amount), 0) AS total FROM point_transfers
+                 WHERE recipient_id = ? AND status = 'completed' AND created_at >= ?`,
+                [userId, since]
+            );
+            return {
+                sentCount: parseInt(sent && sent.count, 10) || 0,
+                sentTotal: parseInt(sent && sent.total, 10) || 0,
+                receivedTotal: parseInt(received && received.total, 10) || 0
+            };
+        } catch (error) {
+            console.error('Error in usage (transfers):', error);
+            throw error;
+        }
+    }
+
+    // Settings and the user's remaining allowance, for the webapp and /send
+    async getOverview(database, user) {
+        try {
+            const policy = await this.getPolicy(database);
+            const used = await this.usage(database, user.id);
+            const ageDays = this.accountAgeDays(user);
+            return {
+                enabled: policy.enabled,
+                feePct: policy.feePct,
+                minAmount: policy.minAmount,
+                dailyLimit: policy.dailyLimit,
+                dailyCount: policy.dailyCount,
+                remainingToday: Math.max(0, policy.dailyLimit - used.sentTotal),
+                transfersLeftToday: Math.max(0, policy.dailyCount - used.sentCount),
+                minAccountAgeDays: policy.minAccountAgeDays,
+                eligible: !user.is_banned && ageDays >= policy.minAccountAgeDays
+            };
+        } catch (error) {
+            console.error('Error in getOverview (transfers):', error);
+            throw error;
+        }
+    }
+
+    // Farm-account patterns for this transfer (called inside the transaction, before the insert)
+    async detectFlags(database, policy, sender, recipient, amount, fee, now = Date.now()) {
+        try {
+            const flags = [];
+            if (this.accountAgeDays(recipient, now) < policy.minAccountAgeDays) flags.push('new_recipient');
+            const senders = await database.get(
+                `SELECT COUNT(DISTINCT sender_id) AS count FROM point_transfers
+                 WHERE recipient_id = ? AND sender_id <> ? AND created_at >= ?`,
+                [recipient.id, sender.id, sqlTime(now - DAY_MS)]
+            );
+            if ((parseInt(senders && senders.count, 10) || 0) + 1 >= policy.fanInSenders) flags.push('fan_in');
+            const balance = parseInt(sender.points, 10) || 0;
+            if (balance > 0 && amount + fee >= balance * DRAIN_SHARE) flags.push('balance_drain');
+            if ((sender.referred_by && String(sender.referred_by) === String(recipient.id))
+                || (recipient.referred_by && String(recipient.referred_by) === String(sender.id))) {
+                flags.push('referral_link');
+            }
+            return flags;
+        } catch (error) {
+            console.error('Error in detectFlags (transfers):', error);
+            throw error;
+        }
+    }
+
+    // Checks that don't need the sender's balance or usage; returns { points, fee }
+    check(policy, { sender, recipient, amount }) {
+        if (!policy.enabled) throw ruleError('Transfers are currently disabled');
+        const points = parseInt(amount, 10);
+        if (!Number.isFinite(points) || String(points) !== String(amount).trim()) throw ruleError('Amount must be a whole number of points');
+        if (points < policy.minAmount) throw ruleError(`The minimum transfer is ${policy.minAmount} points`);
+        if (!recipient) throw ruleError('Recipient not found. They need to open the bot at least once.');
+        if (String(recipient.id) === String(sender.id)) throw ruleError('You cannot send points to yourself');
+        if (sender.is_banned) throw ruleError('Your account cannot send points');
+        if (recipient.is_banned) throw ruleError('This user cannot receive points');
+        if (this.accountAgeDays(sender) < policy.minAccountAgeDays) {
+            throw ruleError(`Your account must be at least ${policy.minAccountAgeDays} days old to send points`);
+        }
+        return { points, fee: this.feeFor(policy, points) };
+    }
+
+    // Checks a transfer and holds it for the sender to confirm; returns { token, amount, fee, expiresAt }
+    async quote(database, { sender, recipient, amount, note }) {
+        try {
+            const policy = await this.getPolicy(database);
+            const { points, fee } = this.check(policy, { sender, recipient, amount });
+            const now = Date.now();
+            for (const [key, held] of this.quotes) {
+                if (held.expiresAt <= now) this.quotes.delete(key);
+            }
+            const token = crypto.randomBytes(8).toString('hex');
+            const expiresAt = now + QUOTE_TTL_MS;
+            this.quotes.set(token, { senderId: sender.id, recipientId: recipient.id, amount: points, note: note || null, expiresAt });
+            return { token, amount: points, fee, expiresAt };
+        } catch (error) {
+            console.error('Error in quote (transfers):', error);
+            throw error;
+        }
+    }
+
+    // The held transfer for `token` if it belongs to the sender and hasn't expired; each token works once
+    takeQuote(token, senderId) {
+        const held = this.quotes.get(token);
+        if (!held || String(held.senderId) !== String(senderId)) return null;
+        this.quotes.delete(token);
+        return held.expiresAt > Date.now() ? held : null;
+    }
+
+    // Moves points from sender to recipient. Throws rule errors (see isRuleError) for anything the user
+    // can fix or should be told, and 'Insufficient points' from the ledger. Returns the transfer row.
+    async send(database, { sender, recipient, amount, note }) {
+        try {
+            await this.ensureTable(database);
+            await ledgerService.ensureTable(database);
+            const policy = await this.getPolicy(database);
+            const { points, fee } = this.check(policy, { sender, recipient, amount });
+            const cleanNote = note ? String(note).trim().slice(0, 140) : null;
+
+            let transferId = null;
+            await database.transaction(async (tx) => {
+                // Lock the sender first so concurrent sends see each other's usage
+                await tx.run('UPDATE users SET points = points WHERE id = ?', [sender.id]);
+                const fresh = await tx.get('SELECT * FROM users WHERE id = ?', [sender.id]);
+                const used = await this.usage(tx, sender.id);
+                if (used.sentCount >= policy.dailyCount) throw ruleError(`You can make at most ${policy.dailyCount} transfers per 24 hours`);
+                if (used.sentTotal + points > policy.dailyLimit) {
+                    throw ruleError(`This exceeds your 24-hour transfer limit (${Math.max(0, policy.dailyLimit - used.sentTotal)} points left)`);
+                }
+                const received = await this.usage(tx, recipient.id);
+                if (received.receivedTotal + points > policy.receiveDailyLimit) throw ruleError('This user cannot receive more points today');
+                if ((parseInt(fresh.points, 10) || 0) < points + fee) throw new Error('Insufficient points');
+
+                const flags = await this.detectFlags(tx, policy, fresh, recipient, points, fee);
+                const row = await tx.run(
+                    `INSERT INTO point_transfers (sender_id, recipient_id, sender_telegram_id, recipient_telegram_id, amount, fee, note, flags, flagged)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [sender.id, recipient.id, sender.telegram_id, recipient.telegram_id, points, fee, cleanNote,
+                        flags.length ? flags.join(',') : null, flags.length ? 1 : 0]
+                );
+                transferId = row.id;
+                const senderName = sender.username ? '@' + sender.username : String(sender.telegram_id);
+                const recipientName = recipient.username ? '@' + recipient.username : String(recipient.telegram_id);
+                await ledgerService.record(tx, {
+                    userId: sender.id, delta: -points, reason: 'transfer_out',
+                    referenceType: 'point_transfer', referenceId: transferId, description: `To ${recipientName}`
+                });
+                if (fee > 0) {
+                    await ledgerService.record(tx, {
+                        userId: sender.id, delta: -fee, reason: 'transfer_fee', referenceType: 'point_transfer', referenceId: transferId
+                    });
+                }
+                await ledgerService.record(tx, {
+                    userId: recipient.id, delta: points, reason: 'transfer_in',
+                    referenceType: 'point_transfer', referenceId: transferId, description: `From ${senderName}`
+                });
+            });
+            return this.get(database, transferId);
+        } catch (error) {
+            console.error('Error in send (transfers):', error);
+            throw error;
+        }
+    }
+
+    // Both sides are told; notify(telegramId, text) may fail silently
+    async notifyParties(transfer, notify) {
+        try {
+            const senderName = transfer.sender_username ? '@' + transfer.sender_username : 'A user';
+            const recipientName = transfer.recipient_username ? '@' + transfer.recipient_username : String(transfer.recipient_telegram_id);
+            const note = transfer.note ? `\nNote: ${transfer.note}` : '';
+            await notify(transfer.sender_telegram_id,
+                `✅ You sent ${transfer.amount} points to ${recipientName}${transfer.fee ? ` (fee: ${transfer.fee} points)` : ''}.${note}`);
+            await notify(transfer.recipient_telegram_id, `💸 ${senderName} sent you ${transfer.amount} points!${note}`);
+        } catch (error) {
+            console.error('Error in notifyParties (transfers):', error);
+        }
+    }
+
+    async get(database, id) {
+        try {
+            await this.ensureTable(database);
+            return database.get(
+                `SELECT t.*, s.username AS sender_username, r.username AS recipient_username
+                 FROM point_transfers t
+                 LEFT JOIN users s ON s.id = t.sender_id
+                 LEFT JOIN users r ON r.id = t.recipient_id
+                 WHERE t.id = ?`,
+                [id]
+            );
+        } catch (error) {
+            console.error('Error in get (transfers):', error);
+            throw error;
+        }
+    }
+
+    // The user's own transfers, both directions
+    async listForUser(database, userId, limit = 20) {
+        try {
+            await this.ensureTable(database);
+            const rows = await database.all(
+                `SELECT t.id, t.sender_id, t.recipient_id, t.amount, t.fee, t.note, t.status, t.created_at,
+                        s.username AS sender_username, r.username AS recipient_username
+                 FROM point_transfers t
+                 LEFT JOIN users s ON s.id = t.sender_id
+                 LEFT JOIN users r ON r.id = t.recipient_id
+                 WHERE t.sender_id = ? OR t.recipient_id = ?
+                 ORDER BY t.created_at DESC, t.id DESC LIMIT ?`,
+                [userId, userId, Math.min(parseInt(limit, 10) || 20, 100)]
+            );
+            return rows.map(({ sender_id, recipient_id, ...row }) => ({
+                ...row,
+                direction: String(sender_id) === String(userId) ? 'out' : 'in'
+            }));
+        } catch (error) {
+            console.error('Error in listForUser (transfers):', error);
+            throw error;
+        }
+    }
+
+    // Admin view. status: 'completed' | 'reversed' | undefined; flagged: true limits to open fraud flags
+    async list(database, { status, flagged, telegramId, limit } = {}) {
+        try {
+            await this.ensureTable(database);
+            const where = [];
+            const params = [];
+            if (status) { where.push('t.status = ?'); params.push(status); }
+            if (flagged) where.push('t.flagged = 1');
+            if (telegramId) {
+                where.push('(t.sender_telegram_id = ? OR t.recipient_telegram_id = ?)');
+                params.push(telegramId, telegramId);
+            }
+            params.push(Math.min(parseInt(limit, 10) || 100, 500));
+            const rows = await database.all(
+                `SELECT t.*, s.username AS sender_username, r.username AS recipient_username
+                 FROM point_transfers t
+                 LEFT JOIN users s ON s.id = t.sender_id
+                 LEFT JOIN users r ON r.id = t.recipient_id
+                 ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+                 ORDER BY t.created_at DESC, t.id DESC LIMIT ?`,
+                params
+            );
+            return rows.map(row => ({ ...row, flagList: row.flags ? row.flags.split(',') : [] }));
+        } catch (error) {
+            console.error('Error in list (transfers):', error);
+            throw error;
+        }
+    }
+
+    // Mark a transfer for review or clear its flag (the detected flag codes stay for reference)
+    async setFlagged(database, id, flagged, adminTelegramId) {
+        try {
+            await this.ensureTable(database);
+            const result = await database.run(
+                'UPDATE point_transfers SET flagged = ?, reviewed_by = ? WHERE id = ?',
+                [flagged ? 1 : 0, adminTelegramId || null, id]
+            );
+            return !!(result && result.changes);
+        } catch (error) {
+            console.error('Error in setFlagged (transfers):', error);
+            throw error;
+        }
+    }
+
+    // Takes the amount back from the recipient (clamped at zero) and, with refundSender, returns what was
+    // recovered plus the fee to the sender. Returns null if the transfer is missing or already reversed.
+    async reverse(database, id, { adminTelegramId, reason, refundSender = true } = {}) {
+        try {
+            await this.ensureTable(database);
+            await ledgerService.ensureTable(database);
+            let outcome = null;
+            await database.transaction(async (tx) => {
+                const changed = await tx.run(
+                    `UPDATE point_transfers SET status = 'reversed', reversed_by = ?, reversed_at = datetime('now'), reverse_reason = ?, flagged = 0
+                     WHERE id = ? AND status = 'completed'`,
+                    [adminTelegramId || null, reason || null, id]
+                );
+                if (!changed || !changed.changes) return;
+                const transfer = await tx.get('SELECT * FROM point_transfers WHERE id = ?', [id]);
+                const taken = await ledgerService.record(tx, {
+                    userId: transfer.recipient_id, delta: -transfer.amount, reason: 'transfer_reversal', clampAtZero: true,
+                    referenceType: 'point_transfer', referenceId: id, description: reason || null, createdBy: adminTelegramId
+                });
+                const recovered = -taken.delta;
+                const refunded = refundSender ? recovered + (parseInt(transfer.fee, 10) || 0) : 0;
+                if (refunded > 0) {
+                    await ledgerService.record(tx, {
+                        userId: transfer.sender_id, delta: refunded, reason: 'transfer_reversal',
+                        referenceType: 'point_transfer', referenceId: id, description: reason || null, createdBy: adminTelegramId
+                    });
+                }
+                await tx.run('UPDATE point_transfers SET recovered_points = ?, refunded_points = ? WHERE id = ?', [recovered, refunded, id]);
+                outcome = { transfer: { ...transfer, recovered_points: recovered, refunded_points: refunded }, recovered, refunded };
+            });
+            return outcome;
+        } catch (error) {
+            console.error('Error in reverse (transfers):', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new TransferService();
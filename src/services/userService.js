@@ -1,3 +1,5 @@
+const ledgerService = require('./ledgerService');
+
 class UserService {
     async getOrCreateUserWithReferral(database, userData, referrerTelegramId) {
         try {
@@ -150,16 +152,10 @@ class UserService {
         }
     }
 
-    async updateUserPoints(database, userId, pointsToAdd) {
+    // entry: { reason, referenceType, referenceId, description } for the ledger row
+    async updateUserPoints(database, userId, pointsToAdd, entry) {
         try {
-            await database.run(
-                `UPDATE users 
-                 SET points = points + ?, 
-                     total_points_earned = total_points_earned + ?,
-                     updated_at = CURRENT_TIMESTAMP
-                 WHERE id = ?`,
-                [pointsToAdd, pointsToAdd, userId]
-            );
+            await ledgerService.record(database, { ...entry, userId, delta: pointsToAdd });
 
             return await this.getUserById(database, userId);
         } catch (error) {
@@ -196,7 +192,7 @@ class UserService {
             const friendInvitePointsRow = await database.get("SELECT config_value AS v FROM admin_config WHERE config_key = 'friendInvitePoints'");
             const credit = parseInt(friendInvitePointsRow && friendInvitePointsRow.v ? friendInvitePointsRow.v : (process.env.POINTS_PER_FRIEND_INVITE || 25));
             if (Number.isFinite(credit) && credit > 0) {
-                await database.run(`UPDATE users SET points = points + ?, total_points_earned = total_points_earned + ? WHERE id = ?`, [credit, credit, userId]);
+                await ledgerService.record(database, { userId, delta: credit, reason: 'referral_bonus' });
                 // Also log in claims_history as referral
                 const ref = await database.get('SELECT telegram_id FROM users WHERE id = ?', [userId]);
                 if (ref && ref.telegram_id) {
@@ -305,14 +301,14 @@ class UserService {
                 [today]
             );
             
-            // Top performing channels
-            const topChannels = await database.query(
-                `SELECT c.channel_name, COUNT(ucj.id) as joins
-                 FROM channels c
-                 LEFT JOIN user_channel_joins ucj ON c.id = ucj.channel_id
-                 WHERE c.is_active = 1
-                 GROUP BY c.id, c.channel_name
-                 ORDER BY joins DESC
+            // Top performing tasks
+            const topTasks = await database.query(
+                `SELECT t.title, COUNT(tc.id) as completions
+                 FROM task_definitions t
+                 LEFT JOIN task_claims tc ON t.id = tc.task_id AND tc.status = 'completed'
+                 WHERE t.is_active = 1
+                 GROUP BY t.id, t.title
+                 ORDER BY completions DESC
                  LIMIT 5`
             );
 
@@ -321,7 +317,7 @@ class UserService {
                 active_today: activeToday.count,
                 total_points: totalPoints.total || 0,
                 tasks_today: tasksToday.total || 0,
-                top_channels: topChannels
+                top_tasks: topTasks
             };
         } catch (error) {
             console.error('Error in getBotStats:', error);
@@ -401,9 +397,13 @@ class UserService {
             if (!Number.isFinite(credit) || credit <= 0) return false;
             await database.transaction(async (tx) => {
                 await tx.run(
-                    `UPDATE users SET points = points + ?, total_points_earned = total_points_earned + ?, friends_invited = friends_invited + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
-                    [credit, credit, inviter.id]
+                    `UPDATE users SET friends_invited = friends_invited + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                    [inviter.id]
                 );
+                await ledgerService.record(tx, {
+                    userId: inviter.id, delta: credit, reason: 'referral_bonus',
+                    referenceType: 'friend_invitation', referenceId: pending.id, description: `Invitee ${inviteeTelegramId}`
+                });
                 await tx.run(
                     `UPDATE friend_invitations SET status = 'completed', points_earned = ?, completed_at = CURRENT_TIMESTAMP WHERE id = ?`,
                     [credit, pending.id]
@@ -0,0 +1,37 @@
+// The user enters a code found at the task link (end of a video, a post, a partner page). Codes are
+// compared case-insensitively; guesses are limited by the 'earn' rate limit bucket.
+const MAX_CODES = 100;
+
+function clean(value) {
+    return String(value == null ? '' : value).trim().toLowerCase();
+}
+
+module.exports = {
+    name: 'code_entry',
+    label: 'Code entry',
+    input: 'code',
+    fields: [
+        { key: 'codes', label: 'Accepted codes (one per line)', type: 'textarea', required: true, secret: true },
+        { key: 'hint', label: 'Hint for the user', type: 'text', required: false, placeholder: 'The code is at the end of the video' }
+    ],
+
+    normalizeConfig(config) {
+        const list = Array.isArray(config.codes) ? config.codes : String(config.codes || '').split(/[\r\n,]+/);
+        const codes = Array.from(new Map(list.map(c => String(c).trim()).filter(Boolean).map(c => [clean(c), c])).values());
+        if (!codes.length) throw new Error('Add at least one code');
+        if (codes.length > MAX_CODES) throw new Error(`At most ${MAX_CODES} codes per task`);
+        const hint = String(config.hint || '').trim();
+        return { codes, hint: hint || null };
+    },
+
+    publicConfig(config) {
+        return { hint: config.hint };
+    },
+
+    verify({ config, input }) {
+        const code = clean(input);
+        if (!code) return { status: 'failed', message: 'Please enter the code' };
+        if (config.codes.some(c => clean(c) === code)) return { status: 'completed' };
+        return { status: 'failed', message: 'That code is not correct' };
+    }
+};
@@ -0,0 +1,48 @@
+// Task verifiers. A task names its verifier (task_definitions.verifier) and keeps the verifier's settings in
+// verifier_config; the verifier decides when a user's claim is complete. A verifier module exports:
+//   name, label              registry key and admin label
+//   fields                   admin form fields: [{ key, label, type: 'text' | 'number' | 'textarea' | 'select',
+//                            options, required, secret, placeholder }]; secret values are never sent to users
+//   input                    what the user sends with a claim: null, 'text' (proof), 'code' or 'quiz' (answers JSON)
+//   normalizeConfig(config, services)   validated settings (may be async); throws an Error for the admin
+//   adminConfig(config)      optional; saved settings in the shape the admin form edits
+//   publicConfig(config)     settings the user may see (hints, instructions)
+//   attemptLimit(config)     optional; how many scored submissions a user gets (0 = unlimited)
+//   start(ctx)               optional; runs when the user opens the task, returns { token } for the link
+//   verify(ctx)              { status: 'completed' | 'pending' | 'review' | 'failed', message, availableAt, proof };
+//                            attempt: false on a failed result that shouldn't use up an attempt
+//   receive(config, params)  optional; checks an inbound postback and returns the claim token it completes
+// ctx = { task, config, user, claim, input, attachment, services, now }; attachment is an uploaded image (data URL)
+// and verify may return it as image: { mime, data, size } with a 'review' result. services come from the caller:
+// getChatMember(chatId, telegramId) and resolveChatId(identifier) talk to the Bot API.
+// A new verification method is one more module in this list; tables, routes and the mini app stay as they are.
+const VERIFIERS = [
+    require('./telegramMembership'),
+    require('./timedDelay'),
+    require('./proofReview'),
+    require('./codeEntry'),
+    require('./postback'),
+    require('./quiz')
+];
+
+const registry = new Map(VERIFIERS.map(v => [v.name, v]));
+
+module.exports = {
+    get(name) {
+        return registry.get(name) || null;
+    },
+
+    names() {
+        return Array.from(registry.keys());
+    },
+
+    // For the admin task form
+    describe() {
+        return Array.from(registry.values()).map(v => ({
+            name: v.name,
+            label: v.label,
+            input: v.input || null,
+            fields: v.fields || []
+        }));
+    }
+};
@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+
+// A partner confirms completion server-to-server. Opening the task issues a claim token that is put into the
+// task link ({token}, also {telegram_id}); the partner calls /api/tasks/<id>/postback?token=...&sig=... where
+// sig = hex HMAC-SHA256(token, secret). The claim is credited on the first valid call.
+function sign(token, secret) {
+    return crypto.createHmac('sha256', String(secret)).update(String(token)).digest('hex');
+}
+
+function safeEqual(a, b) {
+    const x = Buffer.from(String(a || ''));
+    const y = Buffer.from(String(b || ''));
+    return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+module.exports = {
+    name: 'postback',
+    label: 'Partner postback',
+    input: null,
+    fields: [
+        { key: 'secret', label: 'Postback HMAC Secret (16+ characters)', type: 'text', required: true, secret: true }
+    ],
+
+    sign,
+
+    normalizeConfig(config) {
+        const secret = String(config.secret || '').trim();
+        if (secret.length < 16) throw new Error('Postback secret must be at least 16 characters');
+        return { secret };
+    },
+
+    publicConfig() {
+        return {};
+    },
+
+    start() {
+        return { token: crypto.randomBytes(16).toString('hex') };
+    },
+
+    verify({ claim }) {
+        if (!claim || !claim.token) return { status: 'failed', message: 'Open the task first, then complete it on the partner site' };
+        return { status: 'failed', message: 'We have not received confirmation from the partner yet. Please try again in a few minutes.' };
+    },
+
+    receive(config, params) {
+        const token = String(params.token || '').trim();
+        if (!token) throw new Error('MISSING_TOKEN');
+        const sig = String(params.sig || params.signature || '').toLowerCase();
+        if (!safeEqual(sig, sign(token, config.secret))) throw new Error('BAD_SIGNATURE');
+        return token;
+    }
+};
@@ -0,0 +1,61 @@
+// The user submits proof (a link or a short text, a screenshot, or either, as the task asks) and an admin
+// approves or rejects it from the review queue in the Tasks tab. A rejected claim can be submitted again.
+const MAX_PROOF_LENGTH = 2000;
+const MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+const PROOF_TYPES = ['text', 'screenshot', 'either'];
+
+// The file's first bytes must match its declared type
+const IMAGE_SIGNATURES = {
+    'image/png': data => data.slice(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47])),
+    'image/jpeg': data => data.slice(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+    'image/webp': data => data.slice(0, 4).toString('latin1') === 'RIFF' && data.slice(8, 12).toString('latin1') === 'WEBP'
+};
+
+// data:image/...;base64,... -> { mime, data (base64), size } or { error }
+function parseImage(attachment) {
+    const match = String(attachment).match(/^data:(image\/[a-z]+);base64,([A-Za-z0-9+/=\s]+)$/);
+    if (!match || !IMAGE_SIGNATURES[match[1]]) return { error: 'The screenshot must be a PNG, JPEG or WebP image' };
+    const data = Buffer.from(match[2], 'base64');
+    if (!data.length || !IMAGE_SIGNATURES[match[1]](data)) return { error: 'The screenshot could not be read' };
+    if (data.length > MAX_IMAGE_BYTES) return { error: `The screenshot must be ${MAX_IMAGE_BYTES / 1024 / 1024} MB or smaller` };
+    return { mime: match[1], data: data.toString('base64'), size: data.length };
+}
+
+function failed(message) {
+    return { status: 'failed', message };
+}
+
+module.exports = {
+    name: 'proof_review',
+    label: 'Proof reviewed by an admin',
+    input: 'text',
+    fields: [
+        { key: 'instructions', label: 'Instructions for the user', type: 'textarea', required: false, placeholder: 'Paste the link to your post' },
+        { key: 'proofType', label: 'Proof Required (text, screenshot or either)', type: 'select', options: PROOF_TYPES, required: true }
+    ],
+
+    normalizeConfig(config) {
+        const instructions = String(config.instructions || '').trim();
+        if (instructions.length > 500) throw new Error('Instructions must be 500 characters or fewer');
+        return { instructions: instructions || null, proofType: PROOF_TYPES.includes(config.proofType) ? config.proofType : 'text' };
+    },
+
+    publicConfig(config) {
+        return { instructions: config.instructions, proofType: config.proofType || 'text' };
+    },
+
+    verify({ config, input, attachment }) {
+        const proofType = PROOF_TYPES.includes(config.proofType) ? config.proofType : 'text';
+        const proof = String(input == null ? '' : input).trim();
+        if (proof.length > MAX_PROOF_LENGTH) return failed(`Proof must be ${MAX_PROOF_LENGTH} characters or fewer`);
+        let image = null;
+        if (attachment && proofType !== 'text') {
+            image = parseImage(attachment);
+            if (image.error) return failed(image.error);
+        }
+        if (proofType === 'text' && !proof) return failed('Please add your proof before submitting');
+        if (proofType === 'screenshot' && !image) return failed('Please attach a screenshot');
+        if (proofType === 'either' && !proof && !image) return failed('Please add a link, some text or a screenshot');
+        return { status: 'review', proof: proof || null, image, message: 'Submitted for review. You will get a message once it is checked.' };
+    }
+};
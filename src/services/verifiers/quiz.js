@@ -0,0 +1,141 @@
+// Learn-and-earn quiz: the user answers the admin's questions in the mini app and the server scores them.
+// Questions are written one block each: "Q: question", then "* right" / "- wrong" options for multiple
+// choice, or "= answer | other answer" for a typed answer. Correct answers never leave the server; users get
+// the questions and options in a new random order on every load, and a failed quiz only says how many were
+// right. attemptLimit makes taskService count each scored submission against the user's attempts.
+const MAX_QUESTIONS = 20;
+const MAX_OPTIONS = 6;
+const MAX_TEXT = 300;
+const DEFAULT_PASS_PERCENT = 100;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const MAX_ATTEMPTS = 100;
+
+// Typed answers match ignoring case, extra spaces and surrounding punctuation
+function clean(value) {
+    return String(value == null ? '' : value).toLowerCase().replace(/\s+/g, ' ').trim().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+}
+
+function shuffle(list) {
+    const copy = list.slice();
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+// "Q: ..." text -> [{ text, options: [{ text, correct }] } | { text, answers: [...] }]
+function parseText(source) {
+    const questions = [];
+    let current = null;
+    String(source || '').split(/\r?\n/).forEach((raw, index) => {
+        const line = raw.trim();
+        if (!line) return;
+        const marker = line.match(/^(q:|\*|-|=)\s*(.*)$/i);
+        if (!marker) throw new Error(`Line ${index + 1}: start it with Q:, *, - or =`);
+        const [, kind, text] = marker;
+        if (kind.toLowerCase() === 'q:') {
+            current = { text, options: [], answers: [] };
+            questions.push(current);
+            return;
+        }
+        if (!current) throw new Error(`Line ${index + 1}: start each question with Q:`);
+        if (kind === '=') current.answers.push(...text.split('|'));
+        else current.options.push({ text, correct: kind === '*' });
+    });
+    return questions;
+}
+
+function normalizeQuestion(question, index) {
+    const label = `Question ${index + 1}`;
+    const text = String(question.text || '').trim();
+    if (!text || text.length > MAX_TEXT) throw new Error(`${label}: text is required (${MAX_TEXT} characters max)`);
+    const options = (question.options || []).map(o => ({ text: String(o.text || '').trim(), correct: !!o.correct })).filter(o => o.text);
+    const answers = Array.from(new Set((question.answers || []).map(a => String(a).trim()).filter(a => clean(a))));
+    if (options.length && answers.length) throw new Error(`${label}: use either options or typed answers, not both`);
+    if (options.length) {
+        if (options.length < 2 || options.length > MAX_OPTIONS) throw new Error(`${label}: give 2-${MAX_OPTIONS} options`);
+        if (!options.some(o => o.correct)) throw new Error(`${label}: mark the right option with *`);
+        if (options.some(o => o.text.length > MAX_TEXT)) throw new Error(`${label}: options are ${MAX_TEXT} characters max`);
+        return { id: index + 1, text, options: options.map((o, i) => ({ id: i + 1, ...o })), answers: null };
+    }
+    if (!answers.length) throw new Error(`${label}: add options (* / -) or accepted answers (=)`);
+    return { id: index + 1, text, options: null, answers };
+}
+
+function wholeNumber(raw, fallback, min, max, message) {
+    const value = raw === undefined || raw === null || raw === '' ? fallback : Number(raw);
+    if (!Number.isInteger(value) || value < min || value > max) throw new Error(message);
+    return value;
+}
+
+module.exports = {
+    name: 'quiz',
+    label: 'Quiz (answers checked on the server)',
+    input: 'quiz',
+    fields: [
+        {
+            key: 'questions', label: 'Questions (Q: question, then * right / - wrong options, or = accepted answers separated by |)',
+            type: 'textarea', required: true, placeholder: 'Q: What did the post announce?\n* A new token\n- A giveaway\nQ: Name the token ticker\n= ABC | $ABC'
+        },
+        { key: 'passPercent', label: 'Pass Mark (% correct)', type: 'number', required: false, placeholder: String(DEFAULT_PASS_PERCENT) },
+        { key: 'maxAttempts', label: 'Attempts Allowed (0 = unlimited)', type: 'number', required: false, placeholder: String(DEFAULT_MAX_ATTEMPTS) }
+    ],
+
+    normalizeConfig(config) {
+        const source = Array.isArray(config.questions) ? config.questions : parseText(config.questions);
+        if (!source.length) throw new Error('Add at least one question');
+        if (source.length > MAX_QUESTIONS) throw new Error(`At most ${MAX_QUESTIONS} questions per quiz`);
+        return {
+            questions: source.map(normalizeQuestion),
+            passPercent: wholeNumber(config.passPercent, DEFAULT_PASS_PERCENT, 1, 100, 'Pass mark must be between 1 and 100'),
+            maxAttempts: wholeNumber(config.maxAttempts, DEFAULT_MAX_ATTEMPTS, 0, MAX_ATTEMPTS, `Attempts must be between 0 and ${MAX_ATTEMPTS}`)
+        };
+    },
+
+    // Saved questions back in the form's text format
+    adminConfig(config) {
+        const questions = (config.questions || []).map(q => [`Q: ${q.text}`]
+            .concat(q.options ? q.options.map(o => `${o.correct ? '*' : '-'} ${o.text}`) : [`= ${(q.answers || []).join(' | ')}`])
+            .join('\n')).join('\n\n');
+        return { questions, passPercent: config.passPercent, maxAttempts: config.maxAttempts };
+    },
+
+    publicConfig(config) {
+        return {
+            questions: shuffle(config.questions || []).map(q => ({
+                id: q.id,
+                text: q.text,
+                options: q.options ? shuffle(q.options).map(o => ({ id: o.id, text: o.text })) : null
+            })),
+            passPercent: config.passPercent,
+            maxAttempts: config.maxAttempts
+        };
+    },
+
+    attemptLimit(config) {
+        return parseInt(config.maxAttempts, 10) || 0;
+    },
+
+    // input: JSON object of question id -> option id (multiple choice) or text
+    verify({ config, input }) {
+        let answers = null;
+        try {
+            answers = JSON.parse(input);
+        } catch (_) {
+            answers = null;
+        }
+        const questions = config.questions || [];
+        if (!answers || typeof answers !== 'object' || questions.some(q => !clean(answers[q.id]))) {
+            return { status: 'failed', attempt: false, message: 'Please answer every question' };
+        }
+        const correct = questions.filter(q => (q.options
+            ? q.options.some(o => o.correct && String(o.id) === String(answers[q.id]))
+            : q.answers.some(a => clean(a) === clean(answers[q.id])))).length;
+        if (correct * 100 >= config.passPercent * questions.length) {
+            return { status: 'completed', message: `You got ${correct} of ${questions.length} right` };
+        }
+        const needed = Math.ceil(config.passPercent * questions.length / 100);
+        return { status: 'failed', message: `You got ${correct} of ${questions.length} right; ${needed} needed to pass.` };
+    }
+};
@@ -0,0 +1,47 @@
+// The user must be a member of a Telegram channel or group (one getChatMember call at claim time; the
+// join re-verification job checks again during the holding period). The bot must be an admin of the chat.
+const MEMBER_STATUSES = ['member', 'administrator', 'creator'];
+const CHAT_TYPES = ['channel', 'group'];
+
+function isMember(member) {
+    if (!member || !member.status) return false;
+    if (MEMBER_STATUSES.includes(member.status)) return true;
+    return member.status === 'restricted' && member.is_member !== false;
+}
+
+module.exports = {
+    name: 'telegram_membership',
+    label: 'Telegram channel/group membership',
+    input: null,
+    fields: [
+        { key: 'chatId', label: 'Chat Username/ID', type: 'text', required: true, placeholder: '@channelusername or -1001234567890' },
+        { key: 'chatType', label: 'Chat Type', type: 'select', options: CHAT_TYPES, required: true }
+    ],
+
+    isMember,
+
+    async normalizeConfig(config, services = {}) {
+        const raw = String(config.chatId || '').trim();
+        if (!raw) throw new Error('Chat username or ID is required');
+        let chatId = /^-?\d+$/.test(raw) ? raw : null;
+        // Usernames are resolved once so the check keeps working if the chat is renamed
+        if (!chatId && services.resolveChatId) chatId = await services.resolveChatId(raw);
+        if (!chatId) throw new Error('Invalid chat username/ID');
+        return { chatId: String(chatId), chatType: CHAT_TYPES.includes(config.chatType) ? config.chatType : 'channel' };
+    },
+
+    publicConfig(config) {
+        return { chatType: config.chatType };
+    },
+
+    async verify({ config, user, services }) {
+        let member = null;
+        try {
+            if (services && services.getChatMember) member = await services.getChatMember(config.chatId, user.telegram_id);
+        } catch (_) {
+            member = null;
+        }
+        if (isMember(member)) return { status: 'completed' };
+        return { status: 'failed', message: `You must join the ${config.chatType || 'channel'} first before claiming the reward` };
+    }
+};
@@ -0,0 +1,39 @@
+const { toMs } = require('../helpers');
+
+// No external check: the first claim starts a timer and the reward is credited once it runs out (used for
+// social follows and website visits, which can't be verified). Due claims are also finalized when the user
+// loads the task list.
+const DEFAULT_DELAY_MINUTES = 15;
+const MAX_DELAY_MINUTES = 7 * 24 * 60;
+
+module.exports = {
+    name: 'timed_delay',
+    label: 'Timed delay (no check)',
+    input: null,
+    fields: [
+        { key: 'delayMinutes', label: 'Delay (minutes)', type: 'number', required: true, placeholder: String(DEFAULT_DELAY_MINUTES) }
+    ],
+
+    normalizeConfig(config) {
+        const raw = config.delayMinutes;
+        const delayMinutes = raw === undefined || raw === '' ? DEFAULT_DELAY_MINUTES : parseInt(raw, 10);
+        if (!Number.isFinite(delayMinutes) || delayMinutes < 0 || delayMinutes > MAX_DELAY_MINUTES) {
+            throw new Error(`Delay must be between 0 and ${MAX_DELAY_MINUTES} minutes`);
+        }
+        return { delayMinutes };
+    },
+
+    publicConfig(config) {
+        return { delayMinutes: config.delayMinutes };
+    },
+
+    verify({ config, claim, now }) {
+        const due = claim && claim.status === 'pending' ? toMs(claim.available_at) : NaN;
+        if (Number.isFinite(due)) {
+            return due <= now ? { status: 'completed' } : { status: 'pending', availableAt: due, message: 'Still verifying. Please check again a little later.' };
+        }
+        const availableAt = now + config.delayMinutes * 60 * 1000;
+        if (availableAt <= now) return { status: 'completed' };
+        return { status: 'pending', availableAt, message: `Your reward will be credited in ${config.delayMinutes} minutes` };
+    }
+};
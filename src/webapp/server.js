@@ -5,9 +5,28 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
 const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const database = require('../database/connection');
 const userService = require('../services/userService');
 const taskService = require('../services/taskService');
+const verifiers = require('../services/verifiers');
+const adminService = require('../services/adminService');
+const bankDetailsService = require('../services/bankDetailsService');
+const encryptionService = require('../services/encryptionService');
+const rateLimitService = require('../services/rateLimitService');
+const adminConfirmationService = require('../services/adminConfirmationService');
+const configHistoryService = require('../services/configHistoryService');
+const scriptPolicyService = require('../services/scriptPolicyService');
+const ledgerService = require('../services/ledgerService');
+const reconciliationService = require('../services/reconciliationService');
+const idempotencyService = require('../services/idempotencyService');
+const pointsExpiryService = require('../services/pointsExpiryService');
+const currencyService = require('../services/currencyService');
+const joinVerificationService = require('../services/joinVerificationService');
+const levelService = require('../services/levelService');
+const streakService = require('../services/streakService');
+const transferService = require('../services/transferService');
+const shopService = require('../services/shopService');
 
 const app = express();
 // Prefer platform-provided PORT (Railway/Heroku). Fallback to WEBAPP_PORT or 3001.
@@ -16,7 +35,29 @@ const PORT = process.env.PORT || process.env.WEBAPP_PORT || 3001;
 // Trust proxy for ngrok
 app.set('trust proxy', 1);
 
+// Per-request CSP nonce and the admin-managed ad script origins (cached briefly; every page needs them)
+let adScriptOriginsCache = null;
+async function getAdScriptOrigins(){
+    if (adScriptOriginsCache && Date.now() - adScriptOriginsCache.at < 60 * 1000) return adScriptOriginsCache.origins;
+    if (!database.isConnected) await database.connect();
+    const cfg = await getMonetagConfig(database);
+    adScriptOriginsCache = { origins: cfg.scriptOrigins, at: Date.now() };
+    return cfg.scriptOrigins;
+}
+
+app.use(async (req, res, next) => {
+    res.locals.cspNonce = crypto.randomBytes(16).toString('base64');
+    try {
+        res.locals.adScriptOrigins = await getAdScriptOrigins();
+    } catch (e) {
+        console.error('Error loading ad script origins:', e);
+        res.locals.adScriptOrigins = scriptPolicyService.defaultAdOrigins;
+    }
+    next();
+});
+
 // Security middleware
+const scriptSources = ["'self'", (req, res) => `'nonce-${res.locals.cspNonce}'`, ...scriptPolicyService.baseOrigins, (req, res) => res.locals.adScriptOrigins.join(' ') || "'self'"];
 app.use(helmet({
     contentSecurityPolicy: {
         directives: {
@@ -24,8 +65,8 @@ app.use(helmet({
             styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com", "https://cdnjs.cloudflare.com", "https:"],
             styleSrcElem: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com", "https://cdnjs.cloudflare.com", "https:"],
             fontSrc: ["'self'", "https://fonts.gstatic.com", "https://cdnjs.cloudflare.com", "data:", "https:"],
-            scriptSrc: ["'self'", "'unsafe-inline'", "https:", "http:"],
-            scriptSrcElem: ["'self'", "'unsafe-inline'", "https:", "http:"],
+            scriptSrc: scriptSources,
+            scriptSrcElem: scriptSources,
             connectSrc: ["'self'", "https:", "wss:"],
             imgSrc: ["'self'", "data:", "https:"],
             frameSrc: ["'self'", "https:"]
@@ -65,15 +106,35 @@ app.use(express.urlencoded({ extended: true, limit: '25mb' }));
 // Static files
 app.use(express.static(path.join(__dirname, 'static')));
 
+// layout.html with the configured ad SDK. Zone/app ids build a standard tag; otherwise the admin
+// snippet is re-validated against the origin allowlist and only its <script src> tags are emitted.
+async function renderLayout(db, nonce){
+    const fs = require('fs');
+    const base = fs.readFileSync(path.join(__dirname, 'static', 'layout.html'), 'utf8');
+    const cfg = await getMonetagConfig(db);
+    const zoneId = String(cfg.zoneId || '').trim();
+    const appId = String(cfg.appId || '').trim();
+    let scripts = [];
+    if (zoneId) {
+        const attrs = { src: 'https://libtl.com/sdk.js', 'data-zone': zoneId, 'data-sdk': `show_${zoneId}` };
+        if (appId) attrs['data-app'] = appId;
+        scripts = [{ attrs }];
+    } else if (cfg.sdkSnippet && cfg.sdkSnippet.trim()) {
+        const parsed = scriptPolicyService.parseSnippet(cfg.sdkSnippet, cfg.scriptOrigins);
+        if (parsed.errors.length) console.warn('Ads SDK snippet rejected at render:', parsed.errors.join('; '));
+        scripts = parsed.scripts;
+    }
+    let tags = scriptPolicyService.renderScripts(scripts, nonce);
+    // Expose zone id to client for dynamic function name
+    if (zoneId) tags += '\n' + scriptPolicyService.renderInlineAssignment('__adsZoneId', zoneId, nonce);
+    return tags ? base.replace('</body>', `${tags}\n</body>`) : base;
+}
+
 // Inject SDK snippet into layout.html if configured
 app.get('/layout-with-sdk', async (req, res) => {
     try {
-        const sdk = await getConfig(req.db, 'adsSdkSnippet', '');
-        const fs = require('fs');
-        const base = fs.readFileSync(path.join(__dirname, 'static', 'layout.html'), 'utf8');
-        if (!sdk) return res.type('html').send(base);
-        const injected = base.replace('</body>', `${sdk}\n</body>`);
-        return res.type('html').send(injected);
+        if (!database.isConnected) await database.connect();
+        return res.type('html').send(await renderLayout(database, res.locals.cspNonce));
     } catch (e) {
         return res.sendFile(path.join(__dirname, 'static', 'layout.html'));
     }
@@ -100,6 +161,17 @@ app.use(async (req, res, next) => {
         try { await req.db.run(`ALTER TABLE withdrawals ADD COLUMN provider_trade_no TEXT`); } catch (_) {}
         try { await req.db.run(`ALTER TABLE withdrawals ADD COLUMN provider_result TEXT`); } catch (_) {}
         try { await req.db.run(`ALTER TABLE withdrawals ADD COLUMN callback_received INTEGER DEFAULT 0`); } catch (_) {}
+        try { await req.db.run(`ALTER TABLE withdrawals ADD COLUMN currency_code TEXT`); } catch (_) {}
+        try { await req.db.run(`ALTER TABLE withdrawals ADD COLUMN currency_rate REAL`); } catch (_) {}
+        try { await req.db.run(`ALTER TABLE users ADD COLUMN payout_currency TEXT`); } catch (_) {}
+        try { await migrateLegacySecrets(req.db); } catch (e) { console.error('Error migrating legacy secrets:', e); }
+        try { await ledgerService.ensureTable(req.db); } catch (e) { console.error('Error ensuring points ledger:', e); }
+        try { await currencyService.ensureTable(req.db); } catch (e) { console.error('Error ensuring currencies:', e); }
+        try { await levelService.ensureTable(req.db); } catch (e) { console.error('Error ensuring levels:', e); }
+        try { await taskService.ensureTable(req.db); } catch (e) { console.error('Error ensuring tasks:', e); }
+        try { await streakService.ensureTable(req.db); } catch (e) { console.error('Error ensuring login streaks:', e); }
+        try { await transferService.ensureTable(req.db); } catch (e) { console.error('Error ensuring point transfers:', e); }
+        try { await shopService.ensureTable(req.db); } catch (e) { console.error('Error ensuring shop:', e); }
     }
     next();
 });
@@ -126,28 +198,101 @@ async function ensureConfigTable(db){
     await db.run(sql);
 }
 
-async function setConfig(db, entries){
+// Keys in the "secret:" namespace are encrypted at rest and never returned by admin/public config endpoints
+const SECRET_CONFIG_PREFIX = 'secret:';
+
+function isSecretConfigKey(key){
+    return String(key).startsWith(SECRET_CONFIG_PREFIX);
+}
+
+// Pass `audit` (see configAudit) from admin routes to record before/after values in config_history
+async function setConfig(db, entries, audit){
     await ensureConfigTable(db);
     const isPg = !!db.isPostgres;
-    if (isPg) {
-        const stmt = `INSERT INTO admin_config (config_key, config_value) VALUES (?, ?) 
-                      ON CONFLICT (config_key) DO UPDATE SET config_value = EXCLUDED.config_value, updated_at = CURRENT_TIMESTAMP`;
-        for (const [k,v] of Object.entries(entries)){
-            await db.run(stmt, [k, String(v)]);
-        }
-    } else {
-        const stmt = `INSERT INTO admin_config (config_key, config_value) VALUES (?, ?) 
-                      ON CONFLICT(config_key) DO UPDATE SET config_value=excluded.config_value, updated_at=datetime('now')`;
-        for (const [k,v] of Object.entries(entries)){
-            await db.run(stmt, [k, String(v)]);
+    const stmt = isPg
+        ? `INSERT INTO admin_config (config_key, config_value) VALUES (?, ?) 
+           ON CONFLICT (config_key) DO UPDATE SET config_value = EXCLUDED.config_value, updated_at = CURRENT_TIMESTAMP`
+        : `INSERT INTO admin_config (config_key, config_value) VALUES (?, ?) 
+           ON CONFLICT(config_key) DO UPDATE SET config_value=excluded.config_value, updated_at=datetime('now')`;
+    const changes = [];
+    for (const [k,v] of Object.entries(entries)){
+        if (audit) {
+            const before = await getConfig(db, k, null);
+            if (before !== String(v)) {
+                changes.push(isSecretConfigKey(k)
+                    ? { key: k, oldValue: before ? configHistoryService.secretMarker : null, newValue: configHistoryService.secretMarker }
+                    : { key: k, oldValue: before, newValue: String(v) });
+            }
         }
+        const value = isSecretConfigKey(k) ? (encryptionService.encrypt(String(v)) || '') : String(v);
+        await db.run(stmt, [k, value]);
     }
+    if (audit) await configHistoryService.record(db, { ...audit, changes });
+}
+
+// Removes keys so readers fall back to their defaults
+async function deleteConfig(db, keys, audit){
+    await ensureConfigTable(db);
+    const changes = [];
+    for (const k of keys) {
+        const before = await getConfig(db, k, null);
+        if (before === null) continue;
+        await db.run(`DELETE FROM admin_config WHERE config_key = ?`, [k]);
+        changes.push({ key: k, oldValue: isSecretConfigKey(k) ? configHistoryService.secretMarker : before, newValue: null });
+    }
+    if (audit) await configHistoryService.record(db, { ...audit, changes });
+}
+
+// Audit context for one admin save; routes that write several times share the change id
+function configAudit(req, group, action){
+    return { adminTelegramId: req.admin.telegramId, group, action: action || 'update', changeId: configHistoryService.newChangeId() };
 }
 
 async function getConfig(db, key, fallback){
     await ensureConfigTable(db);
     const row = await db.get(`SELECT config_value FROM admin_config WHERE config_key = ?`, [key]);
-    return row && row.config_value != null ? row.config_value : fallback;
+    if (!row || row.config_value == null) return fallback;
+    return isSecretConfigKey(key) ? encryptionService.decrypt(row.config_value) : row.config_value;
+}
+
+// Write-only secrets: an empty value keeps the stored secret, `clear` removes it
+async function setSecretConfig(db, name, value, clear, audit){
+    const key = SECRET_CONFIG_PREFIX + name;
+    if (clear) {
+        await deleteConfig(db, [key], audit);
+        return;
+    }
+    if (value === undefined || value === null || String(value).trim() === '') return;
+    await setConfig(db, { [key]: String(value).trim() }, audit);
+}
+
+async function getSecretConfig(db, name){
+    return await getConfig(db, SECRET_CONFIG_PREFIX + name, '');
+}
+
+// { name: true|false } for the admin panel's set/unset indicators
+async function getSecretStatus(db, names){
+    await ensureConfigTable(db);
+    const out = {};
+    for (const name of names) {
+        const row = await db.get(`SELECT config_value FROM admin_config WHERE config_key = ?`, [SECRET_CONFIG_PREFIX + name]);
+        out[name] = !!(row && row.config_value);
+    }
+    return out;
+}
+
+// Move secrets saved before the namespace existed (plain paystackSecret) into encrypted storage
+async function migrateLegacySecrets(db){
+    if (!encryptionService.isConfigured()) return;
+    const legacy = { paystackSecret: 'paystackSecret' };
+    for (const [oldKey, name] of Object.entries(legacy)) {
+        const row = await db.get(`SELECT config_value FROM admin_config WHERE config_key = ?`, [oldKey]);
+        if (!row) continue;
+        if (row.config_value && !(await getSecretConfig(db, name))) {
+            await setSecretConfig(db, name, row.config_value);
+        }
+        await db.run(`DELETE FROM admin_config WHERE config_key = ?`, [oldKey]);
+    }
 }
 
 async function getIntConfig(db, key, fallback){
@@ -165,10 +310,95 @@ async function getMonetagConfig(db){
         fixedRewardPoints: await getIntConfig(db, 'adsFixedRewardPoints', 0),
         sdkSnippet: await getConfig(db, 'adsSdkSnippet', ''),
         zoneId: await getConfig(db, 'adsZoneId', ''),
-        appId: await getConfig(db, 'adsAppId', '')
+        appId: await getConfig(db, 'adsAppId', ''),
+        // Comma-separated IPs or IPv4 CIDRs allowed to call /postback (empty = any)
+        postbackIpAllowlist: await getConfig(db, 'adsPostbackIpAllowlist', ''),
+        // https origins ad SDK scripts may load from (CSP script-src allowlist)
+        scriptOrigins: scriptPolicyService.parseOrigins(await getConfig(db, 'adsScriptOrigins', scriptPolicyService.defaultAdOrigins.join('\n'))).origins
+    };
+}
+
+// Postback credentials live in the secrets namespace; at least one must be set for /postback to credit
+async function getMonetagPostbackSecrets(db){
+    return {
+        token: await getSecretConfig(db, 'monetagPostbackToken'),
+        hmacSecret: await getSecretConfig(db, 'monetagPostbackHmacSecret')
     };
 }
 
+function safeEqual(a, b){
+    const x = Buffer.from(String(a || ''));
+    const y = Buffer.from(String(b || ''));
+    return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function ipv4ToInt(ip){
+    const parts = String(ip).split('.').map(n => parseInt(n, 10));
+    if (parts.length !== 4 || parts.some(n => !Number.isFinite(n) || n < 0 || n > 255)) return null;
+    return ((parts[0] << 24) >>> 0) + (parts[1] << 16) + (parts[2] << 8) + parts[3];
+}
+
+function isIpAllowed(ip, allowlist){
+    const entries = String(allowlist || '').split(',').map(s => s.trim()).filter(Boolean);
+    if (!entries.length) return true;
+    const addr = String(ip || '').replace(/^::ffff:/, '');
+    return entries.some(entry => {
+        if (!entry.includes('/')) return entry === addr;
+        const [base, bitsRaw] = entry.split('/');
+        const bits = parseInt(bitsRaw, 10);
+        const a = ipv4ToInt(addr);
+        const b = ipv4ToInt(base);
+        if (a === null || b === null || !(bits >= 0 && bits <= 32)) return false;
+        const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+        return ((a & mask) >>> 0) === ((b & mask) >>> 0);
+    });
+}
+
+// Signature = hex HMAC-SHA256 over the sorted query params (excluding sig/token), joined as k=v with '&'
+function monetagPostbackSignature(params, secret){
+    const canonical = Object.keys(params)
+        .filter(k => k !== 'sig' && k !== 'signature' && k !== 'token')
+        .sort()
+        .map(k => `${k}=${params[k]}`)
+        .join('&');
+    return crypto.createHmac('sha256', secret).update(canonical).digest('hex');
+}
+
+// The postback URL is public, so the log is bounded: each IP gets postbackLogBudget rows per window (later
+// calls are answered but not logged), and rows past the retention period or the row cap are pruned hourly.
+const postbackLogBudget = rateLimitService.parseBudget(process.env.ADS_POSTBACK_LOG_RATE_LIMIT, { max: 20, windowMs: 60 * 1000 });
+const postbackLogRetentionDays = Math.max(1, parseInt(process.env.ADS_POSTBACK_LOG_RETENTION_DAYS, 10) || 14);
+const postbackLogMaxRows = Math.max(1000, parseInt(process.env.ADS_POSTBACK_LOG_MAX_ROWS, 10) || 100000);
+const postbackLogLimiter = new rateLimitService.MemoryRateLimitStore();
+let postbackLogPrunedAt = 0;
+
+async function prunePostbackLog(db){
+    if (Date.now() - postbackLogPrunedAt < 60 * 60 * 1000) return;
+    postbackLogPrunedAt = Date.now();
+    try {
+        await db.run(`DELETE FROM ads_postback_log WHERE created_at < datetime('now', '-${postbackLogRetentionDays} days')`);
+        await db.run(`DELETE FROM ads_postback_log WHERE id <= (SELECT MAX(id) FROM ads_postback_log) - ?`, [postbackLogMaxRows]);
+    } catch (e) {
+        console.error('Error pruning postback log:', e);
+    }
+}
+
+async function logPostbackEvent(db, { status, reason, telegramId, providerTxid, ip, params }){
+    try {
+        const { count } = await postbackLogLimiter.increment(`postback-log:${ip || 'unknown'}`, postbackLogBudget.windowMs);
+        if (count > postbackLogBudget.max) return;
+        await prunePostbackLog(db);
+        const clean = { ...(params || {}) };
+        delete clean.token; delete clean.sig; delete clean.signature;
+        await db.run(
+            `INSERT INTO ads_postback_log (provider, telegram_id, provider_txid, status, reason, ip, payload) VALUES ('monetag', ?, ?, ?, ?, ?, ?)`,
+            [Number.isFinite(telegramId) ? telegramId : null, providerTxid || null, status, reason || null, ip || null, JSON.stringify(clean).slice(0, 2000)]
+        );
+    } catch (e) {
+        console.error('Error logging postback event:', e);
+    }
+}
+
 async function ensureAdsTables(db){
     const isPg = !!db.isPostgres;
     try {
@@ -221,6 +451,33 @@ async function ensureAdsTables(db){
             )`);
         }
     } catch (e) { /* ignore */ }
+    try {
+        if (isPg) {
+            await db.run(`CREATE TABLE IF NOT EXISTS ads_postback_log (
+                id SERIAL PRIMARY KEY,
+                provider TEXT NOT NULL,
+                telegram_id BIGINT,
+                provider_txid TEXT,
+                status TEXT NOT NULL,
+                reason TEXT,
+                ip TEXT,
+                payload TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )`);
+        } else {
+            await db.run(`CREATE TABLE IF NOT EXISTS ads_postback_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                provider TEXT NOT NULL,
+                telegram_id INTEGER,
+                provider_txid TEXT,
+                status TEXT NOT NULL,
+                reason TEXT,
+                ip TEXT,
+                payload TEXT,
+                created_at DATETIME DEFAULT (datetime('now'))
+            )`);
+        }
+    } catch (e) { /* ignore */ }
 }
 
 // Paystack helpers and config
@@ -268,9 +525,9 @@ function normalizeBankName(s){
     return cleaned;
 }
 
-async function fetchPaystackBanks(secret){
+async function fetchPaystackBanks(secret, currency){
     try {
-        const resp = await fetch('https://api.paystack.co/bank?currency=NGN', {
+        const resp = await fetch(`https://api.paystack.co/bank?currency=${encodeURIComponent(currency)}`, {
             headers: { Authorization: `Bearer ${secret}` }
         }).then(r => r.json());
         if (!resp || resp.status !== true || !Array.isArray(resp.data)) return [];
@@ -278,18 +535,25 @@ async function fetchPaystackBanks(secret){
     } catch (_) { return []; }
 }
 
-async function getCachedPaystackBanks(db, secret){
+// Cached per currency; NGN keeps the original (unsuffixed) cache keys
+function paystackBanksCacheKeys(currency){
+    const suffix = currency === 'NGN' ? '' : `_${currency}`;
+    return { json: `paystackBanksJson${suffix}`, updatedAt: `paystackBanksUpdatedAt${suffix}` };
+}
+
+async function getCachedPaystackBanks(db, secret, currency){
     try {
-        const json = await getConfig(db, 'paystackBanksJson', '');
-        const tsStr = await getConfig(db, 'paystackBanksUpdatedAt', '0');
+        const keys = paystackBanksCacheKeys(currency);
+        const json = await getConfig(db, keys.json, '');
+        const tsStr = await getConfig(db, keys.updatedAt, '0');
         const ts = parseInt(tsStr, 10) || 0;
         const maxAgeMs = 1000 * 60 * 60 * 24 * 3; // 3 days
         if (json && Date.now() - ts < maxAgeMs) {
             try { return JSON.parse(json); } catch (_) {}
         }
-        const fresh = await fetchPaystackBanks(secret);
+        const fresh = await fetchPaystackBanks(secret, currency);
         if (fresh.length > 0) {
-            await setConfig(db, { paystackBanksJson: JSON.stringify(fresh), paystackBanksUpdatedAt: String(Date.now()) });
+            await setConfig(db, { [keys.json]: JSON.stringify(fresh), [keys.updatedAt]: String(Date.now()) });
             return fresh;
         }
         // fallback to old cache if fetch failed
@@ -298,13 +562,13 @@ async function getCachedPaystackBanks(db, secret){
     } catch (_) { return []; }
 }
 
-async function resolvePaystackBankCode(db, secret, localBankName){
-    // 1) Try static map quickly
-    const direct = getPaystackBankCode(localBankName);
+async function resolvePaystackBankCode(db, secret, localBankName, currency){
+    // 1) Try static map quickly (Nigerian banks only)
+    const direct = currency === 'NGN' ? getPaystackBankCode(localBankName) : null;
     if (direct) return direct;
 
     // 2) Try dynamic list from Paystack
-    const list = await getCachedPaystackBanks(db, secret);
+    const list = await getCachedPaystackBanks(db, secret, currency);
     if (!list || list.length === 0) return null;
 
     const input = String(localBankName || '');
@@ -332,23 +596,263 @@ async function resolvePaystackBankCode(db, secret, localBankName){
 async function getPaystackConfig(db){
     return {
         enabled: (await getConfig(db, 'paystackAuto', 'false')) === 'true',
-        secret: await getConfig(db, 'paystackSecret', '')
+        // Legacy plaintext key is only read until migrateLegacySecrets has moved it
+        secret: (await getSecretConfig(db, 'paystackSecret')) || (await getConfig(db, 'paystackSecret', ''))
     };
 }
 
 // Admin auth helpers
+// Admin identity comes from a signed session token (Authorization: Bearer <access token>),
+// issued by /api/admin/auth/login after verifying Telegram initData or the Login Widget payload.
+const adminJwtSecret = process.env.ADMIN_JWT_SECRET || process.env.JWT_SECRET || (() => {
+    console.warn('ADMIN_JWT_SECRET/JWT_SECRET not set; admin sessions will not survive a restart');
+    return crypto.randomBytes(32).toString('hex');
+})();
+const adminAccessTtlSeconds = parseInt(process.env.ADMIN_ACCESS_TTL_SECONDS, 10) || 15 * 60;
+const adminRefreshTtlSeconds = parseInt(process.env.ADMIN_REFRESH_TTL_SECONDS, 10) || 7 * 24 * 60 * 60;
+
 function getAdminId(req) {
     try {
-        const hdr = req.headers['x-admin-id'];
-        const b = req.body || {};
-        const q = req.query || {};
-        const val = hdr || b.user_id || q.user_id || '';
-        return String(val).trim();
+        if (req.adminId !== undefined) return req.adminId;
+        const auth = String(req.headers['authorization'] || '');
+        let id = '';
+        if (auth.startsWith('Bearer ')) {
+            try {
+                const payload = jwt.verify(auth.slice(7), adminJwtSecret);
+                if (payload && payload.typ === 'access') id = String(payload.sub || '').trim();
+            } catch (_) { id = ''; }
+        }
+        req.adminId = id;
+        return id;
     } catch (_) { return ''; }
 }
 
-function isAdmin(req) {
-    return getAdminId(req) === String(process.env.ADMIN_USER_ID || '');
+// Route guard: requires an admin session whose role grants `permission` (see adminService)
+function requireAdmin(permission) {
+    return async (req, res, next) => {
+        try {
+            const id = getAdminId(req);
+            if (!id) return res.status(401).json({ error: 'Admin session required' });
+            const admin = await adminService.getAdmin(req.db, id);
+            if (!admin) return res.status(403).json({ error: 'Access denied' });
+            if (permission && !adminService.hasPermission(admin.role, permission)) {
+                return res.status(403).json({ error: 'Access denied' });
+            }
+            req.admin = { telegramId: parseInt(id), role: admin.role };
+            next();
+        } catch (error) {
+            console.error('Error checking admin permission:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    };
+}
+
+async function ensureAdminSessionsTable(db){
+    const isPg = !!db.isPostgres;
+    if (isPg) {
+        await db.run(`CREATE TABLE IF NOT EXISTS admin_sessions (
+            id SERIAL PRIMARY KEY,
+            jti TEXT UNIQUE NOT NULL,
+            telegram_id BIGINT NOT NULL,
+            user_agent TEXT,
+            expires_at TIMESTAMP NOT NULL,
+            revoked_at TIMESTAMP,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`);
+    } else {
+        await db.run(`CREATE TABLE IF NOT EXISTS admin_sessions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            jti TEXT UNIQUE NOT NULL,
+            telegram_id INTEGER NOT NULL,
+            user_agent TEXT,
+            expires_at DATETIME NOT NULL,
+            revoked_at DATETIME,
+            created_at DATETIME DEFAULT (datetime('now'))
+        )`);
+    }
+}
+
+// Issue an access/refresh token pair; the refresh token is tracked in admin_sessions so it can be revoked
+async function issueAdminSession(db, telegramId, userAgent){
+    await ensureAdminSessionsTable(db);
+    const sub = String(telegramId);
+    const jti = crypto.randomBytes(16).toString('hex');
+    const accessToken = jwt.sign({ sub, typ: 'access' }, adminJwtSecret, { expiresIn: adminAccessTtlSeconds });
+    const refreshToken = jwt.sign({ sub, typ: 'refresh' }, adminJwtSecret, { expiresIn: adminRefreshTtlSeconds, jwtid: jti });
+    await db.run(
+        `INSERT INTO admin_sessions (jti, telegram_id, user_agent, expires_at) VALUES (?, ?, ?, datetime('now', '+${Math.floor(adminRefreshTtlSeconds / 60)} minutes'))`,
+        [jti, parseInt(sub), userAgent ? String(userAgent).slice(0, 255) : null]
+    );
+    return { accessToken, refreshToken, expiresIn: adminAccessTtlSeconds };
+}
+
+// Verify Telegram Login Widget payload (https://core.telegram.org/widgets/login#checking-authorization)
+function verifyTelegramLoginWidget(data, botToken, maxAgeSeconds = initDataMaxAgeSeconds) {
+    if (!data || typeof data !== 'object' || !data.hash || !botToken) return null;
+    const dataCheckString = Object.keys(data)
+        .filter(k => k !== 'hash' && data[k] !== undefined && data[k] !== null)
+        .sort()
+        .map(k => `${k}=${data[k]}`)
+        .join('\n');
+    const secretKey = crypto.createHash('sha256').update(botToken).digest();
+    const expected = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex');
+    const a = Buffer.from(expected, 'hex');
+    const b = Buffer.from(String(data.hash), 'hex');
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+    const authDate = parseInt(data.auth_date, 10);
+    if (!Number.isFinite(authDate)) return null;
+    if (maxAgeSeconds > 0 && (Date.now() / 1000) - authDate > maxAgeSeconds) return null;
+    const id = parseInt(data.id);
+    if (!Number.isFinite(id)) return null;
+    return { id, username: data.username, first_name: data.first_name, last_name: data.last_name, auth_date: authDate };
+}
+
+// Telegram WebApp auth helpers
+// See https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+const initDataMaxAgeSeconds = parseInt(process.env.INIT_DATA_MAX_AGE_SECONDS, 10) || 24 * 60 * 60;
+const telegramAuthDisabled = String(process.env.TELEGRAM_AUTH_DISABLED || '').toLowerCase() === 'true';
+
+function verifyTelegramInitData(initData, botToken, maxAgeSeconds = initDataMaxAgeSeconds) {
+    if (!initData || !botToken) return null;
+    const params = new URLSearchParams(String(initData));
+    const hash = params.get('hash');
+    if (!hash) return null;
+    params.delete('hash');
+    const dataCheckString = Array.from(params.entries())
+        .map(([k, v]) => `${k}=${v}`)
+        .sort()
+        .join('\n');
+    const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+    const expected = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex');
+    const a = Buffer.from(expected, 'hex');
+    const b = Buffer.from(hash, 'hex');
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+    const authDate = parseInt(params.get('auth_date'), 10);
+    if (!Number.isFinite(authDate)) return null;
+    if (maxAgeSeconds > 0 && (Date.now() / 1000) - authDate > maxAgeSeconds) return null;
+    try {
+        const user = JSON.parse(params.get('user') || 'null');
+        if (!user || !Number.isFinite(parseInt(user.id))) return null;
+        return { ...user, id: parseInt(user.id), auth_date: authDate };
+    } catch (_) { return null; }
+}
+
+function getInitData(req) {
+    const hdr = req.headers['x-telegram-init-data'];
+    if (hdr) return String(hdr);
+    const auth = String(req.headers['authorization'] || '');
+    if (auth.startsWith('tma ')) return auth.slice(4);
+    return (req.body && req.body.initData) || '';
+}
+
+// Verifies initData and pins the request to the signed Telegram user.
+// Any telegramId in the URL or body must match; body.telegramId is overwritten with the verified id.
+function requireTelegramUser(req, res, next) {
+    let user = null;
+    if (telegramAuthDisabled) {
+        // Local development only: trust the client-supplied id
+        const raw = (req.params && req.params.telegramId) || (req.body && req.body.telegramId);
+        if (Number.isFinite(parseInt(raw))) user = { id: parseInt(raw) };
+    } else {
+        user = verifyTelegramInitData(getInitData(req), process.env.BOT_TOKEN);
+    }
+    if (!user) return res.status(401).json({ error: 'Invalid or expired Telegram session' });
+
+    const claimed = (req.params && req.params.telegramId) || (req.body && req.body.telegramId);
+    if (claimed !== undefined && claimed !== null && claimed !== '' && parseInt(claimed) !== user.id) {
+        return res.status(403).json({ error: 'Access denied' });
+    }
+    if (req.body && typeof req.body === 'object') req.body.telegramId = user.id;
+    req.telegramUser = user;
+    next();
+}
+
+// Per-user rate limiting (keyed on the verified Telegram id, so it must run after requireTelegramUser).
+// Budgets are "max/windowSeconds" per endpoint class; the store is shared across processes unless set to memory.
+const userRateLimitBudgets = {
+    earn: rateLimitService.parseBudget(process.env.USER_RATE_LIMIT_EARN, { max: 30, windowMs: 60 * 1000 }),
+    payout: rateLimitService.parseBudget(process.env.USER_RATE_LIMIT_PAYOUT, { max: 5, windowMs: 60 * 1000 }),
+    profile: rateLimitService.parseBudget(process.env.USER_RATE_LIMIT_PROFILE, { max: 120, windowMs: 60 * 1000 })
+};
+const userRateLimitStore = rateLimitService.createStore(process.env.USER_RATE_LIMIT_STORE || 'database', database);
+
+function userRateLimit(bucket) {
+    const budget = userRateLimitBudgets[bucket];
+    if (!budget) throw new Error(`Unknown rate limit bucket: ${bucket}`);
+    return async (req, res, next) => {
+        if (rateLimitDisabled || !budget.max) return next();
+        let result;
+        try {
+            result = await userRateLimitStore.increment(`${bucket}:${req.telegramUser.id}`, budget.windowMs);
+        } catch (error) {
+            // Don't take the API down with the limiter store
+            console.error('User rate limit store error:', error);
+            return next();
+        }
+        const resetSeconds = Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000));
+        res.set('RateLimit-Limit', String(budget.max));
+        res.set('RateLimit-Remaining', String(Math.max(0, budget.max - result.count)));
+        res.set('RateLimit-Reset', String(resetSeconds));
+        if (result.count > budget.max) {
+            res.set('Retry-After', String(Math.max(1, resetSeconds)));
+            return res.status(429).json({ error: 'Too many requests', retryAfter: Math.max(1, resetSeconds) });
+        }
+        next();
+    };
+}
+
+// Idempotency-Key on mutating user endpoints (runs after requireTelegramUser; keys are per user).
+// The first response for a key is stored and replayed to retries instead of running the handler again.
+// 5xx/408/429 responses are not stored, so the client can retry those for real.
+const idempotencyTtlMs = Math.max(1, parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24) * 60 * 60 * 1000;
+
+async function idempotent(req, res, next) {
+    const key = req.get('Idempotency-Key');
+    if (!key) return next();
+    if (!idempotencyService.isValidKey(key)) return res.status(400).json({ error: 'Invalid Idempotency-Key' });
+    let claim;
+    try {
+        claim = await idempotencyService.begin(req.db, {
+            telegramId: req.telegramUser.id,
+            key,
+            fingerprint: idempotencyService.fingerprint(req.method, req.path, req.body),
+            ttlMs: idempotencyTtlMs
+        });
+    } catch (error) {
+        // Same as the rate limiter: a store failure shouldn't take the endpoint down
+        console.error('Idempotency store error:', error);
+        return next();
+    }
+    if (claim.state === 'replay') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(claim.status).json(claim.body);
+    }
+    if (claim.state === 'mismatch') {
+        return res.status(422).json({ error: 'Idempotency-Key was already used for a different request' });
+    }
+    if (claim.state === 'in_progress') {
+        res.set('Retry-After', '1');
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+    }
+
+    // Store the outcome before the response goes out so a fast retry already sees it
+    let settled = false;
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+        if (settled) return sendJson(body);
+        settled = true;
+        const status = res.statusCode;
+        const keep = status < 500 && status !== 408 && status !== 429;
+        const store = keep ? idempotencyService.complete(req.db, claim.id, status, body) : idempotencyService.release(req.db, claim.id);
+        store.catch(error => console.error('Idempotency store error:', error)).then(() => sendJson(body));
+        return res;
+    };
+    res.on('finish', () => {
+        if (settled) return;
+        settled = true;
+        idempotencyService.release(req.db, claim.id).catch(error => console.error('Idempotency store error:', error));
+    });
+    next();
 }
 
 // Resolve required chats to identifiers acceptable by Telegram API (numeric id or @username)
@@ -362,42 +866,13 @@ async function getRequiredChats(db) {
     return { channelIdentifier, groupIdentifier };
 }
 
-// Finalize any due social claims for a user
-async function finalizeDueSocialClaims(db, userId){
-    const dueClaims = await db.all(`
-        SELECT * FROM user_social_claims 
-        WHERE user_id = ? AND status = 'pending' AND datetime('now') >= available_at
-    `, [userId]);
-    if (!dueClaims || dueClaims.length === 0) return;
-    for (const claim of dueClaims) {
-        await db.transaction(async (tx) => {
-            await tx.run(`
-                UPDATE users 
-                SET points = points + ?, total_points_earned = total_points_earned + ?, updated_at = datetime('now')
-                WHERE id = ?
-            `, [claim.points_earned, claim.points_earned, userId]);
-            await tx.run(`
-                UPDATE user_social_claims SET status = 'completed', completed_at = datetime('now')
-                WHERE id = ? AND status = 'pending'
-            `, [claim.id]);
-            // log to claims_history for earnings history UI
-            const userRow = await tx.get('SELECT telegram_id FROM users WHERE id = ?', [userId]);
-            if (userRow && userRow.telegram_id) {
-                await tx.run(`INSERT INTO claims_history (telegram_id, points_earned, claimed_at) VALUES (?, ?, datetime('now'))`, [userRow.telegram_id, claim.points_earned]);
-            }
-            // increment daily limits
-            try { await userService.updateDailyLimit(tx, userId, claim.points_earned); } catch(_) {}
-        });
-    }
-}
-
 
 // API Routes
 
 // Get user data
-app.get('/api/user/:telegramId', async (req, res) => {
+app.get('/api/user/:telegramId', requireTelegramUser, userRateLimit('profile'), async (req, res) => {
     try {
-        const { telegramId } = req.params;
+        const telegramId = req.telegramUser.id;
         let user = await userService.getUserByTelegramId(req.db, parseInt(telegramId));
         // Fallback: if user doesn't exist yet, auto-create so webapp can load without /start
         if (!user) {
@@ -418,6 +893,8 @@ app.get('/api/user/:telegramId', async (req, res) => {
 
         const stats = await userService.getUserStats(req.db, user.id);
         const taskStats = await taskService.getTaskStatistics(req.db, user.id);
+        const payoutCurrency = await currencyService.resolveForUser(req.db, user);
+        const level = await levelService.getUserLevel(req.db, user);
         
         res.json({
             id: user.id,
@@ -430,6 +907,9 @@ app.get('/api/user/:telegramId', async (req, res) => {
             tasks_completed: user.tasks_completed,
             friends_invited: user.friends_invited,
             created_at: user.created_at,
+            payout_currency: payoutCurrency ? payoutCurrency.code : null,
+            xp: user.xp || 0,
+            level: { level: level.level, name: level.name },
             stats,
             taskStats
         });
@@ -439,15 +919,28 @@ app.get('/api/user/:telegramId', async (req, res) => {
     }
 });
 
+// Level, perks and progress towards the next level
+app.get('/api/user/:telegramId/level', requireTelegramUser, userRateLimit('profile'), async (req, res) => {
+    try {
+        const user = await userService.getUserByTelegramId(req.db, parseInt(req.telegramUser.id));
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json(await levelService.getProgress(req.db, user));
+    } catch (error) {
+        console.error('Error getting user level:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Debug: show DB file path and table counts (protect behind admin)
-app.get('/api/_debug/db', async (req, res) => {
+app.get('/api/_debug/db', requireAdmin('system.debug'), async (req, res) => {
     try {
-        if (!isAdmin(req)) return res.status(403).json({ error: 'Access denied' });
         const info = {
             sqlitePath: (req.db && req.db.dbPath) || null
         };
         // counts
-        const tables = ['users','channels','groups','user_channel_joins','user_group_joins','claims_history','withdrawals','bank_details','admin_config','broadcast_jobs','broadcast_results','social_tasks','user_social_claims'];
+        const tables = ['users','channels','groups','user_channel_joins','user_group_joins','claims_history','withdrawals','bank_details','admin_config','broadcast_jobs','broadcast_results','social_tasks','user_social_claims','task_definitions','task_claims','task_proof_images','points_ledger','currencies','levels','level_up_events','login_streaks','login_checkins'];
         const counts = {};
         for (const t of tables) {
             try {
@@ -462,14 +955,16 @@ app.get('/api/_debug/db', async (req, res) => {
 });
 
 // Sync Telegram profile from Web App (ensures username/first_name/last_name are populated)
-app.post('/api/user/sync', async (req, res) => {
+app.post('/api/user/sync', requireTelegramUser, idempotent, userRateLimit('profile'), async (req, res) => {
     try {
         const b = req.body || {};
-        const telegramId = parseInt(b.telegramId);
+        const telegramId = req.telegramUser.id;
         if (!Number.isFinite(telegramId)) return res.status(400).json({ error: 'Invalid telegramId' });
-        const username = b.username || null;
-        const firstName = b.first_name || null;
-        const lastName = b.last_name || null;
+        // Prefer the signed profile from initData over client-supplied fields
+        const tu = req.telegramUser;
+        const username = (tu.username !== undefined ? tu.username : b.username) || null;
+        const firstName = (tu.first_name !== undefined ? tu.first_name : b.first_name) || null;
+        const lastName = (tu.last_name !== undefined ? tu.last_name : b.last_name) || null;
 
         let user = await userService.getUserByTelegramId(req.db, telegramId);
         if (!user) {
@@ -494,25 +989,35 @@ app.post('/api/user/sync', async (req, res) => {
 });
 
 // Admin: adjust user balance
-app.post('/api/admin/users/adjust-balance', async (req, res) => {
+async function performAdjustBalance(db, adminTelegramId, { targetTelegramId, amount, reason }) {
+    const target = await userService.getUserByTelegramId(db, parseInt(targetTelegramId));
+    if (!target) return { status: 404, body: { error: 'User not found' } };
+    const delta = parseInt(amount);
+    if (!Number.isFinite(delta) || delta === 0) return { status: 400, body: { error: 'Invalid amount' } };
+    await db.transaction(async (tx) => {
+        const audit = await tx.run(`INSERT INTO admin_audit (admin_telegram_id, target_telegram_id, action, amount, reason) VALUES (?, ?, 'adjust_balance', ?, ?)`, [adminTelegramId, target.telegram_id, delta, reason || null]);
+        // Debits never take the balance below zero
+        await ledgerService.record(tx, {
+            userId: target.id, delta, reason: 'admin_adjust', clampAtZero: true,
+            referenceType: 'admin_audit', referenceId: audit.id, description: reason || null, createdBy: adminTelegramId
+        });
+        if (delta > 0) {
+            await tx.run(`INSERT INTO claims_history (telegram_id, points_earned, claimed_at) VALUES (?, ?, datetime('now'))`, [target.telegram_id, delta]);
+        }
+    });
+    return { status: 200, body: { success: true } };
+}
+
+app.post('/api/admin/users/adjust-balance', requireAdmin('users.balance'), async (req, res) => {
     try {
         const { targetTelegramId, amount, reason } = req.body;
-        if (!isAdmin(req)) return res.status(403).json({ error: 'Access denied' });
         const target = await userService.getUserByTelegramId(req.db, parseInt(targetTelegramId));
         if (!target) return res.status(404).json({ error: 'User not found' });
         const delta = parseInt(amount);
         if (!Number.isFinite(delta) || delta === 0) return res.status(400).json({ error: 'Invalid amount' });
-        await req.db.transaction(async (db) => {
-            if (delta > 0) {
-                await db.run(`UPDATE users SET points = points + ?, total_points_earned = total_points_earned + ?, updated_at = datetime('now') WHERE id = ?`, [delta, delta, target.id]);
-                // Log to claims_history as Admin Credit for history page
-                await db.run(`INSERT INTO claims_history (telegram_id, points_earned, claimed_at) VALUES (?, ?, datetime('now'))`, [target.telegram_id, delta]);
-            } else {
-                await db.run(`UPDATE users SET points = CASE WHEN points + ? < 0 THEN 0 ELSE points + ? END, updated_at = datetime('now') WHERE id = ?`, [delta, delta, target.id]);
-            }
-            await db.run(`INSERT INTO admin_audit (admin_telegram_id, target_telegram_id, action, amount, reason) VALUES (?, ?, 'adjust_balance', ?, ?)`, [parseInt(getAdminId(req)), target.telegram_id, delta, reason || null]);
-        });
-        res.json({ success: true });
+        await requestAdminConfirmation(req, res, 'adjust_balance',
+            { targetTelegramId: target.telegram_id, amount: delta, reason: reason || null },
+            `Adjust balance of ${target.telegram_id}${target.username ? ' (@' + target.username + ')' : ''} by ${delta > 0 ? '+' : ''}${delta} points${reason ? '\nReason: ' + reason : ''}`);
     } catch (err) {
         console.error('Error adjusting balance:', err);
         res.status(500).json({ error: 'Internal server error' });
@@ -532,17 +1037,69 @@ async function sendTelegramMessage(chatId, text) {
 }
 // Legacy gateway callback removed; Paystack transfer status will be handled separately.
 
+// Two-step confirmation: sensitive admin actions wait for a Yes tap in the admin's bot DM.
+// ADMIN_CONFIRMATIONS_DISABLED=true runs them immediately (local development only).
+const adminConfirmationsDisabled = String(process.env.ADMIN_CONFIRMATIONS_DISABLED || '').toLowerCase() === 'true';
+
+async function sendAdminConfirmationPrompt(chatId, text, token) {
+    const botToken = process.env.BOT_TOKEN;
+    if (!botToken) return false;
+    try {
+        const resp = await fetch(`https://api.telegram.org/bot${botToken}/sendMessage`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                chat_id: chatId,
+                text,
+                reply_markup: {
+                    inline_keyboard: [[
+                        { text: '✅ Confirm', callback_data: `confirm_yes_${token}` },
+                        { text: '❌ Cancel', callback_data: `confirm_no_${token}` }
+                    ]]
+                }
+            })
+        }).then(r => r.json());
+        return !!(resp && resp.ok);
+    } catch (_) {
+        return false;
+    }
+}
+
+// Creates the pending confirmation and DMs the acting admin; responds 202 with the id the panel polls
+async function requestAdminConfirmation(req, res, action, payload, summary) {
+    const adminTelegramId = req.admin.telegramId;
+    if (adminConfirmationsDisabled) {
+        const result = await adminConfirmableActions[action](req.db, adminTelegramId, payload);
+        return res.status(result.status).json(result.body);
+    }
+    const row = await adminConfirmationService.create(req.db, { adminTelegramId, action, payload, summary });
+    const text = `🔐 Confirm admin action\n\n${summary}\n\nExpires in ${adminConfirmationService.ttlMinutes()} min. Ignore this message if you did not request it.`;
+    const delivered = await sendAdminConfirmationPrompt(adminTelegramId, text, row.token);
+    if (!delivered) {
+        await adminConfirmationService.finish(req.db, row, false, { error: 'Confirmation message could not be delivered' });
+        return res.status(502).json({ error: 'Could not send the confirmation to your Telegram. Start a chat with the bot and try again.' });
+    }
+    res.status(202).json({ confirmationRequired: true, confirmationId: row.id, expiresAt: row.expires_at, summary });
+}
+
 // Admin: ban/unban user
-app.post('/api/admin/users/ban', async (req, res) => {
+async function performBanUser(db, adminTelegramId, { targetTelegramId, ban }) {
+    const target = await userService.getUserByTelegramId(db, parseInt(targetTelegramId));
+    if (!target) return { status: 404, body: { error: 'User not found' } };
+    const flag = ban ? 1 : 0;
+    await db.run(`UPDATE users SET is_banned = ?, updated_at = datetime('now') WHERE id = ?`, [flag, target.id]);
+    await db.run(`INSERT INTO admin_audit (admin_telegram_id, target_telegram_id, action) VALUES (?, ?, ?)`, [adminTelegramId, target.telegram_id, flag ? 'ban' : 'unban']);
+    return { status: 200, body: { success: true } };
+}
+
+app.post('/api/admin/users/ban', requireAdmin('users.ban'), async (req, res) => {
     try {
         const { targetTelegramId, ban } = req.body;
-        if (!isAdmin(req)) return res.status(403).json({ error: 'Access denied' });
         const target = await userService.getUserByTelegramId(req.db, parseInt(targetTelegramId));
         if (!target) return res.status(404).json({ error: 'User not found' });
-        const flag = ban ? 1 : 0;
-        await req.db.run(`UPDATE users SET is_banned = ?, updated_at = datetime('now') WHERE id = ?`, [flag, target.id]);
-        await req.db.run(`INSERT INTO admin_audit (admin_telegram_id, target_telegram_id, action) VALUES (?, ?, ?)`, [parseInt(getAdminId(req)), target.telegram_id, flag ? 'ban' : 'unban']);
-        res.json({ success: true });
+        await requestAdminConfirmation(req, res, 'ban_user',
+            { targetTelegramId: target.telegram_id, ban: !!ban },
+            `${ban ? 'Ban' : 'Unban'} user ${target.telegram_id}${target.username ? ' (@' + target.username + ')' : ''}`);
     } catch (err) {
         console.error('Error banning user:', err);
         res.status(500).json({ error: 'Internal server error' });
@@ -550,92 +1107,22 @@ app.post('/api/admin/users/ban', async (req, res) => {
 });
 
 // Get available tasks
-app.get('/api/tasks/:telegramId', async (req, res) => {
+app.get('/api/tasks/:telegramId', requireTelegramUser, userRateLimit('profile'), async (req, res) => {
     try {
-        const { telegramId } = req.params;
+        const telegramId = req.telegramUser.id;
         const user = await userService.getUserByTelegramId(req.db, parseInt(telegramId));
         
         if (!user) {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        const availableTasks = await taskService.getAvailableTasks(req.db, user.id);
-        await finalizeDueSocialClaims(req.db, user.id);
-
-        // Finalize any pending social claims that are now available
-        const dueClaims = await req.db.all(`
-            SELECT * FROM user_social_claims 
-            WHERE user_id = ? AND status = 'pending' AND datetime('now') >= available_at
-        `, [user.id]);
-        if (dueClaims && dueClaims.length > 0) {
-            for (const claim of dueClaims) {
-                await req.db.transaction(async (db) => {
-                    await db.run(`
-                        UPDATE users SET points = points + ?, total_points_earned = total_points_earned + ?, updated_at = datetime('now')
-                        WHERE id = ?
-                    `, [claim.points_earned, claim.points_earned, user.id]);
-                    await db.run(`
-                        UPDATE user_social_claims SET status = 'completed', completed_at = datetime('now')
-                        WHERE id = ? AND status = 'pending'
-                    `, [claim.id]);
-                });
-            }
-        }
+        const { level } = await levelService.getUserLevel(req.db, user);
+        const { tasks, types } = await taskService.getAvailableTasks(req.db, user, { level });
         const dailyLimit = await userService.checkDailyLimit(req.db, user.id);
 
-        // Normalize links and only include active items
-        const normalizeChannel = (c) => ({
-            ...c,
-            channel_link: c.channel_username ? `https://t.me/${c.channel_username}` : c.channel_link
-        });
-        const normalizeGroup = (g) => ({
-            ...g,
-            group_link: g.group_username ? `https://t.me/${g.group_username}` : g.group_link
-        });
-
-        const channels = (availableTasks.channels || [])
-            .filter(c => c.is_active === 1 || c.is_active === true || c.is_active === undefined)
-            .map(normalizeChannel)
-            .filter(c => c.channel_link && c.channel_link.startsWith('https://t.me/'))
-            .sort((a,b) => new Date(a.created_at) - new Date(b.created_at));
-        const groups = (availableTasks.groups || [])
-            .filter(g => g.is_active === 1 || g.is_active === true || g.is_active === undefined)
-            .map(normalizeGroup)
-            .filter(g => g.group_link && g.group_link.startsWith('https://t.me/'))
-            .sort((a,b) => new Date(a.created_at) - new Date(b.created_at));
-        
-        // Social tasks (facebook/whatsapp)
-        const socialRaw = await req.db.all(`SELECT * FROM social_tasks WHERE is_active = 1 ORDER BY created_at ASC`);
-        const claimedSocial = await req.db.all('SELECT * FROM user_social_claims WHERE user_id = ?', [user.id]);
-        const taskIdToClaim = new Map((claimedSocial || []).map(r => [r.social_task_id, r]));
-        const decorate = (t) => {
-            const claim = taskIdToClaim.get(t.id);
-            return {
-                ...t,
-                claim_status: claim ? claim.status : null,
-                available_at: claim ? claim.available_at : null
-            };
-        };
-        const facebook = socialRaw.filter(r => r.platform === 'facebook')
-                                   .map(decorate)
-                                   .filter(t => t.claim_status !== 'completed');
-        const whatsapp = socialRaw.filter(r => r.platform === 'whatsapp')
-                                   .map(decorate)
-                                   .filter(t => t.claim_status !== 'completed');
-        const tiktok = socialRaw.filter(r => r.platform === 'tiktok')
-                                 .map(decorate)
-                                 .filter(t => t.claim_status !== 'completed');
-        const website = socialRaw.filter(r => r.platform === 'website')
-                                  .map(decorate)
-                                  .filter(t => t.claim_status !== 'completed');
-
         res.json({
-            channels,
-            groups,
-            facebook,
-            whatsapp,
-            tiktok,
-            website,
+            tasks,
+            types,
             dailyLimit,
             pointsPerFriend: parseInt(process.env.POINTS_PER_FRIEND_INVITE) || 25
         });
@@ -645,107 +1132,77 @@ app.get('/api/tasks/:telegramId', async (req, res) => {
     }
 });
 
-// Get leaderboard
-app.get('/api/leaderboard', async (req, res) => {
+// Open a task. Returns the link to open; postback tasks get a claim token embedded in it.
+app.post('/api/tasks/:id/start', requireTelegramUser, idempotent, userRateLimit('earn'), async (req, res) => {
     try {
-        const limit = parseInt(req.query.limit) || 10;
-        const leaderboard = await userService.getLeaderboard(req.db, limit);
-        
-        res.json({ leaderboard });
+        const user = await userService.getUserByTelegramId(req.db, parseInt(req.telegramUser.id));
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        const result = await taskService.start(req.db, user, parseInt(req.params.id));
+        res.json({ success: true, ...result });
     } catch (error) {
-        console.error('Error getting leaderboard:', error);
+        if (taskService.isRuleError(error)) return res.status(error.status || 400).json({ error: error.message });
+        console.error('Error starting task:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Complete channel join
-app.post('/api/complete-channel-join', async (req, res) => {
+// Claim a task; the task's verifier decides (body.input carries a code or proof when the verifier asks for one)
+app.post('/api/tasks/:id/submit', requireTelegramUser, idempotent, userRateLimit('earn'), async (req, res) => {
     try {
-        const { telegramId, channelId } = req.body;
-        const user = await userService.getUserByTelegramId(req.db, parseInt(telegramId));
-        
+        const user = await userService.getUserByTelegramId(req.db, parseInt(req.telegramUser.id));
         if (!user) {
             return res.status(404).json({ error: 'User not found' });
         }
-
-        const channel = await taskService.getChannelById(req.db, channelId);
-        if (!channel) {
-            return res.status(404).json({ error: 'Channel not found' });
-        }
-
-        // Check if already joined
-        const existingJoin = await taskService.getUserChannelJoin(req.db, user.id, channelId);
-        if (existingJoin) {
-            return res.status(400).json({ error: 'Already joined this channel' });
-        }
-
-        // Check daily limit
-        const dailyLimit = await userService.checkDailyLimit(req.db, user.id);
-        if (!dailyLimit.can_complete) {
-            return res.status(400).json({ error: 'Daily task limit reached' });
-        }
-
-        await taskService.completeChannelJoin(req.db, user.id, channelId, channel.points_reward);
-        
+        const input = req.body && req.body.input !== undefined ? String(req.body.input) : null;
+        const attachment = req.body && typeof req.body.attachment === 'string' ? req.body.attachment : null;
+        const result = await taskService.submit(req.db, user, parseInt(req.params.id), input, taskVerifierServices, { attachment });
+        if (!result.success) return res.status(400).json({ error: result.message });
         const updatedUser = await userService.getUserById(req.db, user.id);
-        
-        res.json({
-            success: true,
-            pointsEarned: channel.points_reward,
-            user: updatedUser
-        });
+        res.json({ ...result, user: updatedUser });
     } catch (error) {
-        console.error('Error completing channel join:', error);
+        if (taskService.isRuleError(error)) return res.status(error.status || 400).json({ error: error.message });
+        console.error('Error submitting task:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Complete group join
-app.post('/api/complete-group-join', async (req, res) => {
+// Partner postback for 'postback' tasks: /api/tasks/<id>/postback?token=<claim token>&sig=<hex HMAC-SHA256(token, secret)>
+app.all('/api/tasks/:id/postback', async (req, res) => {
+    const q = req.method === 'POST' ? (req.body || {}) : (req.query || {});
     try {
-        const { telegramId, groupId } = req.body;
-        const user = await userService.getUserByTelegramId(req.db, parseInt(telegramId));
-        
-        if (!user) {
-            return res.status(404).json({ error: 'User not found' });
-        }
-
-        const group = await taskService.getGroupById(req.db, groupId);
-        if (!group) {
-            return res.status(404).json({ error: 'Group not found' });
-        }
-
-        // Check if already joined
-        const existingJoin = await taskService.getUserGroupJoin(req.db, user.id, groupId);
-        if (existingJoin) {
-            return res.status(400).json({ error: 'Already joined this group' });
-        }
-
-        // Check daily limit
-        const dailyLimit = await userService.checkDailyLimit(req.db, user.id);
-        if (!dailyLimit.can_complete) {
-            return res.status(400).json({ error: 'Daily task limit reached' });
+        const result = await taskService.receive(req.db, parseInt(req.params.id), q);
+        if (result.duplicate) return res.status(200).send('DUPLICATE');
+        const user = await userService.getUserById(req.db, result.claim.user_id);
+        if (user) {
+            try { await sendTelegramMessage(user.telegram_id, `✅ Task completed: ${result.task.title}. You earned +${result.pointsEarned} points.`); } catch (_) {}
         }
+        res.send('OK');
+    } catch (e) {
+        if (taskService.isRuleError(e)) return res.status(e.status || 400).send(e.message);
+        console.error('Task postback error', e);
+        res.status(500).send('ERROR');
+    }
+});
 
-        await taskService.completeGroupJoin(req.db, user.id, groupId, group.points_reward);
-        
-        const updatedUser = await userService.getUserById(req.db, user.id);
+// Get leaderboard
+app.get('/api/leaderboard', async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 10;
+        const leaderboard = await userService.getLeaderboard(req.db, limit);
         
-        res.json({
-            success: true,
-            pointsEarned: group.points_reward,
-            user: updatedUser
-        });
+        res.json({ leaderboard });
     } catch (error) {
-        console.error('Error completing group join:', error);
+        console.error('Error getting leaderboard:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 // Complete daily login
-app.post('/api/complete-daily-login', async (req, res) => {
+app.post('/api/complete-daily-login', requireTelegramUser, idempotent, userRateLimit('earn'), async (req, res) => {
     try {
-        const { telegramId } = req.body;
+        const telegramId = req.telegramUser.id;
         const user = await userService.getUserByTelegramId(req.db, parseInt(telegramId));
         
         if (!user) {
@@ -763,6 +1220,10 @@ app.post('/api/complete-daily-login', async (req, res) => {
         res.json({
             success: true,
             pointsEarned: result.points,
+            streakDay: result.streakDay,
+            freezesUsed: result.freezesUsed,
+            streakReset: result.streakReset,
+            streak: await streakService.getState(req.db, user.id),
             user: updatedUser
         });
     } catch (error) {
@@ -771,143 +1232,177 @@ app.post('/api/complete-daily-login', async (req, res) => {
     }
 });
 
-// Get user task history
-app.get('/api/task-history/:telegramId', async (req, res) => {
+// Buy a streak freeze with points (covers one missed day, used automatically at the next check-in)
+app.post('/api/streak/freeze', requireTelegramUser, idempotent, userRateLimit('earn'), async (req, res) => {
     try {
-        const { telegramId } = req.params;
-        const limit = parseInt(req.query.limit) || 20;
-        const user = await userService.getUserByTelegramId(req.db, parseInt(telegramId));
-        
+        const user = await userService.getUserByTelegramId(req.db, parseInt(req.telegramUser.id));
         if (!user) {
             return res.status(404).json({ error: 'User not found' });
         }
-
-        const taskHistory = await taskService.getUserTaskHistory(req.db, user.id, limit);
-        
-        res.json({ taskHistory });
+        const result = await streakService.buyFreeze(req.db, user.id);
+        res.json({ success: true, ...result, streak: await streakService.getState(req.db, user.id) });
     } catch (error) {
-        console.error('Error getting task history:', error);
+        const msg = error && error.message ? error.message : '';
+        if (msg === 'Insufficient points' || msg.startsWith('Streak freezes') || msg.startsWith('You already hold')) {
+            return res.status(400).json({ error: msg });
+        }
+        console.error('Error buying streak freeze:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Admin routes
-app.get('/api/admin/stats', async (req, res) => {
+// Point transfers: settings, remaining allowance and the user's recent transfers
+app.get('/api/transfers/:telegramId', requireTelegramUser, userRateLimit('profile'), async (req, res) => {
     try {
-        if (!isAdmin(req)) return res.status(403).json({ error: 'Access denied' });
-
-        const stats = await userService.getBotStats(req.db);
-        const channels = await taskService.getAllChannels(req.db);
-        const groups = await taskService.getAllGroups(req.db);
-        
-        res.json({ stats, channels, groups });
+        const user = await userService.getUserByTelegramId(req.db, parseInt(req.telegramUser.id));
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json({
+            settings: await transferService.getOverview(req.db, user),
+            transfers: await transferService.listForUser(req.db, user.id, req.query.limit)
+        });
     } catch (error) {
-        console.error('Error getting admin stats:', error);
+        console.error('Error loading transfers:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Helper to resolve chat_id from username or numeric id
-async function resolveChatId(identifier) {
+// Send points to another user (by @username or Telegram ID); both sides get a bot message
+app.post('/api/transfers', requireTelegramUser, idempotent, userRateLimit('payout'), async (req, res) => {
     try {
-        if (!identifier) return null;
-        // If numeric-like, return as number
-        if (/^-?\d+$/.test(identifier)) {
-            return parseInt(identifier, 10);
+        const user = await userService.getUserByTelegramId(req.db, parseInt(req.telegramUser.id));
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
         }
-        // Ensure starts with @ for username
-        const chatIdParam = identifier.startsWith('@') ? identifier : `@${identifier}`;
-        const botToken = process.env.BOT_TOKEN;
-        const resp = await fetch(`https://api.telegram.org/bot${botToken}/getChat?chat_id=${encodeURIComponent(chatIdParam)}`);
-        const data = await resp.json();
-        if (data.ok && data.result && data.result.id) {
-            return data.result.id;
+        const { recipient, amount, note } = req.body || {};
+        const target = await transferService.findRecipient(req.db, recipient);
+        const transfer = await transferService.send(req.db, { sender: user, recipient: target, amount, note });
+        await transferService.notifyParties(transfer, sendTelegramMessage);
+        const updatedUser = await userService.getUserById(req.db, user.id);
+        res.json({ success: true, transfer, user: updatedUser });
+    } catch (error) {
+        if (transferService.isRuleError(error) || (error && error.message === 'Insufficient points')) {
+            return res.status(400).json({ error: error.message });
         }
-        return null;
-    } catch (e) {
-        console.error('resolveChatId failed:', e);
-        return null;
+        console.error('Error sending points:', error);
+        res.status(500).json({ error: 'Internal server error' });
     }
-}
+});
 
-// Add channel (admin)
-app.post('/api/admin/channels', async (req, res) => {
+// Redemption shop: active items (with stock and the user's remaining limit) and the user's orders
+app.get('/api/shop/:telegramId', requireTelegramUser, userRateLimit('profile'), async (req, res) => {
     try {
-        // Accept both legacy and new field names
-        const body = req.body || {};
-        const user_id = body.user_id;
-        const channel_name = body.channel_name || body.channelName;
-        const rawIdentifier = body.channel_username || body.channelUsername || body.channel_id;
-        const points_reward = parseInt(body.points_reward || body.pointsReward, 10);
-        const channel_description = body.description || null;
-
-        if (!isAdmin(req)) return res.status(403).json({ error: 'Access denied' });
+        const user = await userService.getUserByTelegramId(req.db, parseInt(req.telegramUser.id));
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json({
+            points: user.points,
+            items: await shopService.listForUser(req.db, user.id),
+            orders: await shopService.listOrdersForUser(req.db, user.id, req.query.limit)
+        });
+    } catch (error) {
+        console.error('Error loading shop:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        if (!channel_name || !rawIdentifier || !Number.isFinite(points_reward)) {
-            return res.status(400).json({ error: 'Missing required fields' });
+// Redeem an item; codes are sent by private bot message, never in this response
+app.post('/api/shop/redeem', requireTelegramUser, idempotent, userRateLimit('payout'), async (req, res) => {
+    try {
+        const user = await userService.getUserByTelegramId(req.db, parseInt(req.telegramUser.id));
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        const itemId = parseInt(req.body && req.body.itemId);
+        if (!itemId) return res.status(400).json({ error: 'itemId is required' });
+        const order = await shopService.redeem(req.db, user, itemId);
+        const updatedUser = await userService.getUserById(req.db, user.id);
+        res.json({
+            success: true,
+            order: { id: order.id, item_name: order.item_name, points_price: order.points_price, status: order.status, created_at: order.created_at },
+            user: updatedUser
+        });
+    } catch (error) {
+        if (shopService.isRuleError(error) || (error && error.message === 'Insufficient points')) {
+            return res.status(400).json({ error: error.message });
         }
+        console.error('Error redeeming shop item:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        const chatId = await resolveChatId(rawIdentifier);
-        if (!chatId) {
-            return res.status(400).json({ error: 'Invalid channel username/ID' });
+// Get user task history
+app.get('/api/task-history/:telegramId', requireTelegramUser, userRateLimit('profile'), async (req, res) => {
+    try {
+        const telegramId = req.telegramUser.id;
+        const limit = parseInt(req.query.limit) || 20;
+        const user = await userService.getUserByTelegramId(req.db, parseInt(telegramId));
+        
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
         }
 
-        await req.db.run(`
-            INSERT INTO channels (channel_id, channel_name, channel_username, points_reward, is_active, created_at, description)
-            VALUES (?, ?, ?, ?, 1, datetime('now'), ?)
-        `, [chatId, channel_name, String(rawIdentifier).replace(/^@/, ''), points_reward, channel_description]);
-        // Alert users of new telegram task
-        try {
-            const rows = await req.db.all('SELECT telegram_id FROM users');
-            const msg = `🆕 New channel task: ${channel_name} (+${points_reward} pts). Check Tasks now!`;
-            for (const r of rows) await sendTelegramMessage(r.telegram_id, msg);
-        } catch (_) {}
+        const taskHistory = await taskService.getUserTaskHistory(req.db, user.id, limit);
         
-        res.json({ success: true });
+        res.json({ taskHistory });
     } catch (error) {
-        console.error('Error adding channel:', error);
+        console.error('Error getting task history:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Add group (admin)
-app.post('/api/admin/groups', async (req, res) => {
+// Admin routes
+app.get('/api/admin/stats', requireAdmin('dashboard.view'), async (req, res) => {
     try {
-        const body = req.body || {};
-        const user_id = body.user_id;
-        const group_name = body.group_name || body.groupName;
-        const rawIdentifier = body.group_username || body.groupUsername || body.group_id;
-        const points_reward = parseInt(body.points_reward || body.pointsReward, 10);
-        const group_description = body.description || null;
-
-        if (!isAdmin(req)) return res.status(403).json({ error: 'Access denied' });
-
-        if (!group_name || !rawIdentifier || !Number.isFinite(points_reward)) {
-            return res.status(400).json({ error: 'Missing required fields' });
-        }
-
-        const chatId = await resolveChatId(rawIdentifier);
-        if (!chatId) {
-            return res.status(400).json({ error: 'Invalid group username/ID' });
-        }
+        const stats = await userService.getBotStats(req.db);
+        const tasks = await taskService.listTasks(req.db);
 
-        await req.db.run(`
-            INSERT INTO groups (group_id, group_name, group_username, points_reward, is_active, created_at, description)
-            VALUES (?, ?, ?, ?, 1, datetime('now'), ?)
-        `, [chatId, group_name, String(rawIdentifier).replace(/^@/, ''), points_reward, group_description]);
-        try {
-            const rows = await req.db.all('SELECT telegram_id FROM users');
-            const msg = `🆕 New group task: ${group_name} (+${points_reward} pts). Check Tasks now!`;
-            for (const r of rows) await sendTelegramMessage(r.telegram_id, msg);
-        } catch (_) {}
-        
-        res.json({ success: true });
+        res.json({ stats, tasks });
     } catch (error) {
-        console.error('Error adding group:', error);
+        console.error('Error getting admin stats:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
+// Helper to resolve chat_id from username or numeric id
+async function resolveChatId(identifier) {
+    try {
+        if (!identifier) return null;
+        // If numeric-like, return as number
+        if (/^-?\d+$/.test(identifier)) {
+            return parseInt(identifier, 10);
+        }
+        // Ensure starts with @ for username
+        const chatIdParam = identifier.startsWith('@') ? identifier : `@${identifier}`;
+        const botToken = process.env.BOT_TOKEN;
+        const resp = await fetch(`https://api.telegram.org/bot${botToken}/getChat?chat_id=${encodeURIComponent(chatIdParam)}`);
+        const data = await resp.json();
+        if (data.ok && data.result && data.result.id) {
+            return data.result.id;
+        }
+        return null;
+    } catch (e) {
+        console.error('resolveChatId failed:', e);
+        return null;
+    }
+}
+
+// Bot API access handed to task verifiers (see services/verifiers)
+const taskVerifierServices = {
+    async getChatMember(chatId, telegramId) {
+        const resp = await fetch(`https://api.telegram.org/bot${process.env.BOT_TOKEN}/getChatMember`, {
+            method: 'POST', headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ chat_id: chatId, user_id: parseInt(telegramId) })
+        });
+        const data = await resp.json();
+        if (!data.ok) throw new Error(data.description || 'getChatMember failed');
+        return data.result;
+    },
+    resolveChatId
+};
+
 // Serve the main web app
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'static', 'index.html'));
@@ -976,20 +1471,103 @@ app.get('/privacy', (req, res) => {
 app.get('/community', (req, res) => {
     res.sendFile(path.join(__dirname, 'static', 'layout.html'));
 });
+app.get('/shop', (req, res) => {
+    res.sendFile(path.join(__dirname, 'static', 'layout.html'));
+});
 
 // Serve admin panel
 app.get('/admin', (req, res) => {
     res.sendFile(path.join(__dirname, 'static', 'admin.html'));
 });
 
+// Admin auth: public settings needed by the login screen
+app.get('/api/admin/auth/config', (req, res) => {
+    res.json({ botUsername: process.env.BOT_USERNAME || null });
+});
+
+// Admin auth: exchange Telegram initData or a Login Widget payload for a session
+app.post('/api/admin/auth/login', async (req, res) => {
+    try {
+        const { initData, widget } = req.body || {};
+        const botToken = process.env.BOT_TOKEN;
+        const user = initData
+            ? verifyTelegramInitData(initData, botToken)
+            : verifyTelegramLoginWidget(widget, botToken);
+        if (!user) return res.status(401).json({ error: 'Invalid or expired Telegram login' });
+        const admin = await adminService.getAdmin(req.db, user.id);
+        if (!admin) return res.status(403).json({ error: 'Access denied' });
+        if (user.username && !admin.bootstrap && admin.username !== user.username) {
+            try { await req.db.run(`UPDATE admins SET username = ? WHERE telegram_id = ?`, [user.username, user.id]); } catch (_) {}
+        }
+        const session = await issueAdminSession(req.db, user.id, req.headers['user-agent']);
+        res.json({ success: true, ...session, admin: { telegramId: user.id, username: user.username || null, role: admin.role } });
+    } catch (error) {
+        console.error('Error during admin login:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Admin auth: rotate a refresh token for a new token pair
+app.post('/api/admin/auth/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body || {};
+        let payload = null;
+        try { payload = jwt.verify(String(refreshToken || ''), adminJwtSecret); } catch (_) { payload = null; }
+        if (!payload || payload.typ !== 'refresh' || !payload.jti) {
+            return res.status(401).json({ error: 'Invalid session' });
+        }
+        await ensureAdminSessionsTable(req.db);
+        const row = await req.db.get(
+            `SELECT * FROM admin_sessions WHERE jti = ? AND expires_at > datetime('now')`,
+            [payload.jti]
+        );
+        if (!row) return res.status(401).json({ error: 'Session expired' });
+        // A refresh token is good for one rotation; seeing it again means it was copied, so end every session
+        // of that admin
+        const reused = async () => {
+            await req.db.run(`UPDATE admin_sessions SET revoked_at = datetime('now') WHERE telegram_id = ? AND revoked_at IS NULL`, [row.telegram_id]);
+            console.warn(`Admin refresh token reused for ${row.telegram_id}; all sessions revoked`);
+            return res.status(401).json({ error: 'Session expired' });
+        };
+        if (row.revoked_at) return reused();
+        // Removed admins can't keep refreshing
+        const admin = await adminService.getAdmin(req.db, payload.sub);
+        if (!admin) return res.status(403).json({ error: 'Access denied' });
+        const revoked = await req.db.run(`UPDATE admin_sessions SET revoked_at = datetime('now') WHERE jti = ? AND revoked_at IS NULL`, [payload.jti]);
+        if (!revoked || !revoked.changes) return reused();
+        const session = await issueAdminSession(req.db, payload.sub, req.headers['user-agent']);
+        res.json({ success: true, ...session });
+    } catch (error) {
+        console.error('Error refreshing admin session:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Admin auth: revoke the refresh token (access tokens expire on their own)
+app.post('/api/admin/auth/logout', async (req, res) => {
+    try {
+        const { refreshToken } = req.body || {};
+        let payload = null;
+        try { payload = jwt.verify(String(refreshToken || ''), adminJwtSecret, { ignoreExpiration: true }); } catch (_) { payload = null; }
+        if (payload && payload.jti) {
+            await ensureAdminSessionsTable(req.db);
+            await req.db.run(`UPDATE admin_sessions SET revoked_at = datetime('now') WHERE jti = ? AND revoked_at IS NULL`, [payload.jti]);
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error during admin logout:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Admin API endpoints
 app.get('/api/admin/check/:telegramId', async (req, res) => {
     try {
-        const { telegramId } = req.params;
-        const adminUserId = process.env.ADMIN_USER_ID;
-        
+        // Identity comes from the session token; the URL id is kept for backwards compatibility
+        const id = getAdminId(req);
+        const admin = id ? await adminService.getAdmin(req.db, id) : null;
         res.json({
-            isAdmin: telegramId === adminUserId
+            isAdmin: !!admin
         });
     } catch (error) {
         console.error('Error checking admin status:', error);
@@ -997,23 +1575,101 @@ app.get('/api/admin/check/:telegramId', async (req, res) => {
     }
 });
 
-app.get('/api/admin/dashboard', async (req, res) => {
+// Current admin: role, permissions and visible panel tabs
+app.get('/api/admin/me', requireAdmin(), async (req, res) => {
+    try {
+        const { telegramId, role } = req.admin;
+        res.json({
+            telegramId,
+            role,
+            permissions: adminService.getPermissions(role),
+            tabs: adminService.getTabs(role)
+        });
+    } catch (error) {
+        console.error('Error getting admin profile:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Admins management (owner)
+async function hasOtherOwner(db) {
+    if (String(process.env.ADMIN_USER_ID || '').trim()) return true;
+    return (await adminService.countOwners(db)) > 1;
+}
+
+app.get('/api/admin/admins', requireAdmin('admins.manage'), async (req, res) => {
+    try {
+        const admins = await adminService.listAdmins(req.db);
+        res.json({ admins, roles: adminService.roles });
+    } catch (error) {
+        console.error('Error listing admins:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/admin/admins', requireAdmin('admins.manage'), async (req, res) => {
+    try {
+        const { telegramId, username, role } = req.body || {};
+        const targetId = parseInt(telegramId);
+        if (!Number.isFinite(targetId)) return res.status(400).json({ error: 'Invalid telegramId' });
+        if (!adminService.roles.includes(role)) return res.status(400).json({ error: 'Invalid role' });
+        if (adminService.isBootstrapOwner(targetId)) return res.status(400).json({ error: 'ADMIN_USER_ID is always owner' });
+        const current = await adminService.getAdmin(req.db, targetId);
+        if (current && current.role === 'owner' && role !== 'owner' && !(await hasOtherOwner(req.db))) {
+            return res.status(400).json({ error: 'At least one owner is required' });
+        }
+        const admin = await adminService.setAdmin(req.db, {
+            telegramId: targetId,
+            username: username ? String(username).replace(/^@/, '') : null,
+            role,
+            addedBy: req.admin.telegramId
+        });
+        try {
+            await req.db.run(`INSERT INTO admin_audit (admin_telegram_id, target_telegram_id, action, reason) VALUES (?, ?, 'admin_set_role', ?)`, [req.admin.telegramId, targetId, role]);
+        } catch (_) {}
+        res.json({ success: true, admin });
+    } catch (error) {
+        console.error('Error saving admin:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/admin/admins/:telegramId', requireAdmin('admins.manage'), async (req, res) => {
+    try {
+        const targetId = parseInt(req.params.telegramId);
+        if (!Number.isFinite(targetId)) return res.status(400).json({ error: 'Invalid telegramId' });
+        if (adminService.isBootstrapOwner(targetId)) return res.status(400).json({ error: 'ADMIN_USER_ID cannot be removed' });
+        if (targetId === req.admin.telegramId) return res.status(400).json({ error: 'You cannot remove yourself' });
+        const current = await adminService.getAdmin(req.db, targetId);
+        if (current && current.role === 'owner' && !(await hasOtherOwner(req.db))) {
+            return res.status(400).json({ error: 'At least one owner is required' });
+        }
+        const removed = await adminService.removeAdmin(req.db, targetId);
+        if (!removed) return res.status(404).json({ error: 'Admin not found' });
+        // End any open sessions for the removed admin
+        try { await req.db.run(`UPDATE admin_sessions SET revoked_at = datetime('now') WHERE telegram_id = ? AND revoked_at IS NULL`, [targetId]); } catch (_) {}
+        try {
+            await req.db.run(`INSERT INTO admin_audit (admin_telegram_id, target_telegram_id, action) VALUES (?, ?, 'admin_remove')`, [req.admin.telegramId, targetId]);
+        } catch (_) {}
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error removing admin:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/admin/dashboard', requireAdmin('dashboard.view'), async (req, res) => {
     try {
         // Get total users
         const totalUsers = await req.db.get('SELECT COUNT(*) as count FROM users');
         
-        // Active users = distinct telegram_id that did any action today across joins or claims
+        // Active users = distinct telegram_id that did any action today across tasks or claims
         const activeUsers = await req.db.get(`
             SELECT COUNT(*) as count FROM (
                 SELECT DISTINCT u.telegram_id AS tid
-                FROM user_channel_joins uc
-                JOIN users u ON u.id = uc.user_id
-                WHERE DATE(uc.joined_at) = DATE('now')
-                UNION
-                SELECT DISTINCT u.telegram_id AS tid
-                FROM user_group_joins ug
-                JOIN users u ON u.id = ug.user_id
-                WHERE DATE(ug.joined_at) = DATE('now')
+                FROM task_claims tc
+                JOIN users u ON u.id = tc.user_id
+                WHERE tc.status = 'completed' AND DATE(tc.completed_at) = DATE('now')
                 UNION
                 SELECT DISTINCT telegram_id AS tid
                 FROM claims_history ch
@@ -1031,12 +1687,10 @@ app.get('/api/admin/dashboard', async (req, res) => {
             WHERE status = 'pending'
         `);
         
-        // Recent activity: last 10 across channels, groups, claims
+        // Recent activity: last 10 across tasks and claims
         const recentActivity = await req.db.all(`
             SELECT action, timestamp FROM (
-                SELECT 'Channel Join' as action, joined_at as timestamp FROM user_channel_joins
-                UNION ALL
-                SELECT 'Group Join' as action, joined_at as timestamp FROM user_group_joins
+                SELECT 'Task Completed' as action, completed_at as timestamp FROM task_claims WHERE status = 'completed'
                 UNION ALL
                 SELECT 'Daily Claim' as action, claimed_at as timestamp FROM claims_history
             )
@@ -1057,7 +1711,62 @@ app.get('/api/admin/dashboard', async (req, res) => {
     }
 });
 
-app.get('/api/admin/config', async (req, res) => {
+// Config sections shared by the admin panel and the public settings endpoint
+async function getWithdrawalSettings(db){
+    // Symbol and rate of the default payout currency (per-currency rates live in the currencies table)
+    const currency = await currencyService.getDefault(db);
+    return {
+        minWithdrawal: await getIntConfig(db, 'minWithdrawal', parseInt(process.env.MIN_WITHDRAWAL_AMOUNT) || 1000),
+        maxWithdrawal: await getIntConfig(db, 'maxWithdrawal', parseInt(process.env.MAX_WITHDRAWAL_AMOUNT) || 50000),
+        withdrawalFee: parseFloat(await getConfig(db, 'withdrawalFee', process.env.WITHDRAWAL_FEE_PERCENTAGE || 5)),
+        bankEditFee: await getIntConfig(db, 'bankEditFee', parseInt(process.env.BANK_EDIT_FEE) || 3000),
+        currencyCode: currency ? currency.code : null,
+        currencySymbol: currency ? currency.symbol : (process.env.CURRENCY_SYMBOL || '₦'),
+        pointToCurrencyRate: currency ? currency.rate : parseFloat(process.env.POINT_TO_CURRENCY_RATE || 1),
+        withdrawalsEnabled: (await getConfig(db, 'withdrawalsEnabled', 'true')) !== 'false',
+        minReferralsForWithdraw: await getIntConfig(db, 'minReferralsForWithdraw', 10)
+    };
+}
+
+async function getSupportSettings(db){
+    return {
+        supportUsername: await getConfig(db, 'adminUsername', process.env.ADMIN_USERNAME || 'TGTaskSupport'),
+        supportAdmins: [
+            {
+                label: 'Admin 1',
+                username: await getConfig(db, 'supportAdmin1', '') || '' ,
+                description: await getConfig(db, 'supportAdmin1Desc', '') || ''
+            },
+            {
+                label: 'Admin 2',
+                username: await getConfig(db, 'supportAdmin2', '') || '',
+                description: await getConfig(db, 'supportAdmin2Desc', '') || ''
+            },
+            {
+                label: 'Admin 3',
+                username: await getConfig(db, 'supportAdmin3', '') || '',
+                description: await getConfig(db, 'supportAdmin3Desc', '') || ''
+            },
+            {
+                label: 'Admin 4',
+                username: await getConfig(db, 'supportAdmin4', '') || '',
+                description: await getConfig(db, 'supportAdmin4Desc', '') || ''
+            },
+            {
+                label: 'Admin 5',
+                username: await getConfig(db, 'supportAdmin5', '') || '',
+                description: await getConfig(db, 'supportAdmin5Desc', '') || ''
+            }
+        ]
+    };
+}
+
+async function getExpirySettings(db){
+    const policy = await pointsExpiryService.getPolicy(db);
+    return { enabled: policy.enabled, days: policy.days, warningDays: policy.warningDays.join(',') };
+}
+
+app.get('/api/admin/config', requireAdmin('config.view'), async (req, res) => {
     try {
         const response = {
             pointsConfig: {
@@ -1066,16 +1775,7 @@ app.get('/api/admin/config', async (req, res) => {
                 friendInvitePoints: await getIntConfig(req.db, 'friendInvitePoints', parseInt(process.env.POINTS_PER_FRIEND_INVITE) || 25),
                 dailyTaskLimit: await getIntConfig(req.db, 'dailyTaskLimit', parseInt(process.env.DAILY_TASK_LIMIT) || 5)
             },
-            withdrawalConfig: {
-                minWithdrawal: await getIntConfig(req.db, 'minWithdrawal', parseInt(process.env.MIN_WITHDRAWAL_AMOUNT) || 1000),
-                maxWithdrawal: await getIntConfig(req.db, 'maxWithdrawal', parseInt(process.env.MAX_WITHDRAWAL_AMOUNT) || 50000),
-                withdrawalFee: parseFloat(await getConfig(req.db, 'withdrawalFee', process.env.WITHDRAWAL_FEE_PERCENTAGE || 5)),
-                bankEditFee: await getIntConfig(req.db, 'bankEditFee', parseInt(process.env.BANK_EDIT_FEE) || 3000),
-                currencySymbol: await getConfig(req.db, 'currencySymbol', process.env.CURRENCY_SYMBOL || '₦'),
-                pointToCurrencyRate: parseFloat(await getConfig(req.db, 'pointToCurrencyRate', process.env.POINT_TO_CURRENCY_RATE || 1)),
-                withdrawalsEnabled: (await getConfig(req.db, 'withdrawalsEnabled', 'true')) !== 'false',
-                minReferralsForWithdraw: await getIntConfig(req.db, 'minReferralsForWithdraw', 10)
-            },
+            withdrawalConfig: await getWithdrawalSettings(req.db),
             claimsConfig: {
                 dailyClaimsLimit: await getIntConfig(req.db, 'dailyClaimsLimit', parseInt(process.env.DAILY_CLAIMS_LIMIT) || 5),
                 minClaimAmount: await getIntConfig(req.db, 'minClaimAmount', parseInt(process.env.MIN_CLAIM_AMOUNT) || 50),
@@ -1083,44 +1783,21 @@ app.get('/api/admin/config', async (req, res) => {
                 bonusClaimsPerFriends: await getIntConfig(req.db, 'bonusClaimsPerFriends', parseInt(process.env.BONUS_CLAIMS_PER_FRIENDS) || 2),
                 friendsRequiredForBonus: await getIntConfig(req.db, 'friendsRequiredForBonus', parseInt(process.env.FRIENDS_REQUIRED_FOR_BONUS) || 10)
             },
-            supportConfig: {
-                supportUsername: await getConfig(req.db, 'adminUsername', process.env.ADMIN_USERNAME || 'TGTaskSupport'),
-                supportAdmins: [
-                    {
-                        label: 'Admin 1',
-                        username: await getConfig(req.db, 'supportAdmin1', '') || '' ,
-                        description: await getConfig(req.db, 'supportAdmin1Desc', '') || ''
-                    },
-                    {
-                        label: 'Admin 2',
-                        username: await getConfig(req.db, 'supportAdmin2', '') || '',
-                        description: await getConfig(req.db, 'supportAdmin2Desc', '') || ''
-                    },
-                    {
-                        label: 'Admin 3',
-                        username: await getConfig(req.db, 'supportAdmin3', '') || '',
-                        description: await getConfig(req.db, 'supportAdmin3Desc', '') || ''
-                    },
-                    {
-                        label: 'Admin 4',
-                        username: await getConfig(req.db, 'supportAdmin4', '') || '',
-                        description: await getConfig(req.db, 'supportAdmin4Desc', '') || ''
-                    },
-                    {
-                        label: 'Admin 5',
-                        username: await getConfig(req.db, 'supportAdmin5', '') || '',
-                        description: await getConfig(req.db, 'supportAdmin5Desc', '') || ''
-                    }
-                ]
-            },
+            supportConfig: await getSupportSettings(req.db),
             appConfig: {
                 appName: await getConfig(req.db, 'appName', process.env.APP_NAME || 'TGTask')
             },
             paystackConfig: {
-                enabled: (await getConfig(req.db, 'paystackAuto', 'false')) === 'true',
-                secret: await getConfig(req.db, 'paystackSecret', '')
+                enabled: (await getConfig(req.db, 'paystackAuto', 'false')) === 'true'
             },
-            monetagConfig: await getMonetagConfig(req.db)
+            // Secrets are write-only; only report whether each one is set
+            secrets: await getSecretStatus(req.db, ['paystackSecret', 'monetagPostbackToken', 'monetagPostbackHmacSecret']),
+            monetagConfig: await getMonetagConfig(req.db),
+            expiryConfig: await getExpirySettings(req.db),
+            clawbackConfig: await joinVerificationService.getPolicy(req.db),
+            levelConfig: await levelService.getSettings(req.db),
+            streakConfig: await streakService.getPolicy(req.db),
+            transferConfig: await transferService.getPolicy(req.db)
         };
         res.json(response);
     } catch (error) {
@@ -1129,10 +1806,27 @@ app.get('/api/admin/config', async (req, res) => {
     }
 });
 
+// Public settings for the webapp (no secrets, no admin-only fields)
+app.get('/api/settings', async (req, res) => {
+    try {
+        const currencies = await currencyService.list(req.db, { enabledOnly: true });
+        res.json({
+            withdrawalConfig: await getWithdrawalSettings(req.db),
+            currencies: currencies.map(c => ({ code: c.code, name: c.name, symbol: c.symbol, rate: c.rate, isDefault: c.isDefault })),
+            supportConfig: await getSupportSettings(req.db),
+            appConfig: {
+                appName: await getConfig(req.db, 'appName', process.env.APP_NAME || 'TGTask')
+            }
+        });
+    } catch (error) {
+        console.error('Error loading public settings:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Admin: onboarding mandatory join configuration
-app.get('/api/admin/onboarding-config', async (req, res) => {
+app.get('/api/admin/onboarding-config', requireAdmin('config.view'), async (req, res) => {
     try {
-        if (!isAdmin(req)) return res.status(403).json({ error: 'Access denied' });
         const requiredChannel = await getConfig(req.db, 'requiredChannel', null);
         const requiredChannelId = await getConfig(req.db, 'requiredChannelId', null);
         const requiredGroup = await getConfig(req.db, 'requiredGroup', null);
@@ -1145,9 +1839,8 @@ app.get('/api/admin/onboarding-config', async (req, res) => {
     }
 });
 
-app.post('/api/admin/onboarding-config', async (req, res) => {
+app.post('/api/admin/onboarding-config', requireAdmin('config.edit'), async (req, res) => {
     try {
-        if (!isAdmin(req)) return res.status(403).json({ error: 'Access denied' });
         const { requiredChannel, requiredGroup, onboardingWelcome } = req.body || {};
         let channelId = null, groupId = null;
         if (requiredChannel) channelId = await resolveChatId(requiredChannel);
@@ -1158,7 +1851,7 @@ app.post('/api/admin/onboarding-config', async (req, res) => {
             requiredGroup: requiredGroup || '',
             requiredGroupId: groupId != null ? String(groupId) : '',
             onboardingWelcome: onboardingWelcome || ''
-        });
+        }, configAudit(req, 'onboarding'));
         res.json({ success: true, requiredChannelId: channelId, requiredGroupId: groupId });
     } catch (e) {
         console.error('Error saving onboarding config:', e);
@@ -1181,7 +1874,7 @@ app.get('/api/onboarding-config', async (req, res) => {
     }
 });
 
-app.post('/api/admin/config/points', async (req, res) => {
+app.post('/api/admin/config/points', requireAdmin('config.edit'), async (req, res) => {
     try {
         const { channelJoinPoints, groupJoinPoints, friendInvitePoints, dailyTaskLimit } = req.body;
         await setConfig(req.db, {
@@ -1189,7 +1882,7 @@ app.post('/api/admin/config/points', async (req, res) => {
             groupJoinPoints,
             friendInvitePoints,
             dailyTaskLimit
-        });
+        }, configAudit(req, 'points'));
         res.json({ success: true });
     } catch (error) {
         console.error('Error updating points config:', error);
@@ -1197,10 +1890,10 @@ app.post('/api/admin/config/points', async (req, res) => {
     }
 });
 
-app.post('/api/admin/config/withdrawal', async (req, res) => {
+app.post('/api/admin/config/withdrawal', requireAdmin('payments.config'), async (req, res) => {
     try {
-        const { minWithdrawal, maxWithdrawal, withdrawalFee, bankEditFee, currencySymbol, pointToCurrencyRate, withdrawalsEnabled, minReferralsForWithdraw } = req.body;
-        await setConfig(req.db, { minWithdrawal, maxWithdrawal, withdrawalFee, bankEditFee, currencySymbol, pointToCurrencyRate, withdrawalsEnabled: withdrawalsEnabled ? 'true' : 'false', minReferralsForWithdraw });
+        const { minWithdrawal, maxWithdrawal, withdrawalFee, bankEditFee, withdrawalsEnabled, minReferralsForWithdraw } = req.body;
+        await setConfig(req.db, { minWithdrawal, maxWithdrawal, withdrawalFee, bankEditFee, withdrawalsEnabled: withdrawalsEnabled ? 'true' : 'false', minReferralsForWithdraw }, configAudit(req, 'withdrawal'));
         res.json({ success: true });
     } catch (error) {
         console.error('Error updating withdrawal config:', error);
@@ -1208,10 +1901,10 @@ app.post('/api/admin/config/withdrawal', async (req, res) => {
     }
 });
 
-app.post('/api/admin/config/claims', async (req, res) => {
+app.post('/api/admin/config/claims', requireAdmin('config.edit'), async (req, res) => {
     try {
         const { dailyClaimsLimit, minClaimAmount, maxClaimAmount, bonusClaimsPerFriends, friendsRequiredForBonus } = req.body;
-        await setConfig(req.db, { dailyClaimsLimit, minClaimAmount, maxClaimAmount, bonusClaimsPerFriends, friendsRequiredForBonus });
+        await setConfig(req.db, { dailyClaimsLimit, minClaimAmount, maxClaimAmount, bonusClaimsPerFriends, friendsRequiredForBonus }, configAudit(req, 'claims'));
         res.json({ success: true });
     } catch (error) {
         console.error('Error updating claims config:', error);
@@ -1219,7 +1912,217 @@ app.post('/api/admin/config/claims', async (req, res) => {
     }
 });
 
-app.post('/api/admin/config/support', async (req, res) => {
+// Payout currencies and exchange rates
+app.get('/api/admin/currencies', requireAdmin('config.view'), async (req, res) => {
+    try {
+        res.json({ currencies: await currencyService.list(req.db), paystackTypes: currencyService.paystackTypes });
+    } catch (error) {
+        console.error('Error loading currencies:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/admin/currencies/:code/history', requireAdmin('config.view'), async (req, res) => {
+    try {
+        res.json({ history: await currencyService.rateHistory(req.db, req.params.code, req.query.limit) });
+    } catch (error) {
+        console.error('Error loading currency rate history:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/admin/currencies', requireAdmin('payments.config'), async (req, res) => {
+    try {
+        const { code, name, symbol, rate, enabled, paystackType } = req.body || {};
+        const invalid = currencyService.validate({ code, symbol, rate, paystackType });
+        if (invalid) return res.status(400).json({ error: invalid });
+        const result = await currencyService.save(req.db, { code, name, symbol, rate, enabled: enabled !== false, paystackType }, req.admin.telegramId);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        if (error && error.message === 'The default currency cannot be disabled') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error saving currency:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/admin/currencies/:code/default', requireAdmin('payments.config'), async (req, res) => {
+    try {
+        const currency = await currencyService.setDefault(req.db, req.params.code, req.admin.telegramId);
+        res.json({ success: true, currency });
+    } catch (error) {
+        if (error && error.message === 'Currency not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        console.error('Error setting default currency:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Daily login streaks: reward table, what happens after the last day, day boundary and freezes
+app.post('/api/admin/config/streaks', requireAdmin('config.edit'), async (req, res) => {
+    try {
+        const { rewards, afterCycle, escalateStep, dayStartHour, freezeEnabled, freezeCost, freezeMax } = req.body;
+        const table = streakService.parseRewards(rewards);
+        if (!table) return res.status(400).json({ error: 'Rewards must be a comma separated list of points (day 1, day 2, ...)' });
+        if (!streakService.cycleModes.includes(afterCycle)) return res.status(400).json({ error: `afterCycle must be one of: ${streakService.cycleModes.join(', ')}` });
+        const ranges = { escalateStep: [escalateStep, 0, 1000000], dayStartHour: [dayStartHour, 0, 23], freezeCost: [freezeCost, 1, 100000000], freezeMax: [freezeMax, 0, 365] };
+        const values = {};
+        for (const [field, [value, min, max]] of Object.entries(ranges)) {
+            const n = parseInt(value, 10);
+            if (!Number.isFinite(n) || n < min || n > max) return res.status(400).json({ error: `${field} must be between ${min} and ${max}` });
+            values[field] = n;
+        }
+        await setConfig(req.db, {
+            streakRewards: table.join(','),
+            streakAfterCycle: afterCycle,
+            streakEscalateStep: values.escalateStep,
+            streakDayStartHour: values.dayStartHour,
+            streakFreezeEnabled: freezeEnabled ? 'true' : 'false',
+            streakFreezeCost: values.freezeCost,
+            streakFreezeMax: values.freezeMax
+        }, configAudit(req, 'streaks'));
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error updating streak config:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Point transfers: on/off, fee, limits and the fraud-flag threshold
+app.post('/api/admin/config/transfers', requireAdmin('payments.config'), async (req, res) => {
+    try {
+        const { enabled, feePct, minAmount, dailyLimit, dailyCount, receiveDailyLimit, minAccountAgeDays, fanInSenders } = req.body;
+        const fee = parseFloat(feePct);
+        if (!Number.isFinite(fee) || fee < 0 || fee > 100) return res.status(400).json({ error: 'feePct must be between 0 and 100' });
+        const ranges = {
+            minAmount: [minAmount, 1, 100000000], dailyLimit: [dailyLimit, 1, 1000000000], dailyCount: [dailyCount, 1, 1000],
+            receiveDailyLimit: [receiveDailyLimit, 1, 1000000000], minAccountAgeDays: [minAccountAgeDays, 0, 3650], fanInSenders: [fanInSenders, 2, 1000]
+        };
+        const values = {};
+        for (const [field, [value, min, max]] of Object.entries(ranges)) {
+            const n = parseInt(value, 10);
+            if (!Number.isFinite(n) || n < min || n > max) return res.status(400).json({ error: `${field} must be between ${min} and ${max}` });
+            values[field] = n;
+        }
+        if (values.minAmount > values.dailyLimit) return res.status(400).json({ error: 'minAmount cannot be above dailyLimit' });
+        await setConfig(req.db, {
+            transfersEnabled: enabled ? 'true' : 'false',
+            transferFeePct: fee,
+            transferMinAmount: values.minAmount,
+            transferDailyLimit: values.dailyLimit,
+            transferDailyCount: values.dailyCount,
+            transferReceiveDailyLimit: values.receiveDailyLimit,
+            transferMinAccountAgeDays: values.minAccountAgeDays,
+            transferFanInSenders: values.fanInSenders
+        }, configAudit(req, 'transfers'));
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error updating transfer config:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Levels and their perks
+app.get('/api/admin/levels', requireAdmin('config.view'), async (req, res) => {
+    try {
+        res.json({ levels: await levelService.list(req.db), settings: await levelService.getSettings(req.db) });
+    } catch (error) {
+        console.error('Error loading levels:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/admin/levels', requireAdmin('config.edit'), async (req, res) => {
+    try {
+        const { level, name, threshold, extraDailyClaims, claimMultiplier, withdrawalFeePct } = req.body || {};
+        const invalid = levelService.validate({ level, name, threshold, extraDailyClaims, claimMultiplier, withdrawalFeePct });
+        if (invalid) return res.status(400).json({ error: invalid });
+        const result = await levelService.save(req.db, { level, name, threshold, extraDailyClaims, claimMultiplier, withdrawalFeePct }, req.admin.telegramId);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        if (error && /^Threshold must be/.test(error.message || '')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error saving level:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/admin/levels/:level', requireAdmin('config.edit'), async (req, res) => {
+    try {
+        const removed = await levelService.remove(req.db, req.params.level);
+        if (!removed) return res.status(404).json({ error: 'Level not found' });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting level:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// What levels are measured on (lifetime earnings or XP) and the XP given per earning activity
+app.post('/api/admin/config/levels', requireAdmin('config.edit'), async (req, res) => {
+    try {
+        const { basis, xpPerActivity } = req.body;
+        if (!levelService.bases.includes(basis)) return res.status(400).json({ error: `basis must be one of: ${levelService.bases.join(', ')}` });
+        const xp = parseInt(xpPerActivity, 10);
+        if (!Number.isFinite(xp) || xp < 0) return res.status(400).json({ error: 'xpPerActivity must be zero or more' });
+        await setConfig(req.db, { levelBasis: basis, xpPerActivity: xp }, configAudit(req, 'levels'));
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error updating level config:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Join re-verification (clawback) policy; the job runs in the bot process (or npm run tasks:verify-joins)
+app.post('/api/admin/config/clawback', requireAdmin('config.edit'), async (req, res) => {
+    try {
+        const { enabled, holdingDays, sampleSize, recheckHours } = req.body;
+        const values = { holdingDays, sampleSize, recheckHours };
+        for (const [field, value] of Object.entries(values)) {
+            const n = parseInt(value, 10);
+            if (!Number.isFinite(n) || n < 1) return res.status(400).json({ error: `${field} must be a positive number` });
+            values[field] = n;
+        }
+        await setConfig(req.db, {
+            joinClawbackEnabled: enabled ? 'true' : 'false',
+            joinHoldingDays: values.holdingDays,
+            joinCheckSampleSize: values.sampleSize,
+            joinRecheckHours: values.recheckHours
+        }, configAudit(req, 'clawback'));
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error updating clawback config:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Points expiry policy; the job itself runs in the bot process (or npm run points:expire)
+app.post('/api/admin/config/expiry', requireAdmin('config.edit'), async (req, res) => {
+    try {
+        const { enabled, days, warningDays } = req.body;
+        const expiryDays = parseInt(days, 10);
+        if (!Number.isFinite(expiryDays) || expiryDays < 1) {
+            return res.status(400).json({ error: 'Expiry days must be a positive number' });
+        }
+        const warnings = pointsExpiryService.parseWarningDays(warningDays).filter(d => d < expiryDays);
+        const previous = await pointsExpiryService.getPolicy(req.db);
+        await setConfig(req.db, {
+            pointsExpiryEnabled: enabled ? 'true' : 'false',
+            pointsExpiryDays: expiryDays,
+            pointsExpiryWarningDays: warnings.join(','),
+            pointsExpiryEffectiveFrom: pointsExpiryService.effectiveFromAfter(previous, { enabled: !!enabled, days: expiryDays })
+        }, configAudit(req, 'expiry'));
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error updating expiry config:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/admin/config/support', requireAdmin('config.edit'), async (req, res) => {
     try {
         const { supportUsername, admins } = req.body;
         const updates = { adminUsername: supportUsername };
@@ -1230,7 +2133,7 @@ app.post('/api/admin/config/support', async (req, res) => {
                 if (a && (a.description != null)) updates[`supportAdmin${n}Desc`] = a.description;
             });
         }
-        await setConfig(req.db, updates);
+        await setConfig(req.db, updates, configAudit(req, 'support'));
         res.json({ success: true });
     } catch (error) {
         console.error('Error updating support config:', error);
@@ -1238,10 +2141,10 @@ app.post('/api/admin/config/support', async (req, res) => {
     }
 });
 
-app.post('/api/admin/config/app', async (req, res) => {
+app.post('/api/admin/config/app', requireAdmin('config.edit'), async (req, res) => {
     try {
         const { appName } = req.body;
-        await setConfig(req.db, { appName: appName || 'TGTask' });
+        await setConfig(req.db, { appName: appName || 'TGTask' }, configAudit(req, 'app'));
         res.json({ success: true });
     } catch (error) {
         console.error('Error updating app config:', error);
@@ -1250,14 +2153,14 @@ app.post('/api/admin/config/app', async (req, res) => {
 });
 
 // Admin: payout gateway config
-app.post('/api/admin/config/paystack', async (req, res) => {
+app.post('/api/admin/config/paystack', requireAdmin('payments.config'), async (req, res) => {
     try {
-        if (!isAdmin(req)) return res.status(403).json({ error: 'Access denied' });
-        const { enabled, secret } = req.body || {};
+        const { enabled, secret, clearSecret } = req.body || {};
+        const audit = configAudit(req, 'paystack');
         await setConfig(req.db, {
-            paystackAuto: enabled ? 'true' : 'false',
-            paystackSecret: secret || ''
-        });
+            paystackAuto: enabled ? 'true' : 'false'
+        }, audit);
+        await setSecretConfig(req.db, 'paystackSecret', secret, !!clearSecret, audit);
         res.json({ success: true });
     } catch (e) {
         console.error('Error saving paystack config:', e);
@@ -1266,18 +2169,31 @@ app.post('/api/admin/config/paystack', async (req, res) => {
 });
 
 // Admin: Monetag config (minimal, keep only optional display limits)
-app.post('/api/admin/config/monetag', async (req, res) => {
-    try {
-        if (!isAdmin(req)) return res.status(403).json({ error: 'Access denied' });
-        const { hourlyLimit, dailyLimit, fixedRewardPoints, sdkSnippet, zoneId, appId } = req.body || {};
+app.post('/api/admin/config/monetag', requireAdmin('config.edit'), async (req, res) => {
+    try {
+        const { hourlyLimit, dailyLimit, fixedRewardPoints, sdkSnippet, zoneId, appId, postbackIpAllowlist, postbackToken, postbackHmacSecret, clearPostbackToken, clearPostbackHmacSecret, scriptOrigins } = req.body || {};
+        // Everything here ends up in the mini-app page, so reject anything that isn't a plain id / allowlisted script tag
+        const origins = scriptPolicyService.parseOrigins(scriptOrigins);
+        if (origins.invalid.length) return res.status(400).json({ error: `Invalid script origins (use https://host): ${origins.invalid.join(', ')}` });
+        if (!/^[A-Za-z0-9_-]*$/.test(String(zoneId || '').trim()) || !/^[A-Za-z0-9_-]*$/.test(String(appId || '').trim())) {
+            return res.status(400).json({ error: 'Zone ID and App ID may only contain letters, digits, - and _' });
+        }
+        const snippetCheck = scriptPolicyService.parseSnippet(sdkSnippet, origins.origins);
+        if (snippetCheck.errors.length) return res.status(400).json({ error: `Invalid SDK snippet: ${snippetCheck.errors.join('; ')}` });
+        const audit = configAudit(req, 'monetag');
         await setConfig(req.db, {
             adsHourlyLimit: String(parseInt(hourlyLimit || 20)),
             adsDailyLimit: String(parseInt(dailyLimit || 60)),
             adsFixedRewardPoints: String(parseInt(fixedRewardPoints || 0)),
             adsSdkSnippet: String(sdkSnippet || ''),
-            adsZoneId: String(zoneId || ''),
-            adsAppId: String(appId || '')
-        });
+            adsZoneId: String(zoneId || '').trim(),
+            adsAppId: String(appId || '').trim(),
+            adsPostbackIpAllowlist: String(postbackIpAllowlist || ''),
+            adsScriptOrigins: origins.origins.join('\n')
+        }, audit);
+        await setSecretConfig(req.db, 'monetagPostbackToken', postbackToken, !!clearPostbackToken, audit);
+        await setSecretConfig(req.db, 'monetagPostbackHmacSecret', postbackHmacSecret, !!clearPostbackHmacSecret, audit);
+        adScriptOriginsCache = null;
         res.json({ success: true });
     } catch (e) {
         console.error('Error saving monetag config:', e);
@@ -1285,19 +2201,185 @@ app.post('/api/admin/config/monetag', async (req, res) => {
     }
 });
 
-app.get('/api/admin/tasks', async (req, res) => {
+// Admin: config change history (filters: group, admin, key, from, to)
+app.get('/api/admin/config-history', requireAdmin('config.view'), async (req, res) => {
     try {
-        const channels = await req.db.all('SELECT * FROM channels ORDER BY created_at DESC');
-        const groups = await req.db.all('SELECT * FROM groups ORDER BY created_at DESC');
-        
-        res.json({ channels, groups });
+        const q = req.query || {};
+        const entries = await configHistoryService.list(req.db, {
+            group: q.group || null,
+            adminTelegramId: q.admin || null,
+            key: q.key || null,
+            from: q.from || null,
+            to: q.to || null,
+            limit: q.limit
+        });
+        res.json({ entries, groups: configHistoryService.groups });
+    } catch (e) {
+        console.error('Error loading config history:', e);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Admin: restore a config group to its state right after an earlier change.
+// Secrets are never stored in history, so they are left as they are.
+app.post('/api/admin/config-history/rollback', requireAdmin('config.view'), async (req, res) => {
+    try {
+        const { group, changeId } = req.body || {};
+        const permission = configHistoryService.permissionFor(group);
+        if (!permission || !changeId) return res.status(400).json({ error: 'Invalid group or change' });
+        if (!adminService.hasPermission(req.admin.role, permission)) return res.status(403).json({ error: 'Access denied' });
+        const snapshot = await configHistoryService.snapshot(req.db, group, String(changeId));
+        if (!snapshot) return res.status(404).json({ error: 'Change not found' });
+        const updates = {};
+        const removals = [];
+        const skipped = [];
+        for (const [key, value] of Object.entries(snapshot)) {
+            if (isSecretConfigKey(key)) skipped.push(key);
+            else if (value === null) removals.push(key);
+            else updates[key] = value;
+        }
+        const audit = configAudit(req, group, 'rollback');
+        await setConfig(req.db, updates, audit);
+        await deleteConfig(req.db, removals, audit);
+        if (group === 'monetag') adScriptOriginsCache = null;
+        res.json({ success: true, changeId: audit.changeId, restored: Object.keys(updates).concat(removals), skipped });
+    } catch (e) {
+        console.error('Error rolling back config:', e);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/admin/tasks', requireAdmin('tasks.manage'), async (req, res) => {
+    try {
+        const tasks = await taskService.listTasks(req.db);
+        res.json({ tasks, verifiers: verifiers.describe() });
     } catch (error) {
         console.error('Error loading tasks:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-app.get('/api/admin/users', async (req, res) => {
+// Create (no id) or update a task
+app.post('/api/admin/tasks', requireAdmin('tasks.manage'), async (req, res) => {
+    try {
+        const { task, created } = await taskService.saveTask(req.db, req.body || {}, { adminTelegramId: req.admin.telegramId, services: taskVerifierServices });
+        // Alert users of a new task
+        if (created && task.is_active) {
+            try {
+                const rows = await req.db.all('SELECT telegram_id FROM users WHERE COALESCE(level, 0) >= ?', [task.min_level || 0]);
+                const msg = `🆕 New ${taskService.typeLabel(task.type)} task: ${task.title} (+${task.points_reward} pts). Check Tasks now!`;
+                for (const r of rows) await sendTelegramMessage(r.telegram_id, msg);
+            } catch (_) {}
+        }
+        res.json({ success: true, id: task.id, created });
+    } catch (err) {
+        if (taskService.isRuleError(err)) return res.status(err.status || 400).json({ error: err.message });
+        console.error('Error saving task:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/admin/tasks/:id/active', requireAdmin('tasks.manage'), async (req, res) => {
+    try {
+        const updated = await taskService.setTaskActive(req.db, parseInt(req.params.id), !!(req.body && req.body.active), req.admin.telegramId);
+        if (!updated) return res.status(404).json({ error: 'Task not found' });
+        res.json({ success: true });
+    } catch (err) {
+        if (taskService.isRuleError(err)) return res.status(err.status || 400).json({ error: err.message });
+        console.error('Error updating task:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Task claims, e.g. ?status=review for proofs waiting for a decision
+app.get('/api/admin/task-claims', requireAdmin('tasks.manage'), async (req, res) => {
+    try {
+        const status = String(req.query.status || '');
+        if (status && !taskService.claimStatuses.includes(status)) return res.status(400).json({ error: 'Invalid status' });
+        const claims = await taskService.listClaims(req.db, { status, taskId: req.query.taskId, limit: req.query.limit });
+        res.json({ claims });
+    } catch (err) {
+        console.error('Error loading task claims:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Tells the user how their proof was decided
+async function notifyTaskReview(db, result, note) {
+    const user = await userService.getUserById(db, result.claim.user_id);
+    if (!user) return;
+    const msg = result.approved
+        ? `✅ Your proof for "${result.task.title}" was approved. You earned +${result.pointsEarned || 0} points.`
+        : `❌ Your proof for "${result.task.title}" was rejected.${note ? ' Reason: ' + String(note).trim() : ''} You can submit it again.`;
+    try { await sendTelegramMessage(user.telegram_id, msg); } catch (_) {}
+}
+
+app.get('/api/admin/task-claims/:id/image', requireAdmin('tasks.manage'), async (req, res) => {
+    try {
+        const image = await taskService.getProofImage(req.db, parseInt(req.params.id));
+        if (!image) return res.status(404).json({ error: 'No screenshot for this claim' });
+        res.json({ mime: image.mime, data: image.data });
+    } catch (err) {
+        console.error('Error loading proof screenshot:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/admin/task-claims/bulk-review', requireAdmin('tasks.manage'), async (req, res) => {
+    try {
+        const { ids, approve, note } = req.body || {};
+        const outcomes = await taskService.reviewMany(req.db, Array.isArray(ids) ? ids : [], { approve: !!approve, note, adminTelegramId: req.admin.telegramId });
+        for (const outcome of outcomes) {
+            if (outcome.result) await notifyTaskReview(req.db, outcome.result, note);
+        }
+        res.json({
+            success: true,
+            reviewed: outcomes.filter(o => o.result).length,
+            failed: outcomes.filter(o => o.error).map(o => ({ id: o.id, error: o.error }))
+        });
+    } catch (err) {
+        if (taskService.isRuleError(err)) return res.status(err.status || 400).json({ error: err.message });
+        console.error('Error bulk reviewing task claims:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/admin/task-claims/:id/review', requireAdmin('tasks.manage'), async (req, res) => {
+    try {
+        const { approve, note } = req.body || {};
+        const result = await taskService.review(req.db, parseInt(req.params.id), { approve: !!approve, note, adminTelegramId: req.admin.telegramId });
+        await notifyTaskReview(req.db, result, note);
+        res.json({ success: true, approved: result.approved, pointsEarned: result.pointsEarned });
+    } catch (err) {
+        if (taskService.isRuleError(err)) return res.status(err.status || 400).json({ error: err.message });
+        console.error('Error reviewing task claim:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Reject reason templates offered in the review queue
+app.get('/api/admin/task-reject-reasons', requireAdmin('tasks.manage'), async (req, res) => {
+    try {
+        res.json({ reasons: await taskService.getRejectReasons(req.db) });
+    } catch (err) {
+        console.error('Error loading reject reasons:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/admin/task-reject-reasons', requireAdmin('tasks.manage'), async (req, res) => {
+    try {
+        const reasons = taskService.parseRejectReasons((req.body || {}).reasons);
+        await setConfig(req.db, { taskRejectReasons: JSON.stringify(reasons) }, configAudit(req, 'task-review'));
+        res.json({ success: true, reasons });
+    } catch (err) {
+        if (taskService.isRuleError(err)) return res.status(err.status || 400).json({ error: err.message });
+        console.error('Error saving reject reasons:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/admin/users', requireAdmin('users.view'), async (req, res) => {
     try {
         const q = (req.query && req.query.q) ? String(req.query.q).trim() : '';
         let users;
@@ -1327,10 +2409,9 @@ app.get('/api/admin/users', async (req, res) => {
     }
 });
 
-// Admin: user ledger (earnings history consolidated)
-app.post('/api/admin/user-ledger', async (req, res) => {
+// Admin: user ledger (every balance change from points_ledger, newest first)
+app.post('/api/admin/user-ledger', requireAdmin('users.view'), async (req, res) => {
     try {
-        if (!isAdmin(req)) return res.status(403).json({ error: 'Access denied' });
         const targetTelegramId = parseInt((req.body && req.body.targetTelegramId) || (req.query && req.query.targetTelegramId));
         if (!targetTelegramId || !Number.isFinite(targetTelegramId)) {
             return res.status(400).json({ error: 'Provide numeric targetTelegramId' });
@@ -1338,28 +2419,19 @@ app.post('/api/admin/user-ledger', async (req, res) => {
         const user = await userService.getUserByTelegramId(req.db, targetTelegramId);
         if (!user) return res.status(404).json({ error: 'User not found' });
 
-        const rows = await req.db.all(`
-            SELECT * FROM (
-                SELECT 'Channel Join' AS source, uc.points_earned AS points, uc.joined_at AS earned_at
-                FROM user_channel_joins uc WHERE uc.user_id = ?
-                UNION ALL
-                SELECT 'Group Join' AS source, ug.points_earned AS points, ug.joined_at AS earned_at
-                FROM user_group_joins ug WHERE ug.user_id = ?
-                UNION ALL
-                SELECT CASE WHEN ch.source = 'referral' THEN 'Invite Reward' ELSE 'Daily Reward' END AS source, ch.points_earned AS points, ch.claimed_at AS earned_at
-                FROM claims_history ch WHERE ch.telegram_id = ?
-                UNION ALL
-                SELECT ('Social Task: ' || COALESCE(st.task_name, st.platform)) AS source, usc.points_earned AS points, usc.completed_at AS earned_at
-                FROM user_social_claims usc JOIN social_tasks st ON st.id = usc.social_task_id
-                WHERE usc.user_id = ? AND usc.status = 'completed'
-                UNION ALL
-                SELECT 'Admin Credit' AS source, aa.amount AS points, aa.created_at AS earned_at
-                FROM admin_audit aa
-                WHERE aa.target_telegram_id = ? AND aa.action = 'adjust_balance' AND aa.amount > 0
-            ) t
-            ORDER BY earned_at DESC
-            LIMIT 500
-        `, [user.id, user.id, targetTelegramId, user.id, targetTelegramId]);
+        const entries = await ledgerService.list(req.db, user.id, { limit: 500 });
+        const rows = entries.map(e => ({
+            id: e.id,
+            source: e.label,
+            reason: e.reason,
+            points: e.delta,
+            balance_after: e.balance_after,
+            reference_type: e.reference_type,
+            reference_id: e.reference_id,
+            created_by: e.created_by,
+            backfilled: !!parseInt(e.backfilled, 10),
+            earned_at: e.created_at
+        }));
 
         const total = (rows || []).reduce((sum, r) => sum + (parseInt(r.points, 10) || 0), 0);
         res.json({
@@ -1374,259 +2446,386 @@ app.post('/api/admin/user-ledger', async (req, res) => {
     }
 });
 
-app.get('/api/admin/withdrawals', async (req, res) => {
+// Admin: balance reconciliation (users.points vs the points ledger)
+app.post('/api/admin/reconciliation/run', requireAdmin('users.balance'), async (req, res) => {
     try {
-        const status = (req.query && req.query.status) || 'all';
-        let where = '';
-        const params = [];
-        if (status === 'pending' || status === 'completed' || status === 'rejected') {
-            where = 'WHERE w.status = ?';
-            params.push(status);
-        }
-        const withdrawals = await req.db.all(
-            `SELECT w.*, u.first_name as user_name, b.account_name, b.account_number, b.bank_name
-             FROM withdrawals w
-             LEFT JOIN users u ON w.telegram_id = u.telegram_id
-             LEFT JOIN bank_details b ON w.telegram_id = b.telegram_id
-             ${where}
-             ORDER BY w.created_at DESC`,
-            params
-        );
-        
-        // Format bank details
-        const formattedWithdrawals = withdrawals.map(w => ({
-            ...w,
-            bank_details: (w.account_name || w.bank_name || w.account_number)
-                ? `${w.account_name || ''} ${w.account_number ? `(${w.account_number})` : ''} - ${w.bank_name || ''}`.trim()
-                : null
-        }));
-        
-        res.json({ withdrawals: formattedWithdrawals });
-    } catch (error) {
-        console.error('Error loading withdrawals:', error);
+        const result = await reconciliationService.run(req.db, { startedBy: req.admin.telegramId });
+        res.json(result);
+    } catch (err) {
+        console.error('Error running reconciliation:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-app.get('/api/admin/channels', async (req, res) => {
+app.get('/api/admin/reconciliation/runs', requireAdmin('users.balance'), async (req, res) => {
     try {
-        const channels = await req.db.all('SELECT * FROM channels ORDER BY created_at DESC');
-        
-        res.json({ channels });
-    } catch (error) {
-        console.error('Error loading channels:', error);
+        const runs = await reconciliationService.listRuns(req.db, req.query && req.query.limit);
+        res.json({ runs, resolutions: reconciliationService.resolutions });
+    } catch (err) {
+        console.error('Error loading reconciliation runs:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/admin/reconciliation/runs/:id', requireAdmin('users.balance'), async (req, res) => {
+    try {
+        const result = await reconciliationService.getRun(req.db, parseInt(req.params.id));
+        if (!result) return res.status(404).json({ error: 'Run not found' });
+        res.json(result);
+    } catch (err) {
+        console.error('Error loading reconciliation run:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+function parseItemIds(body) {
+    const ids = Array.isArray(body && body.itemIds) ? body.itemIds : [];
+    return Array.from(new Set(ids.map(id => parseInt(id, 10)).filter(id => Number.isFinite(id) && id > 0)));
+}
+
+async function performApplyReconciliation(db, adminTelegramId, { runId, itemIds, resolution }) {
+    const outcome = await reconciliationService.applyItems(db, runId, itemIds, resolution, adminTelegramId);
+    return { status: 200, body: { success: true, ...outcome } };
+}
+
+app.post('/api/admin/reconciliation/runs/:id/apply', requireAdmin('users.balance'), async (req, res) => {
+    try {
+        const runId = parseInt(req.params.id);
+        const itemIds = parseItemIds(req.body);
+        const resolution = String((req.body && req.body.resolution) || '');
+        if (!itemIds.length) return res.status(400).json({ error: 'Select at least one item' });
+        if (!reconciliationService.resolutions.includes(resolution)) return res.status(400).json({ error: 'Invalid resolution' });
+        const result = await reconciliationService.getRun(req.db, runId);
+        if (!result) return res.status(404).json({ error: 'Run not found' });
+        const selected = result.items.filter(i => itemIds.includes(i.id) && i.status === 'proposed');
+        if (!selected.length) return res.status(400).json({ error: 'No open items selected' });
+        const drift = selected.reduce((sum, i) => sum + i.points_drift, 0);
+        await requestAdminConfirmation(req, res, 'apply_reconciliation',
+            { runId, itemIds: selected.map(i => i.id), resolution },
+            `Apply reconciliation run #${runId}: ${selected.length} user(s), ${resolution === 'accept_balance' ? 'record current balances in the ledger' : 'restore balances to the ledger'}\nNet balance drift: ${drift > 0 ? '+' : ''}${drift} points`);
+    } catch (err) {
+        console.error('Error applying reconciliation:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/admin/reconciliation/runs/:id/dismiss', requireAdmin('users.balance'), async (req, res) => {
+    try {
+        const itemIds = parseItemIds(req.body);
+        if (!itemIds.length) return res.status(400).json({ error: 'Select at least one item' });
+        const dismissed = await reconciliationService.dismissItems(req.db, parseInt(req.params.id), itemIds, req.admin.telegramId);
+        res.json({ success: true, dismissed });
+    } catch (err) {
+        console.error('Error dismissing reconciliation items:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Admin: point transfers, with fraud flags and reversal
+app.get('/api/admin/transfers', requireAdmin('users.view'), async (req, res) => {
+    try {
+        const status = ['completed', 'reversed'].includes(req.query.status) ? req.query.status : undefined;
+        const telegramId = parseInt(req.query.telegramId) || undefined;
+        const transfers = await transferService.list(req.db, { status, flagged: req.query.flagged === 'true', telegramId, limit: req.query.limit });
+        res.json({ transfers, flags: transferService.flags });
+    } catch (err) {
+        console.error('Error loading transfers:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/admin/transfers/:id/flag', requireAdmin('users.view'), async (req, res) => {
+    try {
+        const updated = await transferService.setFlagged(req.db, parseInt(req.params.id), !!(req.body && req.body.flagged), req.admin.telegramId);
+        if (!updated) return res.status(404).json({ error: 'Transfer not found' });
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Error flagging transfer:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+async function performReverseTransfer(db, adminTelegramId, { transferId, reason, refundSender }) {
+    const outcome = await transferService.reverse(db, transferId, { adminTelegramId, reason, refundSender });
+    if (!outcome) return { status: 400, body: { error: 'Transfer not found or already reversed' } };
+    const { transfer, recovered, refunded } = outcome;
+    await sendTelegramMessage(transfer.recipient_telegram_id,
+        `⚠️ A transfer of ${transfer.amount} points you received was reversed by an admin${recovered < transfer.amount ? ` (${recovered} points could be recovered)` : ''}.${reason ? '\nReason: ' + reason : ''}`);
+    if (refunded > 0) {
+        await sendTelegramMessage(transfer.sender_telegram_id, `↩️ Your transfer of ${transfer.amount} points was reversed and ${refunded} points were returned to you.`);
+    }
+    return { status: 200, body: { success: true, recovered, refunded } };
+}
+
+app.post('/api/admin/transfers/:id/reverse', requireAdmin('users.balance'), async (req, res) => {
+    try {
+        const transfer = await transferService.get(req.db, parseInt(req.params.id));
+        if (!transfer) return res.status(404).json({ error: 'Transfer not found' });
+        if (transfer.status !== 'completed') return res.status(400).json({ error: 'Transfer is already reversed' });
+        const reason = req.body && req.body.reason ? String(req.body.reason).slice(0, 200) : null;
+        const refundSender = !(req.body && req.body.refundSender === false);
+        const who = (username, telegramId) => `${telegramId}${username ? ' (@' + username + ')' : ''}`;
+        await requestAdminConfirmation(req, res, 'reverse_transfer',
+            { transferId: transfer.id, reason, refundSender },
+            `Reverse transfer #${transfer.id}: ${transfer.amount} points from ${who(transfer.sender_username, transfer.sender_telegram_id)} to ${who(transfer.recipient_username, transfer.recipient_telegram_id)}\n${refundSender ? 'Recovered points and the fee go back to the sender' : 'Sender is NOT refunded'}${reason ? '\nReason: ' + reason : ''}`);
+    } catch (err) {
+        console.error('Error reversing transfer:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Admin: redemption shop catalog, code uploads and order fulfilment
+app.get('/api/admin/shop/items', requireAdmin('shop.manage'), async (req, res) => {
+    try {
+        res.json({ items: await shopService.listItems(req.db), itemTypes: shopService.itemTypes });
+    } catch (err) {
+        console.error('Error loading shop items:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/admin/shop/items', requireAdmin('shop.manage'), async (req, res) => {
+    try {
+        const { id, name, description, itemType, pointsPrice, stock, perUserLimit, isActive, sortOrder } = req.body || {};
+        const invalid = shopService.validateItem({ name, itemType, pointsPrice, stock, perUserLimit, sortOrder });
+        if (invalid) return res.status(400).json({ error: invalid });
+        const item = await shopService.saveItem(req.db,
+            { id: parseInt(id) || null, name, description, itemType, pointsPrice, stock, perUserLimit, isActive, sortOrder }, req.admin.telegramId);
+        if (!item) return res.status(404).json({ error: 'Item not found' });
+        res.json({ success: true, item });
+    } catch (err) {
+        console.error('Error saving shop item:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-app.get('/api/admin/groups', async (req, res) => {
+app.post('/api/admin/shop/items/:id/active', requireAdmin('shop.manage'), async (req, res) => {
     try {
-        const groups = await req.db.all('SELECT * FROM groups ORDER BY created_at DESC');
-        
-        res.json({ groups });
-    } catch (error) {
-        console.error('Error loading groups:', error);
+        const updated = await shopService.setItemActive(req.db, parseInt(req.params.id), !!(req.body && req.body.active), req.admin.telegramId);
+        if (!updated) return res.status(404).json({ error: 'Item not found' });
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Error updating shop item:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Social tasks admin endpoints
-app.get('/api/admin/social-tasks', async (req, res) => {
+app.post('/api/admin/shop/items/:id/codes', requireAdmin('shop.manage'), async (req, res) => {
     try {
-        const tasks = await req.db.all('SELECT * FROM social_tasks ORDER BY created_at DESC');
-        res.json({ tasks });
+        const result = await shopService.addCodes(req.db, parseInt(req.params.id), req.body && req.body.codes, req.admin.telegramId);
+        res.json({ success: true, ...result });
     } catch (err) {
-        console.error('Error loading social tasks:', err);
+        if (shopService.isRuleError(err)) return res.status(400).json({ error: err.message });
+        console.error('Error uploading shop codes:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-app.post('/api/admin/social-tasks', async (req, res) => {
+app.delete('/api/admin/shop/items/:id/codes', requireAdmin('shop.manage'), async (req, res) => {
     try {
-        const { platform, taskName, taskLink, pointsReward, description } = req.body;
-        if (!platform || !taskName || !taskLink) {
-            return res.status(400).json({ error: 'Missing required fields' });
-        }
-        await req.db.run(`
-            INSERT INTO social_tasks (platform, task_name, task_link, points_reward, is_active, created_at, description)
-            VALUES (?, ?, ?, ?, 1, datetime('now'), ?)
-        `, [platform, taskName, taskLink, parseInt(pointsReward) || 10, description || null]);
-        // Broadcast a new task alert to users (best-effort)
-        try {
-            const rows = await req.db.all('SELECT telegram_id FROM users');
-            const msg = `🆕 New ${platform} task: ${taskName} (+${pointsReward || 10} pts). Check Tasks now!`;
-            for (const r of rows) {
-                await sendTelegramMessage(r.telegram_id, msg);
-            }
-        } catch (_) {}
-        res.json({ success: true });
+        const removed = await shopService.removeAvailableCodes(req.db, parseInt(req.params.id));
+        res.json({ success: true, removed });
     } catch (err) {
-        console.error('Error adding social task:', err);
+        console.error('Error removing shop codes:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-app.post('/api/admin/social-tasks/:id/toggle', async (req, res) => {
+app.get('/api/admin/shop/orders', requireAdmin('shop.manage'), async (req, res) => {
     try {
-        const { id } = req.params;
-        const row = await req.db.get('SELECT is_active FROM social_tasks WHERE id = ?', [id]);
-        if (!row) return res.status(404).json({ error: 'Not found' });
-        await req.db.run('UPDATE social_tasks SET is_active = ? WHERE id = ?', [row.is_active ? 0 : 1, id]);
-        res.json({ success: true });
+        // 'open' = everything still waiting for an admin
+        const status = req.query.status === 'open'
+            ? ['pending', 'processing']
+            : (shopService.orderStatuses.includes(req.query.status) ? req.query.status : undefined);
+        const orders = await shopService.listOrders(req.db, {
+            status, itemId: parseInt(req.query.itemId) || undefined, telegramId: parseInt(req.query.telegramId) || undefined, limit: req.query.limit
+        });
+        res.json({ orders, statuses: shopService.orderStatuses });
     } catch (err) {
-        console.error('Error toggling social task:', err);
+        console.error('Error loading shop orders:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-app.delete('/api/admin/social-tasks/:id', async (req, res) => {
+app.get('/api/admin/shop/orders/:id/events', requireAdmin('shop.manage'), async (req, res) => {
     try {
-        const { id } = req.params;
-        // Soft-delete to avoid FK constraints
-        await req.db.run('UPDATE social_tasks SET is_active = 0 WHERE id = ?', [id]);
-        res.json({ success: true, softDeleted: true });
+        res.json({ events: await shopService.listOrderEvents(req.db, parseInt(req.params.id)) });
     } catch (err) {
-        console.error('Error deleting social task:', err);
+        console.error('Error loading shop order events:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// removed duplicate add routes (handled earlier with chat_id resolution)
-
-app.post('/api/admin/channels/:id/toggle', async (req, res) => {
+app.post('/api/admin/shop/orders/:id/status', requireAdmin('shop.manage'), async (req, res) => {
     try {
-        if (!isAdmin(req)) return res.status(403).json({ error: 'Access denied' });
-        const { id } = req.params;
-        
-        await req.db.run(`
-            UPDATE channels 
-            SET is_active = CASE WHEN is_active = 1 THEN 0 ELSE 1 END
-            WHERE id = ?
-        `, [id]);
-        
-        res.json({ success: true });
-    } catch (error) {
-        console.error('Error toggling channel status:', error);
+        const { status, note } = req.body || {};
+        const order = await shopService.setOrderStatus(req.db, parseInt(req.params.id), String(status || ''), {
+            adminTelegramId: req.admin.telegramId, note: note ? String(note).slice(0, 1000) : null
+        });
+        res.json({ success: true, order });
+    } catch (err) {
+        if (shopService.isRuleError(err)) {
+            return res.status(err.message === 'Order not found' ? 404 : 400).json({ error: err.message });
+        }
+        console.error('Error updating shop order:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-app.post('/api/admin/groups/:id/toggle', async (req, res) => {
+app.post('/api/admin/shop/orders/:id/resend', requireAdmin('shop.manage'), async (req, res) => {
     try {
-        if (!isAdmin(req)) return res.status(403).json({ error: 'Access denied' });
-        const { id } = req.params;
-        
-        await req.db.run(`
-            UPDATE groups 
-            SET is_active = CASE WHEN is_active = 1 THEN 0 ELSE 1 END
-            WHERE id = ?
-        `, [id]);
-        
+        const queued = await shopService.resendDelivery(req.db, parseInt(req.params.id));
+        if (!queued) return res.status(404).json({ error: 'Order not found' });
         res.json({ success: true });
-    } catch (error) {
-        console.error('Error toggling group status:', error);
+    } catch (err) {
+        console.error('Error resending shop order:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-app.delete('/api/admin/channels/:id', async (req, res) => {
+app.get('/api/admin/withdrawals', requireAdmin('withdrawals.view'), async (req, res) => {
     try {
-        if (!isAdmin(req)) return res.status(403).json({ error: 'Access denied' });
-        const { id } = req.params;
+        const status = (req.query && req.query.status) || 'all';
+        let where = '';
+        const params = [];
+        if (status === 'pending' || status === 'completed' || status === 'rejected') {
+            where = 'WHERE w.status = ?';
+            params.push(status);
+        }
+        const withdrawals = await req.db.all(
+            `SELECT w.*, u.first_name as user_name, b.account_name, b.account_number, b.bank_name
+             FROM withdrawals w
+             LEFT JOIN users u ON w.telegram_id = u.telegram_id
+             LEFT JOIN bank_details b ON w.telegram_id = b.telegram_id
+             ${where}
+             ORDER BY w.created_at DESC`,
+            params
+        );
         
-        // Soft delete to avoid FK issues similar to social tasks
-        await req.db.run('UPDATE channels SET is_active = 0 WHERE id = ?', [id]);
+        // Format bank details (account number masked; use the reveal action for the full number)
+        const formattedWithdrawals = withdrawals.map(row => {
+            const w = bankDetailsService.maskRow(row);
+            return {
+                ...w,
+                bank_details: (w.account_name || w.bank_name || w.account_number)
+                    ? `${w.account_name || ''} ${w.account_number ? `(${w.account_number})` : ''} - ${w.bank_name || ''}`.trim()
+                    : null
+            };
+        });
         
-        res.json({ success: true, softDeleted: true });
+        res.json({ withdrawals: formattedWithdrawals });
     } catch (error) {
-        console.error('Error deleting channel:', error);
+        console.error('Error loading withdrawals:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-app.delete('/api/admin/groups/:id', async (req, res) => {
+// Reveal full bank details for a withdrawal (finance; audited)
+app.post('/api/admin/withdrawals/:id/reveal-bank', requireAdmin('bank.reveal'), async (req, res) => {
     try {
-        if (!isAdmin(req)) return res.status(403).json({ error: 'Access denied' });
-        const { id } = req.params;
-        
-        await req.db.run('UPDATE groups SET is_active = 0 WHERE id = ?', [id]);
-        
-        res.json({ success: true, softDeleted: true });
+        const w = await req.db.get('SELECT id, telegram_id FROM withdrawals WHERE id = ?', [req.params.id]);
+        if (!w) return res.status(404).json({ error: 'Withdrawal not found' });
+        const bank = await bankDetailsService.getByTelegramId(req.db, w.telegram_id);
+        if (!bank) return res.status(404).json({ error: 'No bank details' });
+        await req.db.run(
+            `INSERT INTO admin_audit (admin_telegram_id, target_telegram_id, action, reason) VALUES (?, ?, 'reveal_bank_details', ?)`,
+            [req.admin.telegramId, w.telegram_id, `withdrawal #${w.id}`]
+        );
+        res.json({
+            account_name: bank.account_name,
+            account_number: bank.account_number,
+            bank_name: bank.bank_name
+        });
     } catch (error) {
-        console.error('Error deleting group:', error);
+        console.error('Error revealing bank details:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-app.post('/api/admin/withdrawals/:id/approve', async (req, res) => {
-    try {
-        const { id } = req.params;
-        // Optional mode override: 'auto' | 'manual'
-        const mode = String((req.query && req.query.mode) || (req.body && req.body.mode) || 'auto').toLowerCase();
-        // Load withdrawal and bank details
-        const w = await req.db.get('SELECT * FROM withdrawals WHERE id = ?', [id]);
-        if (!w) return res.status(404).json({ error: 'Withdrawal not found' });
-        const bank = await req.db.get('SELECT * FROM bank_details WHERE telegram_id = ?', [w.telegram_id]);
-        if (!bank) return res.status(400).json({ error: 'No bank details' });
+async function performApproveWithdrawal(db, adminTelegramId, { withdrawalId, mode }) {
+    const id = withdrawalId;
+    // Load withdrawal and bank details
+    const w = await db.get('SELECT * FROM withdrawals WHERE id = ?', [id]);
+    if (!w) return { status: 404, body: { error: 'Withdrawal not found' } };
+    const bank = await bankDetailsService.getByTelegramId(db, w.telegram_id);
+    if (!bank) return { status: 400, body: { error: 'No bank details' } };
 
-        // Check Paystack config
-        const cfg = await getPaystackConfig(req.db);
-        const autoEnabled = cfg.enabled && cfg.secret;
+    // Check Paystack config
+    const cfg = await getPaystackConfig(db);
+    const autoEnabled = cfg.enabled && cfg.secret;
 
-        if (!autoEnabled || mode === 'manual') {
-            // Fallback: just mark as completed
-            await req.db.run(`UPDATE withdrawals SET status='completed', processed_at = datetime('now') WHERE id = ?`, [id]);
-            if (w.telegram_id) await sendTelegramMessage(w.telegram_id, `✅ Your withdrawal of ${w.receivable_points || w.amount} points has been approved.`);
-            return res.json({ success: true, autoPayout: false, mode: 'manual' });
-        }
+    if (!autoEnabled || mode === 'manual') {
+        // Fallback: just mark as completed
+        await db.run(`UPDATE withdrawals SET status='completed', processed_at = datetime('now') WHERE id = ?`, [id]);
+        if (w.telegram_id) await sendTelegramMessage(w.telegram_id, `✅ Your withdrawal of ${w.receivable_points || w.amount} points has been approved.`);
+        return { status: 200, body: { success: true, autoPayout: false, mode: 'manual' } };
+    }
 
-        // Paystack: create transfer recipient (resolve bank code dynamically)
-        const bankCode = await resolvePaystackBankCode(req.db, cfg.secret, bank.bank_name);
-        if (!bankCode) return res.status(400).json({ error: 'Unsupported bank code' });
-        const calcAmount = (w.receivable_currency_amount != null ? Number(w.receivable_currency_amount) : Number((w.amount || 0)));
-        const amountKobo = Math.round(calcAmount * 100);
-        if (!Number.isFinite(calcAmount) || calcAmount <= 0 || !Number.isFinite(amountKobo) || amountKobo <= 0) {
-            const rate = parseFloat(await getConfig(req.db, 'pointToCurrencyRate', process.env.POINT_TO_CURRENCY_RATE || 1));
-            return res.status(400).json({ error: 'Invalid payout amount', details: { receivable_currency_amount: w.receivable_currency_amount, points_amount: w.amount, pointToCurrencyRate: rate } });
-        }
-        const reference = `WD${w.id}-${Date.now()}`;
+    // Withdrawals created before multi-currency carry no code: they were in the default currency
+    const currency = w.currency_code ? await currencyService.get(db, w.currency_code) : await currencyService.getDefault(db);
+    if (!currency || !currency.paystackType) {
+        return { status: 400, body: { error: `Auto payout is not set up for ${(currency && currency.code) || w.currency_code || 'this currency'}; approve manually` } };
+    }
 
-        const recip = await fetch('https://api.paystack.co/transferrecipient', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${cfg.secret}` },
-            body: JSON.stringify({ type: 'nuban', name: bank.account_name, account_number: bank.account_number, bank_code: bankCode, currency: 'NGN' })
-        , signal: AbortSignal.timeout ? AbortSignal.timeout(25000) : undefined }).then(r=>r.json()).catch((e)=>{ console.error('Paystack recipient error:', e); return null; });
-        if (!recip) {
-            return res.status(502).json({ error: 'Failed to reach Paystack for recipient' });
-        }
-        let recipientCode = recip && recip.data && recip.data.recipient_code ? String(recip.data.recipient_code) : null;
-        if (!recip.status && !recipientCode) {
-            return res.status(400).json({ error: 'Paystack recipient error', details: recip });
-        }
+    // Paystack: create transfer recipient (resolve bank code dynamically)
+    const bankCode = await resolvePaystackBankCode(db, cfg.secret, bank.bank_name, currency.code);
+    if (!bankCode) return { status: 400, body: { error: 'Unsupported bank code' } };
+    const calcAmount = (w.receivable_currency_amount != null ? Number(w.receivable_currency_amount) : Number((w.amount || 0)));
+    // Paystack amounts are in the subunit (kobo, pesewas, cents)
+    const amountKobo = Math.round(calcAmount * 100);
+    if (!Number.isFinite(calcAmount) || calcAmount <= 0 || !Number.isFinite(amountKobo) || amountKobo <= 0) {
+        return { status: 400, body: { error: 'Invalid payout amount', details: { receivable_currency_amount: w.receivable_currency_amount, points_amount: w.amount, currency: currency.code, currency_rate: w.currency_rate } } };
+    }
+    const reference = `WD${w.id}-${Date.now()}`;
 
-        const tr = await fetch('https://api.paystack.co/transfer', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${cfg.secret}` },
-            body: JSON.stringify({ source: 'balance', amount: amountKobo, recipient: recipientCode, reason: 'Withdrawal', reference })
-        , signal: AbortSignal.timeout ? AbortSignal.timeout(25000) : undefined }).then(r=>r.json()).catch((e)=>{ console.error('Paystack transfer error:', e); return null; });
-        if (!tr) {
-            return res.status(502).json({ error: 'Failed to reach Paystack for transfer' });
-        }
-        if (!tr.status) {
-            return res.status(400).json({ error: 'Paystack transfer error', details: tr });
-        }
+    const recip = await fetch('https://api.paystack.co/transferrecipient', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${cfg.secret}` },
+        body: JSON.stringify({ type: currency.paystackType, name: bank.account_name, account_number: bank.account_number, bank_code: bankCode, currency: currency.code })
+    , signal: AbortSignal.timeout ? AbortSignal.timeout(25000) : undefined }).then(r=>r.json()).catch((e)=>{ console.error('Paystack recipient error:', e); return null; });
+    if (!recip) {
+        return { status: 502, body: { error: 'Failed to reach Paystack for recipient' } };
+    }
+    let recipientCode = recip && recip.data && recip.data.recipient_code ? String(recip.data.recipient_code) : null;
+    if (!recip.status && !recipientCode) {
+        return { status: 400, body: { error: 'Paystack recipient error', details: recip } };
+    }
+
+    const tr = await fetch('https://api.paystack.co/transfer', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${cfg.secret}` },
+        body: JSON.stringify({ source: 'balance', amount: amountKobo, currency: currency.code, recipient: recipientCode, reason: 'Withdrawal', reference })
+    , signal: AbortSignal.timeout ? AbortSignal.timeout(25000) : undefined }).then(r=>r.json()).catch((e)=>{ console.error('Paystack transfer error:', e); return null; });
+    if (!tr) {
+        return { status: 502, body: { error: 'Failed to reach Paystack for transfer' } };
+    }
+    if (!tr.status) {
+        return { status: 400, body: { error: 'Paystack transfer error', details: tr } };
+    }
+
+    await db.run(`UPDATE withdrawals SET provider='paystack', provider_order_id = ?, provider_trade_no = ?, provider_result = ?, processed_at = datetime('now'), status = 'pending' WHERE id = ?`, [reference, tr.data && tr.data.transfer_code ? String(tr.data.transfer_code) : null, JSON.stringify(tr), id]);
 
-        await req.db.run(`UPDATE withdrawals SET provider='paystack', provider_order_id = ?, provider_trade_no = ?, provider_result = ?, processed_at = datetime('now'), status = 'pending' WHERE id = ?`, [reference, tr.data && tr.data.transfer_code ? String(tr.data.transfer_code) : null, JSON.stringify(tr), id]);
+    if (w.telegram_id) await sendTelegramMessage(w.telegram_id, `✅ Your withdrawal is being processed. Ref: ${reference}`);
+    return { status: 200, body: { success: true, autoPayout: true, provider: 'paystack', response: tr } };
+}
 
-        if (w.telegram_id) await sendTelegramMessage(w.telegram_id, `✅ Your withdrawal is being processed. Ref: ${reference}`);
-        res.json({ success: true, autoPayout: true, provider: 'paystack', response: tr });
+app.post('/api/admin/withdrawals/:id/approve', requireAdmin('withdrawals.manage'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        // Optional mode override: 'auto' | 'manual'
+        const mode = String((req.query && req.query.mode) || (req.body && req.body.mode) || 'auto').toLowerCase();
+        const w = await req.db.get('SELECT * FROM withdrawals WHERE id = ?', [id]);
+        if (!w) return res.status(404).json({ error: 'Withdrawal not found' });
+        await requestAdminConfirmation(req, res, 'approve_withdrawal',
+            { withdrawalId: w.id, mode, targetTelegramId: w.telegram_id },
+            `Approve withdrawal #${w.id} (${mode === 'manual' ? 'manual' : 'auto payout'})\nUser: ${w.telegram_id}\nAmount: ${w.receivable_points || w.amount} points${w.receivable_currency_amount != null ? ' / ' + w.receivable_currency_amount + (w.currency_code ? ' ' + w.currency_code : '') : ''}${w.currency_rate != null ? ` (rate ${w.currency_rate})` : ''}`);
     } catch (error) {
         console.error('Error approving withdrawal:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-app.post('/api/admin/withdrawals/:id/reject', async (req, res) => {
+app.post('/api/admin/withdrawals/:id/reject', requireAdmin('withdrawals.manage'), async (req, res) => {
     try {
         const { id } = req.params;
         
@@ -1634,16 +2833,25 @@ app.post('/api/admin/withdrawals/:id/reject', async (req, res) => {
         const withdrawal = await req.db.get('SELECT * FROM withdrawals WHERE id = ?', [id]);
         
         if (withdrawal) {
-            // Refund points to user
-            const refund = withdrawal.amount || 0; // refund full points deducted at request-time
-            await req.db.run(`UPDATE users SET points = points + ? WHERE telegram_id = ?`, [refund, withdrawal.telegram_id]);
-            
-            // Update withdrawal status
-            await req.db.run(`
-                UPDATE withdrawals 
-                SET status = 'rejected', processed_at = datetime('now')
-                WHERE id = ?
-            `, [id]);
+            await req.db.transaction(async (tx) => {
+                // Update withdrawal status
+                const changed = await tx.run(`
+                    UPDATE withdrawals 
+                    SET status = 'rejected', processed_at = datetime('now')
+                    WHERE id = ? AND status != 'rejected'
+                `, [id]);
+                if (!changed || !changed.changes) return;
+
+                // Refund full points deducted at request-time
+                const refund = parseInt(withdrawal.amount, 10) || 0;
+                const owner = await tx.get('SELECT id FROM users WHERE telegram_id = ?', [withdrawal.telegram_id]);
+                if (owner && refund > 0) {
+                    await ledgerService.record(tx, {
+                        userId: owner.id, delta: refund, reason: 'withdrawal_refund',
+                        referenceType: 'withdrawal', referenceId: withdrawal.id, createdBy: req.admin.telegramId
+                    });
+                }
+            });
         }
         
         res.json({ success: true });
@@ -1654,9 +2862,9 @@ app.post('/api/admin/withdrawals/:id/reject', async (req, res) => {
 });
 
 // Ads Task: overview for user
-app.get('/api/ads/overview/:telegramId', async (req, res) => {
+app.get('/api/ads/overview/:telegramId', requireTelegramUser, userRateLimit('profile'), async (req, res) => {
     try {
-        const telegramId = parseInt(req.params.telegramId);
+        const telegramId = req.telegramUser.id;
         if (!Number.isFinite(telegramId)) return res.status(400).json({ error: 'Invalid user' });
         await ensureAdsTables(req.db);
         const cfg = await getMonetagConfig(req.db);
@@ -1678,7 +2886,7 @@ app.get('/api/ads/overview/:telegramId', async (req, res) => {
 });
 
 // Admin: simple ads stats (clicks and completed)
-app.get('/api/admin/ads-stats', async (req, res) => {
+app.get('/api/admin/ads-stats', requireAdmin('ads.view'), async (req, res) => {
     try {
         await ensureAdsTables(req.db);
         const todayClicks = await req.db.get(`SELECT COUNT(*) AS c FROM ads_clicks WHERE DATE(created_at) = DATE('now')`);
@@ -1697,9 +2905,9 @@ app.get('/api/admin/ads-stats', async (req, res) => {
 });
 
 // Client-confirmed completion fallback (credits fixed reward with limits)
-app.post('/api/ads/complete', async (req, res) => {
+app.post('/api/ads/complete', requireTelegramUser, idempotent, userRateLimit('earn'), async (req, res) => {
     try {
-        const { telegramId } = req.body || {};
+        const telegramId = req.telegramUser.id;
         const tgId = parseInt(telegramId);
         if (!Number.isFinite(tgId)) return res.status(400).json({ error: 'Invalid user' });
         await ensureAdsTables(req.db);
@@ -1715,8 +2923,8 @@ app.post('/api/ads/complete', async (req, res) => {
         await req.db.transaction(async (tx) => {
             const u = await tx.get('SELECT id FROM users WHERE telegram_id = ?', [tgId]);
             if (!u) throw new Error('User not found');
-            await tx.run(`UPDATE users SET points = points + ?, total_points_earned = total_points_earned + ?, updated_at = datetime('now') WHERE id = ?`, [points, points, u.id]);
-            await tx.run(`INSERT INTO ads_earnings (telegram_id, provider, provider_txid, click_id, points_earned, revenue_amount) VALUES (?, 'client', NULL, NULL, ?, NULL)`, [tgId, points]);
+            const earning = await tx.run(`INSERT INTO ads_earnings (telegram_id, provider, provider_txid, click_id, points_earned, revenue_amount) VALUES (?, 'client', NULL, NULL, ?, NULL)`, [tgId, points]);
+            await ledgerService.record(tx, { userId: u.id, delta: points, reason: 'ad_reward', referenceType: 'ads_earning', referenceId: earning.id, description: 'client' });
             await tx.run(`INSERT INTO claims_history (telegram_id, points_earned, claimed_at, source) VALUES (?, ?, datetime('now'), 'ads')`, [tgId, points]);
         });
         try { await sendTelegramMessage(tgId, `🎯 Ads task completed. You earned +${points} points.`); } catch (_) {}
@@ -1729,9 +2937,9 @@ app.post('/api/ads/complete', async (req, res) => {
 
 // Ads Task: start - returns smartlink and click_id
 // Minimal start endpoint retained only for click tracking/limits
-app.post('/api/ads/start', async (req, res) => {
+app.post('/api/ads/start', requireTelegramUser, idempotent, userRateLimit('earn'), async (req, res) => {
     try {
-        const { telegramId } = req.body || {};
+        const telegramId = req.telegramUser.id;
         const tgId = parseInt(telegramId);
         if (!Number.isFinite(tgId)) return res.status(400).json({ error: 'Invalid user' });
         await ensureAdsTables(req.db);
@@ -1751,38 +2959,67 @@ app.post('/api/ads/start', async (req, res) => {
 
 // Monetag S2S Postback endpoint (configure this on Monetag)
 // Example (SDK macros): GET /postback?token=XXX&telegram_id={telegram_id}&zone_id={zone_id}&event_type={event_type}&reward_event_type={reward_event_type}&estimated_price={estimated_price}&ymid={ymid}
+// Auth: shared token (?token= or X-Postback-Token) and/or HMAC (?sig= or X-Signature, see monetagPostbackSignature).
+// Each ymid credits at most once; rejected and duplicate calls are recorded in ads_postback_log (rate limited per IP).
 app.all('/postback', async (req, res) => {
+    const q = req.method === 'POST' ? (req.body || {}) : (req.query || {});
+    const ip = req.ip;
+    const ymid = String(q.ymid || q.txid || '').trim();
+    // The webapp sends ymid as "<telegramId>-<nonce>"
+    const tgId = parseInt(q.telegram_id || q.sub1 || q.uid || ymid.split('-')[0]);
+    const reject = async (httpStatus, reason, status = 'rejected') => {
+        await logPostbackEvent(req.db, { status, reason, telegramId: tgId, providerTxid: ymid, ip, params: q });
+        return res.status(httpStatus).send(reason);
+    };
     try {
         await ensureAdsTables(req.db);
         const cfg = await getMonetagConfig(req.db);
-        const q = req.method === 'POST' ? (req.body || {}) : (req.query || {});
-        const token = String(q.token || '');
-        // If a token is configured, validate. If not, accept without token.
-        if (cfg.token && token !== cfg.token) return res.status(403).send('BAD_TOKEN');
-        const tgId = parseInt(q.telegram_id || q.sub1 || q.uid || q.ymid);
+        if (!isIpAllowed(ip, cfg.postbackIpAllowlist)) return await reject(403, 'IP_NOT_ALLOWED');
+
+        const secrets = await getMonetagPostbackSecrets(req.db);
+        if (!secrets.token && !secrets.hmacSecret) return await reject(403, 'POSTBACK_NOT_CONFIGURED');
+        if (secrets.token) {
+            const token = String(q.token || req.headers['x-postback-token'] || '');
+            if (!safeEqual(token, secrets.token)) return await reject(403, 'BAD_TOKEN');
+        }
+        if (secrets.hmacSecret) {
+            const sig = String(q.sig || q.signature || req.headers['x-signature'] || '').toLowerCase();
+            if (!safeEqual(sig, monetagPostbackSignature(q, secrets.hmacSecret))) return await reject(403, 'BAD_SIGNATURE');
+        }
+
         const zoneId = String(q.zone_id || cfg.zoneId || '');
-        const eventType = String(q.event_type || '');
         const rewardYes = String(q.reward_event_type || '').toLowerCase() === 'yes';
         const revenue = parseFloat(q.estimated_price || q.revenue || 0) || 0;
-        const ymid = String(q.ymid || '');
-        if (!Number.isFinite(tgId)) return res.status(400).send('BAD_USER');
+        if (!Number.isFinite(tgId)) return await reject(400, 'BAD_USER');
+        if (!ymid) return await reject(400, 'MISSING_TXID');
+        if (!rewardYes) return res.status(200).send('IGNORED');
+
+        const already = await req.db.get(`SELECT id FROM ads_earnings WHERE provider = 'monetag' AND provider_txid = ?`, [ymid]);
+        if (already) return await reject(200, 'DUPLICATE', 'duplicate');
+
         // Optional: rate limits still apply
         const hourCnt = await req.db.get(`SELECT COUNT(*) AS c FROM ads_earnings WHERE telegram_id = ? AND created_at >= datetime('now', '-1 hour')`, [tgId]);
         const dayCnt = await req.db.get(`SELECT COUNT(*) AS c FROM ads_earnings WHERE telegram_id = ? AND created_at >= date('now')`, [tgId]);
-        if ((hourCnt?.c || 0) >= cfg.hourlyLimit) return res.status(200).send('HOURLY_LIMIT');
-        if ((dayCnt?.c || 0) >= cfg.dailyLimit) return res.status(200).send('DAILY_LIMIT');
-        if (!rewardYes) return res.status(200).send('IGNORED');
-        // Enforce per-user limits
+        if ((hourCnt?.c || 0) >= cfg.hourlyLimit) return await reject(200, 'HOURLY_LIMIT');
+        if ((dayCnt?.c || 0) >= cfg.dailyLimit) return await reject(200, 'DAILY_LIMIT');
+
         const points = cfg.fixedRewardPoints > 0 ? cfg.fixedRewardPoints : Math.max(1, Math.round(revenue * 100));
-        await req.db.transaction(async (tx) => {
-            // credit points
-            const u = await tx.get('SELECT id FROM users WHERE telegram_id = ?', [tgId]);
-            if (!u) throw new Error('User not found');
-            await tx.run(`UPDATE users SET points = points + ?, total_points_earned = total_points_earned + ?, updated_at = datetime('now') WHERE id = ?`, [points, points, u.id]);
-            await tx.run(`INSERT INTO ads_earnings (telegram_id, provider, provider_txid, click_id, points_earned, revenue_amount) VALUES (?, 'monetag', ?, ?, ?, ?)`, [tgId, ymid || null, zoneId || null, points, revenue || null]);
-            // log for earnings history UI as Ads Reward
-            await tx.run(`INSERT INTO claims_history (telegram_id, points_earned, claimed_at, source) VALUES (?, ?, datetime('now'), 'ads')`, [tgId, points]);
-        });
+        try {
+            await req.db.transaction(async (tx) => {
+                const u = await tx.get('SELECT id FROM users WHERE telegram_id = ?', [tgId]);
+                if (!u) throw new Error('User not found');
+                // Insert first: UNIQUE(provider, provider_txid) stops a concurrent retry before points move
+                const earning = await tx.run(`INSERT INTO ads_earnings (telegram_id, provider, provider_txid, click_id, points_earned, revenue_amount) VALUES (?, 'monetag', ?, ?, ?, ?)`, [tgId, ymid, zoneId || null, points, revenue || null]);
+                await ledgerService.record(tx, { userId: u.id, delta: points, reason: 'ad_reward', referenceType: 'ads_earning', referenceId: earning.id, description: 'monetag' });
+                // log for earnings history UI as Ads Reward
+                await tx.run(`INSERT INTO claims_history (telegram_id, points_earned, claimed_at, source) VALUES (?, ?, datetime('now'), 'ads')`, [tgId, points]);
+            });
+        } catch (e) {
+            const msg = String((e && e.message) || '');
+            if ((e && e.code === '23505') || /UNIQUE constraint failed/i.test(msg)) return await reject(200, 'DUPLICATE', 'duplicate');
+            if (msg === 'User not found') return await reject(200, 'UNKNOWN_USER');
+            throw e;
+        }
         try { await sendTelegramMessage(tgId, `🎯 Ads task completed. You earned +${points} points.`); } catch(_) {}
         res.send('OK');
     } catch (e) {
@@ -1790,60 +3027,27 @@ app.all('/postback', async (req, res) => {
         res.status(500).send('ERROR');
     }
 });
-// Bot verification endpoints
-app.post('/api/verify-channel-membership', async (req, res) => {
-    try {
-        const { telegramId, channelId } = req.body;
-        const user = await userService.getUserByTelegramId(req.db, parseInt(telegramId));
-        
-        if (!user) {
-            return res.status(404).json({ error: 'User not found' });
-        }
-
-        const channel = await taskService.getChannelById(req.db, channelId);
-        if (!channel) {
-            return res.status(404).json({ error: 'Channel not found' });
-        }
 
-        // Use Telegram Bot API to check membership
-        const botToken = process.env.BOT_TOKEN;
-        const chatMember = await fetch(`https://api.telegram.org/bot${botToken}/getChatMember`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                chat_id: channel.channel_id,
-                user_id: parseInt(telegramId)
-            })
-        }).then(res => res.json());
-
-        if (chatMember.ok && ['member', 'administrator', 'creator'].includes(chatMember.result.status)) {
-            // User is a member, allow them to claim
-            await taskService.completeChannelJoin(req.db, user.id, channelId, channel.points_reward);
-            const updatedUser = await userService.getUserById(req.db, user.id);
-            
-            res.json({
-                success: true,
-                isMember: true,
-                pointsEarned: channel.points_reward,
-                user: updatedUser
-            });
-        } else {
-            res.json({
-                success: false,
-                isMember: false,
-                message: 'You must join the channel first before claiming the reward'
-            });
-        }
-    } catch (error) {
-        console.error('Error verifying channel membership:', error);
+// Admin: rejected/duplicate postbacks
+app.get('/api/admin/ads-postback-log', requireAdmin('ads.view'), async (req, res) => {
+    try {
+        await ensureAdsTables(req.db);
+        const status = String((req.query && req.query.status) || '');
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+        const rows = (status === 'rejected' || status === 'duplicate')
+            ? await req.db.all(`SELECT * FROM ads_postback_log WHERE status = ? ORDER BY id DESC LIMIT ?`, [status, limit])
+            : await req.db.all(`SELECT * FROM ads_postback_log ORDER BY id DESC LIMIT ?`, [limit]);
+        res.json({ entries: rows });
+    } catch (e) {
+        console.error('Error loading postback log:', e);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 // Verify mandatory onboarding joins (channel + group)
-app.post('/api/verify-onboarding-joins', async (req, res) => {
+app.post('/api/verify-onboarding-joins', requireTelegramUser, idempotent, userRateLimit('earn'), async (req, res) => {
     try {
-        const { telegramId } = req.body;
+        const telegramId = req.telegramUser.id;
         const user = await userService.getUserByTelegramId(req.db, parseInt(telegramId));
         if (!user) return res.status(404).json({ error: 'User not found' });
         const channelId = await getConfig(req.db, 'requiredChannelId', null);
@@ -1876,140 +3080,168 @@ app.post('/api/verify-onboarding-joins', async (req, res) => {
     }
 });
 
-// Social task claim endpoints (delayed completion)
-app.post('/api/social/claim-request', async (req, res) => {
-    try {
-        const { telegramId, socialTaskId } = req.body;
-        const user = await userService.getUserByTelegramId(req.db, parseInt(telegramId));
-        if (!user) return res.status(404).json({ error: 'User not found' });
-        const task = await req.db.get('SELECT * FROM social_tasks WHERE id = ? AND is_active = 1', [socialTaskId]);
-        if (!task) return res.status(404).json({ error: 'Task not found' });
+// Admin broadcast (multipart upload supported)
+async function performBroadcast(db, adminTelegramId, { scope, target, message, mediaBase64, mediaMime: mime }) {
+    // Accept base64 media via JSON (mediaBase64, mediaMime)
+    let mediaBuffer = null, mediaMime = null;
+    if (mediaBase64) {
+        try {
+            mediaBuffer = Buffer.from(String(mediaBase64), 'base64');
+            mediaMime = mime || 'application/octet-stream';
+        } catch(_) { mediaBuffer = null; mediaMime = null; }
+    }
+
+    // Create job record
+    const job = await db.run(`INSERT INTO broadcast_jobs (created_by, scope, target, media_type, media_url, message) VALUES (?, ?, ?, ?, ?, ?)`, [adminTelegramId, scope, target || null, mediaBuffer ? (mediaMime && mediaMime.startsWith('video') ? 'video' : 'photo') : 'none', null, message]);
+    const jobId = job.id;
+
+    // Determine targets
+    let targets = [];
+    if (scope === 'all_users') {
+        const users = await db.all('SELECT telegram_id FROM users');
+        targets = users.map(u => u.telegram_id);
+    } else if (scope === 'single_user') {
+        if (!target) return { status: 400, body: { error: 'Target required for single_user' } };
+        const tgId = target.startsWith('@') ? null : parseInt(target);
+        if (tgId) targets = [tgId]; else return { status: 400, body: { error: 'Provide numeric Telegram ID for single_user' } };
+    } else if (scope === 'channels' || scope === 'groups') {
+        const chatType = scope === 'channels' ? 'channel' : 'group';
+        const rows = await db.all(`SELECT verifier_config FROM task_definitions WHERE verifier = 'telegram_membership' AND is_active = 1`);
+        targets = Array.from(new Set(rows
+            .map(r => { try { return JSON.parse(r.verifier_config || '{}'); } catch (_) { return {}; } })
+            .filter(c => c.chatId && (c.chatType || 'channel') === chatType)
+            .map(c => c.chatId)));
+    }
+
+    // Send with chunking (best-effort within request for now)
+    const botToken = process.env.BOT_TOKEN;
+    let sent = 0, failed = 0;
+    const chunkSize = 25;
+    for (let i = 0; i < targets.length; i += chunkSize) {
+        const chunk = targets.slice(i, i + chunkSize);
+        await Promise.all(chunk.map(async (id) => {
+            try {
+                let resp;
+                if (mediaBuffer) {
+                    const boundary = '----WebKitFormBoundary' + Math.random().toString(16).slice(2);
+                    const bodyParts = [];
+                    function addField(name, value) {
+                        bodyParts.push(Buffer.from(`--${boundary}\r\n`));
+                        bodyParts.push(Buffer.from(`Content-Disposition: form-data; name="${name}"\r\n\r\n`));
+                        bodyParts.push(Buffer.from(String(value) + '\r\n'));
+                    }
+                    function addFile(name, filename, mime, buffer) {
+                        bodyParts.push(Buffer.from(`--${boundary}\r\n`));
+                        bodyParts.push(Buffer.from(`Content-Disposition: form-data; name="${name}"; filename="${filename}"\r\n`));
+                        bodyParts.push(Buffer.from(`Content-Type: ${mime}\r\n\r\n`));
+                        bodyParts.push(buffer);
+                        bodyParts.push(Buffer.from('\r\n'));
+                    }
+                    addField('chat_id', id);
+                    addField('caption', message);
+                    addFile(mediaMime && mediaMime.startsWith('video') ? 'video' : 'photo', 'media', mediaMime || 'application/octet-stream', mediaBuffer);
+                    bodyParts.push(Buffer.from(`--${boundary}--\r\n`));
+                    const apiUrl = `https://api.telegram.org/bot${botToken}/${mediaMime && mediaMime.startsWith('video') ? 'sendVideo' : 'sendPhoto'}`;
+                    resp = await fetch(apiUrl, { method: 'POST', headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}` }, body: Buffer.concat(bodyParts) }).then(r => r.json());
+                } else {
+                    const apiUrl = `https://api.telegram.org/bot${botToken}/sendMessage`;
+                    resp = await fetch(apiUrl, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ chat_id: id, text: message }) }).then(r => r.json());
+                }
+                if (resp && resp.ok) {
+                    sent += 1;
+                    await db.run(`INSERT INTO broadcast_results (job_id, target_id, status) VALUES (?, ?, 'sent')`, [jobId, String(id)]);
+                } else {
+                    failed += 1;
+                    const status = resp && resp.error_code === 403 ? 'blocked' : 'failed';
+                    await db.run(`INSERT INTO broadcast_results (job_id, target_id, status, error) VALUES (?, ?, ?, ?)`, [jobId, String(id), status, resp && resp.description ? resp.description : '']);
+                }
+            } catch (e) {
+                failed += 1;
+                await db.run(`INSERT INTO broadcast_results (job_id, target_id, status, error) VALUES (?, ?, 'failed', ?)`, [jobId, String(id), e.message || 'send error']);
+            }
+        }));
+        // rate-limit between chunks
+        await new Promise(r => setTimeout(r, 1100));
+    }
 
-        // Prevent duplicate claims
-        const existing = await req.db.get('SELECT * FROM user_social_claims WHERE user_id = ? AND social_task_id = ?', [user.id, socialTaskId]);
-        if (existing) {
-            return res.json({ success: true, status: existing.status, availableAt: existing.available_at });
-        }
+    await db.run(`UPDATE broadcast_jobs SET status = 'completed' WHERE id = ?`, [jobId]);
+    return { status: 200, body: { success: true, sent, failed, jobId } };
+}
 
-        // Enforce daily limit before accepting the request
-        const dailyLimit = await userService.checkDailyLimit(req.db, user.id);
-        if (!dailyLimit.can_complete) return res.status(400).json({ error: 'Daily task limit reached' });
+app.post('/api/admin/broadcast', requireAdmin('broadcast.send'), async (req, res) => {
+    try {
+        const scope = (req.body && req.body.scope) || (req.query && req.query.scope);
+        const target = (req.body && req.body.target) || (req.query && req.query.target) || null;
+        const message = (req.body && req.body.message) || (req.query && req.query.message);
+        if (!scope || !message) return res.status(400).json({ error: 'Missing scope or message' });
+        const payload = { scope, target, message, mediaBase64: (req.body && req.body.mediaBase64) || null, mediaMime: (req.body && req.body.mediaMime) || null };
+        if (scope === 'all_users') {
+            const count = await req.db.get('SELECT COUNT(*) AS c FROM users');
+            const preview = String(message).length > 200 ? String(message).slice(0, 200) + '…' : String(message);
+            return await requestAdminConfirmation(req, res, 'broadcast_all', payload,
+                `Broadcast to all users (${parseInt(count && count.c) || 0})${payload.mediaBase64 ? ' with media' : ''}:\n\n${preview}`);
+        }
+        const result = await performBroadcast(req.db, req.admin.telegramId, payload);
+        res.status(result.status).json(result.body);
+    } catch (err) {
+        console.error('Error broadcasting:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        // Delay by platform: social = 15m, website = 20m
-        const delayMinutes = task.platform === 'website' ? 20 : 15;
-        await req.db.run(`
-            INSERT INTO user_social_claims (user_id, social_task_id, status, points_earned, requested_at, available_at)
-            VALUES (?, ?, 'pending', ?, datetime('now'), datetime('now', '+${delayMinutes} minutes'))
-        `, [user.id, socialTaskId, task.points_reward]);
+const adminConfirmableActions = {
+    approve_withdrawal: performApproveWithdrawal,
+    adjust_balance: performAdjustBalance,
+    apply_reconciliation: performApplyReconciliation,
+    reverse_transfer: performReverseTransfer,
+    ban_user: performBanUser,
+    broadcast_all: performBroadcast
+};
 
-        res.json({ success: true, status: 'pending' });
+// Admin: poll a pending confirmation
+app.get('/api/admin/confirmations/:id', requireAdmin(), async (req, res) => {
+    try {
+        const row = await adminConfirmationService.get(req.db, parseInt(req.params.id));
+        if (!row || parseInt(row.admin_telegram_id) !== req.admin.telegramId) return res.status(404).json({ error: 'Confirmation not found' });
+        res.json({ id: row.id, action: row.action, status: row.status, summary: row.summary, expiresAt: row.expires_at });
     } catch (err) {
-        console.error('Error creating social claim:', err);
+        console.error('Error loading confirmation:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Admin broadcast (multipart upload supported)
-app.post('/api/admin/broadcast', async (req, res) => {
+// Admin: run an action once it has been confirmed in Telegram
+app.post('/api/admin/confirmations/:id/execute', requireAdmin(), async (req, res) => {
     try {
-        if (!isAdmin(req)) return res.status(403).json({ error: 'Access denied' });
-        const scope = (req.body && req.body.scope) || (req.query && req.query.scope);
-        const target = (req.body && req.body.target) || (req.query && req.query.target) || null;
-        const message = (req.body && req.body.message) || (req.query && req.query.message);
-        if (!scope || !message) return res.status(400).json({ error: 'Missing scope or message' });
-        // Accept base64 media via JSON (mediaBase64, mediaMime)
-        let mediaBuffer = null, mediaMime = null;
-        if (req.body && req.body.mediaBase64) {
-            try {
-                mediaBuffer = Buffer.from(String(req.body.mediaBase64), 'base64');
-                mediaMime = req.body.mediaMime || 'application/octet-stream';
-            } catch(_) { mediaBuffer = null; mediaMime = null; }
+        const id = parseInt(req.params.id);
+        const existing = await adminConfirmationService.get(req.db, id);
+        if (!existing || parseInt(existing.admin_telegram_id) !== req.admin.telegramId) return res.status(404).json({ error: 'Confirmation not found' });
+        if (!adminService.hasPermission(req.admin.role, adminConfirmationService.permissionFor(existing.action))) {
+            return res.status(403).json({ error: 'Access denied' });
         }
-
-        // Create job record
-        const job = await req.db.run(`INSERT INTO broadcast_jobs (created_by, scope, target, media_type, media_url, message) VALUES (?, ?, ?, ?, ?, ?)`, [parseInt(getAdminId(req)), scope, target || null, mediaBuffer ? (mediaMime && mediaMime.startsWith('video') ? 'video' : 'photo') : 'none', null, message]);
-        const jobId = job.id;
-
-        // Determine targets
-        let targets = [];
-        if (scope === 'all_users') {
-            const users = await req.db.all('SELECT telegram_id FROM users');
-            targets = users.map(u => u.telegram_id);
-        } else if (scope === 'single_user') {
-            if (!target) return res.status(400).json({ error: 'Target required for single_user' });
-            const tgId = target.startsWith('@') ? null : parseInt(target);
-            if (tgId) targets = [tgId]; else return res.status(400).json({ error: 'Provide numeric Telegram ID for single_user' });
-        } else if (scope === 'channels') {
-            const rows = await req.db.all('SELECT channel_id FROM channels WHERE is_active = 1');
-            targets = rows.map(r => r.channel_id);
-        } else if (scope === 'groups') {
-            const rows = await req.db.all('SELECT group_id FROM groups WHERE is_active = 1');
-            targets = rows.map(r => r.group_id);
-        }
-
-        // Send with chunking (best-effort within request for now)
-        const botToken = process.env.BOT_TOKEN;
-        let sent = 0, failed = 0;
-        const chunkSize = 25;
-        for (let i = 0; i < targets.length; i += chunkSize) {
-            const chunk = targets.slice(i, i + chunkSize);
-            await Promise.all(chunk.map(async (id) => {
-                try {
-                    let resp;
-                    if (mediaBuffer) {
-                        const boundary = '----WebKitFormBoundary' + Math.random().toString(16).slice(2);
-                        const bodyParts = [];
-                        function addField(name, value) {
-                            bodyParts.push(Buffer.from(`--${boundary}\r\n`));
-                            bodyParts.push(Buffer.from(`Content-Disposition: form-data; name="${name}"\r\n\r\n`));
-                            bodyParts.push(Buffer.from(String(value) + '\r\n'));
-                        }
-                        function addFile(name, filename, mime, buffer) {
-                            bodyParts.push(Buffer.from(`--${boundary}\r\n`));
-                            bodyParts.push(Buffer.from(`Content-Disposition: form-data; name="${name}"; filename="${filename}"\r\n`));
-                            bodyParts.push(Buffer.from(`Content-Type: ${mime}\r\n\r\n`));
-                            bodyParts.push(buffer);
-                            bodyParts.push(Buffer.from('\r\n'));
-                        }
-                        addField('chat_id', id);
-                        addField('caption', message);
-                        addFile(mediaMime && mediaMime.startsWith('video') ? 'video' : 'photo', 'media', mediaMime || 'application/octet-stream', mediaBuffer);
-                        bodyParts.push(Buffer.from(`--${boundary}--\r\n`));
-                        const apiUrl = `https://api.telegram.org/bot${botToken}/${mediaMime && mediaMime.startsWith('video') ? 'sendVideo' : 'sendPhoto'}`;
-                        resp = await fetch(apiUrl, { method: 'POST', headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}` }, body: Buffer.concat(bodyParts) }).then(r => r.json());
-                    } else {
-                        const apiUrl = `https://api.telegram.org/bot${botToken}/sendMessage`;
-                        resp = await fetch(apiUrl, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ chat_id: id, text: message }) }).then(r => r.json());
-                    }
-                    if (resp && resp.ok) {
-                        sent += 1;
-                        await req.db.run(`INSERT INTO broadcast_results (job_id, target_id, status) VALUES (?, ?, 'sent')`, [jobId, String(id)]);
-                    } else {
-                        failed += 1;
-                        const status = resp && resp.error_code === 403 ? 'blocked' : 'failed';
-                        await req.db.run(`INSERT INTO broadcast_results (job_id, target_id, status, error) VALUES (?, ?, ?, ?)`, [jobId, String(id), status, resp && resp.description ? resp.description : '']);
-                    }
-                } catch (e) {
-                    failed += 1;
-                    await req.db.run(`INSERT INTO broadcast_results (job_id, target_id, status, error) VALUES (?, ?, 'failed', ?)`, [jobId, String(id), e.message || 'send error']);
-                }
-            }));
-            // rate-limit between chunks
-            await new Promise(r => setTimeout(r, 1100));
+        const row = await adminConfirmationService.claimForExecution(req.db, id, req.admin.telegramId);
+        if (!row) {
+            const current = await adminConfirmationService.get(req.db, id);
+            return res.status(409).json({ error: `Confirmation is ${current.status}`, status: current.status });
         }
-
-        await req.db.run(`UPDATE broadcast_jobs SET status = 'completed' WHERE id = ?`, [jobId]);
-        res.json({ success: true, sent, failed, jobId });
+        let result;
+        try {
+            result = await adminConfirmableActions[row.action](req.db, req.admin.telegramId, adminConfirmationService.parsePayload(row));
+        } catch (error) {
+            await adminConfirmationService.finish(req.db, row, false, { error: error.message || 'Execution error' });
+            throw error;
+        }
+        await adminConfirmationService.finish(req.db, row, result.status < 400, result.body);
+        res.status(result.status).json(result.body);
     } catch (err) {
-        console.error('Error broadcasting:', err);
+        console.error('Error executing confirmation:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 // Admin: Audit referral community membership
-app.post('/api/admin/referral-audit', async (req, res) => {
+app.post('/api/admin/referral-audit', requireAdmin('users.view'), async (req, res) => {
     try {
-        if (!isAdmin(req)) return res.status(403).json({ error: 'Access denied' });
         const refTgId = parseInt((req.body && req.body.referrerTelegramId) || (req.query && req.query.referrerTelegramId));
         if (!refTgId || !Number.isFinite(refTgId)) return res.status(400).json({ error: 'Provide numeric referrerTelegramId' });
 
@@ -2058,75 +3290,11 @@ app.post('/api/admin/referral-audit', async (req, res) => {
         res.status(500).json({ error: 'Internal server error' });
     }
 });
-app.post('/api/social/claim-complete', async (req, res) => {
-    try {
-        const { telegramId, socialTaskId } = req.body;
-        const user = await userService.getUserByTelegramId(req.db, parseInt(telegramId));
-        if (!user) return res.status(404).json({ error: 'User not found' });
-        // Try to finalize any due claims first
-        await finalizeDueSocialClaims(req.db, user.id);
-        const claim = await req.db.get('SELECT * FROM user_social_claims WHERE user_id = ? AND social_task_id = ?', [user.id, socialTaskId]);
-        if (!claim) return res.status(404).json({ error: 'No pending claim' });
-        if (claim.status === 'completed') return res.json({ success: true, status: 'completed', pointsEarned: claim.points_earned });
-        return res.json({ success: false, status: 'pending', availableAt: claim.available_at });
-    } catch (err) {
-        console.error('Error completing social claim:', err);
-        res.status(500).json({ error: 'Internal server error' });
-    }
-});
-app.post('/api/verify-group-membership', async (req, res) => {
-    try {
-        const { telegramId, groupId } = req.body;
-        const user = await userService.getUserByTelegramId(req.db, parseInt(telegramId));
-        
-        if (!user) {
-            return res.status(404).json({ error: 'User not found' });
-        }
-
-        const group = await taskService.getGroupById(req.db, groupId);
-        if (!group) {
-            return res.status(404).json({ error: 'Group not found' });
-        }
-
-        // Use Telegram Bot API to check membership
-        const botToken = process.env.BOT_TOKEN;
-        const chatMember = await fetch(`https://api.telegram.org/bot${botToken}/getChatMember`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                chat_id: group.group_id,
-                user_id: parseInt(telegramId)
-            })
-        }).then(res => res.json());
-
-        if (chatMember.ok && ['member', 'administrator', 'creator'].includes(chatMember.result.status)) {
-            // User is a member, allow them to claim
-            await taskService.completeGroupJoin(req.db, user.id, groupId, group.points_reward);
-            const updatedUser = await userService.getUserById(req.db, user.id);
-            
-            res.json({
-                success: true,
-                isMember: true,
-                pointsEarned: group.points_reward,
-                user: updatedUser
-            });
-        } else {
-            res.json({
-                success: false,
-                isMember: false,
-                message: 'You must join the group first before claiming the reward'
-            });
-        }
-    } catch (error) {
-        console.error('Error verifying group membership:', error);
-        res.status(500).json({ error: 'Internal server error' });
-    }
-});
 
 // Get user referral data
-app.get('/api/user/:telegramId/referral', async (req, res) => {
+app.get('/api/user/:telegramId/referral', requireTelegramUser, userRateLimit('profile'), async (req, res) => {
     try {
-        const { telegramId } = req.params;
+        const telegramId = req.telegramUser.id;
         const user = await userService.getUserByTelegramId(req.db, parseInt(telegramId));
         
         if (!user) {
@@ -2166,9 +3334,9 @@ app.get('/api/admin/contact', async (req, res) => {
     }
 });
 
-app.get('/api/user/:telegramId/team', async (req, res) => {
+app.get('/api/user/:telegramId/team', requireTelegramUser, userRateLimit('profile'), async (req, res) => {
     try {
-        const { telegramId } = req.params;
+        const telegramId = req.telegramUser.id;
         const user = await userService.getUserByTelegramId(req.db, parseInt(telegramId));
         
         if (!user) {
@@ -2189,7 +3357,7 @@ app.get('/api/user/:telegramId/team', async (req, res) => {
                 COALESCE(fi.points_earned, 0) AS invite_points,
                 COUNT(uc.id) as tasks_completed
             FROM users u
-            LEFT JOIN user_channel_joins uc ON u.id = uc.user_id
+            LEFT JOIN task_claims uc ON u.id = uc.user_id AND uc.status = 'completed'
             LEFT JOIN friend_invitations fi ON fi.invitee_telegram_id = u.telegram_id AND fi.inviter_id = ?
             WHERE u.referred_by = ?
             GROUP BY u.id, fi.status, fi.points_earned
@@ -2215,19 +3383,16 @@ app.get('/api/user/:telegramId/team', async (req, res) => {
 });
 
 // Bank details endpoints
-app.get('/api/bank-details/:telegramId', async (req, res) => {
+app.get('/api/bank-details/:telegramId', requireTelegramUser, userRateLimit('profile'), async (req, res) => {
     try {
-        const { telegramId } = req.params;
+        const telegramId = req.telegramUser.id;
         const user = await userService.getUserByTelegramId(req.db, parseInt(telegramId));
         
         if (!user) {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        const bankDetails = await req.db.get(`
-            SELECT * FROM bank_details 
-            WHERE telegram_id = ?
-        `, [telegramId]);
+        const bankDetails = await bankDetailsService.getByTelegramId(req.db, telegramId);
 
         res.json({ bank_details: bankDetails });
     } catch (error) {
@@ -2236,9 +3401,31 @@ app.get('/api/bank-details/:telegramId', async (req, res) => {
     }
 });
 
-app.post('/api/bank-details', async (req, res) => {
+// Preferred payout currency (any enabled currency); applies to withdrawals made after the change
+app.post('/api/user/payout-currency', requireTelegramUser, idempotent, userRateLimit('profile'), async (req, res) => {
+    try {
+        const telegramId = req.telegramUser.id;
+        const user = await userService.getUserByTelegramId(req.db, parseInt(telegramId));
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const currency = await currencyService.get(req.db, req.body && req.body.currency);
+        if (!currency || !currency.enabled) {
+            return res.status(400).json({ error: 'This currency is not available for payouts' });
+        }
+        await req.db.run(`UPDATE users SET payout_currency = ?, updated_at = datetime('now') WHERE id = ?`, [currency.code, user.id]);
+        res.json({ success: true, currency: { code: currency.code, symbol: currency.symbol, rate: currency.rate } });
+    } catch (error) {
+        console.error('Error updating payout currency:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/bank-details', requireTelegramUser, idempotent, userRateLimit('payout'), async (req, res) => {
     try {
-        const { telegramId, accountName, accountNumber, bankCode } = req.body;
+        const { accountName, accountNumber, bankCode } = req.body;
+        const telegramId = req.telegramUser.id;
         const user = await userService.getUserByTelegramId(req.db, parseInt(telegramId));
         
         if (!user) {
@@ -2251,32 +3438,19 @@ app.post('/api/bank-details', async (req, res) => {
             WHERE telegram_id = ?
         `, [telegramId]);
 
-        if (existingDetails) {
-            // Check if user has enough points for modification fee
-            const modificationFee = parseInt(process.env.BANK_EDIT_FEE) || 3000;
-            if (user.points < modificationFee) {
-                return res.status(400).json({ error: `Insufficient balance. Need ${modificationFee} points to modify bank details.` });
-            }
-
-            // Deduct modification fee
-            await req.db.run(`
-                UPDATE users SET points = points - ? WHERE id = ?
-            `, [modificationFee, user.id]);
+        // Check if user has enough points for modification fee
+        const modificationFee = parseInt(process.env.BANK_EDIT_FEE) || 3000;
+        if (existingDetails && user.points < modificationFee) {
+            return res.status(400).json({ error: `Insufficient balance. Need ${modificationFee} points to modify bank details.` });
         }
 
-        // Insert or update bank details
-        if (existingDetails) {
-            await req.db.run(`
-                UPDATE bank_details 
-                SET account_name = ?, account_number = ?, bank_name = ?, updated_at = datetime('now')
-                WHERE telegram_id = ?
-            `, [accountName, accountNumber, bankCode, telegramId]);
-        } else {
-            await req.db.run(`
-                INSERT INTO bank_details (telegram_id, account_name, account_number, bank_name, created_at)
-                VALUES (?, ?, ?, ?, datetime('now'))
-            `, [telegramId, accountName, accountNumber, bankCode]);
-        }
+        // Insert or update bank details (encrypted at rest) and charge the modification fee together
+        await req.db.transaction(async (tx) => {
+            await bankDetailsService.save(tx, telegramId, { accountName, accountNumber, bankName: bankCode });
+            if (existingDetails) {
+                await ledgerService.record(tx, { userId: user.id, delta: -modificationFee, reason: 'bank_edit_fee', referenceType: 'bank_details', referenceId: existingDetails.id });
+            }
+        });
 
         res.json({ success: true });
     } catch (error) {
@@ -2286,9 +3460,10 @@ app.post('/api/bank-details', async (req, res) => {
 });
 
 // Withdrawal endpoints
-app.post('/api/withdraw', async (req, res) => {
+app.post('/api/withdraw', requireTelegramUser, idempotent, userRateLimit('payout'), async (req, res) => {
     try {
-        const { telegramId, amount } = req.body;
+        const { amount } = req.body;
+        const telegramId = req.telegramUser.id;
         const user = await userService.getUserByTelegramId(req.db, parseInt(telegramId));
         
         if (!user) {
@@ -2382,11 +3557,17 @@ app.post('/api/withdraw', async (req, res) => {
         }
 
         // Compute fees and receivables
-        const withdrawalFeePct = parseFloat(await getConfig(req.db, 'withdrawalFee', process.env.WITHDRAWAL_FEE_PERCENTAGE || 5));
-        const currencyRate = parseFloat(await getConfig(req.db, 'pointToCurrencyRate', process.env.POINT_TO_CURRENCY_RATE || 1));
+        let withdrawalFeePct = parseFloat(await getConfig(req.db, 'withdrawalFee', process.env.WITHDRAWAL_FEE_PERCENTAGE || 5));
+        // A level's fee only ever lowers the configured fee
+        const levelPerks = await levelService.getUserLevel(req.db, user);
+        if (levelPerks.withdrawalFeePct != null && !(levelPerks.withdrawalFeePct >= withdrawalFeePct)) withdrawalFeePct = levelPerks.withdrawalFeePct;
+        // Snapshot of the user's payout currency and its rate right now; later rate changes don't touch this withdrawal
+        const currency = await currencyService.resolveForUser(req.db, user);
+        if (!currency) return res.status(400).json({ error: 'No payout currency is available' });
+        const currencyRate = currency.rate;
         const feePoints = Math.floor((amount * (isNaN(withdrawalFeePct) ? 0 : withdrawalFeePct)) / 100);
         const receivablePoints = Math.max(0, amount - feePoints);
-        const receivableCurrency = receivablePoints * (isNaN(currencyRate) ? 1 : currencyRate);
+        const receivableCurrency = Math.round(receivablePoints * currencyRate * 100) / 100;
 
         // Create withdrawal atomically and deduct points under a transaction to avoid race conditions
         await req.db.transaction(async (tx) => {
@@ -2399,21 +3580,18 @@ app.post('/api/withdraw', async (req, res) => {
             const t = await tx.get(`SELECT COUNT(*) as count FROM withdrawals WHERE telegram_id = ? AND DATE(created_at) = DATE(CURRENT_TIMESTAMP)`, [telegramId]);
             if (t && t.count > 0) throw new Error('You can only submit one withdrawal per day');
 
-            // Ensure sufficient balance at commit time
-            const freshUser = await tx.get('SELECT points FROM users WHERE id = ?', [user.id]);
-            if (!freshUser || (freshUser.points || 0) < amount) throw new Error('Insufficient points');
-
-            await tx.run(`
-                INSERT INTO withdrawals (telegram_id, amount, status, created_at, fee_points, receivable_points, receivable_currency_amount)
-                VALUES (?, ?, 'pending', datetime('now'), ?, ?, ?)
-            `, [telegramId, amount, feePoints, receivablePoints, receivableCurrency]);
-            await tx.run(`UPDATE users SET points = points - ?, updated_at = datetime('now') WHERE id = ?`, [amount, user.id]);
+            const created = await tx.run(`
+                INSERT INTO withdrawals (telegram_id, amount, status, created_at, fee_points, receivable_points, receivable_currency_amount, currency_code, currency_rate)
+                VALUES (?, ?, 'pending', datetime('now'), ?, ?, ?, ?, ?)
+            `, [telegramId, amount, feePoints, receivablePoints, receivableCurrency, currency.code, currencyRate]);
+            // Throws 'Insufficient points' if the balance no longer covers the amount at commit time
+            await ledgerService.record(tx, { userId: user.id, delta: -amount, reason: 'withdrawal', referenceType: 'withdrawal', referenceId: created.id });
         });
 
         // Notify admin of new withdrawal request
         const adminId = parseInt(process.env.ADMIN_USER_ID || '');
         if (adminId) {
-            await sendTelegramMessage(adminId, `💸 New withdrawal request: User ${telegramId} requested ${amount} points.`);
+            await sendTelegramMessage(adminId, `💸 New withdrawal request: User ${telegramId} requested ${amount} points (${receivableCurrency} ${currency.code}).`);
         }
         res.json({ success: true });
     } catch (error) {
@@ -2425,9 +3603,9 @@ app.post('/api/withdraw', async (req, res) => {
 });
 
 // Earn status endpoint
-app.get('/api/earn-status/:telegramId', async (req, res) => {
+app.get('/api/earn-status/:telegramId', requireTelegramUser, userRateLimit('profile'), async (req, res) => {
     try {
-        const { telegramId } = req.params;
+        const telegramId = req.telegramUser.id;
         const user = await userService.getUserByTelegramId(req.db, parseInt(telegramId));
         
         if (!user) {
@@ -2444,7 +3622,8 @@ app.get('/api/earn-status/:telegramId', async (req, res) => {
         const friendsPerBonus = await getIntConfig(req.db, 'friendsRequiredForBonus', parseInt(process.env.FRIENDS_REQUIRED_FOR_BONUS) || 10);
         const bonusPerBlock = await getIntConfig(req.db, 'bonusClaimsPerFriends', parseInt(process.env.BONUS_CLAIMS_PER_FRIENDS) || 2);
         const bonusClaims = Math.floor((user.friends_invited || 0) / friendsPerBonus) * bonusPerBlock;
-        const totalClaims = dailyLimit + bonusClaims;
+        const levelPerks = await levelService.getUserLevel(req.db, user);
+        const totalClaims = dailyLimit + bonusClaims + levelPerks.extraDailyClaims;
         const claimsRemaining = totalClaims - (todayClaims.count || 0);
 
         // Get claim history
@@ -2458,6 +3637,9 @@ app.get('/api/earn-status/:telegramId', async (req, res) => {
         res.json({
             claimsRemaining: Math.max(0, claimsRemaining),
             totalClaims,
+            levelBonusClaims: levelPerks.extraDailyClaims,
+            claimMultiplier: levelPerks.claimMultiplier,
+            streak: await streakService.getState(req.db, user.id),
             claimHistory
         });
     } catch (error) {
@@ -2467,9 +3649,9 @@ app.get('/api/earn-status/:telegramId', async (req, res) => {
 });
 
 // Claim reward endpoint
-app.post('/api/claim-reward', async (req, res) => {
+app.post('/api/claim-reward', requireTelegramUser, idempotent, userRateLimit('earn'), async (req, res) => {
     try {
-        const { telegramId } = req.body;
+        const telegramId = req.telegramUser.id;
         const user = await userService.getUserByTelegramId(req.db, parseInt(telegramId));
         
         if (!user) {
@@ -2497,6 +3679,9 @@ app.post('/api/claim-reward', async (req, res) => {
             if (!chOk || !grOk) return res.status(403).json({ error: 'Join the community first' });
         }
 
+        // Level perks: extra claims per day and a multiplier on each claim
+        const levelPerks = await levelService.getUserLevel(req.db, user);
+
         // Perform the entire claim in a transaction to prevent race conditions
         let pointsEarned = 0;
         await req.db.transaction(async (tx) => {
@@ -2513,7 +3698,7 @@ app.post('/api/claim-reward', async (req, res) => {
             const friendsPerBonus = await getIntConfig(req.db, 'friendsRequiredForBonus', parseInt(process.env.FRIENDS_REQUIRED_FOR_BONUS) || 10);
             const bonusPerBlock = await getIntConfig(req.db, 'bonusClaimsPerFriends', parseInt(process.env.BONUS_CLAIMS_PER_FRIENDS) || 2);
             const bonusClaims = Math.floor((user.friends_invited || 0) / friendsPerBonus) * bonusPerBlock;
-            const totalClaims = dailyLimit + bonusClaims;
+            const totalClaims = dailyLimit + bonusClaims + levelPerks.extraDailyClaims;
 
             if ((todayClaims?.count || 0) >= totalClaims) {
                 throw new Error('Daily claim limit reached');
@@ -2541,20 +3726,14 @@ app.post('/api/claim-reward', async (req, res) => {
                 const cap = minClaim + Math.floor(range * 0.5);
                 pointsEarned = randInt(minClaim, Math.max(minClaim, cap));
             }
+            if (levelPerks.claimMultiplier > 1) pointsEarned = Math.round(pointsEarned * levelPerks.claimMultiplier);
 
             // Update user and record claim atomically
-            await tx.run(`
-                UPDATE users 
-                SET points = points + ?, 
-                    total_points_earned = total_points_earned + ?,
-                    updated_at = datetime('now')
-                WHERE id = ?
-            `, [pointsEarned, pointsEarned, user.id]);
-
-            await tx.run(`
+            const claim = await tx.run(`
                 INSERT INTO claims_history (telegram_id, points_earned, claimed_at, source)
                 VALUES (?, ?, datetime('now'), 'daily')
             `, [telegramId, pointsEarned]);
+            await ledgerService.record(tx, { userId: user.id, delta: pointsEarned, reason: 'daily_claim', referenceType: 'claims_history', referenceId: claim.id });
         });
 
         // If user has a pending referral and has at least engaged (claimed), finalize referral too
@@ -2569,9 +3748,9 @@ app.post('/api/claim-reward', async (req, res) => {
 });
 
 // History endpoint
-app.get('/api/history/:telegramId', async (req, res) => {
+app.get('/api/history/:telegramId', requireTelegramUser, userRateLimit('profile'), async (req, res) => {
     try {
-        const { telegramId } = req.params;
+        const telegramId = req.telegramUser.id;
         const { type } = req.query;
         const user = await userService.getUserByTelegramId(req.db, parseInt(telegramId));
         
@@ -2581,7 +3760,7 @@ app.get('/api/history/:telegramId', async (req, res) => {
 
         if (type === 'withdrawals') {
             const withdrawals = await req.db.all(`
-                SELECT id, telegram_id, amount, status, created_at, processed_at, fee_points, receivable_points, receivable_currency_amount 
+                SELECT id, telegram_id, amount, status, created_at, processed_at, fee_points, receivable_points, receivable_currency_amount, currency_code, currency_rate 
                 FROM withdrawals
                 WHERE telegram_id = ? 
                 ORDER BY created_at DESC 
@@ -2590,45 +3769,15 @@ app.get('/api/history/:telegramId', async (req, res) => {
 
             res.json({ withdrawals });
         } else if (type === 'earnings') {
-            const earnings = await req.db.all(`
-                SELECT 
-                    'Channel Join' as task_name,
-                    points_earned,
-                    joined_at as earned_at
-                FROM user_channel_joins 
-                WHERE user_id = ?
-                UNION ALL
-                SELECT 
-                    'Group Join' as task_name,
-                    points_earned,
-                    joined_at as earned_at
-                FROM user_group_joins 
-                WHERE user_id = ?
-                UNION ALL
-                SELECT 
-                    CASE WHEN source = 'referral' THEN 'Invite Reward' ELSE 'Daily Reward' END as task_name,
-                    points_earned,
-                    claimed_at as earned_at
-                FROM claims_history 
-                WHERE telegram_id = ?
-                UNION ALL
-                SELECT 
-                    ('Social Task: ' || COALESCE(st.task_name, st.platform)) as task_name,
-                    usc.points_earned,
-                    usc.completed_at as earned_at
-                FROM user_social_claims usc
-                JOIN social_tasks st ON st.id = usc.social_task_id
-                WHERE usc.user_id = ? AND usc.status = 'completed'
-                UNION ALL
-                SELECT 
-                    'Admin Credit' as task_name,
-                    amount as points_earned,
-                    created_at as earned_at
-                FROM admin_audit
-                WHERE target_telegram_id = ? AND action = 'adjust_balance' AND amount > 0
-                ORDER BY earned_at DESC 
-                LIMIT 50
-            `, [user.id, user.id, telegramId, user.id, user.telegram_id]);
+            // Expired, clawed-back and freeze-spent points are listed alongside earnings so users can see where they went
+            const credits = await ledgerService.list(req.db, user.id, { direction: 'credit', includeReasons: ['points_expired', 'task_clawback', 'streak_freeze', 'transfer_out', 'transfer_fee', 'transfer_reversal', 'shop_redemption'], limit: 50 });
+            const earnings = credits.map(e => ({
+                task_name: e.label,
+                reason: e.reason,
+                points_earned: e.delta,
+                balance_after: e.balance_after,
+                earned_at: e.created_at
+            }));
 
             res.json({ earnings });
         } else {
@@ -2640,6 +3789,35 @@ app.get('/api/history/:telegramId', async (req, res) => {
     }
 });
 
+// Points that expire within the warning window (profile page)
+app.get('/api/points-expiry/:telegramId', requireTelegramUser, userRateLimit('profile'), async (req, res) => {
+    try {
+        const telegramId = req.telegramUser.id;
+        const user = await userService.getUserByTelegramId(req.db, parseInt(telegramId));
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const policy = await pointsExpiryService.getPolicy(req.db);
+        if (!policy.enabled) {
+            return res.json({ enabled: false, expiringSoon: 0, upcoming: [] });
+        }
+        const withinDays = Math.max(policy.warningDays[0] || 0, 7);
+        const soon = await pointsExpiryService.expiringSoon(req.db, user.id, policy, withinDays);
+        res.json({
+            enabled: true,
+            expiryDays: policy.days,
+            withinDays,
+            onHold: await pointsExpiryService.isOnHold(req.db, telegramId),
+            expiringSoon: soon.total,
+            upcoming: soon.upcoming
+        });
+    } catch (error) {
+        console.error('Error getting points expiry:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
     console.error('Unhandled error:', err);
@@ -2654,25 +3832,7 @@ app.get('*', async (req, res, next) => {
         if (p.startsWith('/api') || p === '/postback' || path.extname(p)) return next();
         // Prefer dynamic layout with admin SDK snippet
         try {
-            const fs = require('fs');
-            const base = fs.readFileSync(path.join(__dirname, 'static', 'layout.html'), 'utf8');
-            const cfg = await getMonetagConfig(req.db);
-            let injectedHead = base;
-            // Prefer explicit zone/app if provided to build a standard tag
-            if (cfg.zoneId && String(cfg.zoneId).trim()) {
-                const appAttr = cfg.appId && String(cfg.appId).trim() ? ` data-app="${String(cfg.appId).trim()}"` : '';
-                const tag = `\n<script src=\"https://libtl.com/sdk.js\" data-zone=\"${String(cfg.zoneId).trim()}\" data-sdk=\"show_${String(cfg.zoneId).trim()}\"${appAttr}></script>\n`;
-                injectedHead = injectedHead.replace('</body>', `${tag}</body>`);
-            } else {
-                const sdk = await getConfig(req.db, 'adsSdkSnippet', '');
-                if (sdk && sdk.trim()) injectedHead = injectedHead.replace('</body>', `${sdk}\n</body>`);
-            }
-            // Expose zone id to client for dynamic function name
-            if (cfg.zoneId && String(cfg.zoneId).trim()) {
-                const expose = `\n<script>window.__adsZoneId = ${JSON.stringify(String(cfg.zoneId).trim())};</script>\n`;
-                injectedHead = injectedHead.replace('</body>', `${expose}</body>`);
-            }
-            return res.type('html').send(injectedHead);
+            return res.type('html').send(await renderLayout(req.db, res.locals.cspNonce));
         } catch (_) {}
         return res.sendFile(path.join(__dirname, 'static', 'layout.html'));
     } catch (e) { return next(); }
@@ -7,6 +7,7 @@ tg.expand();
 let userId = null;
 let telegramUser = null;
 let isAdmin = false;
+let adminProfile = null;
 
 // Check if we're in Telegram Web App
 if (window.Telegram && window.Telegram.WebApp) {
@@ -21,10 +22,20 @@ if (window.Telegram && window.Telegram.WebApp) {
     }
 }
 
-// Fallback to URL parameters if Telegram API not available
-if (!userId) {
-    const urlParams = new URLSearchParams(window.location.search);
-    userId = urlParams.get('user_id');
+// Admin session (short-lived access token + rotating refresh token)
+let adminSession = null;
+try { adminSession = JSON.parse(sessionStorage.getItem('adminSession') || 'null'); } catch (_) { adminSession = null; }
+
+function saveAdminSession(session) {
+    adminSession = session ? {
+        accessToken: session.accessToken,
+        refreshToken: session.refreshToken,
+        expiresAt: Date.now() + (session.expiresIn || 0) * 1000
+    } : null;
+    try {
+        if (adminSession) sessionStorage.setItem('adminSession', JSON.stringify(adminSession));
+        else sessionStorage.removeItem('adminSession');
+    } catch (_) {}
 }
 
 // API base URL
@@ -47,6 +58,10 @@ const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString() + ' ' + new Date(dateString).toLocaleTimeString();
 };
 
+const escapeHtml = (value) => String(value == null ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+
 function safeAlert(message){
     try {
         if (tg && tg.showAlert) return tg.showAlert(String(message));
@@ -63,25 +78,25 @@ const apiCall = async (endpoint, options = {}) => {
         const { timeoutMs, ...rest } = options || {};
         const reqOptions = { method: 'GET', headers: { 'Content-Type': 'application/json' }, ...rest };
         reqOptions.headers = { 'Content-Type': 'application/json', ...(options.headers || {}) };
-        if (endpoint.startsWith('/api/admin/') && userId) {
-            reqOptions.headers['x-admin-id'] = String(userId);
-        }
-        
-        // Auto-attach user_id to admin POST-like calls
-        if (endpoint.startsWith('/api/admin/') && reqOptions.method && reqOptions.method.toUpperCase() !== 'GET') {
-            let bodyObj = {};
-            if (reqOptions.body) {
-                try { bodyObj = JSON.parse(reqOptions.body); } catch (_) { bodyObj = {}; }
-            }
-            if (!bodyObj.user_id && userId) bodyObj.user_id = String(userId);
-            reqOptions.body = JSON.stringify(bodyObj);
+        const needsSession = endpoint.startsWith('/api/admin/') && !endpoint.startsWith('/api/admin/auth/');
+        if (needsSession) {
+            // Refresh shortly before expiry so long forms don't fail on submit
+            if (adminSession && adminSession.expiresAt - Date.now() < 30000) await refreshAdminSession();
+            if (adminSession) reqOptions.headers['Authorization'] = `Bearer ${adminSession.accessToken}`;
         }
 
         // Timeout support
         const controller = new AbortController();
         const t = setTimeout(() => controller.abort(), Number.isFinite(timeoutMs) ? timeoutMs : 25000);
         reqOptions.signal = controller.signal;
-        const response = await fetch(url, reqOptions).finally(() => clearTimeout(t));
+        let response = await fetch(url, reqOptions).finally(() => clearTimeout(t));
+
+        // Access token rejected: refresh once and retry
+        if (response.status === 401 && needsSession && await refreshAdminSession()) {
+            reqOptions.headers['Authorization'] = `Bearer ${adminSession.accessToken}`;
+            delete reqOptions.signal;
+            response = await fetch(url, reqOptions);
+        }
 
         console.log('Response status:', response.status);
         
@@ -139,12 +154,151 @@ function hideGlobalOverlay(){
     if (el) el.style.display = 'none';
 }
 
+// Sensitive actions return 202 until the admin taps Confirm in their bot DM; wait for it, then execute
+async function apiCallConfirmed(endpoint, options = {}) {
+    const first = await apiCall(endpoint, options);
+    if (!first || !first.confirmationRequired) return first;
+    showGlobalOverlay('Confirm this action in your Telegram chat with the bot...');
+    try {
+        let status = 'pending';
+        while (status === 'pending') {
+            await new Promise(r => setTimeout(r, 2000));
+            const c = await apiCall(`/api/admin/confirmations/${first.confirmationId}`);
+            status = c.status;
+        }
+        if (status !== 'approved') throw new Error(status === 'rejected' ? 'Action cancelled in Telegram' : `Confirmation ${status}`);
+        showGlobalOverlay('Confirmed. Running...');
+        return await apiCall(`/api/admin/confirmations/${first.confirmationId}/execute`, { method: 'POST', timeoutMs: options.timeoutMs });
+    } finally {
+        hideGlobalOverlay();
+    }
+}
+
 // Check admin status
+// A refresh token works once (the server ends every session if it sees one again), so calls that need a
+// refresh at the same time share one request
+let adminRefreshInFlight = null;
+function refreshAdminSession() {
+    if (!adminRefreshInFlight) {
+        adminRefreshInFlight = rotateAdminSession().finally(() => { adminRefreshInFlight = null; });
+    }
+    return adminRefreshInFlight;
+}
+
+async function rotateAdminSession() {
+    if (!adminSession || !adminSession.refreshToken) return false;
+    try {
+        const response = await fetch(`${API_BASE}/api/admin/auth/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken: adminSession.refreshToken })
+        });
+        if (!response.ok) {
+            saveAdminSession(null);
+            return false;
+        }
+        saveAdminSession(await response.json());
+        return true;
+    } catch (error) {
+        console.error('Error refreshing admin session:', error);
+        return false;
+    }
+}
+
+// Sign in with Telegram initData (inside Telegram) or the Login Widget payload (browser)
+async function adminLogin(credentials) {
+    const data = await apiCall('/api/admin/auth/login', {
+        method: 'POST',
+        body: JSON.stringify(credentials)
+    });
+    saveAdminSession(data);
+    return data;
+}
+
+async function adminLogout() {
+    try {
+        if (adminSession && adminSession.refreshToken) {
+            await apiCall('/api/admin/auth/logout', {
+                method: 'POST',
+                body: JSON.stringify({ refreshToken: adminSession.refreshToken })
+            });
+        }
+    } catch (_) {}
+    saveAdminSession(null);
+    document.body.innerHTML = '<div class="admin-container"><div class="success">Signed out.</div></div>';
+}
+
+// Render the Telegram Login Widget; resolves once the admin signed in
+async function showLoginWidget() {
+    const cfg = await apiCall('/api/admin/auth/config').catch(() => ({}));
+    if (!cfg.botUsername) throw new Error('Open the admin panel from Telegram to sign in.');
+    const container = document.querySelector('.admin-container');
+    Array.from(container.children).forEach(el => { if (!el.classList.contains('header')) el.style.display = 'none'; });
+    const box = document.createElement('div');
+    box.id = 'adminLogin';
+    box.style.textAlign = 'center';
+    box.innerHTML = '<p style="margin-bottom:12px;opacity:0.85;">Sign in with Telegram to continue</p>';
+    container.appendChild(box);
+    return new Promise((resolve, reject) => {
+        window.onTelegramAdminAuth = async (user) => {
+            try {
+                await adminLogin({ widget: user });
+                box.remove();
+                Array.from(container.children).forEach(el => { el.style.display = ''; });
+                resolve();
+            } catch (error) {
+                reject(error);
+            }
+        };
+        const script = document.createElement('script');
+        script.async = true;
+        script.src = 'https://telegram.org/js/telegram-widget.js?22';
+        script.setAttribute('data-telegram-login', cfg.botUsername);
+        script.setAttribute('data-size', 'large');
+        script.setAttribute('data-onauth', 'onTelegramAdminAuth(user)');
+        script.setAttribute('data-request-access', 'write');
+        box.appendChild(script);
+    });
+}
+
+// Hide tabs the current role can't use
+function applyRoleTabs(tabs) {
+    document.querySelectorAll('.admin-tab').forEach(tab => {
+        const allowed = tabs.includes(tab.dataset.tab);
+        tab.style.display = allowed ? '' : 'none';
+        const content = document.getElementById(tab.dataset.tab + 'Tab');
+        if (content && !allowed) content.style.display = 'none';
+    });
+}
+
+// Secrets are write-only: inputs stay empty and only show whether a value is stored
+function renderSecretStatus(inputId, isSet) {
+    const input = document.getElementById(inputId);
+    if (input) {
+        input.value = '';
+        input.placeholder = isSet ? '•••••••• (set — leave blank to keep)' : 'Not set';
+    }
+    const badge = document.getElementById(inputId + 'Status');
+    if (badge) {
+        badge.textContent = isSet ? 'Set' : 'Unset';
+        badge.className = 'status-badge ' + (isSet ? 'status-active' : 'status-inactive');
+    }
+    const clear = document.getElementById(inputId + 'Clear');
+    if (clear) clear.checked = false;
+}
+
 const checkAdminStatus = async () => {
     try {
-        const data = await apiCall(`/api/admin/check/${userId}`);
-        isAdmin = data.isAdmin;
-        
+        if (!adminSession || !(await refreshAdminSession())) {
+            if (tg && tg.initData) await adminLogin({ initData: tg.initData });
+            else await showLoginWidget();
+        }
+        isAdmin = !!adminSession;
+        if (isAdmin) {
+            adminProfile = await apiCall('/api/admin/me');
+            applyRoleTabs(adminProfile.tabs || []);
+        }
+
         if (!isAdmin) {
             document.body.innerHTML = '<div class="admin-container"><div class="error">Access denied. You are not an admin.</div></div>';
             return false;
@@ -153,7 +307,8 @@ const checkAdminStatus = async () => {
         return true;
     } catch (error) {
         console.error('Error checking admin status:', error);
-        document.body.innerHTML = '<div class="admin-container"><div class="error">Error checking admin status.</div></div>';
+        const denied = /HTTP 403/.test(error.message || '');
+        document.body.innerHTML = `<div class="admin-container"><div class="error">${denied ? 'Access denied. You are not an admin.' : (error.message || 'Error checking admin status.')}</div></div>`;
         return false;
     }
 };
@@ -206,8 +361,6 @@ const loadConfiguration = async () => {
         document.getElementById('maxWithdrawal').value = data.withdrawalConfig.maxWithdrawal;
         document.getElementById('withdrawalFee').value = data.withdrawalConfig.withdrawalFee;
         document.getElementById('bankEditFee').value = data.withdrawalConfig.bankEditFee;
-        if (document.getElementById('currencySymbol')) document.getElementById('currencySymbol').value = data.withdrawalConfig.currencySymbol || '₦';
-        if (document.getElementById('pointToCurrencyRate')) document.getElementById('pointToCurrencyRate').value = data.withdrawalConfig.pointToCurrencyRate || 1;
         const wdEnabled = document.getElementById('withdrawalsEnabled');
         if (wdEnabled) wdEnabled.checked = !!data.withdrawalConfig.withdrawalsEnabled;
         const minRefs = document.getElementById('minReferralsForWithdraw');
@@ -218,6 +371,40 @@ const loadConfiguration = async () => {
         document.getElementById('maxClaimAmount').value = data.claimsConfig.maxClaimAmount;
         document.getElementById('bonusClaimsPerFriends').value = data.claimsConfig.bonusClaimsPerFriends;
         document.getElementById('friendsRequiredForBonus').value = data.claimsConfig.friendsRequiredForBonus;
+
+        const st = data.streakConfig || {};
+        if (document.getElementById('streakRewards')) document.getElementById('streakRewards').value = (st.rewards || [5, 10, 15, 20, 25, 30, 50]).join(',');
+        if (document.getElementById('streakAfterCycle')) document.getElementById('streakAfterCycle').value = st.afterCycle || 'repeat';
+        if (document.getElementById('streakEscalateStep')) document.getElementById('streakEscalateStep').value = st.escalateStep != null ? st.escalateStep : 5;
+        if (document.getElementById('streakDayStartHour')) document.getElementById('streakDayStartHour').value = st.dayStartHour || 0;
+        if (document.getElementById('streakFreezeCost')) document.getElementById('streakFreezeCost').value = st.freezeCost || 100;
+        if (document.getElementById('streakFreezeMax')) document.getElementById('streakFreezeMax').value = st.freezeMax != null ? st.freezeMax : 2;
+        const stFreeze = document.getElementById('streakFreezeEnabled');
+        if (stFreeze) stFreeze.checked = st.freezeEnabled !== false;
+
+        const tr = data.transferConfig || {};
+        const trEnabled = document.getElementById('transfersEnabled');
+        if (trEnabled) trEnabled.checked = !!tr.enabled;
+        if (document.getElementById('transferFeePct')) document.getElementById('transferFeePct').value = tr.feePct != null ? tr.feePct : 5;
+        if (document.getElementById('transferMinAmount')) document.getElementById('transferMinAmount').value = tr.minAmount || 100;
+        if (document.getElementById('transferDailyLimit')) document.getElementById('transferDailyLimit').value = tr.dailyLimit || 5000;
+        if (document.getElementById('transferDailyCount')) document.getElementById('transferDailyCount').value = tr.dailyCount || 5;
+        if (document.getElementById('transferReceiveDailyLimit')) document.getElementById('transferReceiveDailyLimit').value = tr.receiveDailyLimit || 20000;
+        if (document.getElementById('transferMinAccountAgeDays')) document.getElementById('transferMinAccountAgeDays').value = tr.minAccountAgeDays != null ? tr.minAccountAgeDays : 7;
+        if (document.getElementById('transferFanInSenders')) document.getElementById('transferFanInSenders').value = tr.fanInSenders || 5;
+
+        const cb = data.clawbackConfig || {};
+        const cbEnabled = document.getElementById('joinClawbackEnabled');
+        if (cbEnabled) cbEnabled.checked = !!cb.enabled;
+        if (document.getElementById('joinHoldingDays')) document.getElementById('joinHoldingDays').value = cb.holdingDays || 7;
+        if (document.getElementById('joinCheckSampleSize')) document.getElementById('joinCheckSampleSize').value = cb.sampleSize || 50;
+        if (document.getElementById('joinRecheckHours')) document.getElementById('joinRecheckHours').value = cb.recheckHours || 24;
+
+        const ex = data.expiryConfig || {};
+        const exEnabled = document.getElementById('pointsExpiryEnabled');
+        if (exEnabled) exEnabled.checked = !!ex.enabled;
+        if (document.getElementById('pointsExpiryDays')) document.getElementById('pointsExpiryDays').value = ex.days || 90;
+        if (document.getElementById('pointsExpiryWarningDays')) document.getElementById('pointsExpiryWarningDays').value = ex.warningDays != null ? ex.warningDays : '7,1';
         
         document.getElementById('supportUsername').value = data.supportConfig.supportUsername;
         // Fill support admins
@@ -233,7 +420,7 @@ const loadConfiguration = async () => {
         // Payout config
         const pc = data.paystackConfig || {};
         const pe = document.getElementById('paystackEnabled'); if (pe) pe.checked = !!pc.enabled;
-        const ps = document.getElementById('paystackSecret'); if (ps) ps.value = pc.secret || '';
+        renderSecretStatus('paystackSecret', (data.secrets || {}).paystackSecret);
         // Monetag config
         const mc = data.monetagConfig || {};
         if (document.getElementById('adsHourlyLimit')) document.getElementById('adsHourlyLimit').value = mc.hourlyLimit || 20;
@@ -242,88 +429,439 @@ const loadConfiguration = async () => {
         if (document.getElementById('adsSdkSnippet')) document.getElementById('adsSdkSnippet').value = mc.sdkSnippet || '';
         if (document.getElementById('adsZoneId')) document.getElementById('adsZoneId').value = mc.zoneId || '';
         if (document.getElementById('adsAppId')) document.getElementById('adsAppId').value = mc.appId || '';
+        if (document.getElementById('adsPostbackIpAllowlist')) document.getElementById('adsPostbackIpAllowlist').value = mc.postbackIpAllowlist || '';
+        if (document.getElementById('adsScriptOrigins')) document.getElementById('adsScriptOrigins').value = (mc.scriptOrigins || []).join('\n');
+        renderSecretStatus('monetagPostbackToken', (data.secrets || {}).monetagPostbackToken);
+        renderSecretStatus('monetagPostbackHmacSecret', (data.secrets || {}).monetagPostbackHmacSecret);
         if (document.getElementById('appName')) document.getElementById('appName').value = (data.appConfig && data.appConfig.appName) || 'TGTask';
     } catch (error) {
         console.error('Error loading configuration:', error);
     }
 };
 
+// Payout currencies (Configuration tab)
+let currenciesCache = [];
+async function loadCurrencies() {
+    const body = document.getElementById('currenciesTableBody');
+    if (!body) return;
+    try {
+        const { currencies, paystackTypes } = await apiCall('/api/admin/currencies');
+        currenciesCache = currencies || [];
+        const typeSelect = document.getElementById('currencyPaystackType');
+        if (typeSelect && !typeSelect._filled) {
+            typeSelect.innerHTML = '<option value="">None</option>' + (paystackTypes || []).map(t => `<option value="${escapeHtml(t)}">${escapeHtml(t)}</option>`).join('');
+            typeSelect._filled = true;
+        }
+        body.innerHTML = currenciesCache.map(c => `
+            <tr>
+                <td>${escapeHtml(c.code)}${c.isDefault ? ' <span class="status-badge status-active">default</span>' : ''}<div style="font-size:12px;opacity:0.7;">${escapeHtml(c.name || '')}</div></td>
+                <td>${escapeHtml(c.symbol)}</td>
+                <td>${escapeHtml(c.symbol)}${c.rate}</td>
+                <td>${c.paystackType ? escapeHtml(c.paystackType) : '<span style="opacity:0.6;">manual</span>'}</td>
+                <td><span class="status-badge ${c.enabled ? 'status-active' : 'status-inactive'}">${c.enabled ? 'enabled' : 'disabled'}</span></td>
+                <td>${c.updatedAt ? formatDate(c.updatedAt) : ''}</td>
+                <td>
+                    <button class="btn btn-secondary edit-currency" data-code="${escapeHtml(c.code)}" style="padding:4px 8px;">Edit</button>
+                    <button class="btn btn-secondary currency-history" data-code="${escapeHtml(c.code)}" style="padding:4px 8px;">Rates</button>
+                    ${c.isDefault ? '' : `<button class="btn btn-secondary default-currency" data-code="${escapeHtml(c.code)}" style="padding:4px 8px;">Make default</button>`}
+                </td>
+            </tr>
+        `).join('') || '<tr><td colspan="7" style="text-align:center; opacity:0.7;">No currencies</td></tr>';
+    } catch (error) {
+        body.innerHTML = `<tr><td colspan="7">${showError('Failed to load currencies')}</td></tr>`;
+    }
+}
+
+document.addEventListener('click', async (e) => {
+    const editBtn = e.target.closest('.edit-currency');
+    const defaultBtn = e.target.closest('.default-currency');
+    const historyBtn = e.target.closest('.currency-history');
+    if (!editBtn && !defaultBtn && !historyBtn) return;
+    const code = (editBtn || defaultBtn || historyBtn).getAttribute('data-code');
+    try {
+        if (editBtn) {
+            const c = currenciesCache.find(x => x.code === code);
+            if (!c) return;
+            document.getElementById('currencyCode').value = c.code;
+            document.getElementById('currencyName').value = c.name || '';
+            document.getElementById('currencySymbol').value = c.symbol;
+            document.getElementById('currencyRate').value = c.rate;
+            document.getElementById('currencyPaystackType').value = c.paystackType || '';
+            document.getElementById('currencyEnabled').checked = !!c.enabled;
+            document.getElementById('currencyForm').scrollIntoView({ behavior: 'smooth', block: 'center' });
+        } else if (defaultBtn) {
+            if (!confirm(`Make ${code} the default payout currency? Users without a preference will be paid in ${code}.`)) return;
+            await apiCall(`/api/admin/currencies/${encodeURIComponent(code)}/default`, { method: 'POST' });
+            loadCurrencies();
+        } else {
+            const { history } = await apiCall(`/api/admin/currencies/${encodeURIComponent(code)}/history`);
+            document.getElementById('currencyRateHistory').innerHTML = `
+                <div style="font-weight:600; margin-bottom:4px;">${escapeHtml(code)} rate changes</div>
+                ${(history || []).map(h => `<div style="font-size:12px;">${formatDate(h.created_at)}: ${h.old_rate != null ? h.old_rate : '—'} → ${h.new_rate}${h.changed_by ? ` by ${h.changed_by}` : ''}</div>`).join('') || '<div style="font-size:12px;opacity:0.7;">No changes recorded</div>'}
+            `;
+        }
+    } catch (error) {
+        safeAlert('❌ ' + error.message);
+    }
+});
+
+// Levels & perks (Configuration tab)
+let levelsCache = [];
+async function loadLevels() {
+    const body = document.getElementById('levelsTableBody');
+    if (!body) return;
+    try {
+        const { levels, settings } = await apiCall('/api/admin/levels');
+        levelsCache = levels || [];
+        if (settings) {
+            document.getElementById('levelBasis').value = settings.basis;
+            document.getElementById('xpPerActivity').value = settings.xpPerActivity;
+        }
+        const unit = settings && settings.basis === 'xp' ? 'XP' : 'pts earned';
+        body.innerHTML = levelsCache.map(l => `
+            <tr>
+                <td>${l.level} · ${escapeHtml(l.name)}</td>
+                <td>${formatNumber(l.threshold)} ${unit}</td>
+                <td>${l.extraDailyClaims ? '+' + l.extraDailyClaims : '—'}</td>
+                <td>${l.claimMultiplier > 1 ? l.claimMultiplier + 'x' : '—'}</td>
+                <td>${l.withdrawalFeePct != null ? l.withdrawalFeePct + '%' : 'standard'}</td>
+                <td>
+                    <button class="btn btn-secondary edit-level" data-level="${l.level}" style="padding:4px 8px;">Edit</button>
+                    <button class="btn btn-danger delete-level" data-level="${l.level}" style="padding:4px 8px;">Delete</button>
+                </td>
+            </tr>
+        `).join('') || '<tr><td colspan="6" style="text-align:center; opacity:0.7;">No levels yet</td></tr>';
+    } catch (error) {
+        body.innerHTML = `<tr><td colspan="6">${showError('Failed to load levels')}</td></tr>`;
+    }
+}
+
+document.addEventListener('click', async (e) => {
+    const editBtn = e.target.closest('.edit-level');
+    const deleteBtn = e.target.closest('.delete-level');
+    if (!editBtn && !deleteBtn) return;
+    const level = parseInt((editBtn || deleteBtn).getAttribute('data-level'), 10);
+    try {
+        if (editBtn) {
+            const l = levelsCache.find(x => x.level === level);
+            if (!l) return;
+            document.getElementById('levelNumber').value = l.level;
+            document.getElementById('levelName').value = l.name;
+            document.getElementById('levelThreshold').value = l.threshold;
+            document.getElementById('levelExtraClaims').value = l.extraDailyClaims;
+            document.getElementById('levelClaimMultiplier').value = l.claimMultiplier;
+            document.getElementById('levelWithdrawalFee').value = l.withdrawalFeePct != null ? l.withdrawalFeePct : '';
+            document.getElementById('levelForm').scrollIntoView({ behavior: 'smooth', block: 'center' });
+        } else {
+            if (!confirm(`Delete level ${level}? Users keep their progress; the level's perks stop applying.`)) return;
+            await apiCall(`/api/admin/levels/${level}`, { method: 'DELETE' });
+            loadLevels();
+        }
+    } catch (error) {
+        safeAlert('❌ ' + error.message);
+    }
+});
+
+// Tasks: one list for every task type; each task's verifier decides completion
+let taskAdminCache = { tasks: [], verifiers: [] };
+
+function renderTaskConfigFields(verifierName, config = {}) {
+    const mount = document.getElementById('taskConfigFields');
+    if (!mount) return;
+    const verifier = taskAdminCache.verifiers.find(v => v.name === verifierName);
+    mount.innerHTML = ((verifier && verifier.fields) || []).map(f => {
+        const id = `taskCfg_${f.key}`;
+        const value = config[f.key] == null ? '' : (Array.isArray(config[f.key]) ? config[f.key].join('\n') : String(config[f.key]));
+        const placeholder = f.secret && config[f.key] === '' ? 'Saved — leave empty to keep' : (f.placeholder || '');
+        let input;
+        if (f.type === 'select') {
+            input = `<select class="form-select task-config-field" id="${id}" data-key="${escapeHtml(f.key)}">${(f.options || []).map(o => `<option value="${escapeHtml(o)}" ${o === value ? 'selected' : ''}>${escapeHtml(o)}</option>`).join('')}</select>`;
+        } else if (f.type === 'textarea') {
+            input = `<textarea class="form-textarea task-config-field" id="${id}" data-key="${escapeHtml(f.key)}" placeholder="${escapeHtml(placeholder)}">${f.secret ? '' : escapeHtml(value)}</textarea>`;
+        } else {
+            input = `<input type="${f.type === 'number' ? 'number' : 'text'}" class="form-input task-config-field" id="${id}" data-key="${escapeHtml(f.key)}" placeholder="${escapeHtml(placeholder)}" value="${f.secret ? '' : escapeHtml(value)}">`;
+        }
+        return `<div class="form-group"><label class="form-label" for="${id}">${escapeHtml(f.label)}</label>${input}</div>`;
+    }).join('');
+}
+
+// ISO time <-> the value of a datetime-local input (admin's local time)
+function toLocalInput(iso) {
+    if (!iso) return '';
+    const d = new Date(iso);
+    return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+function fromLocalInput(value) {
+    return value ? new Date(value).toISOString() : null;
+}
+
+function taskWindowText(t) {
+    if (!t.start_at && !t.end_at) return '';
+    return `${t.start_at ? formatDate(t.start_at) : '…'} → ${t.end_at ? formatDate(t.end_at) : '…'}`;
+}
+
+// Campaign calendar: one month of tasks that have a window, plus upcoming and expired campaigns
+let taskCalendarMonth = new Date(new Date().getFullYear(), new Date().getMonth(), 1);
+function renderTaskCalendar() {
+    const mount = document.getElementById('taskCalendar');
+    if (!mount) return;
+    const scheduled = taskAdminCache.tasks.filter(t => t.start_at || t.end_at);
+    const year = taskCalendarMonth.getFullYear();
+    const month = taskCalendarMonth.getMonth();
+    document.getElementById('taskCalendarMonth').textContent = taskCalendarMonth.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+
+    const cells = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].map(d => `<div style="font-size:12px; opacity:0.7; text-align:center;">${d}</div>`);
+    const offset = (new Date(year, month, 1).getDay() + 6) % 7;
+    for (let i = 0; i < offset; i++) cells.push('<div></div>');
+    const days = new Date(year, month + 1, 0).getDate();
+    const today = new Date().toDateString();
+    for (let day = 1; day <= days; day++) {
+        const dayStart = new Date(year, month, day).getTime();
+        const dayEnd = new Date(year, month, day + 1).getTime();
+        const running = scheduled.filter(t =>
+            (!t.start_at || new Date(t.start_at).getTime() < dayEnd) && (!t.end_at || new Date(t.end_at).getTime() > dayStart));
+        cells.push(`
+            <div style="min-height:64px; padding:4px; border:1px solid rgba(255,255,255,${new Date(dayStart).toDateString() === today ? '0.6' : '0.15'}); border-radius:6px; font-size:11px; overflow:hidden;">
+                <div style="opacity:0.7;">${day}</div>
+                ${running.map(t => `<div title="${escapeHtml(t.title)}" style="white-space:nowrap; overflow:hidden; text-overflow:ellipsis; ${t.is_active || t.schedule_state === 'scheduled' ? '' : 'opacity:0.5;'}">${escapeHtml(t.title)}</div>`).join('')}
+            </div>`);
+    }
+    mount.innerHTML = `<div style="display:grid; grid-template-columns:repeat(7, minmax(0, 1fr)); gap:4px;">${cells.join('')}</div>`;
+
+    const now = Date.now();
+    const line = t => `<div>${escapeHtml(t.title)} <small style="opacity:0.7;">${escapeHtml(taskWindowText(t))}</small></div>`;
+    document.getElementById('taskCalendarUpcoming').innerHTML = scheduled
+        .filter(t => t.start_at && new Date(t.start_at).getTime() > now)
+        .sort((a, b) => new Date(a.start_at) - new Date(b.start_at))
+        .map(line).join('') || '<span style="opacity:0.7;">None</span>';
+    document.getElementById('taskCalendarExpired').innerHTML = scheduled
+        .filter(t => t.end_at && new Date(t.end_at).getTime() <= now)
+        .sort((a, b) => new Date(b.end_at) - new Date(a.end_at))
+        .slice(0, 20)
+        .map(line).join('') || '<span style="opacity:0.7;">None</span>';
+}
+
+// Remaining capacity for the tasks table, e.g. "120 of 1,000 left · 2,400 pts left"
+function taskBudgetText(task) {
+    const parts = [];
+    if (task.remaining_completions !== null && task.remaining_completions !== undefined) {
+        parts.push(`${formatNumber(task.remaining_completions)} of ${formatNumber(task.max_completions)} left`);
+    }
+    if (task.remaining_points !== null && task.remaining_points !== undefined) {
+        parts.push(`${formatNumber(task.remaining_points)} pts left`);
+    }
+    return parts.join(' · ');
+}
+
+function resetTaskForm() {
+    const form = document.getElementById('taskForm');
+    if (!form) return;
+    form.reset();
+    document.getElementById('taskId').value = '';
+    document.getElementById('taskActive').checked = true;
+    renderTaskConfigFields(document.getElementById('taskVerifier').value);
+}
+
 // Load tasks
 const loadTasks = async () => {
+    const body = document.getElementById('tasksBody');
+    if (!body) return;
     try {
         const data = await apiCall('/api/admin/tasks');
-        
-        let tasksHtml = `
-            <div class="table-container table-scroll">
-                <table class="table">
-                    <thead>
-                        <tr>
-                            <th>Type</th>
-                            <th>Name</th>
-                            <th>Username/ID</th>
-                            <th>Points</th>
-                            <th>Status</th>
-                            <th>Actions</th>
-                        </tr>
-                    </thead>
-                    <tbody>
-        `;
-        
-        if (data.channels && data.channels.length > 0) {
-            data.channels.forEach(channel => {
-                tasksHtml += `
-                    <tr>
-                        <td>📺 Channel</td>
-                        <td>${channel.channel_name}</td>
-                        <td>${channel.channel_username}</td>
-                        <td>${channel.points_reward}</td>
-                        <td><span class="status-badge ${channel.is_active ? 'status-active' : 'status-inactive'}">${channel.is_active ? 'Active' : 'Inactive'}</span></td>
-                        <td>
-                            <button class="btn btn-secondary" onclick="toggleChannelStatus(${channel.id})">
-                                ${channel.is_active ? 'Disable' : 'Enable'}
-                            </button>
-                            <button class="btn btn-danger" onclick="deleteChannel(${channel.id})">Delete</button>
-                        </td>
-                    </tr>
-                `;
+        taskAdminCache = { tasks: data.tasks || [], verifiers: data.verifiers || [] };
+
+        const select = document.getElementById('taskVerifier');
+        if (select && !select.options.length) {
+            select.innerHTML = taskAdminCache.verifiers.map(v => `<option value="${escapeHtml(v.name)}">${escapeHtml(v.label)}</option>`).join('');
+            renderTaskConfigFields(select.value);
+        }
+        const types = document.getElementById('taskTypeOptions');
+        if (types) {
+            const known = ['telegram', 'whatsapp', 'facebook', 'tiktok', 'website', 'quiz'];
+            types.innerHTML = Array.from(new Set(known.concat(taskAdminCache.tasks.map(t => t.type)))).map(t => `<option value="${escapeHtml(t)}">`).join('');
+        }
+
+        body.innerHTML = taskAdminCache.tasks.map(t => `
+            <tr>
+                <td>${escapeHtml(t.typeLabel)}</td>
+                <td>${escapeHtml(t.title)}${t.link ? `<br><small>${escapeHtml(t.link)}</small>` : ''}${taskWindowText(t) ? `<br><small>🗓 ${escapeHtml(taskWindowText(t))}</small>` : ''}</td>
+                <td>${escapeHtml(t.verifierLabel)}</td>
+                <td>${formatNumber(t.points_reward)}</td>
+                <td>${parseInt(t.min_level, 10) || 0}</td>
+                <td>${formatNumber(t.completed_count || 0)}${t.review_count ? `<br><small>${formatNumber(t.review_count)} to review</small>` : ''}${taskBudgetText(t) ? `<br><small>${escapeHtml(taskBudgetText(t))}</small>` : ''}</td>
+                <td><span class="status-badge ${t.is_active ? 'status-active' : (t.schedule_state === 'scheduled' ? 'status-pending' : 'status-inactive')}">${t.is_active ? 'Active' : ({ scheduled: 'Scheduled', ended: 'Ended' }[t.schedule_state] || (t.budget_exhausted_at ? 'Budget used up' : 'Inactive'))}</span></td>
+                <td>
+                    <button class="btn btn-secondary edit-task" data-id="${t.id}" style="padding:4px 8px;">Edit</button>
+                    <button class="btn btn-secondary toggle-task" data-id="${t.id}" data-active="${t.is_active || t.schedule_state === 'scheduled' ? '0' : '1'}" style="padding:4px 8px;">${t.is_active || t.schedule_state === 'scheduled' ? 'Disable' : 'Enable'}</button>
+                </td>
+            </tr>
+        `).join('') || '<tr><td colspan="8" style="text-align: center; opacity: 0.7;">No tasks available</td></tr>';
+        renderTaskCalendar();
+    } catch (error) {
+        body.innerHTML = `<tr><td colspan="8">${showError(error.message || 'Failed to load tasks')}</td></tr>`;
+    }
+};
+
+// Proof claims waiting for a decision
+async function loadTaskClaims() {
+    const body = document.getElementById('taskClaimsBody');
+    if (!body) return;
+    try {
+        const { claims } = await apiCall('/api/admin/task-claims?status=review');
+        const selectAll = document.getElementById('taskClaimsSelectAll');
+        if (selectAll) selectAll.checked = false;
+        body.innerHTML = (claims || []).map(c => `
+            <tr>
+                <td><input type="checkbox" class="task-claim-select" value="${c.id}"></td>
+                <td>${formatDate(c.submitted_at)}</td>
+                <td>${c.username ? '@' + escapeHtml(c.username) + '<br>' : ''}<small>${c.telegram_id}</small></td>
+                <td>${escapeHtml(c.task_title)}<br><small>${formatNumber(c.points_reward)} pts</small></td>
+                <td style="max-width:320px; white-space:pre-wrap; word-break:break-word;">${escapeHtml(c.proof || '')}${c.image_size ? `${c.proof ? '<br>' : ''}<button class="btn btn-secondary view-task-proof" data-id="${c.id}" style="padding:4px 8px;">View screenshot</button>` : ''}</td>
+                <td>
+                    <button class="btn btn-primary review-task-claim" data-id="${c.id}" data-approve="1" style="padding:4px 8px;">Approve</button>
+                    <button class="btn btn-danger review-task-claim" data-id="${c.id}" data-approve="0" style="padding:4px 8px;">Reject</button>
+                </td>
+            </tr>
+        `).join('') || '<tr><td colspan="6" style="text-align:center; opacity:0.7;">Nothing to review</td></tr>';
+    } catch (error) {
+        body.innerHTML = `<tr><td colspan="6">${showError(error.message || 'Failed to load claims')}</td></tr>`;
+    }
+}
+
+// Reject reason templates: the picker above the queue and the editor below it
+async function loadTaskRejectReasons() {
+    const select = document.getElementById('taskRejectReason');
+    if (!select) return;
+    try {
+        const { reasons } = await apiCall('/api/admin/task-reject-reasons');
+        select.innerHTML = '<option value="">No template</option>' + (reasons || []).map(r => `<option value="${escapeHtml(r)}">${escapeHtml(r)}</option>`).join('');
+        const input = document.getElementById('taskRejectReasonsInput');
+        if (input) input.value = (reasons || []).join('\n');
+    } catch (error) {
+        console.error('Error loading reject reasons:', error);
+    }
+}
+
+// Note sent with a decision: the admin's own text, else the template (rejections only)
+function taskReviewNote(approve) {
+    const own = (document.getElementById('taskReviewNote')?.value || '').trim();
+    if (own || approve) return own || null;
+    return document.getElementById('taskRejectReason')?.value || null;
+}
+
+document.addEventListener('change', (e) => {
+    if (e.target.id === 'taskVerifier') renderTaskConfigFields(e.target.value);
+    if (e.target.id === 'taskClaimsSelectAll') {
+        document.querySelectorAll('.task-claim-select').forEach(el => { el.checked = e.target.checked; });
+    }
+});
+
+document.addEventListener('click', async (e) => {
+    const editBtn = e.target.closest('.edit-task');
+    const toggleBtn = e.target.closest('.toggle-task');
+    const resetBtn = e.target.closest('#taskResetBtn');
+    const refreshBtn = e.target.closest('#taskClaimsRefreshBtn');
+    const reviewBtn = e.target.closest('.review-task-claim');
+    const bulkBtn = e.target.closest('#taskClaimsApproveBtn, #taskClaimsRejectBtn');
+    const proofBtn = e.target.closest('.view-task-proof');
+    const reasonsBtn = e.target.closest('#taskRejectReasonsSaveBtn');
+    const calendarBtn = e.target.closest('#taskCalendarPrev, #taskCalendarNext');
+    if (calendarBtn) {
+        taskCalendarMonth = new Date(taskCalendarMonth.getFullYear(), taskCalendarMonth.getMonth() + (calendarBtn.id === 'taskCalendarNext' ? 1 : -1), 1);
+        renderTaskCalendar();
+        return;
+    }
+    if (!editBtn && !toggleBtn && !resetBtn && !refreshBtn && !reviewBtn && !bulkBtn && !proofBtn && !reasonsBtn) return;
+    try {
+        if (proofBtn) {
+            const { mime, data } = await apiCall(`/api/admin/task-claims/${proofBtn.getAttribute('data-id')}/image`);
+            const img = document.createElement('img');
+            img.src = `data:${mime};base64,${data}`;
+            img.alt = 'Proof screenshot';
+            img.style.cssText = 'max-width:300px; width:100%; border-radius:8px; display:block;';
+            proofBtn.replaceWith(img);
+            return;
+        }
+        if (reasonsBtn) {
+            await apiCall('/api/admin/task-reject-reasons', {
+                method: 'POST',
+                body: JSON.stringify({ reasons: document.getElementById('taskRejectReasonsInput').value })
             });
+            safeAlert('✅ Reject reasons saved');
+            loadTaskRejectReasons();
+            return;
         }
-        
-        if (data.groups && data.groups.length > 0) {
-            data.groups.forEach(group => {
-                tasksHtml += `
-                    <tr>
-                        <td>👥 Group</td>
-                        <td>${group.group_name}</td>
-                        <td>${group.group_username}</td>
-                        <td>${group.points_reward}</td>
-                        <td><span class="status-badge ${group.is_active ? 'status-active' : 'status-inactive'}">${group.is_active ? 'Active' : 'Inactive'}</span></td>
-                        <td>
-                            <button class="btn btn-secondary" onclick="toggleGroupStatus(${group.id})">
-                                ${group.is_active ? 'Disable' : 'Enable'}
-                            </button>
-                            <button class="btn btn-danger" onclick="deleteGroup(${group.id})">Delete</button>
-                        </td>
-                    </tr>
-                `;
+        if (editBtn) {
+            const task = taskAdminCache.tasks.find(t => String(t.id) === editBtn.getAttribute('data-id'));
+            if (!task) return;
+            document.getElementById('taskId').value = task.id;
+            document.getElementById('taskType').value = task.type;
+            document.getElementById('taskTitle').value = task.title;
+            document.getElementById('taskLink').value = task.link || '';
+            document.getElementById('taskDescription').value = task.description || '';
+            document.getElementById('taskPoints').value = task.points_reward;
+            document.getElementById('taskMinLevel').value = task.min_level || 0;
+            document.getElementById('taskSortOrder').value = task.sort_order || 0;
+            document.getElementById('taskVerifier').value = task.verifier;
+            document.getElementById('taskStartAt').value = toLocalInput(task.start_at);
+            document.getElementById('taskEndAt').value = toLocalInput(task.end_at);
+            document.getElementById('taskMaxCompletions').value = task.max_completions || '';
+            document.getElementById('taskPointsBudget').value = task.points_budget || '';
+            // Scheduled and ended campaigns stay switched on, so moving their dates is enough to run them
+            document.getElementById('taskActive').checked = !!task.is_active || !!task.schedule_state;
+            renderTaskConfigFields(task.verifier, task.config || {});
+            document.getElementById('taskForm').scrollIntoView({ behavior: 'smooth', block: 'center' });
+            return;
+        }
+        if (resetBtn) {
+            resetTaskForm();
+            return;
+        }
+        if (toggleBtn) {
+            await apiCall(`/api/admin/tasks/${toggleBtn.getAttribute('data-id')}/active`, {
+                method: 'POST',
+                body: JSON.stringify({ active: toggleBtn.getAttribute('data-active') === '1' })
             });
+            loadTasks();
+            return;
         }
-        
-        if ((!data.channels || data.channels.length === 0) && (!data.groups || data.groups.length === 0)) {
-            tasksHtml += '<tr><td colspan="6" style="text-align: center; opacity: 0.7;">No tasks available</td></tr>';
+        if (reviewBtn) {
+            const approve = reviewBtn.getAttribute('data-approve') === '1';
+            let note = taskReviewNote(approve);
+            if (!approve && !note) {
+                note = prompt('Reason (sent to the user):');
+                if (note === null) return;
+                note = note.trim() || null;
+            }
+            await apiCall(`/api/admin/task-claims/${reviewBtn.getAttribute('data-id')}/review`, {
+                method: 'POST',
+                body: JSON.stringify({ approve, note })
+            });
+            loadTasks();
         }
-        
-        tasksHtml += `
-                    </tbody>
-                </table>
-            </div>
-        `;
-        
-        document.getElementById('currentTasks').innerHTML = tasksHtml;
+        if (bulkBtn) {
+            const approve = bulkBtn.id === 'taskClaimsApproveBtn';
+            const ids = Array.from(document.querySelectorAll('.task-claim-select:checked')).map(el => parseInt(el.value, 10));
+            if (!ids.length) {
+                safeAlert('Select at least one claim');
+                return;
+            }
+            const note = taskReviewNote(approve);
+            if (!confirm(`${approve ? 'Approve' : 'Reject'} ${ids.length} claim${ids.length === 1 ? '' : 's'}${note ? ` with "${note}"` : ''}?`)) return;
+            const result = await apiCall('/api/admin/task-claims/bulk-review', {
+                method: 'POST',
+                body: JSON.stringify({ ids, approve, note })
+            });
+            const failed = result.failed || [];
+            safeAlert(`✅ ${result.reviewed} ${approve ? 'approved' : 'rejected'}${failed.length ? `\n${failed.length} skipped:\n` + failed.map(f => `#${f.id}: ${f.error}`).join('\n') : ''}`);
+            loadTasks();
+        }
+        loadTaskClaims();
     } catch (error) {
-        document.getElementById('currentTasks').innerHTML = showError('Failed to load tasks');
+        safeAlert('❌ ' + error.message);
     }
-};
+});
 
 // Load users
 const loadUsers = async () => {
@@ -389,6 +927,7 @@ const loadWithdrawals = async () => {
         const sel = document.getElementById('withdrawalsFilter');
         const status = sel ? sel.value : 'all';
         const data = await apiCall(`/api/admin/withdrawals?status=${encodeURIComponent(status)}`);
+        const canRevealBank = !!(adminProfile && (adminProfile.permissions || []).includes('bank.reveal'));
         
         let withdrawalsHtml = `
             <div class="table-container table-scroll">
@@ -414,8 +953,11 @@ const loadWithdrawals = async () => {
                 withdrawalsHtml += `
                     <tr>
                         <td>${withdrawal.user_name || 'Unknown'}</td>
-                        <td>${formatNumber(withdrawal.amount)} pts</td>
-                        <td style="white-space:normal; word-break:break-word;">${withdrawal.bank_details || 'N/A'}</td>
+                        <td>${formatNumber(withdrawal.amount)} pts${withdrawal.receivable_currency_amount != null ? `<div style="font-size:12px;opacity:0.8;">${formatNumber(Number(withdrawal.receivable_currency_amount))} ${escapeHtml(withdrawal.currency_code || '')}${withdrawal.currency_rate != null ? ` @ ${withdrawal.currency_rate}` : ''}</div>` : ''}</td>
+                        <td style="white-space:normal; word-break:break-word;">
+                            <span class="bank-details-text" data-id="${withdrawal.id}">${withdrawal.bank_details || 'N/A'}</span>
+                            ${withdrawal.bank_details && canRevealBank ? `<button class="btn btn-secondary reveal-bank" data-id="${withdrawal.id}" style="padding:4px 8px; margin-left:6px;">Reveal</button>` : ''}
+                        </td>
                         <td><span class="status-badge ${statusClass}">${withdrawal.status}</span></td>
                         <td>${formatDate(withdrawal.created_at)}</td>
                         <td>
@@ -443,112 +985,6 @@ const loadWithdrawals = async () => {
     }
 };
 
-// Load channels
-const loadChannels = async () => {
-    try {
-        const data = await apiCall('/api/admin/channels');
-        
-        let channelsHtml = `
-            <div class="table-container table-scroll">
-                <table class="table">
-                    <thead>
-                        <tr>
-                            <th>Name</th>
-                            <th>Username/ID</th>
-                            <th>Points</th>
-                            <th>Status</th>
-                            <th>Actions</th>
-                        </tr>
-                    </thead>
-                    <tbody>
-        `;
-        
-        if (data.channels && data.channels.length > 0) {
-            data.channels.forEach(channel => {
-                channelsHtml += `
-                    <tr>
-                        <td>${channel.channel_name}</td>
-                        <td>${channel.channel_username}</td>
-                        <td>${channel.points_reward}</td>
-                        <td><span class="status-badge ${channel.is_active ? 'status-active' : 'status-inactive'}">${channel.is_active ? 'Active' : 'Inactive'}</span></td>
-                        <td>
-                            <button class="btn btn-secondary toggle-channel" data-id="${channel.id}" data-active="${channel.is_active ? '1' : '0'}">
-                                ${channel.is_active ? 'Disable' : 'Enable'}
-                            </button>
-                            <button class="btn btn-danger delete-channel" data-id="${channel.id}">Delete</button>
-                        </td>
-                    </tr>
-                `;
-            });
-        } else {
-            channelsHtml += '<tr><td colspan="5" style="text-align: center; opacity: 0.7;">No channels found</td></tr>';
-        }
-        
-        channelsHtml += `
-                    </tbody>
-                </table>
-            </div>
-        `;
-        
-        document.getElementById('channelsList').innerHTML = channelsHtml;
-    } catch (error) {
-        document.getElementById('channelsList').innerHTML = showError('Failed to load channels');
-    }
-};
-
-// Load groups
-const loadGroups = async () => {
-    try {
-        const data = await apiCall('/api/admin/groups');
-        
-        let groupsHtml = `
-            <div class="table-container table-scroll">
-                <table class="table">
-                    <thead>
-                        <tr>
-                            <th>Name</th>
-                            <th>Username/ID</th>
-                            <th>Points</th>
-                            <th>Status</th>
-                            <th>Actions</th>
-                        </tr>
-                    </thead>
-                    <tbody>
-        `;
-        
-        if (data.groups && data.groups.length > 0) {
-            data.groups.forEach(group => {
-                groupsHtml += `
-                    <tr>
-                        <td>${group.group_name}</td>
-                        <td>${group.group_username}</td>
-                        <td>${group.points_reward}</td>
-                        <td><span class="status-badge ${group.is_active ? 'status-active' : 'status-inactive'}">${group.is_active ? 'Active' : 'Inactive'}</span></td>
-                        <td>
-                            <button class="btn btn-secondary toggle-group" data-id="${group.id}" data-active="${group.is_active ? '1' : '0'}">
-                                ${group.is_active ? 'Disable' : 'Enable'}
-                            </button>
-                            <button class="btn btn-danger delete-group" data-id="${group.id}">Delete</button>
-                        </td>
-                    </tr>
-                `;
-            });
-        } else {
-            groupsHtml += '<tr><td colspan="5" style="text-align: center; opacity: 0.7;">No groups found</td></tr>';
-        }
-        
-        groupsHtml += `
-                    </tbody>
-                </table>
-            </div>
-        `;
-        
-        document.getElementById('groupsList').innerHTML = groupsHtml;
-    } catch (error) {
-        document.getElementById('groupsList').innerHTML = showError('Failed to load groups');
-    }
-};
-
 // Tab switching
 const switchTab = (tabName) => {
     // Hide all tabs
@@ -572,9 +1008,13 @@ const switchTab = (tabName) => {
             break;
         case 'config':
             loadConfiguration();
+            loadCurrencies();
+            loadLevels();
             break;
         case 'tasks':
             loadTasks();
+            loadTaskClaims();
+            loadTaskRejectReasons();
             break;
         case 'users':
             loadUsers();
@@ -582,18 +1022,10 @@ const switchTab = (tabName) => {
         case 'withdrawals':
             loadWithdrawals();
             break;
-        case 'channels':
-            loadChannels();
-            break;
-        case 'groups':
-            loadGroups();
-            break;
-        case 'social':
-            loadSocialTasks();
-            break;
         case 'ads':
             // Reuse configuration loader + load ads stats
             loadConfiguration();
+            loadPostbackLog();
             (async ()=>{
                 try {
                     const s = await apiCall('/api/admin/ads-stats');
@@ -619,14 +1051,506 @@ const switchTab = (tabName) => {
         case 'ledger':
             // no initial load
             break;
+        case 'reconciliation':
+            loadReconciliation();
+            break;
+        case 'transfers':
+            loadTransfers();
+            break;
+        case 'shop':
+            loadShopItems();
+            loadShopOrders();
+            break;
+        case 'configHistory':
+            loadConfigHistory();
+            break;
+        case 'admins':
+            loadAdmins();
+            break;
+    }
+};
+
+// Load rejected/duplicate Monetag postbacks
+async function loadPostbackLog() {
+    const body = document.getElementById('postbackLogBody');
+    if (!body) return;
+    const filter = document.getElementById('postbackLogFilter');
+    if (filter && !filter._bound) {
+        filter.addEventListener('change', loadPostbackLog);
+        filter._bound = true;
+    }
+    try {
+        const status = filter ? filter.value : '';
+        const data = await apiCall(`/api/admin/ads-postback-log?status=${encodeURIComponent(status)}`);
+        const rows = (data.entries || []).map(r => `
+            <tr>
+                <td>${formatDate(r.created_at)}</td>
+                <td><span class="status-badge ${r.status === 'duplicate' ? 'status-pending' : 'status-inactive'}">${r.status}</span></td>
+                <td>${escapeHtml(r.reason)}</td>
+                <td>${r.telegram_id || 'N/A'}</td>
+                <td style="word-break:break-all;">${escapeHtml(r.provider_txid)}</td>
+                <td>${escapeHtml(r.ip)}</td>
+            </tr>`);
+        body.innerHTML = rows.length ? rows.join('') : '<tr><td colspan="6" style="text-align:center; opacity:0.7;">No data</td></tr>';
+    } catch (error) {
+        body.innerHTML = `<tr><td colspan="6">${showError(error.message || 'Failed to load postback log')}</td></tr>`;
+    }
+}
+
+// Load config change history; the first row of each change offers a rollback to that snapshot
+async function loadConfigHistory() {
+    const body = document.getElementById('configHistoryBody');
+    if (!body) return;
+    const form = document.getElementById('configHistoryForm');
+    if (form && !form._bound) {
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            loadConfigHistory();
+        });
+        form._bound = true;
+    }
+    const value = (id) => (document.getElementById(id) || {}).value || '';
+    const params = new URLSearchParams();
+    if (value('configHistoryGroup')) params.set('group', value('configHistoryGroup'));
+    if (value('configHistoryAdmin')) params.set('admin', value('configHistoryAdmin'));
+    if (value('configHistoryKey').trim()) params.set('key', value('configHistoryKey').trim());
+    if (value('configHistoryFrom')) params.set('from', value('configHistoryFrom'));
+    if (value('configHistoryTo')) params.set('to', value('configHistoryTo') + ' 23:59:59');
+    try {
+        const data = await apiCall(`/api/admin/config-history?${params.toString()}`);
+        const groupSelect = document.getElementById('configHistoryGroup');
+        if (groupSelect && groupSelect.options.length <= 1) {
+            groupSelect.innerHTML += (data.groups || []).map(g => `<option value="${g}">${g}</option>`).join('');
+        }
+        const seen = new Set();
+        const rows = (data.entries || []).map(r => {
+            const first = !seen.has(r.change_id);
+            seen.add(r.change_id);
+            const fmt = (v) => v === null || v === undefined ? '<span style="opacity:0.6;">(unset)</span>' : escapeHtml(v.length > 120 ? v.slice(0, 120) + '…' : v);
+            return `
+            <tr>
+                <td>${formatDate(r.created_at)}</td>
+                <td>${escapeHtml(r.config_group)}</td>
+                <td>${escapeHtml(r.config_key)}</td>
+                <td style="word-break:break-all;">${fmt(r.old_value)}</td>
+                <td style="word-break:break-all;">${fmt(r.new_value)}</td>
+                <td>${r.admin_telegram_id || 'N/A'}</td>
+                <td>${r.action === 'rollback' ? '<span class="status-badge status-pending">rollback</span>' : ''}
+                    ${first ? `<button class="btn btn-secondary rollback-config" data-group="${escapeHtml(r.config_group)}" data-change="${escapeHtml(r.change_id)}">Roll back to here</button>` : ''}</td>
+            </tr>`;
+        });
+        body.innerHTML = rows.length ? rows.join('') : '<tr><td colspan="7" style="text-align:center; opacity:0.7;">No data</td></tr>';
+    } catch (error) {
+        body.innerHTML = `<tr><td colspan="7">${showError(error.message || 'Failed to load config history')}</td></tr>`;
+    }
+}
+
+document.addEventListener('click', async (e) => {
+    const rollbackBtn = e.target.closest('.rollback-config');
+    if (!rollbackBtn) return;
+    const group = rollbackBtn.getAttribute('data-group');
+    if (!confirm(`Restore the ${group} settings to this snapshot?`)) return;
+    try {
+        const res = await apiCall('/api/admin/config-history/rollback', {
+            method: 'POST',
+            body: JSON.stringify({ group, changeId: rollbackBtn.getAttribute('data-change') })
+        });
+        safeAlert(`✅ Restored ${(res.restored || []).length} setting(s)` + ((res.skipped || []).length ? `. Secrets were not changed.` : ''));
+        loadConfigHistory();
+    } catch (error) {
+        safeAlert('❌ ' + error.message);
+    }
+});
+
+// Balance reconciliation: pick a run (latest by default) and list its mismatches
+async function loadReconciliation(runId) {
+    const body = document.getElementById('reconciliationBody');
+    if (!body) return;
+    const select = document.getElementById('reconciliationRunSelect');
+    if (select && !select._bound) {
+        select.addEventListener('change', () => loadReconciliation(select.value));
+        select._bound = true;
+    }
+    const selectAll = document.getElementById('reconciliationSelectAll');
+    if (selectAll && !selectAll._bound) {
+        selectAll.addEventListener('change', () => {
+            document.querySelectorAll('.reconciliation-item:not(:disabled)').forEach(cb => { cb.checked = selectAll.checked; });
+        });
+        selectAll._bound = true;
+    }
+    try {
+        const { runs } = await apiCall('/api/admin/reconciliation/runs');
+        if (select) {
+            select.innerHTML = (runs || []).map(r => `<option value="${r.id}">#${r.id} • ${formatDate(r.created_at)} • ${r.mismatches} mismatch(es)</option>`).join('') || '<option value="">No runs yet</option>';
+            if (runId) select.value = String(runId);
+        }
+        const current = runId || (runs && runs[0] && runs[0].id);
+        if (!current) {
+            document.getElementById('reconciliationSummary').innerHTML = '';
+            body.innerHTML = '<tr><td colspan="8" style="text-align:center; opacity:0.7;">No data</td></tr>';
+            return;
+        }
+        const { run, items } = await apiCall(`/api/admin/reconciliation/runs/${current}`);
+        document.getElementById('reconciliationSummary').innerHTML = `Run #${run.id} • ${formatDate(run.created_at)} • Users checked: ${run.users_checked} • Mismatches: ${run.mismatches}`;
+        const signed = (n) => `${n > 0 ? '+' : ''}${formatNumber(n)}`;
+        const rows = (items || []).map(i => {
+            const d = i.details || {};
+            const notes = [];
+            if (d.noLedger) notes.push('No ledger entries');
+            (d.chainBreaks || []).forEach(b => notes.push(`Row #${b.id}: balance ${b.actual}, expected ${b.expected}`));
+            (d.unrecorded || []).forEach(u => notes.push(`${escapeHtml(u.type)} #${u.id} (${signed(u.points)}) not in ledger`));
+            const recent = (d.recent || []).map(r => `${formatDate(r.created_at)} ${escapeHtml(r.reason)} ${signed(r.delta)} → ${formatNumber(r.balance_after)}`).join('<br>');
+            const statusClass = i.status === 'applied' ? 'status-active' : (i.status === 'proposed' ? 'status-pending' : 'status-inactive');
+            return `
+            <tr>
+                <td><input type="checkbox" class="reconciliation-item" value="${i.id}" ${i.status === 'proposed' ? '' : 'disabled'}></td>
+                <td>${i.telegram_id}</td>
+                <td>${formatNumber(i.points)}</td>
+                <td>${formatNumber(i.ledger_points)}</td>
+                <td>${signed(i.points_drift)}</td>
+                <td>${signed(i.earned_drift)}</td>
+                <td>${notes.join('<br>')}${recent ? `<details><summary>Recent entries</summary>${recent}</details>` : ''}</td>
+                <td><span class="status-badge ${statusClass}">${escapeHtml(i.status)}${i.resolution ? ' • ' + escapeHtml(i.resolution) : ''}</span></td>
+            </tr>`;
+        });
+        body.innerHTML = rows.length ? rows.join('') : '<tr><td colspan="8" style="text-align:center; opacity:0.7;">No mismatches</td></tr>';
+    } catch (error) {
+        body.innerHTML = `<tr><td colspan="8">${showError(error.message || 'Failed to load reconciliation')}</td></tr>`;
+    }
+}
+
+document.addEventListener('click', async (e) => {
+    const runBtn = e.target.closest('#reconciliationRunBtn');
+    const applyBtn = e.target.closest('#reconciliationApplyBtn');
+    const dismissBtn = e.target.closest('#reconciliationDismissBtn');
+    if (!runBtn && !applyBtn && !dismissBtn) return;
+    const runId = (document.getElementById('reconciliationRunSelect') || {}).value;
+    try {
+        if (runBtn) {
+            showGlobalOverlay('Reconciling balances...');
+            try {
+                const res = await apiCall('/api/admin/reconciliation/run', { method: 'POST', timeoutMs: 120000 });
+                await loadReconciliation(res.run.id);
+            } finally {
+                hideGlobalOverlay();
+            }
+            return;
+        }
+        const itemIds = Array.from(document.querySelectorAll('.reconciliation-item:checked')).map(cb => parseInt(cb.value, 10));
+        if (!runId || !itemIds.length) { safeAlert('Select at least one item'); return; }
+        if (dismissBtn) {
+            const res = await apiCall(`/api/admin/reconciliation/runs/${runId}/dismiss`, { method: 'POST', body: JSON.stringify({ itemIds }) });
+            safeAlert(`Dismissed ${res.dismissed} item(s)`);
+        } else {
+            const resolution = document.getElementById('reconciliationResolution').value;
+            if (!confirm(`Apply ${itemIds.length} correction(s)?`)) return;
+            const res = await apiCallConfirmed(`/api/admin/reconciliation/runs/${runId}/apply`, { method: 'POST', body: JSON.stringify({ itemIds, resolution }) });
+            safeAlert(`✅ Applied ${(res.applied || []).length}` + ((res.stale || []).length ? `, ${res.stale.length} changed since the run (re-run to review)` : ''));
+        }
+        loadReconciliation(runId);
+    } catch (error) {
+        safeAlert('❌ ' + error.message);
+    }
+});
+
+// Point transfers: flagged ones first; admins can clear or set the flag and reverse a transfer
+async function loadTransfers() {
+    const body = document.getElementById('transfersBody');
+    if (!body) return;
+    const filter = (document.getElementById('transfersFilter') || {}).value || 'flagged';
+    const telegramId = (document.getElementById('transfersTelegramId') || {}).value || '';
+    const params = new URLSearchParams();
+    if (filter === 'flagged') params.set('flagged', 'true');
+    if (filter === 'completed' || filter === 'reversed') params.set('status', filter);
+    if (telegramId) params.set('telegramId', telegramId);
+    try {
+        const { transfers, flags } = await apiCall(`/api/admin/transfers?${params.toString()}`);
+        const who = (username, id) => username ? `@${escapeHtml(username)}<br><small>${id}</small>` : String(id);
+        const rows = (transfers || []).map(t => {
+            const flagText = (t.flagList || []).map(f => `<span title="${escapeHtml((flags && flags[f]) || f)}">⚠️ ${escapeHtml(f)}</span>`).join('<br>');
+            const statusClass = t.status === 'reversed' ? 'status-inactive' : (t.flagged ? 'status-pending' : 'status-active');
+            const reversal = t.status === 'reversed'
+                ? `<br><small>Recovered ${formatNumber(t.recovered_points || 0)}, refunded ${formatNumber(t.refunded_points || 0)}${t.reverse_reason ? ' • ' + escapeHtml(t.reverse_reason) : ''}</small>`
+                : '';
+            const actions = t.status === 'completed' ? `
+                <button class="btn btn-secondary transfer-flag-btn" data-id="${t.id}" style="padding:4px 8px;" data-flagged="${t.flagged ? '0' : '1'}">${t.flagged ? 'Clear Flag' : 'Flag'}</button>
+                <button class="btn btn-danger transfer-reverse-btn" data-id="${t.id}" style="padding:4px 8px;">Reverse</button>` : '';
+            return `
+            <tr>
+                <td>${t.id}</td>
+                <td>${formatDate(t.created_at)}</td>
+                <td>${who(t.sender_username, t.sender_telegram_id)}</td>
+                <td>${who(t.recipient_username, t.recipient_telegram_id)}</td>
+                <td>${formatNumber(t.amount)}${t.note ? `<br><small>${escapeHtml(t.note)}</small>` : ''}</td>
+                <td>${formatNumber(t.fee)}</td>
+                <td>${flagText || '-'}</td>
+                <td><span class="status-badge ${statusClass}">${escapeHtml(t.status)}${t.flagged ? ' • flagged' : ''}</span>${reversal}</td>
+                <td>${actions}</td>
+            </tr>`;
+        });
+        body.innerHTML = rows.length ? rows.join('') : '<tr><td colspan="9" style="text-align:center; opacity:0.7;">No transfers</td></tr>';
+    } catch (error) {
+        body.innerHTML = `<tr><td colspan="9">${showError(error.message || 'Failed to load transfers')}</td></tr>`;
+    }
+}
+
+document.addEventListener('change', (e) => {
+    if (e.target.id === 'transfersFilter') loadTransfers();
+});
+
+document.addEventListener('click', async (e) => {
+    const refreshBtn = e.target.closest('#transfersRefreshBtn');
+    const flagBtn = e.target.closest('.transfer-flag-btn');
+    const reverseBtn = e.target.closest('.transfer-reverse-btn');
+    if (!refreshBtn && !flagBtn && !reverseBtn) return;
+    try {
+        if (flagBtn) {
+            await apiCall(`/api/admin/transfers/${flagBtn.getAttribute('data-id')}/flag`, {
+                method: 'POST',
+                body: JSON.stringify({ flagged: flagBtn.getAttribute('data-flagged') === '1' })
+            });
+        } else if (reverseBtn) {
+            const id = reverseBtn.getAttribute('data-id');
+            const reason = prompt(`Reason for reversing transfer #${id}:`);
+            if (reason === null) return;
+            const refundSender = confirm('Return the recovered points and the fee to the sender?\n\nChoose Cancel for farm accounts (the sender gets nothing back).');
+            const res = await apiCallConfirmed(`/api/admin/transfers/${id}/reverse`, {
+                method: 'POST',
+                body: JSON.stringify({ reason, refundSender })
+            });
+            safeAlert(`✅ Reversed. Recovered ${formatNumber(res.recovered || 0)} points, refunded ${formatNumber(res.refunded || 0)}.`);
+        }
+        loadTransfers();
+    } catch (error) {
+        safeAlert('❌ ' + error.message);
+    }
+});
+
+// Redemption shop: catalog (with code stock), code uploads and order fulfilment
+let shopItemsCache = [];
+async function loadShopItems() {
+    const body = document.getElementById('shopItemsBody');
+    if (!body) return;
+    try {
+        const { items } = await apiCall('/api/admin/shop/items');
+        shopItemsCache = items || [];
+        body.innerHTML = shopItemsCache.map(i => `
+            <tr>
+                <td>${escapeHtml(i.name)}${i.description ? `<br><small>${escapeHtml(i.description)}</small>` : ''}</td>
+                <td>${escapeHtml(i.item_type)}</td>
+                <td>${formatNumber(i.points_price)}</td>
+                <td>${i.available == null ? 'unlimited' : formatNumber(i.available)}${i.item_type === 'code' ? `<br><small>${formatNumber(i.codes_assigned || 0)} handed out</small>` : ''}</td>
+                <td>${i.per_user_limit > 0 ? i.per_user_limit : '—'}</td>
+                <td>${formatNumber(i.open_orders || 0)}</td>
+                <td><span class="status-badge ${i.is_active ? 'status-active' : 'status-inactive'}">${i.is_active ? 'Active' : 'Hidden'}</span></td>
+                <td>
+                    <button class="btn btn-secondary edit-shop-item" data-id="${i.id}" style="padding:4px 8px;">Edit</button>
+                    <button class="btn btn-secondary toggle-shop-item" data-id="${i.id}" data-active="${i.is_active ? '0' : '1'}" style="padding:4px 8px;">${i.is_active ? 'Hide' : 'Show'}</button>
+                    ${i.item_type === 'code' && i.available > 0 ? `<button class="btn btn-danger clear-shop-codes" data-id="${i.id}" style="padding:4px 8px;">Remove Unused Codes</button>` : ''}
+                </td>
+            </tr>
+        `).join('') || '<tr><td colspan="8" style="text-align:center; opacity:0.7;">No items yet</td></tr>';
+        const select = document.getElementById('shopCodesItem');
+        if (select) {
+            const current = select.value;
+            select.innerHTML = shopItemsCache.filter(i => i.item_type === 'code')
+                .map(i => `<option value="${i.id}">${escapeHtml(i.name)} (${formatNumber(i.available)} left)</option>`).join('') || '<option value="">No code items</option>';
+            if (current) select.value = current;
+        }
+    } catch (error) {
+        body.innerHTML = `<tr><td colspan="8">${showError(error.message || 'Failed to load shop items')}</td></tr>`;
+    }
+}
+
+async function loadShopOrders() {
+    const body = document.getElementById('shopOrdersBody');
+    if (!body) return;
+    const filter = (document.getElementById('shopOrdersFilter') || {}).value || 'open';
+    try {
+        const { orders } = await apiCall(`/api/admin/shop/orders${filter === 'all' ? '' : `?status=${encodeURIComponent(filter)}`}`);
+        const labels = { processing: 'Processing', fulfilled: 'Fulfil', cancelled: 'Cancel & Refund', refunded: 'Refund' };
+        const rows = (orders || []).map(o => {
+            const statusClass = o.status === 'fulfilled' ? 'status-active' : (['pending', 'processing'].includes(o.status) ? 'status-pending' : 'status-inactive');
+            const delivery = o.delivery_pending
+                ? (o.delivery_attempts > 0 ? `Failed ${o.delivery_attempts}x` : 'Queued')
+                : (o.delivered_at ? `Sent ${formatDate(o.delivered_at)}` : '—');
+            const actions = (o.nextStatuses || []).map(next => `
+                <button class="btn ${next === 'cancelled' || next === 'refunded' ? 'btn-danger' : 'btn-primary'} shop-order-status" data-id="${o.id}" data-status="${next}" style="padding:4px 8px;">${labels[next] || next}</button>`).join('');
+            return `
+            <tr>
+                <td>${o.id}</td>
+                <td>${formatDate(o.created_at)}</td>
+                <td>${o.username ? '@' + escapeHtml(o.username) + '<br>' : ''}<small>${o.telegram_id}</small></td>
+                <td>${escapeHtml(o.item_name)}<br><small>${escapeHtml(o.item_type)}</small></td>
+                <td>${formatNumber(o.points_price)}</td>
+                <td><span class="status-badge ${statusClass}">${escapeHtml(o.status)}</span>${o.admin_note ? `<br><small>${escapeHtml(o.admin_note)}</small>` : ''}</td>
+                <td>${delivery}</td>
+                <td>
+                    ${actions}
+                    <button class="btn btn-secondary shop-order-resend" data-id="${o.id}" style="padding:4px 8px;">Resend</button>
+                    <button class="btn btn-secondary shop-order-history" data-id="${o.id}" style="padding:4px 8px;">History</button>
+                </td>
+            </tr>`;
+        });
+        body.innerHTML = rows.length ? rows.join('') : '<tr><td colspan="8" style="text-align:center; opacity:0.7;">No orders</td></tr>';
+    } catch (error) {
+        body.innerHTML = `<tr><td colspan="8">${showError(error.message || 'Failed to load orders')}</td></tr>`;
+    }
+}
+
+function resetShopItemForm() {
+    const form = document.getElementById('shopItemForm');
+    if (!form) return;
+    form.reset();
+    document.getElementById('shopItemId').value = '';
+    document.getElementById('shopItemActive').checked = true;
+}
+
+document.addEventListener('change', (e) => {
+    if (e.target.id === 'shopOrdersFilter') loadShopOrders();
+});
+
+document.addEventListener('click', async (e) => {
+    const editBtn = e.target.closest('.edit-shop-item');
+    const toggleBtn = e.target.closest('.toggle-shop-item');
+    const clearBtn = e.target.closest('.clear-shop-codes');
+    const resetBtn = e.target.closest('#shopItemResetBtn');
+    const refreshBtn = e.target.closest('#shopOrdersRefreshBtn');
+    const statusBtn = e.target.closest('.shop-order-status');
+    const resendBtn = e.target.closest('.shop-order-resend');
+    const historyBtn = e.target.closest('.shop-order-history');
+    if (!editBtn && !toggleBtn && !clearBtn && !resetBtn && !refreshBtn && !statusBtn && !resendBtn && !historyBtn) return;
+    try {
+        if (editBtn) {
+            const item = shopItemsCache.find(i => String(i.id) === editBtn.getAttribute('data-id'));
+            if (!item) return;
+            document.getElementById('shopItemId').value = item.id;
+            document.getElementById('shopItemName').value = item.name;
+            document.getElementById('shopItemType').value = item.item_type;
+            document.getElementById('shopItemDescription').value = item.description || '';
+            document.getElementById('shopItemPrice').value = item.points_price;
+            document.getElementById('shopItemStock').value = item.stock != null ? item.stock : '';
+            document.getElementById('shopItemPerUserLimit').value = item.per_user_limit || 0;
+            document.getElementById('shopItemSortOrder').value = item.sort_order || 0;
+            document.getElementById('shopItemActive').checked = !!item.is_active;
+            document.getElementById('shopItemForm').scrollIntoView({ behavior: 'smooth', block: 'center' });
+            return;
+        }
+        if (resetBtn) {
+            resetShopItemForm();
+            return;
+        }
+        if (toggleBtn) {
+            await apiCall(`/api/admin/shop/items/${toggleBtn.getAttribute('data-id')}/active`, {
+                method: 'POST',
+                body: JSON.stringify({ active: toggleBtn.getAttribute('data-active') === '1' })
+            });
+            loadShopItems();
+            return;
+        }
+        if (clearBtn) {
+            if (!confirm('Remove every code of this item that has not been handed out yet?')) return;
+            const res = await apiCall(`/api/admin/shop/items/${clearBtn.getAttribute('data-id')}/codes`, { method: 'DELETE' });
+            safeAlert(`Removed ${res.removed} code(s)`);
+            loadShopItems();
+            return;
+        }
+        if (historyBtn) {
+            const { events } = await apiCall(`/api/admin/shop/orders/${historyBtn.getAttribute('data-id')}/events`);
+            safeAlert((events || []).map(ev => `${formatDate(ev.created_at)}: ${ev.from_status || 'new'} → ${ev.to_status}${ev.note ? ' (' + ev.note + ')' : ''}`).join('\n') || 'No history');
+            return;
+        }
+        if (statusBtn) {
+            const status = statusBtn.getAttribute('data-status');
+            const prompts = {
+                processing: 'Optional note for the user:',
+                fulfilled: 'Note for the user (e.g. the voucher PIN or how to claim the perk):',
+                cancelled: 'Reason (sent to the user; points are refunded):',
+                refunded: 'Reason (sent to the user; points are refunded, the code is voided):'
+            };
+            const note = prompt(prompts[status] || 'Note:');
+            if (note === null) return;
+            await apiCall(`/api/admin/shop/orders/${statusBtn.getAttribute('data-id')}/status`, {
+                method: 'POST',
+                body: JSON.stringify({ status, note: note.trim() || null })
+            });
+            loadShopItems();
+        }
+        if (resendBtn) {
+            await apiCall(`/api/admin/shop/orders/${resendBtn.getAttribute('data-id')}/resend`, { method: 'POST' });
+            safeAlert('Queued; the bot sends it within a minute.');
+        }
+        loadShopOrders();
+    } catch (error) {
+        safeAlert('❌ ' + error.message);
     }
-};
+});
+
+// Load admins (owner only)
+async function loadAdmins() {
+    const body = document.getElementById('adminsTableBody');
+    if (!body) return;
+    try {
+        const data = await apiCall('/api/admin/admins');
+        const select = document.getElementById('newAdminRole');
+        if (select && !select.options.length) {
+            select.innerHTML = (data.roles || []).map(r => `<option value="${r}">${r}</option>`).join('');
+        }
+        const rows = (data.admins || []).map(a => `
+            <tr>
+                <td>${a.telegram_id}</td>
+                <td>${a.username ? '@' + escapeHtml(a.username) : 'N/A'}</td>
+                <td>${a.role}${a.bootstrap ? ' (env)' : ''}</td>
+                <td>${a.bootstrap || String(a.telegram_id) === String(userId) ? '' : `<button class="btn btn-danger remove-admin" data-id="${a.telegram_id}">Remove</button>`}</td>
+            </tr>`);
+        body.innerHTML = rows.length ? rows.join('') : '<tr><td colspan="4" style="text-align:center; opacity:0.7;">No admins</td></tr>';
+    } catch (error) {
+        body.innerHTML = `<tr><td colspan="4">${showError(error.message || 'Failed to load admins')}</td></tr>`;
+    }
+    const form = document.getElementById('addAdminForm');
+    if (form && !form._bound) {
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const payload = {
+                telegramId: parseInt(document.getElementById('newAdminId').value, 10),
+                username: document.getElementById('newAdminUsername').value.trim() || null,
+                role: document.getElementById('newAdminRole').value
+            };
+            try {
+                await apiCall('/api/admin/admins', { method: 'POST', body: JSON.stringify(payload) });
+                safeAlert('✅ Admin saved');
+                form.reset();
+                loadAdmins();
+            } catch (err) {
+                safeAlert('❌ ' + (err.message || 'Failed to save admin'));
+            }
+        });
+        form._bound = true;
+    }
+}
+
+document.addEventListener('click', async (e) => {
+    const removeAdminBtn = e.target.closest('.remove-admin');
+    if (!removeAdminBtn) return;
+    const id = removeAdminBtn.getAttribute('data-id');
+    if (!confirm('Remove this admin?')) return;
+    try {
+        await apiCall(`/api/admin/admins/${id}`, { method: 'DELETE' });
+        safeAlert('✅ Admin removed');
+        loadAdmins();
+    } catch (error) {
+        safeAlert('❌ ' + error.message);
+    }
+});
 
 // Form submissions
 document.addEventListener('DOMContentLoaded', async () => {
     // Check admin status first
     const adminCheck = await checkAdminStatus();
     if (!adminCheck) return;
+
+    const logoutBtn = document.getElementById('adminLogoutBtn');
+    if (logoutBtn) logoutBtn.addEventListener('click', adminLogout);
     
     // Tab switching
     document.querySelectorAll('.admin-tab').forEach(tab => {
@@ -667,9 +1591,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             minWithdrawal: parseInt(document.getElementById('minWithdrawal').value),
             maxWithdrawal: parseInt(document.getElementById('maxWithdrawal').value),
             withdrawalFee: parseFloat(document.getElementById('withdrawalFee').value),
-            bankEditFee: parseInt(document.getElementById('bankEditFee').value),
-            currencySymbol: (document.getElementById('currencySymbol')?.value || '₦'),
-            pointToCurrencyRate: parseFloat(document.getElementById('pointToCurrencyRate')?.value || '1')
+            bankEditFee: parseInt(document.getElementById('bankEditFee').value)
         };
         
         try {
@@ -711,6 +1633,235 @@ document.addEventListener('DOMContentLoaded', async () => {
             tg.showAlert('❌ ' + error.message);
         }
     });
+
+    // Payout currency form (create or update by code)
+    document.getElementById('currencyForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        
+        const formData = {
+            code: document.getElementById('currencyCode').value.trim().toUpperCase(),
+            name: document.getElementById('currencyName').value.trim(),
+            symbol: document.getElementById('currencySymbol').value.trim(),
+            rate: parseFloat(document.getElementById('currencyRate').value),
+            paystackType: document.getElementById('currencyPaystackType').value,
+            enabled: !!document.getElementById('currencyEnabled').checked
+        };
+        
+        try {
+            await apiCall('/api/admin/currencies', {
+                method: 'POST',
+                body: JSON.stringify(formData)
+            });
+            
+            tg.showAlert(`✅ ${formData.code} saved successfully!`);
+            loadCurrencies();
+        } catch (error) {
+            tg.showAlert('❌ ' + error.message);
+        }
+    });
+    
+    // Daily login streak form
+    document.getElementById('streakConfigForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        
+        const formData = {
+            rewards: document.getElementById('streakRewards').value,
+            afterCycle: document.getElementById('streakAfterCycle').value,
+            escalateStep: parseInt(document.getElementById('streakEscalateStep').value),
+            dayStartHour: parseInt(document.getElementById('streakDayStartHour').value),
+            freezeEnabled: !!document.getElementById('streakFreezeEnabled')?.checked,
+            freezeCost: parseInt(document.getElementById('streakFreezeCost').value),
+            freezeMax: parseInt(document.getElementById('streakFreezeMax').value)
+        };
+        
+        try {
+            await apiCall('/api/admin/config/streaks', {
+                method: 'POST',
+                body: JSON.stringify(formData)
+            });
+            
+            tg.showAlert('✅ Streak configuration saved successfully!');
+        } catch (error) {
+            tg.showAlert('❌ ' + error.message);
+        }
+    });
+    
+    // Point transfer form
+    document.getElementById('transferConfigForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        
+        const formData = {
+            enabled: !!document.getElementById('transfersEnabled')?.checked,
+            feePct: parseFloat(document.getElementById('transferFeePct').value),
+            minAmount: parseInt(document.getElementById('transferMinAmount').value),
+            dailyLimit: parseInt(document.getElementById('transferDailyLimit').value),
+            dailyCount: parseInt(document.getElementById('transferDailyCount').value),
+            receiveDailyLimit: parseInt(document.getElementById('transferReceiveDailyLimit').value),
+            minAccountAgeDays: parseInt(document.getElementById('transferMinAccountAgeDays').value),
+            fanInSenders: parseInt(document.getElementById('transferFanInSenders').value)
+        };
+        
+        try {
+            await apiCall('/api/admin/config/transfers', {
+                method: 'POST',
+                body: JSON.stringify(formData)
+            });
+            
+            tg.showAlert('✅ Transfer configuration saved successfully!');
+        } catch (error) {
+            tg.showAlert('❌ ' + error.message);
+        }
+    });
+    
+    // Join re-verification form
+    document.getElementById('clawbackConfigForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        
+        const formData = {
+            enabled: !!document.getElementById('joinClawbackEnabled')?.checked,
+            holdingDays: parseInt(document.getElementById('joinHoldingDays').value),
+            sampleSize: parseInt(document.getElementById('joinCheckSampleSize').value),
+            recheckHours: parseInt(document.getElementById('joinRecheckHours').value)
+        };
+        
+        try {
+            await apiCall('/api/admin/config/clawback', {
+                method: 'POST',
+                body: JSON.stringify(formData)
+            });
+            
+            tg.showAlert('✅ Re-verification configuration saved successfully!');
+        } catch (error) {
+            tg.showAlert('❌ ' + error.message);
+        }
+    });
+    
+    // Level settings form
+    document.getElementById('levelConfigForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        
+        const formData = {
+            basis: document.getElementById('levelBasis').value,
+            xpPerActivity: parseInt(document.getElementById('xpPerActivity').value)
+        };
+        
+        try {
+            await apiCall('/api/admin/config/levels', {
+                method: 'POST',
+                body: JSON.stringify(formData)
+            });
+            
+            tg.showAlert('✅ Level settings saved successfully!');
+            loadLevels();
+        } catch (error) {
+            tg.showAlert('❌ ' + error.message);
+        }
+    });
+    
+    // Shop item form (no id = new item)
+    document.getElementById('shopItemForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        
+        const stock = document.getElementById('shopItemStock').value.trim();
+        const formData = {
+            id: parseInt(document.getElementById('shopItemId').value) || null,
+            name: document.getElementById('shopItemName').value.trim(),
+            itemType: document.getElementById('shopItemType').value,
+            description: document.getElementById('shopItemDescription').value.trim(),
+            pointsPrice: parseInt(document.getElementById('shopItemPrice').value),
+            stock: stock === '' ? null : parseInt(stock),
+            perUserLimit: parseInt(document.getElementById('shopItemPerUserLimit').value) || 0,
+            sortOrder: parseInt(document.getElementById('shopItemSortOrder').value) || 0,
+            isActive: !!document.getElementById('shopItemActive')?.checked
+        };
+        
+        try {
+            await apiCall('/api/admin/shop/items', {
+                method: 'POST',
+                body: JSON.stringify(formData)
+            });
+            
+            tg.showAlert(`✅ ${formData.name} saved successfully!`);
+            resetShopItemForm();
+            loadShopItems();
+        } catch (error) {
+            tg.showAlert('❌ ' + error.message);
+        }
+    });
+    
+    // Bulk code upload for a code item
+    document.getElementById('shopCodesForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        
+        const itemId = document.getElementById('shopCodesItem').value;
+        if (!itemId) {
+            tg.showAlert('❌ Create a code item first');
+            return;
+        }
+        
+        try {
+            const res = await apiCall(`/api/admin/shop/items/${itemId}/codes`, {
+                method: 'POST',
+                body: JSON.stringify({ codes: document.getElementById('shopCodesText').value })
+            });
+            
+            tg.showAlert(`✅ Added ${res.added} code(s)` + (res.duplicates ? `, skipped ${res.duplicates} duplicate(s)` : ''));
+            document.getElementById('shopCodesText').value = '';
+            loadShopItems();
+        } catch (error) {
+            tg.showAlert('❌ ' + error.message);
+        }
+    });
+    
+    // Level form (create or update by level number)
+    document.getElementById('levelForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        
+        const fee = document.getElementById('levelWithdrawalFee').value.trim();
+        const formData = {
+            level: parseInt(document.getElementById('levelNumber').value),
+            name: document.getElementById('levelName').value.trim(),
+            threshold: parseInt(document.getElementById('levelThreshold').value),
+            extraDailyClaims: parseInt(document.getElementById('levelExtraClaims').value) || 0,
+            claimMultiplier: parseFloat(document.getElementById('levelClaimMultiplier').value) || 1,
+            withdrawalFeePct: fee === '' ? null : parseFloat(fee)
+        };
+        
+        try {
+            await apiCall('/api/admin/levels', {
+                method: 'POST',
+                body: JSON.stringify(formData)
+            });
+            
+            tg.showAlert(`✅ Level ${formData.level} saved successfully!`);
+            document.getElementById('levelForm').reset();
+            loadLevels();
+        } catch (error) {
+            tg.showAlert('❌ ' + error.message);
+        }
+    });
+    
+    // Points expiry form
+    document.getElementById('expiryConfigForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        
+        const formData = {
+            enabled: !!document.getElementById('pointsExpiryEnabled')?.checked,
+            days: parseInt(document.getElementById('pointsExpiryDays').value),
+            warningDays: document.getElementById('pointsExpiryWarningDays').value
+        };
+        
+        try {
+            await apiCall('/api/admin/config/expiry', {
+                method: 'POST',
+                body: JSON.stringify(formData)
+            });
+            
+            tg.showAlert('✅ Expiry configuration saved successfully!');
+        } catch (error) {
+            tg.showAlert('❌ ' + error.message);
+        }
+    });
     
     // Support configuration form
     document.getElementById('supportConfigForm').addEventListener('submit', async (e) => {
@@ -737,10 +1888,15 @@ document.addEventListener('DOMContentLoaded', async () => {
     const payoutForm = document.getElementById('paystackConfigForm');
     if (payoutForm) payoutForm.addEventListener('submit', async (e) => {
         e.preventDefault();
-        const payload = { enabled: !!document.getElementById('paystackEnabled')?.checked, secret: document.getElementById('paystackSecret')?.value || '' };
+        const payload = {
+            enabled: !!document.getElementById('paystackEnabled')?.checked,
+            secret: document.getElementById('paystackSecret')?.value || '',
+            clearSecret: !!document.getElementById('paystackSecretClear')?.checked
+        };
         try {
             await apiCall('/api/admin/config/paystack', { method: 'POST', body: JSON.stringify(payload) });
             tg.showAlert('✅ Paystack configuration saved successfully!');
+            loadConfiguration();
         } catch (err) {
             tg.showAlert('❌ ' + (err.message || 'Failed to save Paystack config'));
         }
@@ -757,11 +1913,18 @@ document.addEventListener('DOMContentLoaded', async () => {
                 fixedRewardPoints: parseInt(document.getElementById('adsFixedRewardPoints')?.value || '0'),
                 sdkSnippet: document.getElementById('adsSdkSnippet')?.value || '',
                 zoneId: document.getElementById('adsZoneId')?.value || '',
-                appId: document.getElementById('adsAppId')?.value || ''
+                appId: document.getElementById('adsAppId')?.value || '',
+                postbackIpAllowlist: document.getElementById('adsPostbackIpAllowlist')?.value || '',
+                scriptOrigins: document.getElementById('adsScriptOrigins')?.value || '',
+                postbackToken: document.getElementById('monetagPostbackToken')?.value || '',
+                postbackHmacSecret: document.getElementById('monetagPostbackHmacSecret')?.value || '',
+                clearPostbackToken: !!document.getElementById('monetagPostbackTokenClear')?.checked,
+                clearPostbackHmacSecret: !!document.getElementById('monetagPostbackHmacSecretClear')?.checked
             };
             try {
                 await apiCall('/api/admin/config/monetag', { method: 'POST', body: JSON.stringify(payload) });
                 tg.showAlert('✅ Monetag configuration saved successfully!');
+                loadConfiguration();
             } catch (err) {
                 tg.showAlert('❌ ' + (err.message || 'Failed to save Monetag config'));
             }
@@ -781,82 +1944,49 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     });
     
-    // Add channel form
-    document.getElementById('addChannelForm').addEventListener('submit', async (e) => {
-        e.preventDefault();
-        
-        const formData = {
-            channelName: document.getElementById('channelName').value,
-            channelUsername: document.getElementById('channelUsername').value,
-            pointsReward: parseInt(document.getElementById('channelPoints').value),
-            description: document.getElementById('channelDescription').value
-        };
-        
-        try {
-            await apiCall('/api/admin/channels', {
-                method: 'POST',
-                body: JSON.stringify(formData)
-            });
-            
-            tg.showAlert('✅ Channel added successfully!');
-            document.getElementById('addChannelForm').reset();
-            loadTasks();
-        } catch (error) {
-            tg.showAlert('❌ ' + error.message);
-        }
-    });
-    
-    // Add group form
-    document.getElementById('addGroupForm').addEventListener('submit', async (e) => {
+    // Task form (no id = new task); verifier settings come from the fields rendered for the chosen verifier
+    document.getElementById('taskForm').addEventListener('submit', async (e) => {
         e.preventDefault();
         
+        const config = {};
+        document.querySelectorAll('#taskConfigFields .task-config-field').forEach(el => {
+            config[el.getAttribute('data-key')] = el.value;
+        });
         const formData = {
-            groupName: document.getElementById('groupName').value,
-            groupUsername: document.getElementById('groupUsername').value,
-            pointsReward: parseInt(document.getElementById('groupPoints').value),
-            description: document.getElementById('groupDescription').value
+            id: parseInt(document.getElementById('taskId').value) || null,
+            type: document.getElementById('taskType').value.trim(),
+            title: document.getElementById('taskTitle').value.trim(),
+            link: document.getElementById('taskLink').value.trim(),
+            description: document.getElementById('taskDescription').value.trim(),
+            pointsReward: parseInt(document.getElementById('taskPoints').value),
+            minLevel: parseInt(document.getElementById('taskMinLevel').value) || 0,
+            sortOrder: parseInt(document.getElementById('taskSortOrder').value) || 0,
+            startAt: fromLocalInput(document.getElementById('taskStartAt').value),
+            endAt: fromLocalInput(document.getElementById('taskEndAt').value),
+            maxCompletions: document.getElementById('taskMaxCompletions').value.trim() || null,
+            pointsBudget: document.getElementById('taskPointsBudget').value.trim() || null,
+            verifier: document.getElementById('taskVerifier').value,
+            config,
+            isActive: !!document.getElementById('taskActive')?.checked
         };
         
         try {
-            await apiCall('/api/admin/groups', {
+            await apiCall('/api/admin/tasks', {
                 method: 'POST',
                 body: JSON.stringify(formData)
             });
             
-            tg.showAlert('✅ Group added successfully!');
-            document.getElementById('addGroupForm').reset();
+            tg.showAlert(`✅ ${formData.title} saved successfully!`);
+            resetTaskForm();
             loadTasks();
         } catch (error) {
             tg.showAlert('❌ ' + error.message);
         }
     });
-    
-    // Add social task form
-    const addSocialForm = document.getElementById('addSocialTaskForm');
-    if (addSocialForm) {
-        addSocialForm.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            const formData = {
-                platform: document.getElementById('socialPlatform').value,
-                taskName: document.getElementById('socialTaskName').value,
-                taskLink: document.getElementById('socialTaskLink').value,
-                pointsReward: parseInt(document.getElementById('socialTaskPoints').value),
-                description: document.getElementById('socialTaskDescription').value
-            };
-            try {
-                await apiCall('/api/admin/social-tasks', { method: 'POST', body: JSON.stringify(formData) });
-                tg.showAlert('✅ Social task added!');
-                addSocialForm.reset();
-                loadSocialTasks();
-            } catch (err) {
-                tg.showAlert('❌ ' + (err.message || 'Failed to add social task'));
-            }
-        });
-    }
 
     // Initial tab
-    // Load initial dashboard
-    loadDashboard();
+    const firstTab = (adminProfile && adminProfile.tabs && adminProfile.tabs[0]) || 'dashboard';
+    switchTab(firstTab);
     // Bind search for users tab
     const search = document.getElementById('userSearchInput');
     if (search && !search._bound) {
@@ -916,15 +2046,17 @@ document.addEventListener('DOMContentLoaded', async () => {
                 const res = await apiCall('/api/admin/user-ledger', { method: 'POST', body: JSON.stringify({ targetTelegramId: parseInt(tgId, 10) }) });
                 const u = res.user || {};
                 const sum = res.total_points_listed || 0;
-                document.getElementById('ledgerSummary').innerHTML = `User: @${u.username || 'N/A'} (${u.telegram_id}) • Balance: ${u.points} • Total Earned (DB): ${u.total_points_earned} • Listed Sum: ${sum} • Entries: ${res.count || 0}`;
+                document.getElementById('ledgerSummary').innerHTML = `User: @${escapeHtml(u.username || 'N/A')} (${u.telegram_id}) • Balance: ${u.points} • Total Earned (DB): ${u.total_points_earned} • Listed Sum: ${sum} • Entries: ${res.count || 0}`;
                 const body = document.getElementById('ledgerTableBody');
                 const rows = (res.ledger || []).map(r => `
                     <tr>
-                        <td>${r.source}</td>
-                        <td>${formatNumber(r.points)}</td>
+                        <td>${escapeHtml(r.source)}${r.backfilled ? ' <span class="status-badge status-pending">backfilled</span>' : ''}</td>
+                        <td>${r.points > 0 ? '+' : ''}${formatNumber(r.points)}</td>
+                        <td>${formatNumber(r.balance_after)}</td>
+                        <td>${r.reference_type ? escapeHtml(r.reference_type + ' #' + r.reference_id) : '-'}</td>
                         <td>${formatDate(r.earned_at)}</td>
                     </tr>`);
-                body.innerHTML = rows.length ? rows.join('') : '<tr><td colspan="3" style="text-align:center; opacity:0.7;">No data</td></tr>';
+                body.innerHTML = rows.length ? rows.join('') : '<tr><td colspan="5" style="text-align:center; opacity:0.7;">No data</td></tr>';
             } catch (err) {
                 document.getElementById('ledgerSummary').innerHTML = showError(err.message || 'Failed to load ledger');
             } finally {
@@ -958,89 +2090,6 @@ async function loadOnboarding() {
     }
 }
 
-// Action functions (to be called from onclick handlers)
-// Delegate clicks for Channels/Groups actions
-document.addEventListener('click', async (e) => {
-    const toggleChannel = e.target.closest('.toggle-channel');
-    if (toggleChannel) {
-        const id = toggleChannel.getAttribute('data-id');
-        try {
-            await apiCall(`/api/admin/channels/${id}/toggle`, { method: 'POST' });
-            if (tg && tg.showAlert) tg.showAlert('✅ Channel status updated!'); else alert('Channel status updated');
-            loadTasks();
-            loadChannels();
-        } catch (error) {
-            if (tg && tg.showAlert) tg.showAlert('❌ ' + error.message); else alert(error.message || 'Error');
-        }
-        return;
-    }
-    const deleteChannelBtn = e.target.closest('.delete-channel');
-    if (deleteChannelBtn) {
-        const id = deleteChannelBtn.getAttribute('data-id');
-        if (!confirm('Are you sure you want to delete this channel?')) return;
-        try {
-            await apiCall(`/api/admin/channels/${id}`, { method: 'DELETE' });
-            if (tg && tg.showAlert) tg.showAlert('✅ Channel deleted!'); else alert('Channel deleted');
-            loadTasks();
-            loadChannels();
-        } catch (error) {
-            if (tg && tg.showAlert) tg.showAlert('❌ ' + error.message); else alert(error.message || 'Error');
-        }
-        return;
-    }
-    const toggleGroup = e.target.closest('.toggle-group');
-    if (toggleGroup) {
-        const id = toggleGroup.getAttribute('data-id');
-        try {
-            await apiCall(`/api/admin/groups/${id}/toggle`, { method: 'POST' });
-            if (tg && tg.showAlert) tg.showAlert('✅ Group status updated!'); else alert('Group status updated');
-            loadTasks();
-            loadGroups();
-        } catch (error) {
-            if (tg && tg.showAlert) tg.showAlert('❌ ' + error.message); else alert(error.message || 'Error');
-        }
-        return;
-    }
-    const deleteGroupBtn = e.target.closest('.delete-group');
-    if (deleteGroupBtn) {
-        const id = deleteGroupBtn.getAttribute('data-id');
-        if (!confirm('Are you sure you want to delete this group?')) return;
-        try {
-            await apiCall(`/api/admin/groups/${id}`, { method: 'DELETE' });
-            if (tg && tg.showAlert) tg.showAlert('✅ Group deleted!'); else alert('Group deleted');
-            loadTasks();
-            loadGroups();
-        } catch (error) {
-            if (tg && tg.showAlert) tg.showAlert('❌ ' + error.message); else alert(error.message || 'Error');
-        }
-    }
-    const toggleSocial = e.target.closest('.toggle-social');
-    if (toggleSocial) {
-        const id = toggleSocial.getAttribute('data-id');
-        try {
-            await apiCall(`/api/admin/social-tasks/${id}/toggle`, { method: 'POST' });
-            if (tg && tg.showAlert) tg.showAlert('✅ Task status updated!'); else alert('Task status updated');
-            loadSocialTasks();
-        } catch (error) {
-            if (tg && tg.showAlert) tg.showAlert('❌ ' + error.message); else alert(error.message || 'Error');
-        }
-        return;
-    }
-    const deleteSocial = e.target.closest('.delete-social');
-    if (deleteSocial) {
-        const id = deleteSocial.getAttribute('data-id');
-        if (!confirm('Delete this social task?')) return;
-        try {
-            await apiCall(`/api/admin/social-tasks/${id}`, { method: 'DELETE' });
-            if (tg && tg.showAlert) tg.showAlert('✅ Task deleted!'); else alert('Task deleted');
-            loadSocialTasks();
-        } catch (error) {
-            if (tg && tg.showAlert) tg.showAlert('❌ ' + error.message); else alert(error.message || 'Error');
-        }
-        return;
-    }
-});
-
 // Modal helper for approval mode selection
 async function showApproveModeDialog() {
     return new Promise((resolve) => {
@@ -1091,6 +2140,20 @@ async function showApproveModeDialog() {
 
 // Delegate clicks for approve/reject to avoid inline handlers
 document.addEventListener('click', async (e) => {
+    const reveal = e.target.closest('.reveal-bank');
+    if (reveal) {
+        const id = reveal.getAttribute('data-id');
+        if (!confirm('Reveal the full account number? This is logged.')) return;
+        try {
+            const b = await apiCall(`/api/admin/withdrawals/${id}/reveal-bank`, { method: 'POST' });
+            const el = document.querySelector(`.bank-details-text[data-id="${id}"]`);
+            if (el) el.textContent = `${b.account_name || ''} (${b.account_number || ''}) - ${b.bank_name || ''}`;
+            reveal.remove();
+        } catch (error) {
+            safeAlert('❌ ' + error.message);
+        }
+        return;
+    }
     const approve = e.target.closest('.approve-withdrawal');
     if (approve) {
         const id = approve.getAttribute('data-id');
@@ -1099,7 +2162,7 @@ document.addEventListener('click', async (e) => {
             if (!mode) return; // cancelled
             const qs = mode === 'manual' ? '?mode=manual' : '';
             showGlobalOverlay(mode === 'manual' ? 'Approving manually...' : 'Initiating Paystack transfer...');
-            await apiCall(`/api/admin/withdrawals/${id}/approve${qs}`, { method: 'POST', timeoutMs: 30000 });
+            await apiCallConfirmed(`/api/admin/withdrawals/${id}/approve${qs}`, { method: 'POST', timeoutMs: 30000 });
             safeAlert(mode === 'manual' ? '✅ Withdrawal approved manually' : '✅ Auto payout initiated');
             loadWithdrawals();
         } catch (error) {
@@ -1166,7 +2229,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 reason: document.getElementById('adjReason').value
             };
             try {
-                await apiCall('/api/admin/users/adjust-balance', {
+                await apiCallConfirmed('/api/admin/users/adjust-balance', {
                     method: 'POST',
                     body: JSON.stringify(payload)
                 });
@@ -1183,7 +2246,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 ban: document.getElementById('banAction').value === 'ban'
             };
             try {
-                await apiCall('/api/admin/users/ban', { method: 'POST', body: JSON.stringify(payload) });
+                await apiCallConfirmed('/api/admin/users/ban', { method: 'POST', body: JSON.stringify(payload) });
                 if (tg && tg.showAlert) tg.showAlert('✅ User updated'); else alert('User updated');
             } catch (err) { if (tg && tg.showAlert) tg.showAlert('❌ ' + err.message); else alert(err.message || 'Error'); }
         });
@@ -1207,10 +2270,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 payload.mediaMime = file.type || 'application/octet-stream';
             }
             try {
-                const url = `${API_BASE}/api/admin/broadcast`;
-                const response = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json', 'x-admin-id': String(userId || '') }, body: JSON.stringify(payload) });
-                if (!response.ok) throw new Error(`HTTP ${response.status}`);
-                const res = await response.json();
+                const res = await apiCallConfirmed('/api/admin/broadcast', { method: 'POST', body: JSON.stringify(payload), timeoutMs: 120000 });
                 document.getElementById('bcResult').innerHTML = showSuccess(`Job queued. Sent: ${res.sent || 0}, Failed: ${res.failed || 0}`);
             } catch (err) {
                 document.getElementById('bcResult').innerHTML = showError(err.message || 'Broadcast failed');
@@ -1226,50 +2286,3 @@ document.addEventListener('DOMContentLoaded', () => {
         withdrawFilter._bound = true;
     }
 });
-
-// Load social tasks
-async function loadSocialTasks() {
-    try {
-        const data = await apiCall('/api/admin/social-tasks');
-        let html = `
-            <div class="table-container table-scroll">
-                <table class="table">
-                    <thead>
-                        <tr>
-                            <th>Platform</th>
-                            <th>Name</th>
-                            <th>Link</th>
-                            <th>Points</th>
-                            <th>Status</th>
-                            <th>Actions</th>
-                        </tr>
-                    </thead>
-                    <tbody>
-        `;
-        if (data.tasks && data.tasks.length > 0) {
-            data.tasks.forEach(t => {
-                html += `
-                    <tr>
-                        <td>${t.platform}</td>
-                        <td>${t.task_name}</td>
-                        <td><a href="${t.task_link}" target="_blank" style="color:#fff; text-decoration:underline;">Open</a><br/><span style="opacity:0.75; font-size:12px;">${t.description || ''}</span></td>
-                        <td>${t.points_reward}</td>
-                        <td><span class="status-badge ${t.is_active ? 'status-active' : 'status-inactive'}">${t.is_active ? 'Active' : 'Inactive'}</span></td>
-                        <td>
-                            <button class="btn btn-secondary toggle-social" data-id="${t.id}">${t.is_active ? 'Disable' : 'Enable'}</button>
-                            <button class="btn btn-danger delete-social" data-id="${t.id}">Delete</button>
-                        </td>
-                    </tr>
-                `;
-            });
-        } else {
-            html += '<tr><td colspan="6" style="text-align:center; opacity:0.7;">No social tasks</td></tr>';
-        }
-        html += `</tbody></table></div>`;
-        const mount = document.getElementById('socialTasksList');
-        if (mount) mount.innerHTML = html;
-    } catch (err) {
-        const mount = document.getElementById('socialTasksList');
-        if (mount) mount.innerHTML = showError('Failed to load social tasks');
-    }
-}
@@ -8,6 +8,7 @@ let userId = null;
 let telegramUser = null;
 let userData = null;
 let currentPage = 'home';
+let lastTasks = null;
 
 // Check if we're in Telegram Web App
 if (window.Telegram && window.Telegram.WebApp) {
@@ -22,12 +23,6 @@ if (window.Telegram && window.Telegram.WebApp) {
     }
 }
 
-// Fallback to URL parameters if Telegram API not available
-if (!userId) {
-    const urlParams = new URLSearchParams(window.location.search);
-    userId = urlParams.get('user_id');
-}
-
 if (!userId) {
     document.body.innerHTML = '<div class="app-container"><div class="error">User ID not found. Please open this app from Telegram.</div></div>';
 }
@@ -62,11 +57,13 @@ const apiCall = async (endpoint, options = {}) => {
         console.log('Making API call to:', url);
         
         const response = await fetch(url, {
+            ...options,
             headers: {
                 'Content-Type': 'application/json',
+                // Signed Telegram initData; the server derives the user from it
+                'X-Telegram-Init-Data': tg.initData || '',
                 ...options.headers
-            },
-            ...options
+            }
         });
 
         console.log('Response status:', response.status);
@@ -121,7 +118,11 @@ const renderUserProfile = () => {
     }
     
     if (photoUrl) {
-        profilePic.innerHTML = `<img src="${photoUrl}" alt="Profile" onerror="this.style.display='none'; this.nextElementSibling.style.display='flex';">`;
+        profilePic.innerHTML = `<img src="${photoUrl}" alt="Profile">`;
+        profilePic.querySelector('img').addEventListener('error', function () {
+            this.style.display = 'none';
+            if (this.nextElementSibling) this.nextElementSibling.style.display = 'flex';
+        });
         profileInitial.style.display = 'flex';
     } else {
         profilePic.innerHTML = `<span>${displayName.charAt(0).toUpperCase()}</span>`;
@@ -189,71 +190,40 @@ const loadTasks = async (platform = 'telegram') => {
     }
 };
 
-// Render tasks with proper join links
-const renderTasks = (tasks, platform = 'telegram') => {
+// Render the tasks of one platform tab (the task's type)
+const renderTasks = (data, platform = 'telegram') => {
     let html = '';
-    
-    if (platform === 'telegram') {
-        // Channels
-        if (tasks.channels && tasks.channels.length > 0) {
-            html += '<h3 style="margin-bottom: 16px; font-size: 18px; font-weight: 600;">📺 Join Channels</h3>';
-            tasks.channels.forEach(channel => {
-                const isCompleted = channel.is_joined || false;
-                html += `
-                    <div class="task-card">
-                        <div class="task-header">
-                            <div class="task-title">${channel.channel_name}</div>
-                            <div class="task-points">+${channel.points_reward}</div>
-                        </div>
-                        <div class="task-description">Join this channel to earn ${channel.points_reward} points</div>
-                        <div class="task-actions">
-                            <a href="${channel.channel_link}" target="_blank" class="btn btn-secondary">
-                                <i class="fas fa-external-link-alt"></i> Join Channel
-                            </a>
-                            <button class="btn btn-primary" onclick="claimChannelJoin(${channel.id})" ${isCompleted ? 'disabled' : ''}>
-                                ${isCompleted ? '✅ Claimed' : '📺 Claim Reward'}
-                            </button>
-                        </div>
-                    </div>
-                `;
-            });
-        }
+    const tasks = (data.tasks || []).filter(t => t.type === platform);
+    const label = ((data.types || []).find(t => t.type === platform) || {}).label || platform;
 
-        // Groups
-        if (tasks.groups && tasks.groups.length > 0) {
-            html += '<h3 style="margin-bottom: 16px; font-size: 18px; font-weight: 600;">👥 Join Groups</h3>';
-            tasks.groups.forEach(group => {
-                const isCompleted = group.is_joined || false;
-                html += `
-                    <div class="task-card">
-                        <div class="task-header">
-                            <div class="task-title">${group.group_name}</div>
-                            <div class="task-points">+${group.points_reward}</div>
-                        </div>
-                        <div class="task-description">Join this group to earn ${group.points_reward} points</div>
-                        <div class="task-actions">
-                            <a href="${group.group_link}" target="_blank" class="btn btn-secondary">
-                                <i class="fas fa-external-link-alt"></i> Join Group
-                            </a>
-                            <button class="btn btn-primary" onclick="claimGroupJoin(${group.id})" ${isCompleted ? 'disabled' : ''}>
-                                ${isCompleted ? '✅ Claimed' : '👥 Claim Reward'}
-                            </button>
-                        </div>
-                    </div>
-                `;
-            });
-        }
+    tasks.forEach(task => {
+        const status = task.claim ? task.claim.status : null;
+        const waiting = status === 'review' || (status === 'pending' && task.claim.availableAt && new Date(task.claim.availableAt) > new Date());
+        html += `
+            <div class="task-card">
+                <div class="task-header">
+                    <div class="task-title">${task.title}</div>
+                    <div class="task-points">+${task.points_reward}</div>
+                </div>
+                <div class="task-description">${task.description || `Complete this task to earn ${task.points_reward} points`}</div>
+                <div class="task-actions">
+                    ${task.link ? `<a href="${task.link}" target="_blank" class="btn btn-secondary">
+                        <i class="fas fa-external-link-alt"></i> Open
+                    </a>` : ''}
+                    <button class="btn btn-primary" data-action="claimTask" data-arg="${task.id}" ${waiting ? 'disabled' : ''}>
+                        ${status === 'review' ? '⏳ In review' : (waiting ? '⏳ Pending' : '🎁 Claim Reward')}
+                    </button>
+                </div>
+            </div>
+        `;
+    });
 
-        if (tasks.channels.length === 0 && tasks.groups.length === 0) {
-            html += '<div class="empty-state"><i class="fas fa-inbox"></i><h3>No tasks available</h3><p>Check back later for new tasks!</p></div>';
-        }
-    } else if (platform === 'whatsapp') {
-        html = '<div class="empty-state"><i class="fab fa-whatsapp"></i><h3>WhatsApp Tasks</h3><p>Coming soon! WhatsApp tasks will be available here.</p></div>';
-    } else if (platform === 'facebook') {
-        html = '<div class="empty-state"><i class="fab fa-facebook"></i><h3>Facebook Tasks</h3><p>Coming soon! Facebook tasks will be available here.</p></div>';
+    if (tasks.length === 0) {
+        html = `<div class="empty-state"><i class="fas fa-inbox"></i><h3>No ${label} tasks</h3><p>Check back later for new tasks!</p></div>`;
     }
 
     document.getElementById('tasksContent').innerHTML = html;
+    lastTasks = data;
 };
 
 // Load earn page data
@@ -352,43 +322,39 @@ const renderHistory = (historyData, type) => {
     document.getElementById('historyContent').innerHTML = html;
 };
 
-// Task completion functions
-const claimChannelJoin = async (channelId) => {
+// Task completion: the server runs the task's verifier
+const claimTask = async (taskId) => {
     try {
-        const response = await apiCall('/api/verify-channel-membership', {
-            method: 'POST',
-            body: JSON.stringify({ telegramId: userId, channelId })
-        });
-
-        if (response.success && response.isMember) {
-            tg.showAlert(`✅ Successfully claimed ${response.pointsEarned} points!`);
-            await loadUserData();
-            loadTasks('telegram');
-        } else {
-            tg.showAlert(`❌ ${response.message || 'Failed to claim reward'}`);
+        const task = ((lastTasks && lastTasks.tasks) || []).find(t => t.id === taskId);
+        let input;
+        if (task && task.input === 'quiz') {
+            // One prompt per question; multiple choice is answered with the option number
+            const answers = {};
+            for (const q of task.config.questions || []) {
+                const reply = prompt(q.options ? `${q.text}\n${q.options.map((o, i) => `${i + 1}. ${o.text}`).join('\n')}` : q.text);
+                if (reply === null) return;
+                const option = q.options ? q.options[parseInt(reply, 10) - 1] : null;
+                answers[q.id] = q.options ? (option ? option.id : '') : reply;
+            }
+            input = JSON.stringify(answers);
+        } else if (task && task.input) {
+            input = prompt(task.input === 'code' ? 'Enter the code' : 'Paste your proof (link or text)');
+            if (input === null) return;
         }
-    } catch (error) {
-        console.error('Error claiming channel join:', error);
-        tg.showAlert('❌ ' + error.message);
-    }
-};
-
-const claimGroupJoin = async (groupId) => {
-    try {
-        const response = await apiCall('/api/verify-group-membership', {
+        const response = await apiCall(`/api/tasks/${taskId}/submit`, {
             method: 'POST',
-            body: JSON.stringify({ telegramId: userId, groupId })
+            body: JSON.stringify({ input })
         });
 
-        if (response.success && response.isMember) {
-            tg.showAlert(`✅ Successfully claimed ${response.pointsEarned} points!`);
+        if (response.status === 'completed') {
+            tg.showAlert(`✅ Successfully claimed ${response.pointsEarned || 0} points!`);
             await loadUserData();
-            loadTasks('telegram');
         } else {
-            tg.showAlert(`❌ ${response.message || 'Failed to claim reward'}`);
+            tg.showAlert(`⏳ ${response.message || 'Your claim is pending'}`);
         }
+        loadTasks(task ? task.type : 'telegram');
     } catch (error) {
-        console.error('Error claiming group join:', error);
+        console.error('Error claiming task:', error);
         tg.showAlert('❌ ' + error.message);
     }
 };
@@ -506,7 +472,7 @@ window.copyReferralLink = async () => {
         await navigator.clipboard.writeText(referralLink);
         
         // Show success message
-        const btn = document.querySelector('[onclick="copyReferralLink()"]');
+        const btn = document.querySelector('[data-action="copyReferralLink"]');
         const originalText = btn.innerHTML;
         btn.innerHTML = '<i class="fas fa-check"></i> Copied!';
         btn.style.background = 'linear-gradient(45deg, #4ecdc4, #44a08d)';
@@ -715,6 +681,20 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    // Inline onclick handlers are blocked by the CSP; clickable elements carry data-action instead
+    const clickActions = {
+        showWithdrawPage, showAdvertisePage, showBankPage, showInvitePage, showTeamPage, showAboutPage,
+        showFaqPage, contactAdmin, copyReferralLink, toggleFaq, claimReward, claimTask
+    };
+    document.addEventListener('click', (e) => {
+        const el = e.target.closest('[data-action]');
+        if (!el || !clickActions[el.dataset.action]) return;
+        e.preventDefault();
+        if (el.disabled) return;
+        const arg = el.dataset.arg;
+        clickActions[el.dataset.action](arg !== undefined && /^\d+$/.test(arg) ? parseInt(arg, 10) : arg);
+    });
+
     // Initialize
     loadUserData();
 });
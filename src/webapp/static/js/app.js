@@ -25,12 +25,6 @@ if (window.Telegram && window.Telegram.WebApp) {
     }
 }
 
-// Fallback to URL parameters if Telegram API not available
-if (!userId) {
-    const urlParams = new URLSearchParams(window.location.search);
-    userId = urlParams.get('user_id');
-}
-
 if (!userId) {
     document.body.innerHTML = '<div class="app-container"><div class="error">User ID not found. Please open this app from Telegram.</div></div>';
 }
@@ -58,19 +52,44 @@ const getRankClass = (rank) => {
     return 'other';
 };
 
+// One key per user action; retries of that action reuse it so the server replays instead of re-running
+const newIdempotencyKey = () => {
+    if (window.crypto && window.crypto.randomUUID) return window.crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+};
+
+// Resend a mutating request (same Idempotency-Key) when the network drops or the first attempt is still running
+const fetchWithRetry = async (url, init, attempts = 3) => {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            const response = await fetch(url, init);
+            if (response.status !== 409 || !response.headers.get('Retry-After') || attempt >= attempts) return response;
+        } catch (error) {
+            if (attempt >= attempts) throw error;
+        }
+        await new Promise(r => setTimeout(r, 1000 * attempt));
+    }
+};
+
 // API functions
 const apiCall = async (endpoint, options = {}) => {
     try {
         const url = `${API_BASE}${endpoint}`;
         console.log('Making API call to:', url);
         
-        const response = await fetch(url, {
+        const method = String(options.method || 'GET').toUpperCase();
+        const mutating = method !== 'GET' && method !== 'HEAD';
+        const init = {
+            ...options,
             headers: {
                 'Content-Type': 'application/json',
+                // Signed Telegram initData; the server derives the user from it
+                'X-Telegram-Init-Data': tg.initData || '',
+                ...(mutating ? { 'Idempotency-Key': newIdempotencyKey() } : {}),
                 ...options.headers
-            },
-            ...options
-        });
+            }
+        };
+        const response = mutating ? await fetchWithRetry(url, init) : await fetch(url, init);
 
         console.log('Response status:', response.status);
         
@@ -108,6 +127,7 @@ const router = {
         '/team': 'team',
         '/privacy': 'privacy',
         '/community': 'community',
+        '/shop': 'shop',
         '/support': 'support'
     },
 
@@ -185,6 +205,9 @@ const router = {
             case 'support':
                 this.loadSupportPage();
                 break;
+            case 'shop':
+                this.loadShopPage();
+                break;
             default:
                 this.loadHomePage();
         }
@@ -218,13 +241,14 @@ const pageLoaders = {
             await loadUserData();
             // Show mandatory join modal if configured (block UI underneath)
             await maybeShowOnboardingModal();
-            // Load currency/rate for conversion rate display
+            // Load currency/rate for conversion rate display (the user's payout currency)
             let currencySymbol = '₦';
             let pointRate = 1;
             try {
-                const cfg = await fetch('/api/admin/config').then(r=>r.json());
-                currencySymbol = (cfg && cfg.withdrawalConfig && cfg.withdrawalConfig.currencySymbol) || currencySymbol;
-                pointRate = (cfg && cfg.withdrawalConfig && parseFloat(cfg.withdrawalConfig.pointToCurrencyRate)) || pointRate;
+                const cfg = await fetch('/api/settings').then(r=>r.json());
+                const payout = pickPayoutCurrency(cfg);
+                currencySymbol = payout.symbol || currencySymbol;
+                pointRate = payout.rate || pointRate;
             } catch (_) {}
             
             const html = `
@@ -253,6 +277,9 @@ const pageLoaders = {
                         <a href="/history" class="btn" style="text-align:center; padding:14px; color:#111; background: rgba(255,107,107,0.18); border:1px solid rgba(255,107,107,0.45); border-radius:12px;">
                             History
                         </a>
+                        <a href="/shop" class="btn" style="grid-column: span 2; text-align:center; padding:14px; color:#111; background: rgba(255,193,7,0.18); border:1px solid rgba(255,193,7,0.45); border-radius:12px;">
+                            Rewards Shop
+                        </a>
                     </div>
                 </div>
 
@@ -280,13 +307,7 @@ const pageLoaders = {
         mainContent.innerHTML = `
             <div class="page-title">Tasks</div>
             
-            <div class="tabs">
-                <div class="tab active" data-task-tab="telegram">TG</div>
-                <div class="tab" data-task-tab="whatsapp">WA</div>
-                <div class="tab" data-task-tab="facebook">FB</div>
-                <div class="tab" data-task-tab="tiktok">TT</div>
-                <div class="tab" data-task-tab="website">Web</div>
-            </div>
+            <div class="tabs" id="taskTabs"></div>
 
             <div id="tasksContent">
                 <div class="loading">
@@ -296,20 +317,7 @@ const pageLoaders = {
             </div>
         `;
 
-        // Add tab event listeners
-        document.querySelectorAll('.tab').forEach(tab => {
-            tab.addEventListener('click', () => {
-                const platform = tab.dataset.taskTab;
-                
-                // Update active tab
-                document.querySelectorAll('.tab').forEach(t => t.classList.remove('active'));
-                tab.classList.add('active');
-                
-                // Load tasks for platform
-                loadTasks(platform);
-            });
-        });
-
+        // Tabs are built from the task types the server returns
         await loadTasks('telegram');
     },
 
@@ -396,10 +404,12 @@ const pageLoaders = {
                     const zid = window.__adsZoneId || '9758957';
                     const fn = window[`show_${zid}`];
                     if (typeof fn !== 'function') throw new Error('SDK not loaded');
+                    // Unique per view: the postback credits each ymid once
+                    const ymid = `${userId}-${now}-${Math.random().toString(36).slice(2, 8)}`;
                     try {
-                        await fn({ ymid: String(userId), requestVar: 'ads_main' });
+                        await fn({ ymid, requestVar: 'ads_main' });
                     } catch (e1) {
-                        await fn({ type: 'pop', ymid: String(userId), requestVar: 'ads_main' });
+                        await fn({ type: 'pop', ymid, requestVar: 'ads_main' });
                     }
                     // Client-side completion ping (fallback if postback delays)
                     try {
@@ -469,6 +479,20 @@ const pageLoaders = {
                 <div class="balance-subtitle">Claim your daily rewards</div>
             </div>
 
+            <div class="card" id="streakCard" style="display:none;">
+                <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom: 12px;">
+                    <h3 style="font-size: 18px; font-weight: 600;">🔥 Login Streak</h3>
+                    <div id="streakSummary" style="font-size: 13px; color: #6c757d;"></div>
+                </div>
+                <div class="streak-calendar" id="streakCalendar"></div>
+                <button id="checkInBtn" class="btn btn-primary" style="width: 100%; margin-top: 12px;">
+                    <span class="iconify" data-icon="mdi:calendar-check"></span>
+                    <span id="checkInLabel">Check In</span>
+                </button>
+                <div id="streakFreeze" style="display:flex; justify-content:space-between; align-items:center; margin-top: 12px; font-size: 13px;"></div>
+                <div id="streakNote" style="text-align: center; font-size: 12px; color: #6c757d; margin-top: 8px;"></div>
+            </div>
+
             <div class="card">
                 <button id="claimBtn" class="btn btn-primary" style="width: 100%; margin-bottom: 16px;">
                     <span class="iconify" data-icon="mdi:gift-outline"></span>
@@ -495,6 +519,8 @@ const pageLoaders = {
         try {
             const btn = document.getElementById('claimBtn');
             if (btn) btn.addEventListener('click', claimReward);
+            const checkInBtn = document.getElementById('checkInBtn');
+            if (checkInBtn) checkInBtn.addEventListener('click', dailyCheckIn);
         } catch (e) { console.error('Failed to bind claim button', e); }
 
         await enforceCommunityOrRedirect('earn');
@@ -544,6 +570,28 @@ const pageLoaders = {
             <div class="balance-card">
                 <div class="balance-title">Your Balance</div>
                 <div class="balance-amount" id="profileBalanceAmount">${formatNumber(userData?.points || 0)}</div>
+                <div class="balance-subtitle" id="profileExpiringSoon" style="display:none;"></div>
+            </div>
+
+            <div class="card" id="transferCard" style="display:none;">
+                <h3 style="font-size: 18px; font-weight: 600; margin-bottom: 12px;">💸 Send Points</h3>
+                <form id="transferForm">
+                    <div class="form-group">
+                        <label class="form-label">Recipient</label>
+                        <input type="text" class="form-input" id="transferRecipient" placeholder="@username or Telegram ID">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">Amount</label>
+                        <input type="number" class="form-input" id="transferAmount" placeholder="Points" min="1" step="1">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">Note (optional)</label>
+                        <input type="text" class="form-input" id="transferNote" maxlength="140">
+                    </div>
+                    <div id="transferInfo" style="font-size: 12px; color: #6c757d; margin-bottom: 12px;"></div>
+                    <button type="submit" class="btn btn-primary" id="transferSubmitBtn" style="width: 100%;">Send</button>
+                </form>
+                <div id="transferHistory" style="margin-top: 12px; font-size: 13px;"></div>
             </div>
 
             <div class="card">
@@ -595,7 +643,7 @@ const pageLoaders = {
                     </div>
                 </a>
                 
-                <a href="#" class="menu-item" onclick="router.navigate('/support'); return false;">
+                <a href="/support" class="menu-item">
                     <div class="menu-item-left">
                         <div class="menu-item-icon">
                             <span class="iconify" data-icon="mdi:headset"></span>
@@ -631,15 +679,20 @@ const pageLoaders = {
                 </a>
             </div>
         `;
+
+        await loadPointsExpiry();
+        await loadTransfers();
     },
 
     async loadWithdrawPage() {
         const mainContent = document.getElementById('main-content');
         // Ensure fresh user data for accurate balance
         try { await loadUserData(); } catch (e) {}
-        const cfg = await fetch('/api/admin/config').then(r=>r.json()).catch(()=>({ withdrawalConfig: { currencySymbol: '₦', pointToCurrencyRate: 1, minWithdrawal: 1000, withdrawalsEnabled: true } }));
-        const curr = (cfg && cfg.withdrawalConfig && cfg.withdrawalConfig.currencySymbol) || '₦';
-        const rate = (cfg && cfg.withdrawalConfig && parseFloat(cfg.withdrawalConfig.pointToCurrencyRate)) || 1;
+        const cfg = await fetch('/api/settings').then(r=>r.json()).catch(()=>({ withdrawalConfig: { currencySymbol: '₦', pointToCurrencyRate: 1, minWithdrawal: 1000, withdrawalsEnabled: true } }));
+        const currencies = (cfg && Array.isArray(cfg.currencies)) ? cfg.currencies : [];
+        const payout = pickPayoutCurrency(cfg);
+        let curr = payout.symbol || '₦';
+        let rate = payout.rate || 1;
         const minWithdrawalPoints = (cfg && cfg.withdrawalConfig && parseInt(cfg.withdrawalConfig.minWithdrawal)) || 1000;
         // Make available to form validator
         window.__minWithdrawalPoints = minWithdrawalPoints;
@@ -661,6 +714,13 @@ const pageLoaders = {
                         </div>
                         <div style="margin-top:6px;font-size:12px;opacity:0.85;">Amount to be received</div>
                     </div>
+                    ${currencies.length > 1 ? `
+                    <div class="form-group">
+                        <label class="form-label">Payout Currency</label>
+                        <select class="form-select" id="payoutCurrency">
+                            ${currencies.map(c => `<option value="${c.code}" ${c.code === payout.code ? 'selected' : ''}>${c.code} (${c.symbol})${c.name && c.name !== c.code ? ' - ' + c.name : ''}</option>`).join('')}
+                        </select>
+                    </div>` : ''}
                     <div class="form-group">
                         <label class="form-label">Bank Account</label>
                         <input type="text" class="form-input" id="bankAccount" placeholder="Bank account details" readonly>
@@ -699,6 +759,28 @@ const pageLoaders = {
             amt.addEventListener('input', upd);
             upd();
         }
+        const currencySelect = document.getElementById('payoutCurrency');
+        if (currencySelect) {
+            currencySelect.addEventListener('change', async () => {
+                const chosen = currencies.find(c => c.code === currencySelect.value);
+                if (!chosen) return;
+                try {
+                    await apiCall('/api/user/payout-currency', {
+                        method: 'POST',
+                        body: JSON.stringify({ currency: chosen.code })
+                    });
+                    if (userData) userData.payout_currency = chosen.code;
+                    curr = chosen.symbol;
+                    rate = chosen.rate;
+                    if (amt && conv) conv.textContent = toMoney(amt.value);
+                } catch (error) {
+                    currencySelect.value = payout.code;
+                    const msg = '❌ ' + (error.message || 'Failed to change payout currency');
+                    if (tg && tg.showAlert) tg.showAlert(msg);
+                    else alert(msg);
+                }
+            });
+        }
     },
 
     async loadBankPage() {
@@ -794,7 +876,7 @@ const pageLoaders = {
             `;
             document.getElementById('communityCard').innerHTML = html;
             document.getElementById('communityCheck').addEventListener('click', async () => {
-                const resp = await fetch('/api/verify-onboarding-joins', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ telegramId: userId }) });
+                const resp = await fetch('/api/verify-onboarding-joins', { method: 'POST', headers: { 'Content-Type': 'application/json', 'X-Telegram-Init-Data': tg.initData || '', 'Idempotency-Key': newIdempotencyKey() }, body: JSON.stringify({ telegramId: userId }) });
                 const r = await resp.json();
                 const s = document.getElementById('communityStatus');
                 if (r.ok) { s.textContent = '✅ Verified. You can continue.'; s.style.color = '#4ecdc4'; }
@@ -805,6 +887,36 @@ const pageLoaders = {
         }
     },
 
+    async loadShopPage() {
+        const mainContent = document.getElementById('main-content');
+        mainContent.innerHTML = `
+            <div class="page-title">Rewards Shop</div>
+
+            <div class="balance-card">
+                <div class="balance-title">Your Balance</div>
+                <div class="balance-amount" id="shopBalance">${formatNumber(userData?.points || 0)}</div>
+                <div class="balance-subtitle">Codes and order updates arrive in your chat with the bot</div>
+            </div>
+
+            <div class="card">
+                <h3 style="margin-bottom: 12px; font-size: 18px; font-weight: 600;">Items</h3>
+                <div id="shopItems">
+                    <div class="loading">
+                        <i class="fas fa-spinner fa-spin"></i>
+                        <p>Loading shop...</p>
+                    </div>
+                </div>
+            </div>
+
+            <div class="card">
+                <h3 style="margin-bottom: 12px; font-size: 18px; font-weight: 600;">My Orders</h3>
+                <div id="shopOrders" style="font-size: 13px;"></div>
+            </div>
+        `;
+
+        await loadShop();
+    },
+
     async loadSupportPage() {
         const mainContent = document.getElementById('main-content');
         mainContent.innerHTML = `
@@ -814,7 +926,7 @@ const pageLoaders = {
             </div>
         `;
         try {
-            const cfg = await fetch('/api/admin/config').then(r=>r.json());
+            const cfg = await fetch('/api/settings').then(r=>r.json());
             const admins = (cfg && cfg.supportConfig && Array.isArray(cfg.supportConfig.supportAdmins)) ? cfg.supportConfig.supportAdmins : [];
             const items = admins.filter(a => a && a.username).map(a => {
                 const uname = String(a.username).replace(/^@/, '');
@@ -1085,14 +1197,16 @@ async function renderHeader() {
                 <div class="user-info">
                     <h3>${displayName}</h3>
                     <p>${username ? `@${username}` : ''}</p>
+                    <span class="level-badge" id="levelBadge" style="display:none;"></span>
                 </div>
             </div>
             <div class="logo" id="appLogo">${(function(){ try { return (localStorage.getItem('appName')||'').trim(); } catch(_) { return ''; } })()}</div>
         </div>
     `;
+    renderLevelBadge();
     // Replace logo with configured app name
     try {
-        const cfg = await fetch('/api/admin/config').then(r=>r.json());
+        const cfg = await fetch('/api/settings').then(r=>r.json());
         const appName = (cfg && cfg.appConfig && cfg.appConfig.appName) || 'TGTask';
         const el = document.getElementById('appLogo');
         if (el) el.textContent = appName;
@@ -1106,11 +1220,41 @@ async function renderHeader() {
     } catch(_) {}
 }
 
+// Level badge under the user's name; tapping it shows progress to the next level
+function renderLevelBadge() {
+    const badge = document.getElementById('levelBadge');
+    const level = userData && userData.level;
+    if (!badge || !level || !level.level) return;
+    badge.textContent = `⭐ Lv ${level.level}${level.name ? ' · ' + level.name : ''}`;
+    badge.style.display = 'inline-block';
+    badge.onclick = showLevelProgress;
+}
+
+async function showLevelProgress() {
+    try {
+        const info = await apiCall(`/api/user/${userId}/level`);
+        const unit = info.basis === 'xp' ? 'XP' : 'points earned';
+        const lines = [`Level ${info.level}${info.name ? ' · ' + info.name : ''}`];
+        const perks = [];
+        if (info.perks.extraDailyClaims) perks.push(`+${info.perks.extraDailyClaims} daily claims`);
+        if (info.perks.claimMultiplier > 1) perks.push(`${info.perks.claimMultiplier}x claim rewards`);
+        if (info.perks.withdrawalFeePct != null) perks.push(`${info.perks.withdrawalFeePct}% withdrawal fee`);
+        if (perks.length) lines.push(`Perks: ${perks.join(', ')}`);
+        lines.push(info.next
+            ? `${formatNumber(info.next.remaining)} more ${unit} to reach Level ${info.next.level}${info.next.name ? ' · ' + info.next.name : ''}`
+            : 'You are at the top level!');
+        const text = lines.join('\n');
+        if (tg && tg.showAlert) tg.showAlert(text); else alert(text);
+    } catch (error) {
+        console.error('Error loading level progress:', error);
+    }
+}
+
 async function enforceCommunityOrRedirect(context) {
     try {
         const cfg = await fetch('/api/onboarding-config').then(r => r.json());
         if (!cfg.requiredChannelId && !cfg.requiredGroupId) return true;
-        const resp = await fetch('/api/verify-onboarding-joins', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ telegramId: userId }) });
+        const resp = await fetch('/api/verify-onboarding-joins', { method: 'POST', headers: { 'Content-Type': 'application/json', 'X-Telegram-Init-Data': tg.initData || '', 'Idempotency-Key': newIdempotencyKey() }, body: JSON.stringify({ telegramId: userId }) });
         const r = await resp.json();
         if (r && r.ok) return true;
         alert('You must join the Community before you can continue.');
@@ -1128,7 +1272,7 @@ async function maybeShowOnboardingModal() {
 
         // Already joined? don't show
         try {
-            const jr = await fetch('/api/verify-onboarding-joins', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ telegramId: userId }) }).then(r=>r.json());
+            const jr = await fetch('/api/verify-onboarding-joins', { method: 'POST', headers: { 'Content-Type': 'application/json', 'X-Telegram-Init-Data': tg.initData || '', 'Idempotency-Key': newIdempotencyKey() }, body: JSON.stringify({ telegramId: userId }) }).then(r=>r.json());
             if (jr && jr.ok) return;
         } catch (_) {}
 
@@ -1162,7 +1306,7 @@ async function maybeShowOnboardingModal() {
         if (grUser && document.getElementById('onbJoinGroup')) document.getElementById('onbJoinGroup').addEventListener('click', (e)=>{ e.preventDefault(); openTg(`https://t.me/${grUser}`); });
         document.getElementById('onbCheckBtn').addEventListener('click', async () => {
             try {
-                const resp = await fetch('/api/verify-onboarding-joins', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ telegramId: userId }) });
+                const resp = await fetch('/api/verify-onboarding-joins', { method: 'POST', headers: { 'Content-Type': 'application/json', 'X-Telegram-Init-Data': tg.initData || '', 'Idempotency-Key': newIdempotencyKey() }, body: JSON.stringify({ telegramId: userId }) });
                 const r = await resp.json();
                 if (r.ok) modal.remove();
                 else { const s = document.getElementById('onbStatus'); s.textContent = 'You must join both the official channel and sponsor group to continue.'; s.style.color='#ff6b6b'; }
@@ -1206,6 +1350,7 @@ async function loadTasks(platform = 'telegram') {
         console.log('Loading tasks for user:', userId, 'platform:', platform);
         const data = await apiCall(`/api/tasks/${userId}`);
         console.log('Tasks data received:', data);
+        renderTaskTabs(data.types || [], platform);
         renderTasks(data, platform);
     } catch (error) {
         console.error('Error loading tasks:', error);
@@ -1213,223 +1358,114 @@ async function loadTasks(platform = 'telegram') {
     }
 }
 
-function renderTasks(tasks, platform = 'telegram') {
-    let html = '';
-    
-    if (platform === 'telegram') {
-        // Channels
-        if (tasks.channels && tasks.channels.length > 0) {
-            html += '<h3 style="margin-bottom: 16px; font-size: 18px; font-weight: 600;"><span class="iconify" data-icon="mdi:television-classic"></span> Join Channels</h3>';
-            tasks.channels.forEach(channel => {
-                const isCompleted = channel.is_joined || false;
-                html += `
-                    <div class="task-card">
-                        <div class="task-header">
-                            <div class="task-title">${channel.channel_name}</div>
-                            <div class="task-points">+${channel.points_reward}</div>
-                        </div>
-                        <div class="task-description">${channel.description ? channel.description : ''}</div>
-                        <div class="task-actions">
-                            <a href="${channel.channel_link}" target="_blank" class="btn btn-secondary">
-                                <span class="iconify" data-icon="mdi:open-in-new"></span> Join
-                            </a>
-                            <button class="btn btn-primary claim-channel-btn" data-channel-id="${channel.id}" ${isCompleted ? 'disabled' : ''}>
-                                ${isCompleted ? '<span class="iconify" data-icon="mdi:check-circle-outline"></span> Claimed' : '<span class="iconify" data-icon="mdi:television-classic"></span> Claim'}
-                            </button>
-                        </div>
-                    </div>
-                `;
-            });
-        }
+function renderTaskTabs(types, platform) {
+    const tabsEl = document.getElementById('taskTabs');
+    if (!tabsEl) return;
+    tabsEl.innerHTML = '';
+    types.forEach(({ type, label }) => {
+        const tab = document.createElement('div');
+        tab.className = 'tab' + (type === platform ? ' active' : '');
+        tab.dataset.taskTab = type;
+        tab.textContent = label;
+        tab.addEventListener('click', () => loadTasks(type));
+        tabsEl.appendChild(tab);
+    });
+}
 
-        // Groups
-        if (tasks.groups && tasks.groups.length > 0) {
-            html += '<h3 style="margin-bottom: 16px; font-size: 18px; font-weight: 600;"><span class="iconify" data-icon="mdi:account-group-outline"></span> Join Groups</h3>';
-            tasks.groups.forEach(group => {
-                const isCompleted = group.is_joined || false;
-                html += `
-                    <div class="task-card">
-                        <div class="task-header">
-                            <div class="task-title">${group.group_name}</div>
-                            <div class="task-points">+${group.points_reward}</div>
-                        </div>
-                        <div class="task-description">${group.description ? group.description : ''}</div>
-                        <div class="task-actions">
-                            <a href="${group.group_link}" target="_blank" class="btn btn-secondary">
-                                <span class="iconify" data-icon="mdi:open-in-new"></span> Join
-                            </a>
-                            <button class="btn btn-primary claim-group-btn" data-group-id="${group.id}" ${isCompleted ? 'disabled' : ''}>
-                                ${isCompleted ? '<span class="iconify" data-icon="mdi:check-circle-outline"></span> Claimed' : '<span class="iconify" data-icon="mdi:account-group-outline"></span> Claim'}
-                            </button>
-                        </div>
-                    </div>
-                `;
-            });
-        }
+// Task cards. Built with textContent because titles, descriptions and instructions are admin text.
+function renderTasks(data, platform = 'telegram') {
+    const container = document.getElementById('tasksContent');
+    const tasks = (data.tasks || []).filter(t => t.type === platform);
+    const label = ((data.types || []).find(t => t.type === platform) || {}).label || platform;
+    container.innerHTML = '';
 
-        // Show empty state if no tasks
-        if ((!tasks.channels || tasks.channels.length === 0) && (!tasks.groups || tasks.groups.length === 0)) {
-            html = '<div class="empty-state"><i class="fas fa-inbox"></i><h3>No tasks available</h3><p>Admin hasn\'t added any tasks yet. Check back later!</p></div>';
-        }
-    } else if (platform === 'whatsapp') {
-        if (tasks.whatsapp && tasks.whatsapp.length > 0) {
-            html += '<h3 style="margin-bottom: 16px; font-size: 18px; font-weight: 600;">WhatsApp Tasks</h3>';
-            tasks.whatsapp.forEach(t => {
-                const isPending = t.claim_status === 'pending';
-                html += `
-                    <div class="task-card">
-                        <div class="task-header">
-                            <div class="task-title">${t.task_name}</div>
-                            <div class="task-points">+${t.points_reward}</div>
-                        </div>
-                        <div class="task-description">${t.description ? t.description : ''}</div>
-                        <div class="task-actions">
-                            <a href="${t.task_link}" target="_blank" class="btn btn-secondary">Open</a>
-                            ${isPending ? `
-                                <button class="btn btn-secondary social-pending" data-social-id="${t.id}" disabled>
-                                    Pending...
-                                </button>
-                            ` : `
-                                <button class="btn btn-primary social-claim-btn" data-social-id="${t.id}">
-                                    Claim
-                                </button>
-                            `}
-                        </div>
-                    </div>
-                `;
-            });
-        } else {
-            html = '<div class="empty-state"><h3>No WhatsApp tasks</h3><p>Admin hasn\'t added any WhatsApp tasks yet.</p></div>';
+    if (tasks.length === 0) {
+        container.innerHTML = `<div class="empty-state"><i class="fas fa-inbox"></i><h3>No ${label} tasks</h3><p>Admin hasn't added any tasks here yet. Check back later!</p></div>`;
+        return;
+    }
+
+    tasks.forEach(task => {
+        const claim = task.claim || {};
+        const waitUntil = claim.status === 'pending' && claim.availableAt ? new Date(claim.availableAt) : null;
+        const maxAttempts = task.input === 'quiz' ? parseInt(task.config.maxAttempts, 10) || 0 : 0;
+        const attemptsLeft = maxAttempts ? Math.max(0, maxAttempts - (claim.attempts || 0)) : null;
+        const card = document.createElement('div');
+        card.className = 'task-card';
+
+        const header = document.createElement('div');
+        header.className = 'task-header';
+        const title = document.createElement('div');
+        title.className = 'task-title';
+        title.textContent = task.title;
+        const points = document.createElement('div');
+        points.className = 'task-points';
+        points.textContent = `+${task.points_reward}`;
+        header.appendChild(title);
+        header.appendChild(points);
+        card.appendChild(header);
+
+        const note = task.description || task.config.instructions || task.config.hint;
+        if (note) {
+            const desc = document.createElement('div');
+            desc.className = 'task-description';
+            desc.textContent = note;
+            card.appendChild(desc);
         }
-    } else if (platform === 'facebook') {
-        if (tasks.facebook && tasks.facebook.length > 0) {
-            html += '<h3 style="margin-bottom: 16px; font-size: 18px; font-weight: 600;">Facebook Tasks</h3>';
-            tasks.facebook.forEach(t => {
-                const isPending = t.claim_status === 'pending';
-                html += `
-                    <div class="task-card">
-                        <div class="task-header">
-                            <div class="task-title">${t.task_name}</div>
-                            <div class="task-points">+${t.points_reward}</div>
-                        </div>
-                        <div class="task-description">${t.description ? t.description : ''}</div>
-                        <div class="task-actions">
-                            <a href="${t.task_link}" target="_blank" class="btn btn-secondary">Open</a>
-                            ${isPending ? `
-                                <button class="btn btn-secondary social-pending" data-social-id="${t.id}" disabled>
-                                    Pending...
-                                </button>
-                            ` : `
-                                <button class="btn btn-primary social-claim-btn" data-social-id="${t.id}">
-                                    Claim
-                                </button>
-                            `}
-                        </div>
-                    </div>
-                `;
-            });
-        } else {
-            html = '<div class="empty-state"><h3>No Facebook tasks</h3><p>Admin hasn\'t added any Facebook tasks yet.</p></div>';
+
+        const status = document.createElement('div');
+        status.style.cssText = 'font-size: 12px; color: #6c757d; margin-bottom: 8px;';
+        if (claim.status === 'review') status.textContent = 'Submitted — waiting for an admin to check it.';
+        else if (waitUntil) status.textContent = `Verifying — ready after ${waitUntil.toLocaleTimeString()}.`;
+        else if (claim.status === 'rejected') status.textContent = `Not approved${claim.reviewNote ? ': ' + claim.reviewNote : ''}. You can submit again.`;
+        else if (attemptsLeft !== null) status.textContent = `${(task.config.questions || []).length} questions · ${attemptsLeft} of ${maxAttempts} attempts left`;
+        else if (task.endsAt) status.textContent = `Ends ${new Date(task.endsAt).toLocaleString()}`;
+        if (status.textContent) card.appendChild(status);
+
+        let inputEl = null;
+        let fileEl = null;
+        const proofType = task.input === 'text' ? task.config.proofType || 'text' : null;
+        if (task.input && task.input !== 'quiz' && claim.status !== 'review') {
+            inputEl = document.createElement(task.input === 'text' ? 'textarea' : 'input');
+            inputEl.className = 'form-input';
+            inputEl.style.marginBottom = '8px';
+            inputEl.placeholder = task.input === 'code' ? 'Enter the code' : (proofType === 'screenshot' ? 'Add a note (optional)' : 'Paste your proof (link or text)');
+            card.appendChild(inputEl);
+            if (proofType && proofType !== 'text') {
+                fileEl = document.createElement('input');
+                fileEl.type = 'file';
+                fileEl.accept = 'image/png,image/jpeg,image/webp';
+                fileEl.className = 'form-input';
+                fileEl.style.marginBottom = '8px';
+                card.appendChild(fileEl);
+            }
         }
-    } else if (platform === 'tiktok') {
-        if (tasks.tiktok && tasks.tiktok.length > 0) {
-            html += '<h3 style="margin-bottom: 16px; font-size: 18px; font-weight: 600;">TikTok Tasks</h3>';
-            tasks.tiktok.forEach(t => {
-                const isPending = t.claim_status === 'pending';
-                html += `
-                    <div class="task-card">
-                        <div class="task-header">
-                            <div class="task-title">${t.task_name}</div>
-                            <div class="task-points">+${t.points_reward}</div>
-                        </div>
-                        <div class="task-description">${t.description ? t.description : ''}</div>
-                        <div class="task-actions">
-                            <a href="${t.task_link}" target="_blank" class="btn btn-secondary">Open</a>
-                            ${isPending ? `
-                                <button class="btn btn-secondary social-pending" data-social-id="${t.id}" disabled>
-                                    Pending...
-                                </button>
-                            ` : `
-                                <button class="btn btn-primary social-claim-btn" data-social-id="${t.id}">
-                                    Claim
-                                </button>
-                            `}
-                        </div>
-                    </div>
-                `;
-            });
-        } else {
-            html = '<div class="empty-state"><h3>No TikTok tasks</h3><p>Admin hasn\'t added any TikTok tasks yet.</p></div>';
+
+        const actions = document.createElement('div');
+        actions.className = 'task-actions';
+        if (task.link || task.needsStart) {
+            const open = document.createElement('button');
+            open.className = 'btn btn-secondary';
+            open.innerHTML = '<span class="iconify" data-icon="mdi:open-in-new"></span> Open';
+            open.addEventListener('click', () => openTask(task));
+            actions.appendChild(open);
         }
-    } else if (platform === 'website') {
-        if (tasks.website && tasks.website.length > 0) {
-            html += '<h3 style="margin-bottom: 16px; font-size: 18px; font-weight: 600;">Website Tasks</h3>';
-            tasks.website.forEach(t => {
-                const isPending = t.claim_status === 'pending';
-                html += `
-                    <div class="task-card">
-                        <div class="task-header">
-                            <div class="task-title">${t.task_name}</div>
-                            <div class="task-points">+${t.points_reward}</div>
-                        </div>
-                        <div class="task-description">${t.description ? t.description : ''}</div>
-                        <div class="task-actions">
-                            <a href="${t.task_link}" target="_blank" class="btn btn-secondary">Open</a>
-                            ${isPending ? `
-                                <button class="btn btn-secondary social-pending" data-social-id="${t.id}" disabled>
-                                    Pending...
-                                </button>
-                            ` : `
-                                <button class="btn btn-primary social-claim-btn" data-social-id="${t.id}">
-                                    Claim
-                                </button>
-                            `}
-                        </div>
-                    </div>
-                `;
-            });
+        const submit = document.createElement('button');
+        submit.className = 'btn btn-primary';
+        if (claim.status === 'review') {
+            submit.textContent = 'In review';
+            submit.disabled = true;
+        } else if (task.input === 'quiz') {
+            submit.textContent = attemptsLeft === 0 ? 'No attempts left' : (claim.attempts ? 'Try again' : 'Start quiz');
+            submit.disabled = attemptsLeft === 0;
+            submit.addEventListener('click', () => openQuizModal(task));
         } else {
-            html = '<div class="empty-state"><h3>No Website tasks</h3><p>Admin hasn\'t added any Website tasks yet.</p></div>';
-        }
-    }
-
-    document.getElementById('tasksContent').innerHTML = html;
-
-    // Attach delegated click handlers for claim buttons
-    try {
-        const container = document.getElementById('tasksContent');
-        if (container && !container._claimHandlersBound) {
-            container.addEventListener('click', async (e) => {
-                const channelBtn = e.target.closest('.claim-channel-btn');
-                if (channelBtn) {
-                    const id = parseInt(channelBtn.getAttribute('data-channel-id'));
-                    if (!isNaN(id)) await claimChannelJoin(id);
-                    return;
-                }
-                const groupBtn = e.target.closest('.claim-group-btn');
-                if (groupBtn) {
-                    const id = parseInt(groupBtn.getAttribute('data-group-id'));
-                    if (!isNaN(id)) await claimGroupJoin(id);
-                    return;
-                }
-                const socialBtn = e.target.closest('.social-claim-btn');
-                if (socialBtn) {
-                    const id = parseInt(socialBtn.getAttribute('data-social-id'));
-                    if (!isNaN(id)) await startSocialClaim(id, socialBtn);
-                    return;
-                }
-                const pendingInfo = e.target.closest('.social-pending');
-                if (pendingInfo) {
-                    const id = parseInt(pendingInfo.getAttribute('data-social-id'));
-                    if (!isNaN(id)) await startSocialClaim(id);
-                    return;
-                }
-            });
-            container._claimHandlersBound = true;
+            submit.textContent = waitUntil ? 'Check again' : (task.input === 'text' ? 'Submit' : 'Claim');
+            submit.addEventListener('click', () => submitTask(task, inputEl, submit, fileEl));
         }
-    } catch (err) {
-        console.error('Failed to bind claim handlers', err);
-    }
+        actions.appendChild(submit);
+        card.appendChild(actions);
+        container.appendChild(card);
+    });
 }
 
 async function loadEarnData() {
@@ -1446,6 +1482,7 @@ async function loadEarnData() {
 
 function renderEarnData(earnData) {
     const { claimsRemaining, totalClaims, claimHistory } = earnData;
+    if (earnData.streak) renderStreak(earnData.streak);
     
     document.getElementById('earnProgress').textContent = `${totalClaims - claimsRemaining}/${totalClaims}`;
     // Countdown to next claim if none remaining
@@ -1492,6 +1529,82 @@ function renderEarnData(earnData) {
     document.getElementById('earnHistory').innerHTML = historyHtml;
 }
 
+// 7-day (reward table) check-in calendar, streak freeze count and purchase
+function renderStreak(streak) {
+    const card = document.getElementById('streakCard');
+    if (!card) return;
+    card.style.display = '';
+    document.getElementById('streakSummary').textContent = `${streak.currentStreak} day${streak.currentStreak === 1 ? '' : 's'} · best ${streak.bestStreak}`;
+    document.getElementById('streakCalendar').innerHTML = streak.calendar.map(d => `
+        <div class="streak-day streak-${d.status}">
+            <div class="streak-day-label">Day ${d.day}</div>
+            <div class="streak-day-icon">${d.status === 'claimed' ? '✅' : d.status === 'today' ? '🎁' : '🔒'}</div>
+            <div class="streak-day-reward">+${formatNumber(d.reward)}</div>
+        </div>
+    `).join('');
+    const checkInBtn = document.getElementById('checkInBtn');
+    checkInBtn.disabled = !!streak.checkedInToday;
+    document.getElementById('checkInLabel').textContent = streak.checkedInToday
+        ? 'Checked in today'
+        : `Check In (+${formatNumber(streak.nextReward)})`;
+    const freezeEl = document.getElementById('streakFreeze');
+    if (streak.freeze && streak.freeze.enabled && streak.freeze.max > 0) {
+        const canBuy = streak.freezes < streak.freeze.max;
+        freezeEl.innerHTML = `
+            <span>🧊 Streak freezes: ${streak.freezes}/${streak.freeze.max}</span>
+            <button class="btn btn-secondary" id="buyFreezeBtn" style="padding: 6px 10px; font-size: 12px;" ${canBuy ? '' : 'disabled'}>Buy (${formatNumber(streak.freeze.cost)} pts)</button>
+        `;
+        const buyBtn = document.getElementById('buyFreezeBtn');
+        if (buyBtn) buyBtn.addEventListener('click', buyStreakFreeze);
+    } else {
+        freezeEl.innerHTML = '';
+    }
+    let note = `New day starts at ${new Date(streak.nextResetAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.`;
+    if (streak.broken) note = `You missed ${streak.missedDays} day${streak.missedDays === 1 ? '' : 's'}, so your streak starts again. ` + note;
+    else if (streak.freezesNeeded) note = `Checking in now uses ${streak.freezesNeeded} streak freeze${streak.freezesNeeded === 1 ? '' : 's'} for the missed day${streak.freezesNeeded === 1 ? '' : 's'}. ` + note;
+    document.getElementById('streakNote').textContent = note;
+}
+
+async function dailyCheckIn() {
+    const btn = document.getElementById('checkInBtn');
+    if (btn) btn.disabled = true;
+    try {
+        const response = await apiCall('/api/complete-daily-login', {
+            method: 'POST',
+            body: JSON.stringify({ telegramId: userId })
+        });
+        let text = `🔥 Day ${response.streakDay} check-in: +${response.pointsEarned} points!`;
+        if (response.freezesUsed) text += ` (${response.freezesUsed} streak freeze${response.freezesUsed === 1 ? '' : 's'} used)`;
+        if (tg && tg.showAlert) tg.showAlert(text); else alert(text);
+        await loadUserData();
+        await loadEarnData();
+    } catch (error) {
+        console.error('Error checking in:', error);
+        if (tg && tg.showAlert) tg.showAlert('❌ ' + (error.message || 'Check-in failed'));
+        else alert(error.message || 'Check-in failed');
+        if (btn) btn.disabled = false;
+    }
+}
+
+async function buyStreakFreeze() {
+    const btn = document.getElementById('buyFreezeBtn');
+    if (btn) btn.disabled = true;
+    try {
+        const response = await apiCall('/api/streak/freeze', {
+            method: 'POST',
+            body: JSON.stringify({ telegramId: userId })
+        });
+        if (tg && tg.showAlert) tg.showAlert(`🧊 Streak freeze bought for ${response.cost} points.`);
+        await loadUserData();
+        if (response.streak) renderStreak(response.streak);
+    } catch (error) {
+        console.error('Error buying streak freeze:', error);
+        if (tg && tg.showAlert) tg.showAlert('❌ ' + (error.message || 'Could not buy a streak freeze'));
+        else alert(error.message || 'Could not buy a streak freeze');
+        if (btn) btn.disabled = false;
+    }
+}
+
 let countdownTimer = null;
 function startCountdown(targetMs, mountEl, claimBtn) {
     if (countdownTimer) clearInterval(countdownTimer);
@@ -1514,6 +1627,218 @@ function startCountdown(targetMs, mountEl, claimBtn) {
     countdownTimer = setInterval(tick, 1000);
 }
 
+// The user's payout currency from /api/settings (falls back to the default currency)
+function pickPayoutCurrency(cfg) {
+    const list = (cfg && Array.isArray(cfg.currencies)) ? cfg.currencies : [];
+    const preferred = userData && userData.payout_currency;
+    const match = list.find(c => c.code === preferred) || list.find(c => c.isDefault);
+    if (match) return { code: match.code, symbol: match.symbol, rate: parseFloat(match.rate) };
+    const wc = (cfg && cfg.withdrawalConfig) || {};
+    return { code: wc.currencyCode || null, symbol: wc.currencySymbol || '₦', rate: parseFloat(wc.pointToCurrencyRate) || 1 };
+}
+
+// "Expiring soon" line under the profile balance (hidden when expiry is off or nothing is due)
+async function loadPointsExpiry() {
+    const el = document.getElementById('profileExpiringSoon');
+    if (!el) return;
+    try {
+        const data = await apiCall(`/api/points-expiry/${userId}`);
+        if (!data.enabled || !data.expiringSoon) return;
+        const next = data.upcoming && data.upcoming[0];
+        const when = next ? new Date(next.expiresAt).toLocaleDateString() : '';
+        el.textContent = data.onHold
+            ? `${formatNumber(data.expiringSoon)} points expiring soon (paused while your withdrawal is pending)`
+            : `${formatNumber(data.expiringSoon)} points expiring soon${when ? ` (next on ${when})` : ''}`;
+        el.style.display = '';
+    } catch (error) {
+        console.error('Error loading points expiry:', error);
+    }
+}
+
+// Rewards shop: items and the user's orders. Built with textContent because names and descriptions are admin text.
+const SHOP_STATUS_LABELS = {
+    pending: 'Waiting for fulfilment',
+    processing: 'Processing',
+    fulfilled: 'Delivered in bot chat',
+    cancelled: 'Cancelled (refunded)',
+    refunded: 'Refunded'
+};
+
+async function loadShop() {
+    const itemsEl = document.getElementById('shopItems');
+    if (!itemsEl) return;
+    try {
+        const data = await apiCall(`/api/shop/${userId}`);
+        const balance = parseInt(data.points, 10) || 0;
+        document.getElementById('shopBalance').textContent = formatNumber(balance);
+        itemsEl.innerHTML = '';
+        if (!data.items || !data.items.length) {
+            itemsEl.innerHTML = '<div style="text-align:center; color:#6c757d; padding: 12px;">No rewards available right now.</div>';
+        }
+        (data.items || []).forEach(item => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display:flex; justify-content:space-between; align-items:center; gap: 12px; padding: 10px 0; border-top: 1px solid rgba(0,0,0,0.06);';
+            const info = document.createElement('div');
+            const name = document.createElement('div');
+            name.style.fontWeight = '600';
+            name.textContent = item.name;
+            info.appendChild(name);
+            if (item.description) {
+                const desc = document.createElement('div');
+                desc.style.cssText = 'font-size: 12px; color: #6c757d;';
+                desc.textContent = item.description;
+                info.appendChild(desc);
+            }
+            const meta = document.createElement('div');
+            meta.style.cssText = 'font-size: 12px; color: #6c757d;';
+            const parts = [];
+            if (item.available != null) parts.push(item.available > 0 ? `${formatNumber(item.available)} left` : 'Out of stock');
+            if (item.remainingForUser != null) parts.push(`you can redeem ${item.remainingForUser} more`);
+            meta.textContent = parts.join(' · ');
+            info.appendChild(meta);
+            const btn = document.createElement('button');
+            btn.className = 'btn btn-primary';
+            btn.style.cssText = 'white-space: nowrap; padding: 8px 12px;';
+            btn.textContent = `${formatNumber(item.price)} pts`;
+            btn.disabled = item.available === 0 || item.remainingForUser === 0 || balance < item.price;
+            btn.addEventListener('click', () => redeemShopItem(item, btn));
+            row.appendChild(info);
+            row.appendChild(btn);
+            itemsEl.appendChild(row);
+        });
+
+        const ordersEl = document.getElementById('shopOrders');
+        ordersEl.innerHTML = '';
+        if (!data.orders || !data.orders.length) {
+            ordersEl.innerHTML = '<div style="text-align:center; color:#6c757d;">No orders yet.</div>';
+        }
+        (data.orders || []).forEach(order => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display:flex; justify-content:space-between; padding: 6px 0; border-top: 1px solid rgba(0,0,0,0.06);';
+            const left = document.createElement('span');
+            left.textContent = `#${order.id} ${order.item_name} · ${new Date(order.created_at).toLocaleDateString()}`;
+            const right = document.createElement('span');
+            right.style.color = '#6c757d';
+            right.textContent = SHOP_STATUS_LABELS[order.status] || order.status;
+            row.appendChild(left);
+            row.appendChild(right);
+            ordersEl.appendChild(row);
+        });
+    } catch (error) {
+        itemsEl.innerHTML = showError('Failed to load the shop');
+    }
+}
+
+async function redeemShopItem(item, btn) {
+    const showMessage = (text) => { if (tg && tg.showAlert) tg.showAlert(text); else alert(text); };
+    if (!confirm(`Redeem ${item.name} for ${formatNumber(item.price)} points?`)) return;
+    btn.disabled = true;
+    try {
+        const response = await apiCall('/api/shop/redeem', {
+            method: 'POST',
+            body: JSON.stringify({ itemId: item.id })
+        });
+        showMessage(response.order.status === 'fulfilled'
+            ? '✅ Redeemed! Your code is on its way to your chat with the bot.'
+            : '✅ Order placed. We will message you in the bot when it is ready.');
+        await loadUserData();
+        await loadShop();
+    } catch (error) {
+        console.error('Error redeeming item:', error);
+        showMessage('❌ ' + (error.message || 'Could not redeem this item'));
+        btn.disabled = false;
+    }
+}
+
+// "Send Points" card on the profile page (hidden while transfers are switched off)
+let transferSettings = null;
+async function loadTransfers() {
+    const card = document.getElementById('transferCard');
+    if (!card) return;
+    try {
+        const data = await apiCall(`/api/transfers/${userId}`);
+        transferSettings = data.settings;
+        if (!transferSettings || !transferSettings.enabled) return;
+        card.style.display = '';
+        updateTransferInfo();
+        const form = document.getElementById('transferForm');
+        if (!form._bound) {
+            form.addEventListener('submit', sendTransfer);
+            document.getElementById('transferAmount').addEventListener('input', updateTransferInfo);
+            form._bound = true;
+        }
+        renderTransferHistory(data.transfers || []);
+    } catch (error) {
+        console.error('Error loading transfers:', error);
+    }
+}
+
+function updateTransferInfo() {
+    const info = document.getElementById('transferInfo');
+    if (!info || !transferSettings) return;
+    const s = transferSettings;
+    if (!s.eligible) {
+        info.textContent = `Your account must be at least ${s.minAccountAgeDays} days old to send points.`;
+        document.getElementById('transferSubmitBtn').disabled = true;
+        return;
+    }
+    const amount = parseInt(document.getElementById('transferAmount').value, 10) || 0;
+    const fee = s.feePct > 0 ? Math.ceil(amount * s.feePct / 100) : 0;
+    info.textContent = (amount > 0 ? `Fee: ${formatNumber(fee)} points · Total: ${formatNumber(amount + fee)} points. ` : `Fee: ${s.feePct}%. `)
+        + `Minimum ${formatNumber(s.minAmount)}. Left today: ${formatNumber(s.remainingToday)} points in ${s.transfersLeftToday} transfer${s.transfersLeftToday === 1 ? '' : 's'}.`;
+}
+
+// Built with textContent because usernames and notes come from other users
+function renderTransferHistory(transfers) {
+    const list = document.getElementById('transferHistory');
+    if (!list) return;
+    list.innerHTML = '';
+    transfers.slice(0, 10).forEach(t => {
+        const row = document.createElement('div');
+        row.style.cssText = 'display:flex; justify-content:space-between; padding: 6px 0; border-top: 1px solid rgba(0,0,0,0.06);';
+        const who = document.createElement('span');
+        const other = t.direction === 'out' ? t.recipient_username : t.sender_username;
+        who.textContent = `${t.direction === 'out' ? 'To' : 'From'} ${other ? '@' + other : 'user'}${t.note ? ' · ' + t.note : ''}${t.status === 'reversed' ? ' (reversed)' : ''}`;
+        const amount = document.createElement('span');
+        amount.textContent = `${t.direction === 'out' ? '-' : '+'}${formatNumber(t.amount + (t.direction === 'out' ? t.fee : 0))}`;
+        amount.style.color = t.direction === 'out' ? '#dc3545' : '#28a745';
+        row.appendChild(who);
+        row.appendChild(amount);
+        list.appendChild(row);
+    });
+}
+
+async function sendTransfer(e) {
+    e.preventDefault();
+    const recipient = document.getElementById('transferRecipient').value.trim();
+    const amount = parseInt(document.getElementById('transferAmount').value, 10);
+    const note = document.getElementById('transferNote').value.trim();
+    const showMessage = (text) => { if (tg && tg.showAlert) tg.showAlert(text); else alert(text); };
+    if (!recipient || !amount) {
+        showMessage('Enter a recipient and an amount.');
+        return;
+    }
+    const btn = document.getElementById('transferSubmitBtn');
+    btn.disabled = true;
+    try {
+        const response = await apiCall('/api/transfers', {
+            method: 'POST',
+            body: JSON.stringify({ recipient, amount, note })
+        });
+        showMessage(`✅ Sent ${formatNumber(response.transfer.amount)} points.`);
+        document.getElementById('transferForm').reset();
+        await loadUserData();
+        const balance = document.getElementById('profileBalanceAmount');
+        if (balance) balance.textContent = formatNumber(userData?.points || 0);
+        await loadTransfers();
+    } catch (error) {
+        console.error('Error sending points:', error);
+        showMessage('❌ ' + (error.message || 'Could not send points'));
+    } finally {
+        btn.disabled = false;
+    }
+}
+
 async function loadHistory(type = 'withdrawals') {
     try {
         const data = await apiCall(`/api/history/${userId}?type=${type}`);
@@ -1545,7 +1870,7 @@ function renderHistory(historyData, type) {
                             <div class="history-date">${date}</div>
                             <div class="history-status ${statusClass}">${withdrawal.status}</div>
                         </div>
-                        ${recvCur != null ? `<div class="history-date">Receives: ${recvCur.toFixed(2)}</div>` : ''}
+                        ${recvCur != null ? `<div class="history-date">Receives: ${recvCur.toFixed(2)}${withdrawal.currency_code ? ' ' + withdrawal.currency_code : ''}</div>` : ''}
                     </div>
                 `;
             });
@@ -1561,7 +1886,7 @@ function renderHistory(historyData, type) {
                     <div class="history-item">
                         <div class="history-header">
                             <div class="history-title">${earning.task_name || 'Task Reward'}</div>
-                            <div class="history-amount">+${earning.points_earned}</div>
+                            <div class="history-amount">${earning.points_earned > 0 ? '+' : ''}${earning.points_earned}</div>
                         </div>
                         <div class="history-date">${date}</div>
                     </div>
@@ -1815,87 +2140,166 @@ async function claimReward() {
     }
 }
 
-async function claimChannelJoin(channelId) {
+// Opens the task link; tasks whose verifier needs a claim token (postback) are started on the server first
+async function openTask(task) {
     try {
-        const response = await apiCall('/api/verify-channel-membership', {
-            method: 'POST',
-            body: JSON.stringify({ telegramId: userId, channelId })
-        });
-
-        if (response.success && response.isMember) {
-            tg.showAlert(`✅ Successfully claimed ${response.pointsEarned} points!`);
-            await loadUserData();
-            loadTasks('telegram');
-        } else {
-            const msg = response.message || 'You must join first before claiming.';
-            if (tg && tg.showAlert) tg.showAlert(`❌ ${msg}`);
-            else alert(msg);
+        let link = task.link;
+        if (task.needsStart) {
+            const response = await apiCall(`/api/tasks/${task.id}/start`, { method: 'POST', body: JSON.stringify({}) });
+            link = response.link;
         }
+        if (!link) return;
+        if (/^https:\/\/t\.me\//.test(link) && tg && tg.openTelegramLink) tg.openTelegramLink(link);
+        else if (tg && tg.openLink) tg.openLink(link);
+        else window.open(link, '_blank');
     } catch (error) {
-        console.error('Error claiming channel join:', error);
-        tg.showAlert('❌ ' + error.message);
+        console.error('Error opening task:', error);
+        if (tg && tg.showAlert) tg.showAlert('❌ ' + error.message);
+        else alert(error.message);
     }
 }
 
-async function claimGroupJoin(groupId) {
+// Proof screenshot -> JPEG data URL, scaled down so phone screenshots stay well under the server's 2 MB limit
+function readProofImage(file, maxSide = 1600) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onerror = () => reject(new Error('Could not read the screenshot'));
+        reader.onload = () => {
+            const img = new Image();
+            img.onerror = () => reject(new Error('The screenshot must be an image'));
+            img.onload = () => {
+                const scale = Math.min(1, maxSide / Math.max(img.width, img.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(img.width * scale);
+                canvas.height = Math.round(img.height * scale);
+                canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+                resolve(canvas.toDataURL('image/jpeg', 0.85));
+            };
+            img.src = reader.result;
+        };
+        reader.readAsDataURL(file);
+    });
+}
+
+async function submitTask(task, inputEl, buttonEl, fileEl) {
+    const showMessage = (text) => { if (tg && tg.showAlert) tg.showAlert(text); else alert(text); };
+    if (buttonEl) buttonEl.disabled = true;
     try {
-        const response = await apiCall('/api/verify-group-membership', {
+        const file = fileEl && fileEl.files && fileEl.files[0];
+        const attachment = file ? await readProofImage(file) : undefined;
+        const response = await apiCall(`/api/tasks/${task.id}/submit`, {
             method: 'POST',
-            body: JSON.stringify({ telegramId: userId, groupId })
+            body: JSON.stringify({ input: inputEl ? inputEl.value : undefined, attachment })
         });
-
-        if (response.success && response.isMember) {
-            tg.showAlert(`✅ Successfully claimed ${response.pointsEarned} points!`);
+        if (response.status === 'completed') {
+            showMessage(`✅ Successfully claimed ${response.pointsEarned || 0} points!`);
             await loadUserData();
-            loadTasks('telegram');
-        } else {
-            const msg = response.message || 'You must join first before claiming.';
-            if (tg && tg.showAlert) tg.showAlert(`❌ ${msg}`);
-            else alert(msg);
+        } else if (response.message) {
+            showMessage(`⏳ ${response.message}`);
         }
+        loadTasks(task.type);
     } catch (error) {
-        console.error('Error claiming group join:', error);
-        tg.showAlert('❌ ' + error.message);
+        console.error('Error submitting task:', error);
+        showMessage('❌ ' + error.message);
+        if (buttonEl) buttonEl.disabled = false;
     }
 }
 
-async function startSocialClaim(socialTaskId, buttonEl) {
-    try {
-        // Create pending claim
-        const req = await apiCall('/api/social/claim-request', {
-            method: 'POST',
-            body: JSON.stringify({ telegramId: userId, socialTaskId })
-        });
-        if (req && req.success) {
-            if (buttonEl) {
-                buttonEl.disabled = true;
-                buttonEl.innerHTML = '<span class="iconify" data-icon="mdi:clock-outline"></span> Pending...';
-            }
-            // Poll until available
-            const poll = async () => {
-                try {
-                    const res = await apiCall('/api/social/claim-complete', {
-                        method: 'POST',
-                        body: JSON.stringify({ telegramId: userId, socialTaskId })
-                    });
-                    if (res && res.success && res.status === 'completed') {
-                        if (tg && tg.showAlert) tg.showAlert(`✅ Claimed ${res.pointsEarned} points!`); else alert(`Claimed ${res.pointsEarned} points!`);
-                        await loadUserData();
-                        // Refresh current tab to remove completed task
-                        const active = document.querySelector('.tabs .tab.active');
-                        const current = active ? active.dataset.taskTab : 'telegram';
-                        loadTasks(current);
-                        return;
-                    }
-                } catch (_) { /* ignore */ }
-                setTimeout(poll, 10000); // 10s interval
-            };
-            setTimeout(poll, 10000);
+// Quiz tasks: questions arrive already shuffled and without answers; the server scores the submission
+function openQuizModal(task) {
+    const showMessage = (text) => { if (tg && tg.showAlert) tg.showAlert(text); else alert(text); };
+    const questions = (task.config && task.config.questions) || [];
+    const modal = document.createElement('div');
+    Object.assign(modal.style, { position:'fixed', inset:'0', background:'rgba(0,0,0,0.55)', zIndex:9999, display:'flex', alignItems:'center', justifyContent:'center', padding:'16px' });
+    const card = document.createElement('div');
+    Object.assign(card.style, { width:'100%', maxWidth:'460px', maxHeight:'90vh', overflowY:'auto', background:'#16181a', color:'#fff', borderRadius:'16px', padding:'20px', boxShadow:'0 12px 32px rgba(0,0,0,0.5)' });
+
+    const heading = document.createElement('div');
+    Object.assign(heading.style, { fontSize:'18px', fontWeight:'700', marginBottom:'4px' });
+    heading.textContent = task.title;
+    card.appendChild(heading);
+    const intro = document.createElement('div');
+    Object.assign(intro.style, { opacity:'0.8', fontSize:'13px', marginBottom:'16px' });
+    intro.textContent = `${task.config.passPercent || 100}% correct to pass · +${task.points_reward} points`;
+    card.appendChild(intro);
+
+    const fields = questions.map((q, index) => {
+        const block = document.createElement('div');
+        block.style.marginBottom = '16px';
+        const text = document.createElement('div');
+        Object.assign(text.style, { fontWeight:'600', marginBottom:'8px' });
+        text.textContent = `${index + 1}. ${q.text}`;
+        block.appendChild(text);
+        let read;
+        if (q.options) {
+            q.options.forEach(option => {
+                const label = document.createElement('label');
+                Object.assign(label.style, { display:'flex', alignItems:'center', gap:'8px', padding:'6px 0', cursor:'pointer' });
+                const radio = document.createElement('input');
+                radio.type = 'radio';
+                radio.name = `quiz-${task.id}-${q.id}`;
+                radio.value = option.id;
+                const span = document.createElement('span');
+                span.textContent = option.text;
+                label.appendChild(radio);
+                label.appendChild(span);
+                block.appendChild(label);
+            });
+            read = () => (block.querySelector('input[type="radio"]:checked') || {}).value || '';
+        } else {
+            const input = document.createElement('input');
+            input.className = 'form-input';
+            input.placeholder = 'Your answer';
+            block.appendChild(input);
+            read = () => input.value.trim();
         }
-    } catch (err) {
-        if (tg && tg.showAlert) tg.showAlert('❌ ' + (err.message || 'Failed to start claim'));
-        else alert(err.message || 'Failed to start claim');
-    }
+        card.appendChild(block);
+        return { id: q.id, read };
+    });
+
+    const error = document.createElement('div');
+    Object.assign(error.style, { color:'#ff6b6b', fontSize:'13px', minHeight:'18px', marginBottom:'8px' });
+    card.appendChild(error);
+    const actions = document.createElement('div');
+    actions.className = 'task-actions';
+    const cancel = document.createElement('button');
+    cancel.className = 'btn btn-secondary';
+    cancel.textContent = 'Cancel';
+    cancel.addEventListener('click', () => modal.remove());
+    const submit = document.createElement('button');
+    submit.className = 'btn btn-primary';
+    submit.textContent = 'Submit answers';
+    actions.appendChild(cancel);
+    actions.appendChild(submit);
+    card.appendChild(actions);
+
+    submit.addEventListener('click', async () => {
+        const answers = {};
+        fields.forEach(f => { answers[f.id] = f.read(); });
+        if (fields.some(f => !answers[f.id])) {
+            error.textContent = 'Please answer every question.';
+            return;
+        }
+        submit.disabled = true;
+        try {
+            const response = await apiCall(`/api/tasks/${task.id}/submit`, {
+                method: 'POST',
+                body: JSON.stringify({ input: JSON.stringify(answers) })
+            });
+            modal.remove();
+            showMessage(`✅ ${response.message ? response.message + '. ' : ''}You earned ${response.pointsEarned || 0} points!`);
+            await loadUserData();
+        } catch (err) {
+            console.error('Error submitting quiz:', err);
+            modal.remove();
+            showMessage('❌ ' + err.message);
+        }
+        loadTasks(task.type);
+    });
+
+    modal.appendChild(card);
+    modal.addEventListener('click', (e) => { if (e.target === modal) modal.remove(); });
+    document.body.appendChild(modal);
 }
 
 // Copy function is now handled by event listener in loadInviteData()
@@ -1965,8 +2369,6 @@ async function contactAdmin() {
 
 // Make functions globally accessible
 window.claimReward = claimReward;
-window.claimChannelJoin = claimChannelJoin;
-window.claimGroupJoin = claimGroupJoin;
 window.contactAdmin = contactAdmin;
 window.toggleFaq = toggleFaq;
 
@@ -2079,7 +2481,7 @@ document.addEventListener('DOMContentLoaded', () => {
             if (telegramUser && userId) {
                 await fetch('/api/user/sync', {
                     method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
+                    headers: { 'Content-Type': 'application/json', 'X-Telegram-Init-Data': tg.initData || '', 'Idempotency-Key': newIdempotencyKey() },
                     body: JSON.stringify({
                         telegramId: userId,
                         username: telegramUser.username || null,